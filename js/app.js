@@ -121,6 +121,14 @@ class BlackjackApp {
                     event.preventDefault();
                     this.gameController.split();
                     break;
+                case 'r':
+                    event.preventDefault();
+                    this.gameController.executePlayerAction('surrender');
+                    break;
+                case 'w':
+                    event.preventDefault();
+                    this.gameController.executePlayerAction('switch');
+                    break;
                 case 'i':
                     event.preventDefault();
                     this.gameController.takeInsurance();
@@ -252,6 +260,7 @@ class BlackjackApp {
                             <li><kbd>S</kbd> - Stand</li>
                             <li><kbd>D</kbd> - Double Down</li>
                             <li><kbd>P</kbd> - Split</li>
+                            <li><kbd>R</kbd> - Surrender</li>
                             <li><kbd>I</kbd> - Insurance</li>
                             <li><kbd>Space</kbd> - Deal New Hand</li>
                         </ul>
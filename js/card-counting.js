@@ -4,11 +4,17 @@
  */
 
 import { Navigation } from './modules/Navigation.js';
-import { Deck, Card } from './modules/Deck.js';
+import { Deck } from './modules/Deck.js';
+import { CountingSystem } from './modules/CountingSystem.js';
+import { IndexPlays, INDEX_PLAY_SETS } from './modules/IndexPlays.js';
+import { GameState } from './game/GameState.js';
 
 class CardCountingApp {
     constructor() {
         this.navigation = null;
+        this.gameState = new GameState({ quiet: true }); // shares the table's saved settings
+        this.countingSystem = CountingSystem.get();
+        this.indexPlays = new IndexPlays(); // shared with the table through localStorage
         this.practiceMode = false;
         this.drillActive = false;
         this.currentCard = null;
@@ -31,6 +37,14 @@ class CardCountingApp {
             this.navigation = new Navigation();
             await this.navigation.init();
             
+            // Drills count with the system selected for the table
+            this.gameState.loadSettings();
+            this.setupCountingSystemSelector();
+            
+            // Index play tables used by the table's hints
+            this.indexPlays.load();
+            this.setupIndexPlayEditor();
+            
             // Set up drill functionality
             this.setupDrillControls();
             this.setupCountingPractice();
@@ -44,6 +58,58 @@ class CardCountingApp {
         }
     }
 
+    setupCountingSystemSelector() {
+        const select = document.getElementById('drill-counting-system');
+        this.countingSystem = CountingSystem.get(this.gameState.getSetting('countingSystem'));
+        
+        if (select) {
+            select.innerHTML = CountingSystem.list()
+                .map(system => `<option value="${system.id}">${system.name}</option>`)
+                .join('');
+            select.value = this.countingSystem.id;
+            select.addEventListener('change', (e) => this.setCountingSystem(e.target.value));
+        }
+        
+        this.updateCountingSystemInfo();
+    }
+
+    setCountingSystem(systemId) {
+        this.countingSystem = CountingSystem.get(systemId);
+        this.gameState.updateSetting('countingSystem', this.countingSystem.id);
+        this.updateCountingSystemInfo();
+        console.log(`🧮 Drills now use ${this.countingSystem.name}`);
+        
+        // Counts in progress were made with the old tags
+        if (this.drillActive) {
+            this.resetDrill();
+        }
+        if (this.scenarioState?.active) {
+            this.pauseCasinoScenario();
+        }
+        if (document.getElementById('true-count-drill')?.classList.contains('active')) {
+            this.generateTrueCountScenario();
+        }
+    }
+
+    updateCountingSystemInfo() {
+        const infoElement = document.getElementById('drill-system-info');
+        if (!infoElement) return;
+        
+        const system = this.countingSystem;
+        const tags = system.getTagGroups()
+            .map(({ tag, ranks }) => `${tag > 0 ? '+' : ''}${tag}: ${ranks.join(' ')}`)
+            .join(' · ');
+        const balance = system.balanced
+            ? 'Balanced - true count = running count ÷ decks remaining.'
+            : `Unbalanced - start at ${system.pivot} − ${system.imbalancePerDeck} × decks; a running count of ${system.pivot} is the pivot (true count +${system.imbalancePerDeck}).`;
+        const extras = [
+            system.colorTags['7'] ? 'Red 7s count +1.' : '',
+            system.aceSideCount ? `Ace side count: ±${system.aceSideCount.perAce} per surplus ace for betting.` : ''
+        ].filter(Boolean).join(' ');
+        
+        infoElement.textContent = `${tags}. ${balance} ${extras}`.trim();
+    }
+
     setupDrillControls() {
         // Setup tab switching
         this.setupTabSwitching();
@@ -144,7 +210,7 @@ class CardCountingApp {
 
         if (userCountInput) {
             userCountInput.addEventListener('change', (e) => {
-                this.drillStats.userCount = parseInt(e.target.value) || 0;
+                this.drillStats.userCount = parseFloat(e.target.value) || 0;
             });
 
             // Allow Enter key to advance to next card
@@ -201,18 +267,23 @@ class CardCountingApp {
         this.drillDeck = new Deck(1);
         this.drillDeck.shuffle();
         
-        // Reset drill stats
+        // Reset drill stats (unbalanced systems start below zero)
+        const initialCount = this.countingSystem.getInitialRunningCount(1);
         this.drillStats = {
             cardsRemaining: 52,
             startTime: new Date(),
             endTime: null,
-            actualCount: 0,
-            userCount: 0
+            actualCount: initialCount,
+            userCount: initialCount
         };
         
         this.drillActive = true;
         
         // Update UI
+        const userCountInput = document.getElementById('user-count');
+        if (userCountInput) {
+            userCountInput.value = String(initialCount);
+        }
         this.updateDrillButtons(true);
         this.updateDrillDisplay();
         this.showNextCard();
@@ -232,7 +303,7 @@ class CardCountingApp {
         this.drillStats.cardsRemaining = this.drillDeck.cards.length;
         
         // Update actual count
-        this.drillStats.actualCount += this.currentCard.getHiLoValue();
+        this.drillStats.actualCount += this.countingSystem.getTag(this.currentCard);
         
         // Update display
         this.displayCurrentCard();
@@ -296,7 +367,7 @@ class CardCountingApp {
     }
 
     calculateAccuracy() {
-        const expectedCount = 0; // Balanced deck should end at 0
+        const expectedCount = this.countingSystem.getInitialRunningCount(1) + this.countingSystem.getDeckTotal(); // where a full deck ends
         const userFinalCount = this.drillStats.userCount;
         const actualFinalCount = this.drillStats.actualCount;
         
@@ -356,10 +427,10 @@ class CardCountingApp {
         this.resetDrillDisplay();
         this.hideDrillResults();
         
-        // Reset user count input
+        // Reset user count input to the system's starting count
         const userCountInput = document.getElementById('user-count');
         if (userCountInput) {
-            userCountInput.value = '0';
+            userCountInput.value = String(this.countingSystem.getInitialRunningCount(1));
             userCountInput.disabled = true;
         }
     }
@@ -439,9 +510,9 @@ class CardCountingApp {
         
         // Show card value info
         const cardRank = cardElement.textContent;
-        const hiLoValue = this.getCardHiLoValue(cardRank);
+        const countValue = this.getCardCountValue(cardRank);
         
-        this.showCardValueInfo(cardRank, hiLoValue);
+        this.showCardValueInfo(cardRank, countValue);
         
         // Remove highlight after 2 seconds
         setTimeout(() => {
@@ -449,15 +520,13 @@ class CardCountingApp {
         }, 2000);
     }
 
-    getCardHiLoValue(rank) {
-        // Create a temporary card to get Hi-Lo value
-        const tempCard = new Card('♠', rank);
-        return tempCard.getHiLoValue();
+    getCardCountValue(rank) {
+        return this.countingSystem.getTag(rank);
     }
 
     showCardValueInfo(rank, value) {
         // Could show a tooltip or info panel
-        const message = `${rank}: ${value > 0 ? '+' : ''}${value} in Hi-Lo system`;
+        const message = `${rank}: ${value > 0 ? '+' : ''}${value} in ${this.countingSystem.name}`;
         console.log(message);
         
         // Simple visual feedback
@@ -542,7 +611,7 @@ class CardCountingApp {
         const recommendations = [];
         
         if (stats.accuracy < 90) {
-            recommendations.push('Focus on memorizing Hi-Lo card values');
+            recommendations.push(`Focus on memorizing ${this.countingSystem.name} card values`);
             recommendations.push('Practice with fewer cards first');
         }
         
@@ -590,14 +659,17 @@ class CardCountingApp {
     }
 
     generateTrueCountScenario() {
-        // Generate random running count (-20 to +20)
-        const runningCount = Math.floor(Math.random() * 41) - 20;
+        const system = this.countingSystem;
+        
+        // Generate random running count (-20 to +20 in Hi-Lo points, centred on the pivot for unbalanced systems)
+        const range = 20 * system.hiLoRatio;
+        const runningCount = Math.floor(Math.random() * (2 * range + 1)) - range + (system.balanced ? 0 : system.pivot);
         
         // Generate random decks remaining (0.5 to 6.0)
         const decksRemaining = Math.round((Math.random() * 5.5 + 0.5) * 2) / 2;
         
-        // Calculate correct true count
-        const correctTrueCount = Math.round((runningCount / decksRemaining) * 2) / 2;
+        // Calculate correct true count with the system's conversion
+        const correctTrueCount = Math.round(system.getTrueCount(runningCount, decksRemaining) * 2) / 2;
         
         this.trueCountStats.currentScenario = {
             runningCount,
@@ -661,7 +733,7 @@ class CardCountingApp {
                     <span style="color: #dc2626;">❌ Incorrect</span>
                     <br>Your answer: ${userAnswer}
                     <br>Correct answer: ${correctAnswer}
-                    <br>Formula: ${this.trueCountStats.currentScenario.runningCount} ÷ ${this.trueCountStats.currentScenario.decksRemaining} = ${correctAnswer}
+                    <br>Formula: ${this.getTrueCountFormula(this.trueCountStats.currentScenario)} = ${correctAnswer}
                 `;
             }
         }
@@ -673,6 +745,14 @@ class CardCountingApp {
         this.updateTrueCountStats();
     }
 
+    getTrueCountFormula({ runningCount, decksRemaining }) {
+        const system = this.countingSystem;
+        if (system.balanced) {
+            return `${runningCount} ÷ ${decksRemaining}`;
+        }
+        return `(${runningCount} − ${system.pivot}) ÷ ${decksRemaining} + ${system.imbalancePerDeck}`;
+    }
+
     updateTrueCountStats() {
         const correctElement = document.getElementById('true-count-correct');
         const totalElement = document.getElementById('true-count-total');
@@ -716,7 +796,7 @@ class CardCountingApp {
 
         if (countInput) {
             countInput.addEventListener('change', (e) => {
-                this.scenarioUserCount = parseInt(e.target.value) || 0;
+                this.scenarioUserCount = parseFloat(e.target.value) || 0;
             });
         }
 
@@ -781,10 +861,10 @@ class CardCountingApp {
         this.scenarioState.type = 'basic';
         this.updateScenarioDisplay('basic');
         
-        // Reset input
+        // Reset input to the system's starting count
         const countInput = document.getElementById('scenario-count');
         if (countInput) {
-            countInput.value = '0';
+            countInput.value = String(this.countingSystem.getInitialRunningCount(6));
         }
     }
 
@@ -794,7 +874,7 @@ class CardCountingApp {
         this.scenarioState.active = true;
         this.scenarioState.deck = new Deck(6); // 6-deck shoe
         this.scenarioState.deck.shuffle();
-        this.scenarioState.actualCount = 0;
+        this.scenarioState.actualCount = this.countingSystem.getInitialRunningCount(6);
         this.scenarioState.userCount = 0;
         this.scenarioState.round = 0;
         
@@ -826,7 +906,7 @@ class CardCountingApp {
                 if (this.scenarioState.deck.cards.length > 0) {
                     const card = this.scenarioState.deck.dealCard();
                     roundCards.push(card);
-                    this.scenarioState.actualCount += card.getHiLoValue();
+                    this.scenarioState.actualCount += this.countingSystem.getTag(card);
                 }
             }
         }
@@ -878,14 +958,17 @@ class CardCountingApp {
     }
 
     createCardVisualGrid(cards) {
-        return cards.map(card => `
-            <div class="card-mini ${card.color}" data-value="${card.getHiLoValue()}">
-                <div class="card-face">
-                    ${card.getDisplayValue()}${card.suit}
+        return cards.map(card => {
+            const countValue = this.countingSystem.getTag(card);
+            return `
+                <div class="card-mini ${card.color}" data-value="${countValue}">
+                    <div class="card-face">
+                        ${card.getDisplayValue()}${card.suit}
+                    </div>
+                    <div class="card-value">${countValue > 0 ? '+' : ''}${countValue}</div>
                 </div>
-                <div class="card-value">${card.getHiLoValue() > 0 ? '+' : ''}${card.getHiLoValue()}</div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
     }
 
     generatePlayerPositionsHTML(numPlayers, cards) {
@@ -1524,6 +1607,140 @@ class CardCountingApp {
             scenariosElement.textContent = this.bettingStats.scenarios;
         }
     }
+
+    // INDEX PLAY TABLE METHODS
+    setupIndexPlayEditor() {
+        const rows = document.getElementById('index-play-rows');
+        if (!rows) return;
+
+        document.getElementById('index-play-set')?.addEventListener('change', () => this.renderIndexPlays());
+        document.getElementById('index-play-rule')?.addEventListener('change', () => this.renderIndexPlays());
+        document.getElementById('index-play-export')?.addEventListener('click', () => this.exportIndexPlays());
+        document.getElementById('index-play-reset')?.addEventListener('click', () => {
+            this.indexPlays.resetToDefaults();
+            this.renderIndexPlays();
+            this.showIndexPlayStatus('Restored the built-in index tables');
+        });
+
+        const importInput = document.getElementById('index-play-import');
+        document.getElementById('index-play-import-btn')?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importIndexPlays(file);
+            e.target.value = '';
+        });
+
+        // Row edits are delegated from the table body
+        rows.addEventListener('change', (e) => {
+            const id = e.target.closest('tr')?.dataset.id;
+            if (!id) return;
+
+            if (e.target.classList.contains('index-play-enabled')) {
+                this.editIndexPlay(id, { enabled: e.target.checked });
+            } else if (e.target.classList.contains('index-play-index')) {
+                this.editIndexPlay(id, { index: parseFloat(e.target.value) });
+            }
+        });
+        rows.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('index-play-remove')) return;
+            const id = e.target.closest('tr')?.dataset.id;
+            if (id) this.editIndexPlay(id, null);
+        });
+
+        document.getElementById('index-play-add')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addIndexPlay(new FormData(e.target));
+        });
+
+        this.renderIndexPlays();
+    }
+
+    renderIndexPlays() {
+        const rows = document.getElementById('index-play-rows');
+        if (!rows) return;
+
+        const set = document.getElementById('index-play-set')?.value || 'all';
+        const rule = document.getElementById('index-play-rule')?.value || 'all';
+        const entries = this.indexPlays.getEntries().filter(play =>
+            (set === 'all' || play.set === set) &&
+            (rule === 'all' || play.dealerRule === 'any' || play.dealerRule === rule)
+        );
+
+        rows.innerHTML = entries.map(play => `
+            <tr data-id="${play.id}" class="${play.enabled ? '' : 'disabled'}">
+                <td><input type="checkbox" class="index-play-enabled" ${play.enabled ? 'checked' : ''} aria-label="Use this play"></td>
+                <td>${INDEX_PLAY_SETS[play.set] || play.set}</td>
+                <td>${IndexPlays.describe(play)}${play.surrender === 'allowed' ? ' (with surrender)' : ''}</td>
+                <td><input type="number" class="index-play-index" step="0.5" value="${play.index}" aria-label="Index"></td>
+                <td>${play.dealerRule === 'any' ? 'Any' : play.dealerRule.toUpperCase()}</td>
+                <td><button type="button" class="btn btn-secondary index-play-remove" aria-label="Remove play">✕</button></td>
+            </tr>
+        `).join('') || '<tr><td colspan="6">No index plays in this view</td></tr>';
+    }
+
+    editIndexPlay(id, changes) {
+        try {
+            if (changes === null) {
+                this.indexPlays.removeEntry(id);
+            } else {
+                this.indexPlays.updateEntry(id, changes);
+            }
+            this.indexPlays.save();
+            this.showIndexPlayStatus(changes === null ? 'Play removed' : 'Saved');
+        } catch (error) {
+            this.showIndexPlayStatus(error.message, true);
+        }
+        this.renderIndexPlays();
+    }
+
+    addIndexPlay(formData) {
+        try {
+            const play = this.indexPlays.addEntry({
+                hand: formData.get('hand'),
+                total: parseInt(formData.get('total')),
+                dealer: parseInt(formData.get('dealer')),
+                action: formData.get('action'),
+                index: parseFloat(formData.get('index')),
+                direction: formData.get('direction'),
+                dealerRule: formData.get('dealerRule')
+            });
+            this.indexPlays.save();
+            this.renderIndexPlays();
+            this.showIndexPlayStatus(`Added: ${IndexPlays.describe(play)}`);
+        } catch (error) {
+            this.showIndexPlayStatus(error.message, true);
+        }
+    }
+
+    exportIndexPlays() {
+        const blob = new Blob([this.indexPlays.exportTable()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `index-plays-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importIndexPlays(file) {
+        try {
+            const count = this.indexPlays.importTable(await file.text());
+            this.indexPlays.save();
+            this.renderIndexPlays();
+            this.showIndexPlayStatus(`Imported ${count} index plays from ${file.name}`);
+        } catch (error) {
+            console.error('❌ Failed to import index plays:', error);
+            this.showIndexPlayStatus(`Import failed: ${error.message}`, true);
+        }
+    }
+
+    showIndexPlayStatus(message, isError = false) {
+        const status = document.getElementById('index-play-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('incorrect', isError);
+        }
+    }
 }
 
 // Add CSS for drill animations
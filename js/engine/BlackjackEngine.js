@@ -0,0 +1,1251 @@
+/**
+ * BlackjackEngine - Headless blackjack engine (no DOM, no timers)
+ * Owns the shoe, the hands and the round flow, and emits events for any view to render.
+ * Every method runs synchronously, so the same engine drives the table UI, Web Workers and Node scripts.
+ *
+ * Events (payloads are snapshots, safe to read after the engine has moved on):
+ *   shuffled            { seed, shoeNumber, newSession }
+ *   roundStarted        { roundNumber, bet, spotBets, companions, playerSeat, shoe }
+ *   cardDealt           { target: 'player'|'dealer'|'companion', handIndex, card, faceUp, exposed, total, isSoft, busted, phase, decksRemaining }
+ *                       (exposed: the dealer's hole card, dealt face up at a Double Exposure table)
+ *   initialDealComplete { upCard, playerTotal }
+ *   sideBetsResolved    { bets, totalWagered, totalPayout, net }
+ *   insuranceOffered    { upCard }
+ *   playerTurn          { handIndex, total, availableActions }
+ *   actionTaken         { action, handIndex }
+ *   handSplit           { handIndex, hands }
+ *   cardsSwitched       { handIndex, hands }
+ *   handCompleted       { handIndex, reason: 'stand'|'bust'|'21'|'charlie'|'double'|'surrender'|'rescue'|'split-aces' }
+ *   companionFinished   { seat, name, total, busted, isDoubled }
+ *   dealerTurn          { }
+ *   holeCardRevealed    { card, total, busted, phase, decksRemaining }
+ *   dealerFinished      { total, busted, blackjack, cardsDrawn }
+ *   insuranceResolved   { bet, won, net }
+ *   roundSettled        { results, immediate, roundNumber, shoe }
+ *   stateRestored       { action, handIndex, hands, dealerCards }
+ */
+
+import { Deck } from '../modules/Deck.js';
+import { Hand } from '../modules/Hand.js';
+import { GameRules } from '../modules/GameRules.js';
+import { SideBets } from '../modules/SideBets.js';
+import { TableCompanions, COMPANION_STYLES } from '../modules/TableCompanions.js';
+import { SeededRandom } from '../modules/SeededRandom.js';
+import { GameState } from '../game/GameState.js';
+import { EventEmitter } from './EventEmitter.js';
+
+export class BlackjackEngine extends EventEmitter {
+    /**
+     * @param {Object} options - { gameState, rules, deck, numDecks, seed, quiet, companionStrategy }
+     */
+    constructor(options = {}) {
+        super();
+        this.quiet = !!options.quiet;
+
+        this.gameState = options.gameState || new GameState({ quiet: this.quiet });
+        this.rules = options.rules || new GameRules();
+        this.sideBets = new SideBets(this.rules);
+        this.companions = new TableCompanions(this.rules, options.companionStrategy ?? null);
+        this.companionConfig = { styles: [], playerSeat: 'third' };
+        this.deck = options.deck || new Deck(
+            options.numDecks ?? this.gameState.getSetting('deckCount'),
+            { seed: options.seed ?? undefined, quiet: this.quiet, removedRanks: this.rules.getRemovedRanks() }
+        );
+
+        this.resetHands();
+    }
+
+    // ===== SESSION & SHOE =====
+
+    /**
+     * Start a new session: fresh game state and a new sequence of shoes
+     */
+    newSession(seed = null) {
+        this.gameState.reset();
+        const usedSeed = this.deck.setSeed(seed);
+        this.resetHands();
+
+        this.emit('shuffled', { seed: usedSeed, shoeNumber: this.deck.shoeNumber, newSession: true });
+        return usedSeed;
+    }
+
+    /**
+     * Shuffle to the next shoe
+     */
+    shuffle() {
+        this.deck.shuffle();
+        this.emit('shuffled', { seed: this.deck.getSeed(), shoeNumber: this.deck.shoeNumber, newSession: false });
+    }
+
+    /**
+     * Rewind the shoe to where a recorded round started (its roundStarted shoe), so the next deal
+     * gets that round's cards again - and the companions make the same decisions
+     */
+    restoreRound(shoe) {
+        if (!this.canStartRound()) {
+            throw new Error('Cannot rewind the shoe while a round is in progress');
+        }
+        if (!shoe) {
+            throw new Error('This hand was recorded without its shoe position');
+        }
+        if (shoe.numDecks && shoe.numDecks !== this.deck.numDecks) {
+            throw new Error(`This hand was dealt from a ${shoe.numDecks}-deck shoe`);
+        }
+
+        this.deck.restoreState(shoe);
+        this.gameState.roundNumber = shoe.roundNumber - 1; // Dealing counts it back up
+        this.resetHands();
+        this.emit('shuffled', { seed: this.deck.getSeed(), shoeNumber: this.deck.shoeNumber, newSession: true });
+    }
+
+    /**
+     * Reshuffle at the table rules' penetration, and rebuild the shoe if the rules now use
+     * a different deck (e.g. Spanish 21's 48-card decks)
+     * @returns {boolean} true if a new shoe was shuffled
+     */
+    syncDeckToRules() {
+        this.deck.setPenetration(this.rules.rules.penetration);
+        if (!this.deck.setRemovedRanks(this.rules.getRemovedRanks())) return false;
+
+        this.emit('shuffled', { seed: this.deck.getSeed(), shoeNumber: this.deck.shoeNumber, newSession: false });
+        return true;
+    }
+
+    /**
+     * Reset hands and per-round bookkeeping
+     */
+    resetHands() {
+        this.dealerHand = new Hand();
+        this.playerHands = [new Hand()];
+        this.handBets = [];
+        this.freeBets = []; // Free Bet chips the house put up on each hand (not the player's money)
+        this.spotBets = [];
+        this.currentHandIndex = 0;
+        this.insuranceBet = 0;
+        this.insuranceResult = null;
+        this.sideBetWagers = {};
+        this.sideBetResults = null;
+        this.holeCardRevealed = false;
+        this.roundShoeState = null;
+        this.roundResults = null;
+        this.actionLog = [];
+        this.snapshots = [];
+        this.companionsPlayed = false;
+    }
+
+    /**
+     * Seat simulated players next to the player from the next round on.
+     * @param {string[]} styles - one COMPANION_STYLES id per companion seat
+     * @param {string} playerSeat - 'first' (dealt and acting first) or 'third' (last)
+     */
+    setCompanions(styles = [], playerSeat = 'third') {
+        const unknown = styles.find(style => !COMPANION_STYLES[style]);
+        if (unknown) {
+            throw new Error(`Unknown companion style: ${unknown}`);
+        }
+        this.companionConfig = { styles: [...styles], playerSeat };
+    }
+
+    // ===== ROUND FLOW =====
+
+    /**
+     * Check if a new round can be dealt
+     */
+    canStartRound() {
+        return this.gameState.isInPhase('waiting') || this.gameState.isInPhase('finished');
+    }
+
+    /**
+     * Deal a new round. Returns the settled results when the round ends on the deal
+     * (blackjacks), or null when the player has decisions to make.
+     * @param {number|number[]} bets - one bet, or one bet per spot (up to three spots, dealt left to right)
+     * @param {Object} sideBetWagers - { perfectPairs, twentyOnePlus3, superMatch } amounts on the first spot; bets the table doesn't offer are dropped
+     */
+    startRound(bets = this.gameState.getCurrentBet(), sideBetWagers = {}) {
+        if (!this.canStartRound()) {
+            throw new Error('Cannot deal while a round is in progress');
+        }
+
+        if (!this.syncDeckToRules() && this.deck.needsReshuffle()) {
+            this.shuffle();
+        }
+
+        const spotBets = this.getRoundBets(bets);
+        if (spotBets.length < 1 || spotBets.length > this.rules.rules.maxSpots) {
+            throw new Error(`Play between 1 and ${this.rules.rules.maxSpots} spots`);
+        }
+
+        this.gameState.startNewHand();
+        this.resetHands();
+        this.spotBets = spotBets;
+        this.playerHands = spotBets.map((bet, spot) => new Hand(spot));
+        this.handBets = [...spotBets];
+        this.freeBets = spotBets.map(() => 0);
+        this.sideBetWagers = this.sideBets.normalizeWagers(sideBetWagers);
+
+        // Companions decide from a per-round stream, so a replayed round plays out the same
+        this.companions.configure(this.companionConfig.styles, this.companionConfig.playerSeat);
+        this.companions.startRound(new SeededRandom(
+            SeededRandom.normalizeSeed(`${this.deck.getSeed()}-companions-${this.gameState.roundNumber}`)
+        ));
+
+        // Remember where this round starts in the shoe (for replaying hands)
+        this.roundShoeState = {
+            ...this.deck.getState(),
+            roundNumber: this.gameState.roundNumber
+        };
+
+        this.gameState.setPhase('dealing', 'Cards being dealt');
+        this.emit('roundStarted', {
+            roundNumber: this.gameState.roundNumber,
+            bet: this.handBets.reduce((sum, bet) => sum + bet, 0),
+            spotBets: [...spotBets],
+            companions: this.companions.describe(),
+            playerSeat: this.companions.playerSeat,
+            shoe: { ...this.roundShoeState }
+        });
+
+        if (this.isNoHoleCard()) {
+            // European order: every seat, dealer up card, every seat - the dealer's second card comes after the players act
+            this.holeCardRevealed = true;
+            this.dealAround();
+            this.dealToDealer(true);
+            this.dealAround();
+        } else {
+            // Casino order: every seat, dealer hole card, every seat, dealer up card (Double Exposure shows the hole card)
+            this.holeCardRevealed = this.isDoubleExposure();
+            this.dealAround();
+            this.dealToDealer(this.holeCardRevealed);
+            this.dealAround();
+            this.dealToDealer(true);
+        }
+
+        this.emit('initialDealComplete', {
+            upCard: this.getDealerUpCard(),
+            playerTotal: this.playerHands[0].getValue()
+        });
+
+        this.resolveSideBets();
+        return this.resolveInitialDeal();
+    }
+
+    /**
+     * Bets for each hand of a round: Blackjack Switch always plays two hands at the first spot's bet
+     */
+    getRoundBets(bets) {
+        const spotBets = Array.isArray(bets) ? [...bets] : [bets];
+        return this.rules.rules.switchHands ? [spotBets[0], spotBets[0]] : spotBets;
+    }
+
+    /**
+     * Total main bet a round with these spot bets puts on the table
+     */
+    getRoundWager(bets) {
+        return this.getRoundBets(bets).reduce((sum, bet) => sum + bet, 0);
+    }
+
+    /**
+     * Side bets are decided by the opening cards, before any blackjack is settled
+     * (the first hand's two cards, then the other hands' - Super Match reads both Switch hands)
+     */
+    resolveSideBets() {
+        if (Object.keys(this.sideBetWagers).length === 0) return null;
+
+        this.sideBetResults = this.sideBets.settle(
+            this.sideBetWagers,
+            this.playerHands.flatMap(hand => hand.cards),
+            this.getDealerUpCard()
+        );
+        this.emit('sideBetsResolved', this.sideBetResults);
+        return this.sideBetResults;
+    }
+
+    /**
+     * Settle blackjacks straight away, otherwise hand control to the player.
+     * With several spots the round only ends on the deal when the dealer has blackjack
+     * or every spot does; other naturals simply wait for the settlement.
+     */
+    resolveInitialDeal() {
+        const dealerBlackjack = this.dealerHand.isBlackjack();
+        this.playerHands.forEach(hand => {
+            if (hand.isBlackjack()) hand.isStanding = true;
+        });
+        const playerBlackjack = this.playerHands.every(hand => hand.isBlackjack());
+
+        if (this.getDealerUpCard().rank === 'A' && !playerBlackjack && this.rules.rules.allowInsurance) {
+            this.emit('insuranceOffered', { upCard: this.getDealerUpCard() });
+        }
+
+        // The dealer peeked a blackjack: nobody plays
+        if (dealerBlackjack && !this.isNoHoleCard()) {
+            this.revealHoleCard();
+            return this.settleRound(true);
+        }
+
+        if (playerBlackjack) {
+            // The companions still play their hands, and the dealer must play to them
+            this.playCompanions();
+            if (this.companionsAwaitDealer()) {
+                this.beginDealerTurn();
+                return null;
+            }
+
+            if (this.isNoHoleCard()) {
+                // Only a 10 or Ace up can still tie the blackjack, so that is the only time the dealer draws
+                if (this.getDealerUpCard().value >= 10) {
+                    this.dealToDealer(true);
+                }
+            } else {
+                this.revealHoleCard();
+            }
+            return this.settleRound(true);
+        }
+
+        // At third base the companions act before the player
+        if (this.companions.actBeforePlayer()) {
+            this.playCompanions();
+        }
+
+        this.currentHandIndex = this.playerHands.findIndex(hand => !hand.isStanding);
+        this.gameState.setPhase('playing', 'Player\'s turn');
+        this.emitPlayerTurn();
+        return null;
+    }
+
+    /**
+     * Perform a player action on the current hand.
+     * Returns 'continue' (same hand still in play), 'complete' or 'bust'.
+     */
+    act(action) {
+        if (!this.gameState.isInPhase('playing')) {
+            throw new Error(`Cannot ${action} outside the player's turn`);
+        }
+
+        if (!this.isActionAvailable(action)) {
+            throw new Error(`Action not available: ${action}`);
+        }
+
+        switch (action) {
+            case 'hit':
+                return this.hit();
+            case 'stand':
+                return this.stand();
+            case 'doubleDown':
+                return this.doubleDown();
+            case 'split':
+                return this.split();
+            case 'surrender':
+                return this.surrender();
+            case 'switch':
+                return this.switchCards();
+            default:
+                throw new Error(`Unknown action: ${action}`);
+        }
+    }
+
+    /**
+     * Take another card
+     */
+    hit() {
+        const hand = this.getCurrentHand();
+        this.recordAction('hit');
+        this.dealToPlayer(this.currentHandIndex);
+
+        if (hand.isBusted()) {
+            return this.completeHand('bust');
+        }
+        if (hand.getValue() === 21) {
+            return this.completeHand('21');
+        }
+        if (this.rules.isCharlie(hand)) {
+            return this.completeHand('charlie');
+        }
+        return 'continue';
+    }
+
+    /**
+     * Keep the current total
+     */
+    stand() {
+        this.recordAction('stand');
+        // Standing on a doubled hand (double-down rescue tables) finishes the double
+        return this.completeHand(this.getCurrentHand().isDoubled ? 'double' : 'stand');
+    }
+
+    /**
+     * Double the hand's bet and take exactly one card.
+     * With double-down rescue the hand stays open so the player can stand or rescue it.
+     * A free double (Free Bet) is matched with a free bet chip instead of the player's money.
+     */
+    doubleDown() {
+        const hand = this.getCurrentHand();
+        const index = this.currentHandIndex;
+        const isFree = this.rules.isFreeDouble(hand);
+        this.recordAction('double');
+
+        const stake = this.getHandStake(index);
+        hand.isDoubled = true;
+        if (isFree) {
+            this.freeBets[index] += stake;
+        } else {
+            this.handBets[index] += stake;
+        }
+        this.dealToPlayer(this.currentHandIndex);
+
+        if (hand.isBusted()) {
+            return this.completeHand('bust');
+        }
+        if (hand.getValue() < 21 && this.rules.canRescue(hand)) {
+            return 'continue';
+        }
+        return this.completeHand('double');
+    }
+
+    /**
+     * Split a pair into two hands with equal bets (a free split puts a free bet chip on the new hand)
+     */
+    split() {
+        const handIndex = this.currentHandIndex;
+        const originalHand = this.getCurrentHand();
+        const isFree = this.rules.isFreeSplit(originalHand);
+        this.recordAction('split');
+
+        const movedCard = originalHand.cards.pop();
+        originalHand.isSplit = true;
+
+        const newHand = new Hand(originalHand.spot);
+        newHand.addCard(movedCard);
+        newHand.isSplit = true;
+
+        this.playerHands.splice(handIndex + 1, 0, newHand);
+        this.handBets.splice(handIndex + 1, 0, isFree ? 0 : this.handBets[handIndex]);
+        this.freeBets.splice(handIndex + 1, 0, isFree ? this.getHandStake(handIndex) : this.freeBets[handIndex]);
+
+        this.emit('handSplit', { handIndex, hands: this.describeHands() });
+
+        this.dealToPlayer(handIndex);
+        this.dealToPlayer(handIndex + 1);
+
+        // Split aces get one card each unless the table allows hitting them
+        if (movedCard.isAce() && !this.rules.rules.hitSplitAces) {
+            newHand.isStanding = true;
+            return this.completeHand('split-aces');
+        }
+
+        if (originalHand.getValue() === 21) {
+            return this.completeHand('21');
+        }
+        return 'continue';
+    }
+
+    /**
+     * Late surrender - give up the hand for half the bet.
+     * On a doubled hand this is double-down rescue: the original bet is lost, the double comes back.
+     */
+    surrender() {
+        const hand = this.getCurrentHand();
+        this.recordAction('surrender');
+
+        hand.isSurrendered = true;
+        hand.isRescued = hand.isDoubled;
+        return this.completeHand(hand.isRescued ? 'rescue' : 'surrender');
+    }
+
+    /**
+     * Blackjack Switch: trade the second cards of the two hands before either is played.
+     * A two-card 21 made by switching is an ordinary 21, not a blackjack, so both hands are played.
+     */
+    switchCards() {
+        const [first, second] = this.playerHands;
+        this.recordAction('switch');
+
+        first.switchSecondCard(second);
+        this.playerHands.forEach(hand => {
+            hand.isStanding = false;
+        });
+
+        this.currentHandIndex = 0;
+        this.emit('cardsSwitched', { handIndex: this.currentHandIndex, hands: this.describeHands() });
+        this.emitPlayerTurn();
+        return 'continue';
+    }
+
+    /**
+     * Take insurance (half the original bets of every spot without a blackjack). With a hole card the dealer has already
+     * peeked, so the side bet is settled immediately; without one it waits for the
+     * dealer's second card and the result is pending ({ pending: true, net: 0 }).
+     */
+    takeInsurance() {
+        if (!this.canTakeInsurance()) {
+            throw new Error('Insurance not available');
+        }
+
+        const insuredBets = this.playerHands
+            .filter(hand => !hand.isBlackjack())
+            .reduce((sum, hand) => sum + this.spotBets[hand.spot], 0);
+        this.insuranceBet = Math.floor(insuredBets / 2);
+        this.gameState.setInsuranceBet(this.insuranceBet);
+
+        if (this.isNoHoleCard()) {
+            return { bet: this.insuranceBet, won: null, pending: true, net: 0 };
+        }
+        return this.resolveInsurance();
+    }
+
+    /**
+     * Settle the insurance bet against the dealer's two cards
+     */
+    resolveInsurance() {
+        const won = this.dealerHand.isBlackjack();
+        const result = {
+            bet: this.insuranceBet,
+            won,
+            net: won ? this.rules.calculateInsurancePayout(this.insuranceBet) : -this.insuranceBet
+        };
+
+        this.insuranceResult = result;
+        this.emit('insuranceResolved', result);
+        return result;
+    }
+
+    /**
+     * Finish the current hand and move to the next playable one (or the dealer)
+     */
+    completeHand(reason) {
+        const completedIndex = this.currentHandIndex;
+        this.playerHands[completedIndex].isStanding = true;
+        this.emit('handCompleted', { handIndex: completedIndex, reason });
+
+        this.advanceToNextHand();
+        return reason === 'bust' ? 'bust' : 'complete';
+    }
+
+    /**
+     * Move to the next hand that still needs decisions
+     */
+    advanceToNextHand() {
+        let nextIndex = this.currentHandIndex + 1;
+
+        // Hands already finished (split aces, split 21s) need no decision
+        while (nextIndex < this.playerHands.length &&
+               (this.playerHands[nextIndex].isStanding || this.playerHands[nextIndex].getValue() >= 21)) {
+            this.playerHands[nextIndex].isStanding = true;
+            nextIndex++;
+        }
+
+        if (nextIndex < this.playerHands.length) {
+            this.currentHandIndex = nextIndex;
+            this.emitPlayerTurn();
+        } else {
+            this.playCompanions();
+            this.beginDealerTurn();
+        }
+    }
+
+    /**
+     * Hand over to the dealer once every seat has acted
+     */
+    beginDealerTurn() {
+        this.gameState.setPhase('dealer', 'Dealer\'s turn');
+        this.emit('dealerTurn', {});
+    }
+
+    /**
+     * Play every companion hand to completion (once per round)
+     */
+    playCompanions() {
+        if (this.companionsPlayed) return;
+        this.companionsPlayed = true;
+
+        const upCard = this.getDealerStrategyCard();
+        this.companions.seats.forEach(({ hand, name }, seat) => {
+            while (!hand.isStanding && hand.getValue() < 21 && !this.rules.isCharlie(hand)) {
+                const action = this.companions.decide(seat, upCard);
+                if (action === 'stand') {
+                    hand.isStanding = true;
+                } else {
+                    hand.isDoubled = action === 'double';
+                    this.dealToCompanion(seat);
+                    hand.isStanding = hand.isDoubled;
+                }
+            }
+            hand.isStanding = true;
+
+            this.emit('companionFinished', {
+                seat,
+                name,
+                total: hand.getValue(),
+                busted: hand.isBusted(),
+                isDoubled: hand.isDoubled
+            });
+        });
+    }
+
+    /**
+     * Check if a companion hand is still waiting on the dealer's total
+     */
+    companionsAwaitDealer() {
+        return this.companions.seats.some(({ hand }) => !hand.isBusted() && !hand.isBlackjack());
+    }
+
+    /**
+     * Reveal the hole card, draw to the house rules and settle the round
+     */
+    playDealer() {
+        if (!this.gameState.isInPhase('dealer')) {
+            throw new Error('Dealer plays only after every player hand is complete');
+        }
+
+        this.revealHoleCard();
+
+        // No hole card: the dealer's second card settles blackjack and insurance before any drawing
+        let cardsDrawn = 0;
+        if (this.dealerHand.cards.length === 1) {
+            this.dealToDealer(true);
+            cardsDrawn++;
+            if (this.insuranceBet > 0) {
+                this.resolveInsurance();
+            }
+        }
+
+        // No need to draw when every player hand is already decided
+        const liveHands = this.companionsAwaitDealer() || this.playerHands.some(hand =>
+            !hand.isBusted() && !hand.isSurrendered && !this.isNatural(hand)
+        );
+
+        if (liveHands && !this.dealerHand.isBlackjack()) {
+            while (this.rules.dealerShouldHit(this.dealerHand)) {
+                this.dealToDealer(true);
+                cardsDrawn++;
+            }
+        }
+
+        this.emit('dealerFinished', {
+            total: this.dealerHand.getValue(),
+            busted: this.dealerHand.isBusted(),
+            blackjack: this.dealerHand.isBlackjack(),
+            cardsDrawn
+        });
+
+        return this.settleRound(false);
+    }
+
+    /**
+     * Play a whole round headlessly. decide(hand, dealerUpCard, engine) returns an action name.
+     */
+    playRound(decide, bet = this.gameState.getCurrentBet()) {
+        this.startRound(bet);
+
+        while (this.gameState.isInPhase('playing')) {
+            this.act(decide(this.getCurrentHand(), this.getDealerUpCard(), this));
+        }
+
+        if (this.gameState.isInPhase('dealer')) {
+            this.playDealer();
+        }
+
+        return this.roundResults;
+    }
+
+    /**
+     * Work out results, finish the round and notify subscribers
+     */
+    settleRound(immediate) {
+        const results = this.calculateResults();
+        this.roundResults = results;
+
+        this.gameState.setPhase('finished', immediate ? 'Settled on the deal' : 'Round settled');
+        this.gameState.clearUndoHistory();
+        this.snapshots = [];
+
+        this.emit('roundSettled', {
+            results,
+            immediate,
+            roundNumber: this.gameState.roundNumber,
+            shoe: this.roundShoeState ? { ...this.roundShoeState } : null
+        });
+
+        return results;
+    }
+
+    /**
+     * Calculate results for all hands (payout = amount returned, including the stake)
+     */
+    calculateResults() {
+        const dealerValue = this.dealerHand.getValue();
+        const dealerBusted = this.dealerHand.isBusted();
+        const dealerBlackjack = this.dealerHand.isBlackjack();
+
+        const results = {
+            hands: [],
+            summary: {
+                totalWagered: 0,
+                totalPayout: 0,
+                handsWon: 0,
+                handsLost: 0,
+                handsPushed: 0,
+                handsSurrendered: 0,
+                freeBetsWagered: 0, // Free Bet chips in play (not included in totalWagered)
+                freeBetsWon: 0 // Part of totalPayout won by free bet chips
+            },
+            dealer: { value: dealerValue, busted: dealerBusted, blackjack: dealerBlackjack },
+            insurance: this.insuranceBet,
+            // Insurance settled with the dealer's second card (no-hole-card games)
+            deferredInsurance: this.isNoHoleCard() ? this.insuranceResult : null,
+            sideBets: this.sideBetResults,
+            companions: this.companions.settle(this.dealerHand)
+        };
+
+        // A dealer blackjack found after the players acted (no hole card)
+        const lateDealerBlackjack = dealerBlackjack && this.isNoHoleCard();
+        const originalBetsOnly = lateDealerBlackjack && this.rules.rules.originalBetsOnly;
+        // Spots that have already lost their original bet - a busted split hand has cost it
+        const originalBetLost = new Set(originalBetsOnly
+            ? this.playerHands.filter(hand => hand.isSplit && hand.isBusted()).map(hand => hand.spot)
+            : []);
+
+        this.playerHands.forEach((hand, index) => {
+            const handBet = this.handBets[index] ?? 0;
+            // Free bet chips are paid when the hand wins but never returned
+            const freeBet = this.freeBets[index] ?? 0;
+            const winPayout = handBet * 2 + freeBet;
+            const playerBlackjack = this.isNatural(hand);
+
+            results.summary.totalWagered += handBet;
+
+            let outcome, message, payout = 0;
+
+            if (lateDealerBlackjack && !playerBlackjack && !hand.isBusted()) {
+                if (originalBetsOnly && (hand.isDoubled || hand.isSplit)) {
+                    // OBO: only the spot's original bet is lost, once, however the hand was doubled or split
+                    const lost = originalBetLost.has(hand.spot) ? 0 : Math.min(this.spotBets[hand.spot], handBet);
+                    originalBetLost.add(hand.spot);
+                    payout = handBet - lost;
+                    outcome = lost > 0 ? 'lose' : 'push';
+                    message = lost > 0
+                        ? 'Dealer blackjack - original bet lost, extra bets returned'
+                        : 'Dealer blackjack - split bet returned';
+                } else {
+                    outcome = 'lose';
+                    message = hand.isSurrendered ? 'Dealer blackjack - surrender too late' : 'Dealer has blackjack. You lose.';
+                }
+                if (outcome === 'lose') {
+                    results.summary.handsLost++;
+                } else {
+                    results.summary.handsPushed++;
+                }
+            } else if (hand.isSurrendered) {
+                outcome = 'surrender';
+                message = hand.isRescued ? 'Rescued - doubled bet returned' : 'Surrendered - half bet returned';
+                payout = handBet / 2; // Late surrender refunds half the wager; a rescue refunds the double
+                results.summary.handsLost++;
+                results.summary.handsSurrendered++;
+            } else if (playerBlackjack && dealerBlackjack && !this.rules.rules.player21Wins && !this.rules.rules.dealerWinsTies) {
+                outcome = 'push';
+                message = 'Both have blackjack - Push!';
+                payout = handBet;
+                results.summary.handsPushed++;
+            } else if (playerBlackjack) {
+                outcome = 'blackjack';
+                message = 'Blackjack! You win!';
+                payout = handBet + this.rules.calculateBlackjackPayout(handBet);
+                results.summary.handsWon++;
+            } else if (dealerBlackjack) {
+                outcome = 'lose';
+                message = 'Dealer has blackjack. You lose.';
+                results.summary.handsLost++;
+            } else if (hand.isBusted()) {
+                outcome = 'lose';
+                message = 'Bust - Lose';
+                results.summary.handsLost++;
+            } else if (this.rules.isCharlie(hand)) {
+                // Only a dealer blackjack beats a Charlie
+                outcome = 'win';
+                message = `${this.rules.rules.charlieCards}-card Charlie - Win!`;
+                payout = winPayout;
+                results.summary.handsWon++;
+            } else if (this.rules.isDealerPush22(this.dealerHand)) {
+                // Free Bet: the dealer's 22 pushes every hand still standing
+                outcome = 'push';
+                message = 'Dealer 22 - Push';
+                payout = handBet;
+                results.summary.handsPushed++;
+            } else if (this.rules.rules.player21Wins && hand.getValue() === 21) {
+                // Spanish 21: a player 21 always wins, and some 21s pay a bonus
+                const bonus = this.rules.getTwentyOneBonus(hand);
+                outcome = 'win';
+                message = bonus ? `${bonus.label} bonus - Win!` : '21 always wins!';
+                payout = handBet + this.rules.calculateTwentyOnePayout(hand, handBet + freeBet);
+                results.summary.handsWon++;
+            } else if (dealerBusted) {
+                outcome = 'win';
+                message = 'Dealer bust - Win!';
+                payout = winPayout; // Return bet + winnings
+                results.summary.handsWon++;
+            } else if (hand.getValue() > dealerValue) {
+                outcome = 'win';
+                message = 'Win!';
+                payout = winPayout; // Return bet + winnings
+                results.summary.handsWon++;
+            } else if (hand.getValue() < dealerValue) {
+                outcome = 'lose';
+                message = 'Lose';
+                results.summary.handsLost++;
+            } else if (this.rules.rules.dealerWinsTies) {
+                // Double Exposure: the dealer takes every tie but a blackjack
+                outcome = 'lose';
+                message = 'Tie - dealer wins';
+                results.summary.handsLost++;
+            } else {
+                outcome = 'push';
+                message = 'Push';
+                payout = handBet; // Return bet only
+                results.summary.handsPushed++;
+            }
+
+            results.summary.totalPayout += payout;
+            const freeBetWon = outcome === 'win' ? freeBet : 0;
+            results.summary.freeBetsWagered += freeBet;
+            results.summary.freeBetsWon += freeBetWon;
+            results.hands.push({ outcome, message, payout, handBet, freeBet, freeBetWon, spot: hand.spot });
+        });
+
+        results.spots = this.summarizeSpots(results.hands);
+        return results;
+    }
+
+    /**
+     * Per-spot totals so each betting spot can be recorded as its own hand
+     */
+    summarizeSpots(handResults) {
+        return this.spotBets.map((bet, spot) => {
+            const hands = handResults.filter(hand => hand.spot === spot);
+            const count = (...outcomes) => hands.filter(hand => outcomes.includes(hand.outcome)).length;
+
+            return {
+                spot,
+                bet,
+                hands,
+                totalWagered: hands.reduce((sum, hand) => sum + hand.handBet, 0),
+                totalPayout: hands.reduce((sum, hand) => sum + hand.payout, 0),
+                handsWon: count('win', 'blackjack'),
+                handsLost: count('lose', 'surrender'),
+                handsPushed: count('push'),
+                handsSurrendered: count('surrender'),
+                freeBetsWagered: hands.reduce((sum, hand) => sum + hand.freeBet, 0),
+                freeBetsWon: hands.reduce((sum, hand) => sum + hand.freeBetWon, 0)
+            };
+        });
+    }
+
+    /**
+     * Announce that the current hand is waiting for a decision
+     */
+    emitPlayerTurn() {
+        const hand = this.getCurrentHand();
+        this.emit('playerTurn', {
+            handIndex: this.currentHandIndex,
+            total: hand.getValue(),
+            availableActions: this.getAvailableActions().map(available => available.action)
+        });
+    }
+
+    // ===== DEALING =====
+
+    /**
+     * Deal one card to each spot, left to right
+     */
+    dealToSpots() {
+        this.playerHands.forEach((hand, index) => this.dealToPlayer(index));
+    }
+
+    /**
+     * Deal one card to every seat, from first base to third base
+     */
+    dealAround() {
+        if (this.companions.actBeforePlayer()) {
+            this.companions.seats.forEach((seat, index) => this.dealToCompanion(index));
+            this.dealToSpots();
+        } else {
+            this.dealToSpots();
+            this.companions.seats.forEach((seat, index) => this.dealToCompanion(index));
+        }
+    }
+
+    /**
+     * Deal one card to a companion seat
+     */
+    dealToCompanion(seat) {
+        const card = this.deck.dealCard();
+        const hand = this.companions.seats[seat].hand;
+        hand.addCard(card);
+
+        this.emit('cardDealt', {
+            target: 'companion',
+            handIndex: seat,
+            card,
+            faceUp: true,
+            total: hand.getValue(),
+            isSoft: hand.isSoft(),
+            busted: hand.isBusted(),
+            phase: this.gameState.getPhase(),
+            decksRemaining: this.deck.getDecksRemaining()
+        });
+
+        return card;
+    }
+
+    /**
+     * Deal one card to a player hand
+     */
+    dealToPlayer(handIndex) {
+        const card = this.deck.dealCard();
+        const hand = this.playerHands[handIndex];
+        hand.addCard(card);
+
+        this.emit('cardDealt', {
+            target: 'player',
+            handIndex,
+            card,
+            faceUp: true,
+            total: hand.getValue(),
+            isSoft: hand.isSoft(),
+            busted: hand.isBusted(),
+            phase: this.gameState.getPhase(),
+            decksRemaining: this.deck.getDecksRemaining()
+        });
+
+        return card;
+    }
+
+    /**
+     * Deal one card to the dealer (the first card is the face-down hole card)
+     */
+    dealToDealer(faceUp = true) {
+        const card = this.deck.dealCard();
+        this.dealerHand.addCard(card);
+
+        this.emit('cardDealt', {
+            target: 'dealer',
+            handIndex: null,
+            card,
+            faceUp,
+            exposed: this.isDoubleExposure() && this.dealerHand.cards.length === 1,
+            total: this.getDealerVisibleTotal(),
+            isSoft: this.holeCardRevealed && this.dealerHand.isSoft(),
+            busted: this.dealerHand.isBusted(),
+            phase: this.gameState.getPhase(),
+            decksRemaining: this.deck.getDecksRemaining()
+        });
+
+        return card;
+    }
+
+    /**
+     * Turn the hole card over (once per round)
+     */
+    revealHoleCard() {
+        if (this.holeCardRevealed) return;
+
+        this.holeCardRevealed = true;
+        this.emit('holeCardRevealed', {
+            card: this.dealerHand.cards[0],
+            total: this.dealerHand.getValue(),
+            busted: this.dealerHand.isBusted(),
+            phase: this.gameState.getPhase(),
+            decksRemaining: this.deck.getDecksRemaining()
+        });
+    }
+
+    /**
+     * Dealer total as the player sees it (up card only until the hole card is revealed)
+     */
+    getDealerVisibleTotal() {
+        if (this.holeCardRevealed) {
+            return this.dealerHand.getValue();
+        }
+        return this.getDealerUpCard()?.value ?? '';
+    }
+
+    // ===== ACTION AVAILABILITY =====
+
+    /**
+     * Get the hand currently being played
+     */
+    getCurrentHand() {
+        return this.playerHands[this.currentHandIndex];
+    }
+
+    /**
+     * Check if a hand is a natural - a two-card 21 after a split or a switch is not
+     */
+    isNatural(hand) {
+        return hand.isBlackjack() && !hand.isSplit && !hand.isSwitched;
+    }
+
+    /**
+     * Everything riding on a hand: the player's bet plus any free bet chips
+     */
+    getHandStake(handIndex) {
+        return (this.handBets[handIndex] ?? 0) + (this.freeBets[handIndex] ?? 0);
+    }
+
+    /**
+     * Number of betting spots in play this round
+     */
+    getSpotCount() {
+        return this.spotBets.length || 1;
+    }
+
+    /**
+     * Get the dealer's face-up card (the first card when there is no hole card)
+     */
+    getDealerUpCard() {
+        return this.dealerHand.cards[this.isNoHoleCard() ? 0 : 1];
+    }
+
+    /**
+     * Check if the table deals European style, with no hole card
+     */
+    isNoHoleCard() {
+        return !!this.rules.rules.europeeanNoHoleCard;
+    }
+
+    /**
+     * Check if both dealer cards are dealt face up (Double Exposure)
+     */
+    isDoubleExposure() {
+        return !!this.rules.rules.doubleExposure && !this.isNoHoleCard();
+    }
+
+    /**
+     * What basic strategy reads from the dealer: the whole hand at a Double Exposure table, otherwise the up card
+     */
+    getDealerStrategyCard() {
+        return this.isDoubleExposure() ? this.dealerHand : this.getDealerUpCard();
+    }
+
+    /**
+     * Cards the player cannot see: the undealt shoe plus the hole card while it is face down
+     */
+    getUnseenCards() {
+        const unseen = [...this.deck.cards];
+        if (!this.holeCardRevealed && this.dealerHand.cards[0]) {
+            unseen.push(this.dealerHand.cards[0]);
+        }
+        return unseen;
+    }
+
+    /**
+     * Exact value of each offered side bet for the next round - the side bet count
+     */
+    getSideBetCount() {
+        return this.sideBets.getExpectedValues(this.getUnseenCards());
+    }
+
+    /**
+     * Check if player can double down
+     */
+    canDoubleDown() {
+        const hand = this.getCurrentHand();
+        return !!hand && this.gameState.isInPhase('playing') && !hand.isDoubled && this.rules.canDoubleDown(hand);
+    }
+
+    /**
+     * Check if player can split
+     */
+    canSplit() {
+        const hand = this.getCurrentHand();
+        const spotHands = this.playerHands.filter(other => other.spot === hand?.spot).length;
+        return !!hand && this.gameState.isInPhase('playing') && this.rules.canSplit(hand, spotHands);
+    }
+
+    /**
+     * Check if player can surrender (first decision on the original two cards only),
+     * or rescue a doubled hand where the table allows it
+     */
+    canSurrender() {
+        const hand = this.getCurrentHand();
+        if (!hand || !this.gameState.isInPhase('playing')) return false;
+
+        if (hand.isDoubled) {
+            return this.rules.canRescue(hand);
+        }
+        return this.rules.canSurrender(hand, {
+            actionsPerformed: this.actionLog.filter(entry => entry.spot === hand.spot).length,
+            isSplitHand: hand.isSplit
+        });
+    }
+
+    /**
+     * Check if the second cards can still be switched (Blackjack Switch, before any other decision)
+     */
+    canSwitch() {
+        return !!this.rules.rules.switchHands &&
+               this.gameState.isInPhase('playing') &&
+               this.actionLog.length === 0 &&
+               this.playerHands.length === 2 &&
+               this.playerHands.every(hand => hand.cards.length === 2);
+    }
+
+    /**
+     * Check if insurance can be taken (once, before any other decision)
+     */
+    canTakeInsurance() {
+        const upCard = this.getDealerUpCard();
+        return this.gameState.isInPhase('playing') &&
+               !!upCard &&
+               this.insuranceBet === 0 &&
+               this.actionLog.length === 0 &&
+               this.rules.canTakeInsurance(upCard, this.playerHands[0]);
+    }
+
+    /**
+     * Get available actions for the current hand
+     */
+    getAvailableActions() {
+        if (!this.gameState.isInPhase('playing')) {
+            return [];
+        }
+
+        const hand = this.getCurrentHand();
+        const actions = [];
+
+        if (hand.canHit() && hand.getValue() < 21) {
+            actions.push({ action: 'hit', enabled: true, description: 'Take another card' });
+        }
+
+        if (!hand.isBusted()) {
+            actions.push({ action: 'stand', enabled: true, description: 'Keep current hand' });
+        }
+
+        if (this.canDoubleDown()) {
+            actions.push({
+                action: 'doubleDown',
+                enabled: true,
+                description: this.rules.isFreeDouble(hand) ? 'Free double: the house matches the bet, take one card' : 'Double bet and take one card'
+            });
+        }
+
+        if (this.canSplit()) {
+            actions.push({
+                action: 'split',
+                enabled: true,
+                description: this.rules.isFreeSplit(hand) ? 'Free split: the house puts up the second bet' : 'Split pair into two hands'
+            });
+        }
+
+        if (this.canSurrender()) {
+            actions.push({
+                action: 'surrender',
+                enabled: true,
+                description: hand.isDoubled ? 'Rescue: give up the original bet and take back the double' : 'Give up the hand and recover half the bet'
+            });
+        }
+
+        if (this.canSwitch()) {
+            actions.push({ action: 'switch', enabled: true, description: 'Swap the second cards of your two hands' });
+        }
+
+        if (this.canTakeInsurance()) {
+            actions.push({ action: 'insurance', enabled: true, description: 'Insure against dealer blackjack' });
+        }
+
+        return actions;
+    }
+
+    /**
+     * Check a single action against the available list
+     */
+    isActionAvailable(action) {
+        return this.getAvailableActions().some(available => available.action === action);
+    }
+
+    // ===== UNDO =====
+
+    /**
+     * Log an action and keep a snapshot so it can be undone
+     */
+    recordAction(action) {
+        this.snapshots.push(this.createSnapshot(action));
+        if (this.snapshots.length > this.gameState.maxHistorySize) {
+            this.snapshots.shift();
+        }
+
+        this.gameState.saveGameState(action);
+        this.actionLog.push({ action, handIndex: this.currentHandIndex, spot: this.getCurrentHand().spot });
+        this.emit('actionTaken', { action, handIndex: this.currentHandIndex });
+    }
+
+    /**
+     * Copy of the mutable round state
+     */
+    createSnapshot(action) {
+        return {
+            action,
+            handIndex: this.currentHandIndex,
+            playerHands: this.playerHands.map(hand => hand.clone()),
+            dealerHand: this.dealerHand.clone(),
+            handBets: [...this.handBets],
+            freeBets: [...this.freeBets],
+            actionCount: this.actionLog.length
+        };
+    }
+
+    /**
+     * Check if the last action can be undone
+     */
+    canUndo() {
+        return this.gameState.canUndoAction() && this.snapshots.length > 0;
+    }
+
+    /**
+     * Restore the state from before the last action. Cards already drawn stay out of the shoe.
+     * Returns the undone action name, or null.
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const snapshot = this.snapshots.pop();
+        this.gameState.removeLastSavedState();
+
+        this.playerHands = snapshot.playerHands;
+        this.dealerHand = snapshot.dealerHand;
+        this.handBets = snapshot.handBets;
+        this.freeBets = snapshot.freeBets;
+        this.currentHandIndex = snapshot.handIndex;
+        this.actionLog.length = snapshot.actionCount;
+
+        this.emit('stateRestored', {
+            action: snapshot.action,
+            handIndex: this.currentHandIndex,
+            hands: this.describeHands(),
+            dealerCards: [...this.dealerHand.cards]
+        });
+
+        return snapshot.action;
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Plain description of every player hand
+     */
+    describeHands() {
+        return this.playerHands.map(hand => ({
+            spot: hand.spot,
+            cards: [...hand.cards],
+            total: hand.getValue(),
+            isSoft: hand.isSoft(),
+            busted: hand.isBusted()
+        }));
+    }
+
+    /**
+     * Total wagered this round (all hands, insurance and side bets)
+     */
+    getTotalWager() {
+        const sideBetTotal = Object.values(this.sideBetWagers).reduce((sum, bet) => sum + bet, 0);
+        return this.handBets.reduce((sum, bet) => sum + bet, 0) + this.insuranceBet + sideBetTotal;
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * EventEmitter - Minimal synchronous publish/subscribe
+ * No DOM dependency, so it works in the browser, Web Workers and Node
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event ('*' receives every event as (eventName, payload))
+     * Returns an unsubscribe function
+     */
+    on(eventName, handler) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(handler);
+
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once(eventName, handler) {
+        const unsubscribe = this.on(eventName, (...args) => {
+            unsubscribe();
+            handler(...args);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Remove a handler
+     */
+    off(eventName, handler) {
+        const handlers = this.listeners.get(eventName);
+        if (handlers) {
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                this.listeners.delete(eventName);
+            }
+        }
+    }
+
+    /**
+     * Notify subscribers of an event
+     */
+    emit(eventName, payload = {}) {
+        const handlers = this.listeners.get(eventName);
+        if (handlers) {
+            [...handlers].forEach(handler => handler(payload));
+        }
+
+        const wildcardHandlers = this.listeners.get('*');
+        if (wildcardHandlers) {
+            [...wildcardHandlers].forEach(handler => handler(eventName, payload));
+        }
+    }
+
+    /**
+     * Remove every handler for one event, or for all events
+     */
+    removeAllListeners(eventName = null) {
+        if (eventName === null) {
+            this.listeners.clear();
+        } else {
+            this.listeners.delete(eventName);
+        }
+    }
+}
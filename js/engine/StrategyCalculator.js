@@ -0,0 +1,732 @@
+/**
+ * StrategyCalculator - Composition-dependent expected values for blackjack decisions
+ * Dealer outcome probabilities are computed exactly for the cards left in the shoe
+ * (removing every card the player has drawn, up to EXACT_DRAWS deep), so the EV of
+ * stand, hit, double, split and surrender reflects the active rules and deck count.
+ *
+ * Card values: 1 = Ace, 2-9, 10 = any ten-valued card.
+ * EVs are in units of the hand's initial bet. Split EVs treat the two hands as
+ * independent and approximate resplits; everything else is exact.
+ * Free Bet rules are modelled too: a dealer 22 pushes, a free double's extra chip can only
+ * win, and a free split hand is valued from its paid EV (assuming it wins or loses one unit).
+ * Double Exposure tables show both dealer cards, so the dealer plays on from its known two-card
+ * hand, tied totals lose, and the charts are keyed by that hand instead of an up card.
+ */
+
+const ACE = 1;
+const TEN = 10;
+
+// Dealer outcome slots: final totals 17-21, bust, then 22 when it pushes (Free Bet)
+const BUST = 5;
+const PUSH_22 = 6;
+const OUTCOME_COUNT = 7;
+
+// Hard totals doubled for free under Free Bet rules
+const FREE_DOUBLE_TOTALS = [9, 10, 11];
+
+// Dealer odds are recomputed for each player draw up to this depth, then reused (EV error < 0.0001)
+const EXACT_DRAWS = 3;
+
+// Card compositions are packed into one number, 5 bits per card value
+const POW = [0, 1, 32, 1024, 32768, 1048576, 33554432, 1073741824, 34359738368, 1099511627776, 35184372088832];
+
+export class StrategyCalculator {
+    /**
+     * @param {Object} rules - GameRules.rules (missing fields use GameRules defaults)
+     * @param {number} numDecks - decks in the shoe
+     */
+    constructor(rules = {}, numDecks = 6) {
+        this.rules = {
+            dealerStandsOnSoft17: true,
+            doubleAfterSplit: true,
+            resplitAces: false,
+            hitSplitAces: false,
+            surrenderAllowed: false,
+            maxSplitHands: 4,
+            charlieRule: false,
+            charlieCards: 5,
+            europeeanNoHoleCard: false,
+            originalBetsOnly: false,
+            spanishDeck: false,
+            player21Wins: false,
+            freeDoubles: false,
+            freeSplits: false,
+            dealer22Push: false,
+            doubleExposure: false,
+            dealerWinsTies: false,
+            ...rules
+        };
+        this.numDecks = numDecks;
+    }
+
+    /**
+     * Convert a Card, rank string or number to a card value (1-10)
+     */
+    static toValue(card) {
+        const rank = typeof card === 'object' ? card.rank : card;
+        if (rank === 'A' || rank === 1 || rank === 11) return ACE;
+        if (['J', 'Q', 'K', '10'].includes(rank)) return TEN;
+        return Math.min(TEN, parseInt(rank));
+    }
+
+    /**
+     * Card counts for a full shoe, minus any removed cards
+     * @returns {number[]} counts indexed by card value (index 0 unused)
+     */
+    createShoe(removedCards = []) {
+        const shoe = [0];
+        for (let value = ACE; value <= TEN; value++) {
+            // Spanish decks keep the J, Q and K but not the 10s
+            shoe[value] = (value === TEN ? (this.rules.spanishDeck ? 12 : 16) : 4) * this.numDecks;
+        }
+
+        removedCards.forEach(card => {
+            const value = StrategyCalculator.toValue(card);
+            if (shoe[value] === 0) {
+                throw new Error(`No ${value === ACE ? 'A' : value} left in the shoe`);
+            }
+            shoe[value]--;
+        });
+
+        return shoe;
+    }
+
+    /**
+     * Build a shoe from a list of unseen cards (e.g. Deck.cards plus the hole card)
+     */
+    createShoeFromCards(cards) {
+        const shoe = new Array(TEN + 1).fill(0);
+        cards.forEach(card => shoe[StrategyCalculator.toValue(card)]++);
+        return shoe;
+    }
+
+    // ===== DEALER =====
+
+    /**
+     * Dealer final-total probabilities, given the dealer does not have blackjack
+     * @returns {Object} { 17, 18, 19, 20, 21, bust, push22, blackjack } - blackjack is the chance before the peek
+     */
+    getDealerProbabilities(upCard, shoe = null) {
+        const context = this.createContext(StrategyCalculator.toValue(upCard), shoe ?? this.createShoe([upCard]));
+        const outcomes = this.getDealerOutcomes(context);
+
+        return {
+            17: outcomes[0],
+            18: outcomes[1],
+            19: outcomes[2],
+            20: outcomes[3],
+            21: outcomes[4],
+            bust: outcomes[BUST],
+            push22: outcomes[PUSH_22],
+            blackjack: this.getDealerBlackjackChance(context)
+        };
+    }
+
+    /**
+     * Chance the hole card gives the dealer blackjack (none once the hole card is known)
+     */
+    getDealerBlackjackChance(context) {
+        const { upCard, shoe } = context;
+        if (context.holeCard) return 0;
+        const holeValue = upCard === ACE ? TEN : upCard === TEN ? ACE : 0;
+        return holeValue && context.cardsLeft > 0 ? shoe[holeValue] / context.cardsLeft : 0;
+    }
+
+    /**
+     * Dealer outcomes for the current shoe, cached by the cards the player has removed
+     */
+    getDealerOutcomes(context) {
+        let outcomes = context.dealerCache.get(context.dealerKey);
+        if (!outcomes) {
+            const { upCard, holeCard } = context;
+            outcomes = holeCard
+                ? this.playDealer(context, upCard + holeCard, upCard === ACE || holeCard === ACE, 0, 2, new Map())
+                : this.playDealer(context, upCard, upCard === ACE, 0, 1, new Map());
+            context.dealerCache.set(context.dealerKey, outcomes);
+        }
+        return outcomes;
+    }
+
+    /**
+     * Recursively draw dealer cards; memoized by the dealer's drawn composition
+     */
+    playDealer(context, total, hasAce, drawnKey, cardCount, memo) {
+        const value = hasAce && total + 10 <= 21 ? total + 10 : total;
+
+        if (value > 21) return value === 22 && this.rules.dealer22Push ? context.push22Outcome : context.bustOutcome;
+        if (value >= 17) {
+            const isSoft17 = value === 17 && hasAce && total === 7;
+            if (!isSoft17 || this.rules.dealerStandsOnSoft17) {
+                return context.standOutcomes[value];
+            }
+        }
+
+        const cached = memo.get(drawnKey);
+        if (cached) return cached;
+
+        const { shoe } = context;
+        const result = new Float64Array(OUTCOME_COUNT);
+
+        // The hole card cannot complete a blackjack - the dealer has already peeked
+        let excluded = 0;
+        if (cardCount === 1) {
+            excluded = context.upCard === ACE ? TEN : context.upCard === TEN ? ACE : 0;
+        }
+        const cardsLeft = context.cardsLeft - (excluded ? shoe[excluded] : 0);
+
+        for (let card = ACE; card <= TEN; card++) {
+            const count = shoe[card];
+            if (count === 0 || card === excluded) continue;
+
+            const probability = count / cardsLeft;
+            this.removeCard(context, card);
+            const next = this.playDealer(context, total + card, hasAce || card === ACE, drawnKey + POW[card], cardCount + 1, memo);
+            this.restoreCard(context, card);
+
+            for (let i = 0; i < OUTCOME_COUNT; i++) {
+                result[i] += probability * next[i];
+            }
+        }
+
+        memo.set(drawnKey, result);
+        return result;
+    }
+
+    // ===== PLAYER =====
+
+    /**
+     * Expected value of every action for a hand
+     * @param {Array} playerCards - Cards, ranks or values
+     * @param {*} upCard - Dealer up card
+     * @param {Object} options - { shoe (unseen cards; default full shoe minus visible cards),
+     *   holeCard (Double Exposure), canDouble, canSplit, canSurrender, isSplitHand, splitHands, exactDraws }
+     * @returns {Object} { stand, hit, double, split, surrender, best, bestAction } - null when unavailable
+     */
+    analyzeHand(playerCards, upCard, options = {}) {
+        const {
+            canDouble = playerCards.length === 2,
+            canSplit = false,
+            canSurrender = false,
+            isSplitHand = false,
+            splitHands = 1,
+            exactDraws = EXACT_DRAWS
+        } = options;
+        const up = StrategyCalculator.toValue(upCard);
+        const hole = options.holeCard ? StrategyCalculator.toValue(options.holeCard) : 0;
+        const values = playerCards.map(card => StrategyCalculator.toValue(card));
+        const dealerCards = options.holeCard ? [upCard, options.holeCard] : [upCard];
+        const shoe = options.shoe ? [...options.shoe] : this.createShoe([...dealerCards, ...playerCards]);
+
+        const context = this.createContext(up, shoe, exactDraws, hole);
+        const hand = this.createHand(values);
+        const evs = this.evaluateActions(context, hand, {
+            canDouble: canDouble && (!isSplitHand || this.rules.doubleAfterSplit),
+            canSplit: canSplit && values.length === 2 && values[0] === values[1] && splitHands < this.rules.maxSplitHands,
+            canSurrender: canSurrender && !isSplitHand && values.length === 2,
+            splitHands
+        });
+
+        return this.summarizeActions(evs);
+    }
+
+    /**
+     * Conditional EVs (dealer has no blackjack) adjusted for no-hole-card games
+     */
+    evaluateActions(context, hand, { canDouble, canSplit, canSurrender, splitHands = 1 }) {
+        const evs = {
+            stand: this.standValue(context, hand),
+            hit: hand.value < 21 ? this.hitValue(context, hand) : null,
+            double: canDouble && hand.cardCount === 2 ? this.doubleValue(context, hand) : null,
+            split: canSplit ? this.splitValue(context, hand.cards[0], splitHands + 1) : null,
+            surrender: canSurrender && this.rules.surrenderAllowed ? -0.5 : null
+        };
+
+        // Without a hole card the dealer's blackjack takes everything on the table
+        if (this.rules.europeeanNoHoleCard) {
+            const blackjackChance = this.getDealerBlackjackChance(context);
+            const extraStake = this.rules.originalBetsOnly ? 1 : 2;
+            const stakes = { stand: 1, hit: 1, double: extraStake, split: extraStake, surrender: 1 };
+
+            Object.keys(evs).forEach(action => {
+                if (evs[action] !== null) {
+                    evs[action] = (1 - blackjackChance) * evs[action] - blackjackChance * stakes[action];
+                }
+            });
+        }
+
+        return evs;
+    }
+
+    /**
+     * Add the best action to a set of EVs
+     */
+    summarizeActions(evs) {
+        let bestAction = 'stand';
+        Object.entries(evs).forEach(([action, ev]) => {
+            if (ev !== null && ev > evs[bestAction]) {
+                bestAction = action;
+            }
+        });
+        return { ...evs, best: evs[bestAction], bestAction };
+    }
+
+    /**
+     * Hand summary from card values
+     */
+    createHand(values) {
+        const total = values.reduce((sum, value) => sum + value, 0);
+        const hasAce = values.includes(ACE);
+        return {
+            cards: values,
+            total,
+            hasAce,
+            cardCount: values.length,
+            value: hasAce && total + 10 <= 21 ? total + 10 : total,
+            key: values.reduce((key, value) => key + POW[value], 0)
+        };
+    }
+
+    /**
+     * Hand after drawing one more card
+     */
+    addCard(hand, card) {
+        const total = hand.total + card;
+        const hasAce = hand.hasAce || card === ACE;
+        return {
+            cards: null,
+            total,
+            hasAce,
+            cardCount: hand.cardCount + 1,
+            value: hasAce && total + 10 <= 21 ? total + 10 : total,
+            key: hand.key + POW[card]
+        };
+    }
+
+    /**
+     * EV of standing with the current shoe
+     */
+    standValue(context, hand) {
+        if (hand.value > 21) return -1;
+        if (this.isCharlie(hand)) return 1;
+        // Spanish 21 bonuses are not included
+        if (hand.value === 21 && this.rules.player21Wins) return 1;
+
+        // A dealer 22 that pushes counts for nothing
+        const outcomes = this.getDealerOutcomes(context);
+        let ev = outcomes[BUST];
+        for (let dealerTotal = 17; dealerTotal <= 21; dealerTotal++) {
+            const probability = outcomes[dealerTotal - 17];
+            if (hand.value > dealerTotal) ev += probability;
+            else if (hand.value < dealerTotal || this.rules.dealerWinsTies) ev -= probability;
+        }
+        return ev;
+    }
+
+    /**
+     * Chance that standing wins (what a free bet chip is worth - it is never lost)
+     */
+    winChance(context, hand) {
+        if (hand.value > 21) return 0;
+        if (this.isCharlie(hand)) return 1;
+        if (hand.value === 21 && this.rules.player21Wins) return 1;
+
+        const outcomes = this.getDealerOutcomes(context);
+        let chance = outcomes[BUST];
+        for (let dealerTotal = 17; dealerTotal < Math.min(hand.value, 22); dealerTotal++) {
+            chance += outcomes[dealerTotal - 17];
+        }
+        return chance;
+    }
+
+    /**
+     * EV of hitting, then playing on optimally (stand or hit)
+     */
+    hitValue(context, hand) {
+        return this.drawValue(context, (next) => this.playOnValue(context, next), hand);
+    }
+
+    /**
+     * Best of stand and hit after a draw, memoized per composition
+     */
+    playOnValue(context, hand) {
+        if (hand.value > 21) return -1;
+        if (this.isCharlie(hand)) return 1;
+
+        // Removed cards that are not in this hand (e.g. the other split hand) tell states apart
+        const otherCardsKey = context.removedKey - hand.key;
+        let memo = context.playMemo.get(otherCardsKey);
+        if (!memo) {
+            memo = new Map();
+            context.playMemo.set(otherCardsKey, memo);
+        }
+
+        const cached = memo.get(hand.key);
+        if (cached !== undefined) return cached;
+
+        const stand = this.standValue(context, hand);
+        const value = hand.value < 21 ? Math.max(stand, this.hitValue(context, hand)) : stand;
+
+        memo.set(hand.key, value);
+        return value;
+    }
+
+    /**
+     * EV of doubling: one card, then stand, for twice the bet.
+     * A free double's second unit is a free bet chip, so it adds only its chance to win.
+     */
+    doubleValue(context, hand) {
+        if (this.isFreeDouble(hand)) {
+            return this.drawValue(context, (next) => this.standValue(context, next) + this.winChance(context, next), hand);
+        }
+        return 2 * this.drawValue(context, (next) => this.standValue(context, next), hand);
+    }
+
+    /**
+     * Check if doubling this hand is free (two-card hard 9-11 under Free Bet rules)
+     */
+    isFreeDouble(hand) {
+        return this.rules.freeDoubles && hand.cardCount === 2 && hand.value === hand.total &&
+               FREE_DOUBLE_TOTALS.includes(hand.value);
+    }
+
+    /**
+     * EV of splitting a pair into two independent hands
+     * @param {number} splitHands - hands on the table after this split
+     */
+    splitValue(context, card, splitHands) {
+        // Both pair cards are already out of the shoe; each hand restarts from one of them
+        const memoKey = `${context.removedKey}:${card}:${splitHands}`;
+        if (!context.splitMemo.has(memoKey)) {
+            const start = this.createHand([card]);
+            const value = this.drawValue(context, (next) => this.splitHandValue(context, next, card, splitHands), start);
+            context.splitMemo.set(memoKey, value);
+        }
+
+        const handValue = context.splitMemo.get(memoKey);
+        if (this.rules.freeSplits && card !== TEN) {
+            // The new hand plays on a free bet chip: worth its chance to win, taken as (1 + EV) / 2
+            return handValue + (1 + handValue) / 2;
+        }
+        return 2 * handValue;
+    }
+
+    /**
+     * Best play of one split hand once it has its second card
+     */
+    splitHandValue(context, hand, splitCard, splitHands) {
+        const secondCard = hand.total - splitCard;
+
+        // Split aces usually get one card only
+        if (splitCard === ACE && !this.rules.hitSplitAces) {
+            let value = this.standValue(context, hand);
+            if (secondCard === ACE && this.canResplit(ACE, splitHands)) {
+                value = Math.max(value, this.splitValue(context, ACE, splitHands + 1));
+            }
+            return value;
+        }
+
+        let value = this.playOnValue(context, hand);
+        if (this.rules.doubleAfterSplit) {
+            value = Math.max(value, this.doubleValue(context, hand));
+        }
+        if (secondCard === splitCard && this.canResplit(splitCard, splitHands)) {
+            value = Math.max(value, this.splitValue(context, splitCard, splitHands + 1));
+        }
+        return value;
+    }
+
+    /**
+     * Check if a split hand may be split again
+     */
+    canResplit(card, splitHands) {
+        if (splitHands >= this.rules.maxSplitHands) return false;
+        return card !== ACE || this.rules.resplitAces;
+    }
+
+    /**
+     * Average a value over the next card drawn from the shoe
+     */
+    drawValue(context, valueOf, hand) {
+        const { shoe } = context;
+        const cardsLeft = context.cardsLeft;
+        let ev = 0;
+
+        for (let card = ACE; card <= TEN; card++) {
+            const count = shoe[card];
+            if (count === 0) continue;
+
+            this.removeCard(context, card);
+            ev += (count / cardsLeft) * valueOf(this.addCard(hand, card));
+            this.restoreCard(context, card);
+        }
+
+        return ev;
+    }
+
+    /**
+     * Check if the Charlie rule wins this hand outright
+     */
+    isCharlie(hand) {
+        return this.rules.charlieRule && hand.cardCount >= this.rules.charlieCards && hand.value <= 21;
+    }
+
+    // ===== STRATEGY CHARTS =====
+
+    /**
+     * Derive hard/soft/pairs charts (StrategyHints format) for these rules.
+     * Each cell is the action with the best EV averaged over the two-card hands
+     * that make it up; fallbacks hold the play when that action is not available.
+     * Double Exposure charts have a column per dealer hand (see getDealerHandKey).
+     * @returns {Object} { hard, soft, pairs, fallbacks: { hard, soft, pairs }, keyedByDealerHand }
+     */
+    generateCharts() {
+        const charts = this.createEmptyCharts();
+        if (this.rules.doubleExposure) {
+            this.addDealerHandsToCharts(charts);
+            return { ...this.finishCharts(charts), keyedByDealerHand: true };
+        }
+
+        for (let upCard = 2; upCard <= 11; upCard++) {
+            this.addUpCardToCharts(charts, upCard);
+        }
+        return this.finishCharts(charts);
+    }
+
+    /**
+     * Chart column for a two-card dealer hand: its hard total, or 'soft N'
+     */
+    static getDealerHandKey(first, second) {
+        const total = first + second;
+        return first === ACE || second === ACE ? `soft ${total + 10}` : total;
+    }
+
+    /**
+     * Chart skeleton filled in one dealer up card at a time
+     */
+    createEmptyCharts() {
+        return { hard: {}, soft: {}, pairs: {}, fallbacks: { hard: {}, soft: {}, pairs: {} } };
+    }
+
+    /**
+     * Fill every chart column for one dealer up card (2-10, 11 = Ace)
+     */
+    addUpCardToCharts(charts, upCard) {
+        const up = upCard === 11 ? ACE : upCard;
+        const context = this.createContext(up, this.createShoe([up]), 2 + EXACT_DRAWS);
+
+        this.getChartRows(context).forEach(({ chartType, row, evs, isPair }) => {
+            this.setChartCell(charts, chartType, row, upCard, evs, isPair);
+        });
+        return charts;
+    }
+
+    /**
+     * Fill one chart column per dealer two-card hand (Double Exposure). Each column averages
+     * the EVs of the dealer hands that make it up, weighted by how often they are dealt;
+     * dealer blackjacks are skipped because they end the round before the player acts.
+     */
+    addDealerHandsToCharts(charts) {
+        const shoe = this.createShoe();
+        const columns = new Map();
+
+        for (let first = ACE; first <= TEN; first++) {
+            for (let second = first; second <= TEN; second++) {
+                if (first === ACE && second === TEN) continue;
+
+                const weight = first === second ? shoe[first] * (shoe[first] - 1) : 2 * shoe[first] * shoe[second];
+                const context = this.createContext(second, this.createShoe([first, second]), 2 + EXACT_DRAWS, first);
+                const key = StrategyCalculator.getDealerHandKey(first, second);
+                if (!columns.has(key)) columns.set(key, { weight: 0, rows: new Map() });
+
+                const column = columns.get(key);
+                column.weight += weight;
+                this.getChartRows(context).forEach(({ chartType, row, evs, isPair }) => {
+                    const rowKey = `${chartType}:${row}`;
+                    if (!column.rows.has(rowKey)) column.rows.set(rowKey, { chartType, row, isPair, totals: evs && {} });
+
+                    const { totals } = column.rows.get(rowKey);
+                    if (!evs) return;
+                    Object.entries(evs).forEach(([action, ev]) => {
+                        totals[action] = (totals[action] ?? 0) + weight * ev;
+                    });
+                });
+            }
+        }
+
+        columns.forEach(({ weight, rows }, key) => {
+            rows.forEach(({ chartType, row, isPair, totals }) => {
+                if (totals) {
+                    Object.keys(totals).forEach(action => {
+                        totals[action] /= weight;
+                    });
+                }
+                this.setChartCell(charts, chartType, row, key, totals, isPair);
+            });
+        });
+        return charts;
+    }
+
+    /**
+     * Averaged action EVs for every chart row against one dealer context
+     * @returns {Array} [{ chartType, row, evs, isPair }] - evs is null for rows that always stand
+     */
+    getChartRows(context) {
+        const rows = [];
+
+        // Hard totals 4-20 from every non-ace two-card hand (hard 21 always stands)
+        for (let total = 4; total <= 21; total++) {
+            const hands = [];
+            for (let first = 2; first <= TEN; first++) {
+                const second = total - first;
+                if (second >= first && second <= TEN) hands.push([first, second]);
+            }
+            rows.push({ chartType: 'hard', row: total, evs: total === 21 ? null : this.averageActions(context, hands) });
+        }
+
+        // Soft 12 (A,A played without splitting) through soft 21
+        for (let other = ACE; other <= TEN; other++) {
+            const total = other + 11;
+            rows.push({ chartType: 'soft', row: total, evs: total === 21 ? null : this.averageActions(context, [[ACE, other]]) });
+        }
+
+        // Pairs - split versus the best way to play the hand unsplit
+        for (let card = ACE; card <= TEN; card++) {
+            const rank = card === ACE ? 'A' : String(card);
+            const evs = this.averageActions(context, [[card, card]], this.rules.maxSplitHands > 1);
+            rows.push({ chartType: 'pairs', row: rank, evs, isPair: true });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Copy the ten-valued pair row to the face cards
+     */
+    finishCharts(charts) {
+        ['J', 'Q', 'K'].forEach(rank => {
+            charts.pairs[rank] = { ...charts.pairs['10'] };
+            charts.fallbacks.pairs[rank] = { ...charts.fallbacks.pairs['10'] };
+        });
+        return charts;
+    }
+
+    /**
+     * Probability-weighted average of action EVs over several starting hands
+     */
+    averageActions(context, hands, canSplit = false) {
+        const totals = {};
+        let totalWeight = 0;
+
+        hands.forEach(([first, second]) => {
+            const { shoe, cardsLeft } = context;
+            const weight = first === second
+                ? shoe[first] * (shoe[first] - 1)
+                : 2 * shoe[first] * shoe[second];
+            if (weight === 0) return;
+
+            this.removeCard(context, first);
+            this.removeCard(context, second);
+            const evs = this.evaluateActions(context, this.createHand([first, second]), {
+                canDouble: true,
+                canSplit,
+                canSurrender: true
+            });
+            this.restoreCard(context, second);
+            this.restoreCard(context, first);
+
+            const normalized = weight / (cardsLeft * (cardsLeft - 1));
+            totalWeight += normalized;
+            Object.entries(evs).forEach(([action, ev]) => {
+                if (ev !== null) totals[action] = (totals[action] ?? 0) + normalized * ev;
+            });
+        });
+
+        Object.keys(totals).forEach(action => {
+            totals[action] /= totalWeight;
+        });
+        return totals;
+    }
+
+    /**
+     * Store the best action code and its fallback for one chart cell
+     */
+    setChartCell(charts, chartType, row, upCard, evs, isPair = false) {
+        charts[chartType][row] = charts[chartType][row] ?? {};
+        charts.fallbacks[chartType][row] = charts.fallbacks[chartType][row] ?? {};
+
+        if (!evs) {
+            charts[chartType][row][upCard] = 'S';
+            charts.fallbacks[chartType][row][upCard] = 'S';
+            return;
+        }
+
+        const codes = { stand: 'S', hit: 'H', double: 'D', split: 'SP', surrender: 'SU' };
+        const pick = (actions) => actions
+            .filter(action => evs[action] !== undefined)
+            .reduce((best, action) => (evs[action] > evs[best] ? action : best));
+
+        const best = pick(['stand', 'hit', 'double', 'split', 'surrender']);
+        // Split unavailable -> play the pair as a total; otherwise double/surrender unavailable -> hit or stand
+        const fallback = isPair && best === 'split'
+            ? pick(['stand', 'hit', 'double', 'surrender'])
+            : pick(['stand', 'hit']);
+
+        charts[chartType][row][upCard] = codes[best];
+        charts.fallbacks[chartType][row][upCard] = codes[fallback];
+    }
+
+    // ===== SHOE STATE =====
+
+    /**
+     * Working state for one dealer up card (and known hole card) and starting shoe
+     */
+    createContext(upCard, shoe, exactCards = Infinity, holeCard = 0) {
+        const standOutcomes = {};
+        for (let total = 17; total <= 21; total++) {
+            standOutcomes[total] = new Float64Array(OUTCOME_COUNT);
+            standOutcomes[total][total - 17] = 1;
+        }
+        const bustOutcome = new Float64Array(OUTCOME_COUNT);
+        bustOutcome[BUST] = 1;
+        const push22Outcome = new Float64Array(OUTCOME_COUNT);
+        push22Outcome[PUSH_22] = 1;
+
+        return {
+            upCard,
+            holeCard,
+            shoe,
+            cardsLeft: shoe.reduce((sum, count) => sum + count, 0),
+            removedKey: 0,
+            removedCount: 0,
+            // Past this many removed cards, dealer odds are reused from the last exact state
+            exactCards,
+            dealerKey: 0,
+            dealerCache: new Map(),
+            playMemo: new Map(),
+            splitMemo: new Map(),
+            standOutcomes,
+            bustOutcome,
+            push22Outcome
+        };
+    }
+
+    removeCard(context, card) {
+        context.shoe[card]--;
+        context.cardsLeft--;
+        context.removedKey += POW[card];
+        context.removedCount++;
+        if (context.removedCount <= context.exactCards) {
+            context.dealerKey = context.removedKey;
+        }
+    }
+
+    restoreCard(context, card) {
+        context.shoe[card]++;
+        context.cardsLeft++;
+        context.removedKey -= POW[card];
+        context.removedCount--;
+        if (context.removedCount <= context.exactCards) {
+            context.dealerKey = context.removedKey;
+        }
+    }
+}
@@ -1,37 +1,28 @@
 /**
- * ActionHandler - Manages all player actions (hit, stand, double down, split, insurance)
- * Extracted from GameController.js for better organization
+ * ActionHandler - Manages all player actions (hit, stand, double down, split, surrender, switch, insurance)
+ * Validates and applies actions through the BlackjackEngine, tracks strategy accuracy
+ * and waits for the TablePresenter to animate the result
  */
 
-import { Hand } from '../modules/Hand.js';
-
 export class ActionHandler {
-    constructor(gameState, deck, ui, statistics, rules, cardCounting) {
-        this.gameState = gameState;
-        this.deck = deck;
+    constructor(engine, presenter, ui, statistics) {
+        this.engine = engine;
+        this.presenter = presenter;
         this.ui = ui;
         this.statistics = statistics;
-        this.rules = rules;
-        this.cardCounting = cardCounting;
-        
-        // Action history for undo functionality
+
+        // Action history for statistics
         this.actionHistory = [];
         this.lastStrategyHint = null;
-        
-        // Current game references (will be updated by GameController)
-        this.dealerHand = null;
-        this.playerHands = [];
-        this.currentHandIndex = 0;
+        this.handRecorder = null; // set by GameController; supplies the count for decision records
     }
 
-    /**
-     * Update current game references
-     */
-    updateGameRefs(dealerHand, playerHands, currentHandIndex) {
-        this.dealerHand = dealerHand;
-        this.playerHands = playerHands;
-        this.currentHandIndex = currentHandIndex;
-    }
+    // Game objects live in the engine
+    get gameState() { return this.engine.gameState; }
+    get rules() { return this.engine.rules; }
+    get dealerHand() { return this.engine.dealerHand; }
+    get playerHands() { return this.engine.playerHands; }
+    get currentHandIndex() { return this.engine.currentHandIndex; }
 
     /**
      * Set the last strategy hint for accuracy tracking
@@ -47,41 +38,14 @@ export class ActionHandler {
         if (!this.gameState.isInPhase('playing')) return false;
 
         console.log(`👋 Player hits on hand ${this.currentHandIndex}`);
-        
-        // Save state for undo functionality
-        this.saveActionState('hit');
-        
-        // Track strategy accuracy
-        if (this.lastStrategyHint) {
-            this.statistics.recordStrategyDecision('Hit', this.lastStrategyHint.action, this.lastStrategyHint.handType);
-        }
-        
-        // Disable buttons during card dealing
-        this.disablePlayerActions();
-        this.ui.setButtonLoading('hit-btn', true);
-        
+
         try {
-            const card = await this.dealCardToPlayer(this.currentHandIndex);
-            const hand = this.playerHands[this.currentHandIndex];
-            
-            await this.delay(200);
-            this.ui.setButtonLoading('hit-btn', false);
-            
-            if (hand.isBusted()) {
-                this.ui.addCardEffect(this.currentHandIndex, 'busted');
-                this.ui.showMessage('Bust!', 'error', 2000);
-                await this.delay(1000);
-                return 'bust';
-            } else if (hand.getValue() === 21) {
-                this.ui.addCardEffect(this.currentHandIndex, 'winning');
-                this.ui.showMessage('21!', 'success', 1500);
-                await this.delay(1000);
-                return 'complete';
-            } else {
+            const result = await this.performAction('hit', 'hit-btn', 'Hit');
+
+            if (result === 'continue') {
                 this.enablePlayerActions();
-                await this.delay(300);
-                return 'continue';
             }
+            return result;
         } catch (error) {
             console.error('Error in hit action:', error);
             this.ui.setButtonLoading('hit-btn', false);
@@ -98,22 +62,16 @@ export class ActionHandler {
         if (!this.gameState.isInPhase('playing')) return false;
 
         console.log(`✋ Player stands on hand ${this.currentHandIndex}`);
-        
-        // Save state for undo functionality
-        this.saveActionState('stand');
-        
-        // Track strategy accuracy
-        if (this.lastStrategyHint) {
-            this.statistics.recordStrategyDecision('Stand', this.lastStrategyHint.action, this.lastStrategyHint.handType);
+
+        try {
+            return await this.performAction('stand', 'stand-btn', 'Stand');
+        } catch (error) {
+            console.error('Error in stand action:', error);
+            this.ui.setButtonLoading('stand-btn', false);
+            this.enablePlayerActions();
+            this.ui.showMessage('Error processing stand. Please try again.', 'error');
+            return 'error';
         }
-        
-        this.disablePlayerActions();
-        this.ui.setButtonLoading('stand-btn', true);
-        
-        await this.delay(300);
-        this.ui.setButtonLoading('stand-btn', false);
-        
-        return 'complete';
     }
 
     /**
@@ -121,55 +79,35 @@ export class ActionHandler {
      */
     async doubleDown() {
         if (!this.gameState.isInPhase('playing')) return false;
-        
+
         if (!this.canDoubleDown()) {
             this.ui.showMessage('Cannot double down', 'error', 2000);
             return false;
         }
 
         console.log(`💰 Player doubles down on hand ${this.currentHandIndex}`);
-        
-        // Save state for undo functionality
-        this.saveActionState('double');
-        
-        // Track strategy accuracy
-        if (this.lastStrategyHint) {
-            this.statistics.recordStrategyDecision('Double Down', this.lastStrategyHint.action, this.lastStrategyHint.handType);
-        }
-        
-        this.disablePlayerActions();
-        this.ui.setButtonLoading('double-btn', true);
-        
+
         try {
-            const hand = this.playerHands[this.currentHandIndex];
-            hand.isDoubled = true;
-            
-            // Double the bet for this hand
-            const currentBet = this.gameState.getCurrentBet();
-            const additionalBet = currentBet / this.playerHands.length;
-            const newBet = currentBet + additionalBet;
-            
-            this.gameState.setBetAmount(newBet);
-            this.ui.updateCurrentBet(newBet);
-            this.ui.showMessage(`Bet doubled to $${newBet}!`, 'info', 2000);
-            
-            await this.delay(500);
-            
-            // Deal exactly one more card
-            await this.dealCardToPlayer(this.currentHandIndex);
-            this.ui.setButtonLoading('double-btn', false);
-            
-            // Check result immediately
-            if (hand.isBusted()) {
-                this.ui.addCardEffect(this.currentHandIndex, 'busted');
-                this.ui.showMessage('Bust on double down!', 'error', 2000);
-            } else if (hand.getValue() === 21) {
-                this.ui.addCardEffect(this.currentHandIndex, 'winning');
-                this.ui.showMessage('21 on double down!', 'success', 2000);
+            const handIndex = this.currentHandIndex;
+            const isFree = this.rules.isFreeDouble(this.playerHands[handIndex]);
+            const result = await this.performAction('doubleDown', 'double-btn', 'Double Down');
+
+            this.ui.updateCurrentBet(this.engine.getTotalWager());
+            if (result === 'continue') {
+                // Double-down rescue: the player can still stand or rescue the hand
+                this.enablePlayerActions();
+                this.ui.showMessage(`Bet doubled to $${this.engine.handBets[handIndex]} - stand, or surrender to rescue the double`, 'info', 3000);
+                return result;
             }
-            
-            await this.delay(1500);
-            return 'complete';
+            const doubledMessage = isFree
+                ? `Free double - the house matches your bet with a $${this.engine.freeBets[handIndex]} free chip!`
+                : `Bet doubled to $${this.engine.handBets[handIndex]}!`;
+            this.ui.showMessage(
+                result === 'bust' ? 'Bust on double down!' : doubledMessage,
+                result === 'bust' ? 'error' : 'info',
+                2000
+            );
+            return result;
         } catch (error) {
             console.error('Error in double down action:', error);
             this.ui.setButtonLoading('double-btn', false);
@@ -184,228 +122,192 @@ export class ActionHandler {
      */
     async split() {
         if (!this.gameState.isInPhase('playing')) return false;
-        
+
         if (!this.canSplit()) {
             this.ui.showMessage('Cannot split', 'error', 2000);
             return false;
         }
 
         console.log(`✂️ Player splits hand ${this.currentHandIndex}`);
-        
-        // Save state for undo functionality
-        this.saveActionState('split');
-        
+
         try {
-            const originalHand = this.playerHands[this.currentHandIndex];
-            const cardToMove = originalHand.cards.pop();
-            
-            // Mark both hands as split hands
-            originalHand.isSplit = true;
-            
-            // Create new hand with the second card
-            const newHand = new Hand();
-            newHand.addCard(cardToMove);
-            newHand.isSplit = true;
-            
-            // Insert new hand right after current hand
-            this.playerHands.splice(this.currentHandIndex + 1, 0, newHand);
-            
-            // Deal second card to both hands
-            await this.dealCardToPlayer(this.currentHandIndex);
-            await this.delay(300);
-            await this.dealCardToPlayer(this.currentHandIndex + 1);
-            
-            // Double the bet (split requires equal bet on both hands)
-            const currentBet = this.gameState.getCurrentBet();
-            const newBet = currentBet * 2;
-            this.gameState.setBetAmount(newBet);
-            this.ui.updateCurrentBet(newBet);
-            
-            this.ui.showSplitHands(this.playerHands);
-            this.ui.showMessage('Hand split! Continue with first hand.', 'info', 2000);
-            
-            return 'complete';
+            const handIndex = this.currentHandIndex;
+            const isFree = this.rules.isFreeSplit(this.playerHands[handIndex]);
+            const result = await this.performAction('split', 'split-btn', 'Split');
+
+            this.ui.updateCurrentBet(this.engine.getTotalWager());
+            if (isFree) {
+                this.ui.showMessage(`Free split - the house puts a $${this.engine.freeBets[handIndex + 1]} free chip on the new hand`, 'info', 2500);
+            }
+            if (result === 'continue') {
+                this.enablePlayerActions();
+            }
+            return result;
         } catch (error) {
             console.error('Error in split action:', error);
+            this.ui.setButtonLoading('split-btn', false);
+            this.enablePlayerActions();
             this.ui.showMessage('Error processing split. Please try again.', 'error');
             return 'error';
         }
     }
 
     /**
-     * Take insurance
+     * Player surrenders (late surrender) - forfeits half the bet and ends the hand
      */
-    async takeInsurance() {
+    async surrender() {
         if (!this.gameState.isInPhase('playing')) return false;
-        
-        const dealerUpCard = this.dealerHand.cards[1];
-        if (!this.rules.canTakeInsurance(dealerUpCard, this.playerHands[0])) {
-            this.ui.showMessage('Insurance not available', 'error', 2000);
+
+        if (!this.canSurrender()) {
+            this.ui.showMessage('Surrender not available', 'error', 2000);
             return false;
         }
-        
-        console.log('🛡️ Player takes insurance');
-        
-        const currentBet = this.gameState.getCurrentBet();
-        const insuranceBet = Math.floor(currentBet / 2);
-        
-        this.gameState.setInsuranceBet(insuranceBet);
-        this.ui.showMessage(`Insurance bet: $${insuranceBet}`, 'info', 3000);
-        
-        // Insurance is resolved immediately when dealer checks for blackjack
-        if (this.dealerHand.isBlackjack()) {
-            const insurancePayout = this.rules.calculateInsurancePayout(insuranceBet);
-            this.statistics.updateBank(insurancePayout);
-            this.ui.showMessage(`Insurance pays $${insurancePayout}!`, 'success', 3000);
-        } else {
-            this.statistics.updateBank(-insuranceBet);
-            this.ui.showMessage('Insurance lost', 'error', 2000);
+
+        console.log(`🏳️ Player surrenders hand ${this.currentHandIndex}`);
+
+        const refund = this.engine.handBets[this.currentHandIndex] / 2;
+        const isRescue = this.playerHands[this.currentHandIndex].isDoubled;
+
+        try {
+            const result = await this.performAction('surrender', 'surrender-btn', 'Surrender');
+            this.ui.showMessage(isRescue ? `Double rescued - $${refund} returned` : `Hand surrendered - $${refund} returned`, 'info', 2000);
+            return result;
+        } catch (error) {
+            console.error('Error in surrender action:', error);
+            this.ui.setButtonLoading('surrender-btn', false);
+            this.enablePlayerActions();
+            this.ui.showMessage('Error processing surrender. Please try again.', 'error');
+            return 'error';
         }
-        
-        // Disable insurance button after taking insurance
-        this.ui.setButtonState('insurance-btn', false);
-        
-        return 'complete';
     }
 
     /**
-     * Check if player can double down
+     * Swap the second cards of the two Blackjack Switch hands
      */
-    canDoubleDown() {
-        const hand = this.playerHands[this.currentHandIndex];
-        return this.rules.canDoubleDown(hand, this.gameState.getCurrentBet(), this.statistics.getBankAmount());
-    }
+    async switchCards() {
+        if (!this.gameState.isInPhase('playing')) return false;
 
-    /**
-     * Check if player can split
-     */
-    canSplit() {
-        const hand = this.playerHands[this.currentHandIndex];
-        return this.rules.canSplit(hand, this.gameState.getCurrentBet(), this.statistics.getBankAmount());
+        if (!this.engine.canSwitch()) {
+            this.ui.showMessage('Cannot switch now', 'error', 2000);
+            return false;
+        }
+
+        console.log('🔀 Player switches the second cards');
+
+        try {
+            const result = await this.performAction('switch', 'switch-btn', 'Switch');
+            const [first, second] = this.playerHands;
+            this.ui.showMessage(`Cards switched - ${first.getValue()} and ${second.getValue()}`, 'info', 2000);
+
+            if (result === 'continue') {
+                this.enablePlayerActions();
+            }
+            return result;
+        } catch (error) {
+            console.error('Error in switch action:', error);
+            this.ui.setButtonLoading('switch-btn', false);
+            this.enablePlayerActions();
+            this.ui.showMessage('Error processing switch. Please try again.', 'error');
+            return 'error';
+        }
     }
 
     /**
-     * Get available actions for current hand
+     * Take insurance
      */
-    getAvailableActions() {
-        if (!this.gameState.isInPhase('playing')) {
-            return [];
+    async takeInsurance() {
+        if (!this.gameState.isInPhase('playing')) return false;
+
+        if (!this.engine.canTakeInsurance()) {
+            this.ui.showMessage('Insurance not available', 'error', 2000);
+            return false;
         }
 
-        const hand = this.playerHands[this.currentHandIndex];
-        const actions = [];
+        console.log('🛡️ Player takes insurance');
 
-        // Hit is always available unless hand is 21 or busted
-        if (!hand.isBusted() && hand.getValue() < 21) {
-            actions.push({
-                action: 'hit',
-                enabled: true,
-                description: 'Take another card'
-            });
+        // Resolved now if the dealer has peeked; without a hole card it waits for the dealer's second card
+        const insurance = this.engine.takeInsurance();
+        this.statistics.updateBank(insurance.net);
+        this.statistics.recordInsurance(insurance);
+        if (insurance.pending) {
+            this.ui.showMessage(`Insurance of $${insurance.bet} placed - settled when the dealer draws`, 'info', 2000);
         }
+        this.recordAction('insurance');
 
-        // Stand is always available unless busted
-        if (!hand.isBusted()) {
-            actions.push({
-                action: 'stand',
-                enabled: true,
-                description: 'Keep current hand'
-            });
-        }
+        await this.presenter.flush();
+        this.enablePlayerActions();
 
-        // Double down conditions
-        if (this.canDoubleDown()) {
-            actions.push({
-                action: 'doubleDown',
-                enabled: true,
-                description: 'Double bet and take one card'
-            });
-        }
+        // The hand itself is still in play
+        return 'continue';
+    }
 
-        // Split conditions
-        if (this.canSplit()) {
-            actions.push({
-                action: 'split',
-                enabled: true,
-                description: 'Split pair into two hands'
-            });
-        }
+    /**
+     * Apply an action in the engine, then wait for the table to catch up
+     */
+    async performAction(action, buttonId, decisionLabel) {
+        this.recordStrategyDecision(decisionLabel);
 
-        // Insurance conditions
-        if (this.dealerHand && this.dealerHand.cards.length >= 2) {
-            const dealerUpCard = this.dealerHand.cards[1];
-            if (this.rules.canTakeInsurance(dealerUpCard, hand)) {
-                actions.push({
-                    action: 'insurance',
-                    enabled: true,
-                    description: 'Insure against dealer blackjack'
-                });
-            }
-        }
+        // Disable buttons while the action plays out
+        this.disablePlayerActions();
+        this.ui.setButtonLoading(buttonId, true);
+
+        const handIndex = this.currentHandIndex;
+        const result = this.engine.act(action);
+        this.recordAction(action, handIndex);
+
+        await this.presenter.flush();
+        this.ui.setButtonLoading(buttonId, false);
 
-        return actions;
+        return result;
     }
 
     /**
-     * Deal a card to the player
+     * Track strategy accuracy against the last hint
      */
-    async dealCardToPlayer(handIndex, faceUp = true) {
-        const card = this.deck.dealCard();
-        this.playerHands[handIndex].addCard(card);
-        
-        // Update card count if in counting mode
-        if (this.gameState.getSetting('cardCountingMode')) {
-            this.cardCounting.updateCount(card, faceUp);
-            this.statistics.updateCardCount(card);
-            
-            // Update deck tracking
-            this.cardCounting.updateDecksRemaining(this.deck.getDecksRemaining());
-        }
-        
-        const cardElement = await this.ui.addCardToPlayer(card, handIndex, faceUp);
-        
-        // Highlight card for counting practice if enabled
-        if (this.gameState.getSetting('cardCountingMode') && faceUp) {
-            this.ui.highlightCardForCounting(cardElement, this.cardCounting.getHiLoValue(card));
-        }
-        
-        this.updatePlayerTotal(handIndex);
-        this.updateCardCountingDisplay();
-        
-        return card;
+    recordStrategyDecision(decisionLabel) {
+        if (!this.lastStrategyHint) return;
+
+        this.statistics.recordStrategyDecision(
+            decisionLabel,
+            this.lastStrategyHint.action,
+            this.lastStrategyHint.handType,
+            this.getDecisionDetails(decisionLabel)
+        );
     }
 
     /**
-     * Update player total display
+     * Check if player can double down
      */
-    updatePlayerTotal(handIndex) {
-        const hand = this.playerHands[handIndex];
-        const total = hand.getValue();
-        const isBusted = hand.isBusted();
-        
-        this.ui.updatePlayerTotal(total, isBusted, handIndex);
+    canDoubleDown() {
+        return this.engine.canDoubleDown();
     }
 
     /**
-     * Update card counting display
+     * Check if player can split
      */
-    updateCardCountingDisplay() {
-        if (this.gameState.getSetting('cardCountingMode')) {
-            const countData = {
-                running: this.cardCounting.getRunningCount(),
-                true: this.cardCounting.getTrueCount(),
-                decksRemaining: this.deck.getDecksRemaining()
-            };
-            
-            this.ui.updateCardCountingDisplay(countData);
-        }
+    canSplit() {
+        return this.engine.canSplit();
+    }
+
+    /**
+     * Check if player can surrender the current hand
+     */
+    canSurrender() {
+        return this.engine.canSurrender();
+    }
+
+    /**
+     * Get available actions for current hand
+     */
+    getAvailableActions() {
+        return this.engine.getAvailableActions();
     }
 
     /**
      * Disable all player action buttons
      */
     disablePlayerActions() {
-        const gameButtons = ['hit-btn', 'stand-btn', 'double-btn', 'split-btn', 'insurance-btn'];
+        const gameButtons = ['hit-btn', 'stand-btn', 'double-btn', 'split-btn', 'surrender-btn', 'switch-btn', 'insurance-btn'];
         gameButtons.forEach(buttonId => this.ui.setButtonState(buttonId, false));
     }
 
@@ -418,28 +320,10 @@ export class ActionHandler {
     }
 
     /**
-     * Save current game state for undo functionality
+     * Remember an action for statistics
      */
-    saveActionState(action) {
-        const actionState = {
-            action,
-            handIndex: this.currentHandIndex,
-            playerHands: this.playerHands.map(hand => ({ 
-                cards: [...hand.cards],
-                value: hand.getValue(),
-                isDoubled: hand.isDoubled,
-                isSplit: hand.isSplit
-            })),
-            dealerHand: {
-                cards: [...this.dealerHand.cards],
-                value: this.dealerHand.getValue()
-            },
-            currentBet: this.gameState.getCurrentBet(),
-            insuranceBet: this.gameState.getInsuranceBet(),
-            timestamp: Date.now()
-        };
-        this.gameState.saveGameState(action);
-        this.actionHistory.push(actionState);
+    recordAction(action, handIndex = this.currentHandIndex) {
+        this.actionHistory.push({ action, handIndex, timestamp: Date.now() });
         if (this.actionHistory.length > 10) this.actionHistory.shift();
     }
 
@@ -447,9 +331,7 @@ export class ActionHandler {
      * Check if undo is available for actions
      */
     canUndoAction() {
-        return this.gameState.canUndoAction() && 
-               this.actionHistory.length > 0 &&
-               this.gameState.isInPhase('playing');
+        return this.engine.canUndo() && this.gameState.isInPhase('playing');
     }
 
     /**
@@ -462,65 +344,26 @@ export class ActionHandler {
         }
 
         try {
-            const lastState = this.actionHistory.pop();
-            const savedGameState = this.gameState.removeLastSavedState();
-            
-            if (lastState && savedGameState) {
-                console.log(`🔄 Undoing action: ${savedGameState.action}`);
-                
-                // Restore hand states
-                this.currentHandIndex = lastState.handIndex;
-                
-                // Restore player hands
-                this.playerHands.forEach((hand, index) => {
-                    if (lastState.playerHands[index]) {
-                        hand.cards = [...lastState.playerHands[index].cards];
-                        hand.isDoubled = lastState.playerHands[index].isDoubled;
-                        hand.isSplit = lastState.playerHands[index].isSplit;
-                    }
-                });
-                
-                // Restore dealer hand
-                this.dealerHand.cards = [...lastState.dealerHand.cards];
-                
-                // Restore bet amounts
-                this.gameState.setBetAmount(lastState.currentBet);
-                this.gameState.setInsuranceBet(lastState.insuranceBet);
-                
-                // Update UI to reflect restored state
-                this.ui.clearPlayer();
-                this.ui.clearDealer();
-                
-                // Redraw cards
-                for (let handIndex = 0; handIndex < this.playerHands.length; handIndex++) {
-                    const hand = this.playerHands[handIndex];
-                    for (const card of hand.cards) {
-                        await this.ui.addCardToPlayer(card, handIndex, true);
-                    }
-                    this.updatePlayerTotal(handIndex);
-                }
-                
-                for (let i = 0; i < this.dealerHand.cards.length; i++) {
-                    const card = this.dealerHand.cards[i];
-                    const faceUp = i === 1; // Only second card is face up initially
-                    await this.ui.addCardToDealer(card, faceUp);
-                }
-                
-                // Update displays
-                this.ui.updateCurrentBet(this.gameState.getCurrentBet());
-                this.ui.highlightCurrentHand(this.currentHandIndex);
-                
-                // Re-enable actions
+            const undoneAction = this.engine.undo();
+
+            if (undoneAction) {
+                console.log(`🔄 Undoing action: ${undoneAction}`);
+                this.actionHistory.pop();
+
+                // Presenter redraws the restored hands
+                await this.presenter.flush();
+
+                this.ui.updateCurrentBet(this.engine.getTotalWager());
                 this.enablePlayerActions();
-                
-                this.ui.showMessage(`Undid ${savedGameState.action}`, 'success', 2000);
+
+                this.ui.showMessage(`Undid ${undoneAction}`, 'success', 2000);
                 return true;
             }
         } catch (error) {
             console.error('Error undoing action:', error);
             this.ui.showMessage('Error undoing action', 'error', 2000);
         }
-        
+
         return false;
     }
 
@@ -542,12 +385,12 @@ export class ActionHandler {
             actionBreakdown: {},
             averageHandDuration: 0
         };
-        
+
         // Count action types
         this.actionHistory.forEach(action => {
             stats.actionBreakdown[action.action] = (stats.actionBreakdown[action.action] || 0) + 1;
         });
-        
+
         // Calculate average hand duration
         if (this.actionHistory.length > 0) {
             const totalDuration = this.actionHistory.reduce((sum, action, index) => {
@@ -558,15 +401,8 @@ export class ActionHandler {
             }, 0);
             stats.averageHandDuration = totalDuration / this.actionHistory.length;
         }
-        
-        return stats;
-    }
 
-    /**
-     * Utility delay function
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return stats;
     }
 
     /**
@@ -575,12 +411,12 @@ export class ActionHandler {
     validateAction(action) {
         const availableActions = this.getAvailableActions();
         const actionNames = availableActions.map(a => a.action);
-        
+
         if (!actionNames.includes(action)) {
             console.warn(`Action ${action} not available. Available: ${actionNames.join(', ')}`);
             return false;
         }
-        
+
         return true;
     }
 
@@ -591,7 +427,7 @@ export class ActionHandler {
         if (!this.validateAction(action)) {
             return false;
         }
-        
+
         try {
             switch (action) {
                 case 'hit':
@@ -602,6 +438,10 @@ export class ActionHandler {
                     return await this.doubleDown();
                 case 'split':
                     return await this.split();
+                case 'surrender':
+                    return await this.surrender();
+                case 'switch':
+                    return await this.switchCards();
                 case 'insurance':
                     return await this.takeInsurance();
                 default:
@@ -614,6 +454,27 @@ export class ActionHandler {
         }
     }
 
+    /**
+     * Hand details and EVs of the played and recommended actions for a decision record
+     * (EVs are left out when the last hint has none for either action)
+     */
+    getDecisionDetails(decisionLabel) {
+        const upCard = this.engine.getDealerUpCard();
+        const details = {
+            playerValue: this.playerHands[this.currentHandIndex]?.getValue(),
+            trueCount: this.handRecorder?.getTrueCount() ?? null,
+            dealerUpCard: upCard ? (upCard.isAce() ? 'A' : String(upCard.value)) : undefined
+        };
+        
+        const alternatives = this.lastStrategyHint.alternativeActions ?? [];
+        const playedEv = alternatives.find(alternative => alternative.action === decisionLabel)?.ev;
+        const optimalEv = alternatives.find(alternative => alternative.action === this.lastStrategyHint.action)?.ev;
+        if (playedEv !== undefined && optimalEv !== undefined) {
+            Object.assign(details, { playedEv, optimalEv, handBet: this.engine.getHandStake(this.currentHandIndex) });
+        }
+        return details;
+    }
+
     /**
      * Get detailed action information for debugging
      */
@@ -633,9 +494,6 @@ export class ActionHandler {
      */
     cleanup() {
         this.clearActionHistory();
-        this.dealerHand = null;
-        this.playerHands = [];
-        this.currentHandIndex = 0;
         console.log('🧹 ActionHandler cleaned up');
     }
-}
\ No newline at end of file
+}
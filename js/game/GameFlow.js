@@ -1,24 +1,16 @@
 /**
  * GameFlow - Manages game sequence, timing, and flow control
- * Extracted from GameController.js for better organization
+ * Drives the headless BlackjackEngine; the TablePresenter animates what the engine emits
  */
 
-import { Hand } from '../modules/Hand.js';
-
 export class GameFlow {
-    constructor(gameState, deck, ui, statistics, rules, cardCounting) {
-        this.gameState = gameState;
-        this.deck = deck;
+    constructor(engine, presenter, ui, statistics, cardCounting) {
+        this.engine = engine;
+        this.presenter = presenter;
         this.ui = ui;
         this.statistics = statistics;
-        this.rules = rules;
         this.cardCounting = cardCounting;
         
-        // Current game references
-        this.dealerHand = null;
-        this.playerHands = [];
-        this.currentHandIndex = 0;
-        
         // Flow control state
         this.isFlowActive = false;
         this.currentSequence = null;
@@ -29,14 +21,13 @@ export class GameFlow {
         this.autoPlayDelay = 1000;
     }
 
-    /**
-     * Update current game references
-     */
-    updateGameRefs(dealerHand, playerHands, currentHandIndex) {
-        this.dealerHand = dealerHand;
-        this.playerHands = playerHands;
-        this.currentHandIndex = currentHandIndex;
-    }
+    // Game objects live in the engine
+    get gameState() { return this.engine.gameState; }
+    get deck() { return this.engine.deck; }
+    get rules() { return this.engine.rules; }
+    get dealerHand() { return this.engine.dealerHand; }
+    get playerHands() { return this.engine.playerHands; }
+    get currentHandIndex() { return this.engine.currentHandIndex; }
 
     /**
      * Initialize a new game session
@@ -45,12 +36,14 @@ export class GameFlow {
         console.log('🆕 Initializing new game session');
         
         try {
-            this.gameState.reset();
+            this.presenter.clear();
             this.statistics.startNewSession();
             
-            // Reset deck and hands
-            this.deck.shuffle();
-            this.resetHands();
+            // Reset state, shoe and hands - a fixed seed reproduces the same shoes every game
+            this.engine.newSession(this.gameState.getSetting('shoeSeed'));
+            await this.presenter.flush();
+            this.updateShoeDisplay();
+            this.updateSideBetCount();
             
             // Update UI
             this.ui.clearAll();
@@ -72,7 +65,7 @@ export class GameFlow {
      * Start the dealing sequence for a new hand
      */
     async startDealingSequence() {
-        if (!this.gameState.isInPhase('waiting') && !this.gameState.isInPhase('finished')) {
+        if (!this.engine.canStartRound()) {
             console.warn('Cannot deal while game is in progress');
             return false;
         }
@@ -80,114 +73,58 @@ export class GameFlow {
         console.log('🎴 Starting dealing sequence');
         
         try {
-            // Check if deck needs reshuffling
-            if (this.deck.needsReshuffle()) {
-                await this.handleDeckReshuffle();
-            }
-
-            // Reset for new hand
-            this.gameState.startNewHand();
-            this.resetHands();
+            this.isFlowActive = true;
+            this.ui.setButtonState('deal-btn', false);
+            
+            // Engine deals (and reshuffles if needed); the presenter plays it back
+            this.engine.startRound(this.gameState.getSpotBets(), this.gameState.getSideBets());
+            await this.presenter.flush();
             
-            // Update to dealing phase
-            this.gameState.setPhase('dealing', 'Cards being dealt');
-            this.ui.updateGamePhase('dealing', 'Dealing Cards');
+            // Side bets are paid on the opening cards, whatever happens to the hand
+            this.settleSideBets(this.engine.sideBetResults);
             
-            // Execute initial deal sequence
-            await this.executeInitialDealSequence();
+            this.isFlowActive = false;
             
-            // Check for immediate results (blackjacks, insurance)
-            await this.checkForImmediateResults();
+            // Blackjacks settle on the deal, otherwise the player's turn begins
+            await this.continueRound();
             
             return true;
         } catch (error) {
             console.error('Error in dealing sequence:', error);
+            this.presenter.clear();
+            this.isFlowActive = false;
             this.ui.hideLoadingOverlay();
             this.ui.showMessage('Error dealing cards. Please try again.', 'error');
+            this.ui.setButtonState('deal-btn', true);
             this.gameState.setPhase('waiting');
             return false;
         }
     }
 
     /**
-     * Execute the initial dealing sequence with proper timing
+     * Pick up the round from wherever the engine is after the last step
      */
-    async executeInitialDealSequence() {
-        this.ui.showLoadingOverlay('Dealing Cards...');
-        this.isFlowActive = true;
-        
-        try {
-            // Deal cards with realistic casino timing
-            await this.dealCardToPlayer(0, true);
-            await this.delay(400);
-            
-            await this.dealCardToDealer(false); // Face down (hole card)
-            await this.delay(400);
-            
-            await this.dealCardToPlayer(0, true);
-            await this.delay(400);
-            
-            await this.dealCardToDealer(true); // Face up
-            await this.delay(200);
-            
-            // Show dealer visible total (face-up card only)
-            try {
-                const upCard = this.dealerHand.cards[1];
-                const visibleTotal = upCard ? upCard.value : '';
-                this.ui.updateDealerTotal(visibleTotal, false);
-            } catch (_) {
-                this.ui.updateDealerTotal('', false);
-            }
-
-            this.ui.hideLoadingOverlay();
-            this.isFlowActive = false;
-        } catch (error) {
-            this.ui.hideLoadingOverlay();
-            this.isFlowActive = false;
-            throw error;
+    async continueRound() {
+        switch (this.gameState.getPhase()) {
+            case 'playing':
+                await this.startPlayerTurn();
+                break;
+            case 'dealer':
+                await this.startDealerTurn();
+                break;
+            case 'finished':
+                await this.executeResultsSequence();
+                break;
         }
     }
 
     /**
-     * Check for immediate results after initial deal
-     */
-    async checkForImmediateResults() {
-        const playerBlackjack = this.playerHands[0].isBlackjack();
-        const dealerUpCard = this.dealerHand.cards[1];
-        const dealerBlackjack = this.dealerHand.isBlackjack();
-        
-        // Check for insurance opportunity first
-        if (dealerUpCard.rank === 'A' && !playerBlackjack) {
-            await this.offerInsurance();
-        }
-
-        if (playerBlackjack && dealerBlackjack) {
-            await this.handleDoubleBlackjack();
-        } else if (playerBlackjack) {
-            await this.handlePlayerBlackjack();
-        } else if (dealerBlackjack) {
-            await this.handleDealerBlackjack();
-        } else {
-            // Normal play begins
-            await this.startPlayerTurn();
-        }
-    }
-
-    /**
-     * Start the player's turn
+     * Start the player's turn on the engine's current hand
      */
     async startPlayerTurn() {
-        this.gameState.setPhase('playing', 'Player\'s turn');
-        this.ui.updateGamePhase('playing', 'Your Turn');
-        
-        this.currentHandIndex = 0;
-        this.ui.highlightCurrentHand(this.currentHandIndex);
-        
         // Enable appropriate actions
         this.enablePlayerActions();
         
-        await this.delay(300);
-        
         // Show strategy hint if enabled
         this.showBasicStrategyHint();
         
@@ -199,119 +136,34 @@ export class GameFlow {
     }
 
     /**
-     * Move to the next hand or start dealer turn
+     * Move on after a hand finished - the engine has already advanced to the next hand or the dealer
      */
     async moveToNextHand() {
-        this.currentHandIndex++;
-        
-        if (this.currentHandIndex >= this.playerHands.length) {
-            // All player hands completed, start dealer turn
-            await this.startDealerTurn();
-        } else {
-            // Move to next hand
-            this.ui.highlightCurrentHand(this.currentHandIndex);
-            this.enablePlayerActions();
-            
-            await this.delay(300);
-            this.showBasicStrategyHint();
-            
-            // Execute auto-play for split hands if enabled
-            if (this.autoPlayEnabled) {
-                await this.delay(this.autoPlayDelay);
-                await this.executeAutoPlay();
-            }
-        }
+        await this.continueRound();
     }
 
     /**
-     * Start the dealer's turn with enhanced presentation
+     * Start the dealer's turn
      */
     async startDealerTurn() {
-        this.gameState.setPhase('dealer', 'Dealer\'s turn');
-        this.ui.updateGamePhase('dealer', 'Dealer\'s Turn');
         this.disablePlayerActions();
         
-        this.ui.showMessage('Dealer reveals hole card...', 'info');
-        await this.delay(1000);
-        
-        // Reveal hole card with dramatic timing
-        await this.ui.revealDealerHoleCard();
-        this.updateDealerTotal();
-        
-        // Update card count for hole card
-        if (this.gameState.getSetting('cardCountingMode')) {
-            this.cardCounting.updateCount(this.dealerHand.cards[0], true);
-            this.statistics.updateCardCount(this.dealerHand.cards[0]);
-            this.updateCardCountingDisplay();
-        }
-        
-        await this.delay(1500);
-        
-        // Execute dealer play sequence
-        await this.executeDealerPlaySequence();
+        this.engine.playDealer();
+        await this.presenter.flush();
         
         // Determine and show results
         await this.executeResultsSequence();
     }
 
     /**
-     * Execute the dealer's play sequence according to rules
-     */
-    async executeDealerPlaySequence() {
-        const dealerValue = this.dealerHand.getValue();
-        
-        if (dealerValue === 21) {
-            this.ui.showMessage('Dealer has 21!', 'info', 2000);
-            return;
-        }
-        
-        // Check if dealer must hit
-        if (this.mustDealerHit()) {
-            this.ui.showMessage('Dealer must hit...', 'info');
-            await this.delay(1000);
-            
-            // Dealer draws cards according to rules
-            while (this.mustDealerHit()) {
-                await this.delay(1200);
-                await this.dealCardToDealer(true);
-                await this.delay(800);
-                
-                const newValue = this.dealerHand.getValue();
-                if (newValue > 21) {
-                    await this.ui.addCardEffect(undefined, 'busted'); // Dealer cards
-                    this.ui.showMessage('Dealer busts!', 'success', 2000);
-                    break;
-                } else if (newValue === 21) {
-                    this.ui.showMessage('Dealer makes 21!', 'info', 1500);
-                    break;
-                }
-            }
-        } else {
-            this.ui.showMessage(`Dealer stands on ${dealerValue}`, 'info', 2000);
-        }
-        
-        await this.delay(2000);
-    }
-
-    /**
-     * Execute the results determination and payout sequence
+     * Record the settled round and close it out
      */
     async executeResultsSequence() {
-        const results = this.calculateHandResults();
-        
-        // Show individual hand results
-        results.hands.forEach((result, index) => {
-            this.ui.showHandResult(index, result.outcome, result.message);
-        });
+        const results = this.engine.roundResults;
         
         // Update statistics
         this.updateGameStatistics(results);
         
-        // Show celebration for big wins
-        if (results.summary.handsWon > 0 && results.summary.totalPayout > results.summary.totalWagered * 1.5) {
-            await this.ui.showResultCelebration('win', 'Great Hand!');
-        }
-        
         // Update UI with results
         this.updateAllDisplays();
         
@@ -324,73 +176,8 @@ export class GameFlow {
      * Handle deck reshuffling
      */
     async handleDeckReshuffle() {
-        this.deck.shuffle();
-        this.ui.showMessage('Reshuffling deck...', 'info', 2000);
-        
-        // Reset card count if in counting mode
-        if (this.gameState.getSetting('cardCountingMode')) {
-            this.cardCounting.reset();
-            this.statistics.resetCardCount();
-            this.updateCardCountingDisplay();
-        }
-        
-        await this.delay(2000);
-    }
-
-    /**
-     * Handle player blackjack
-     */
-    async handlePlayerBlackjack() {
-        await this.delay(500);
-        await this.ui.showResultCelebration('blackjack', 'BLACKJACK!');
-        await this.ui.addCardEffect(0, 'winning');
-        
-        const payout = Math.floor(this.gameState.getCurrentBet() * 1.5); // 3:2 payout
-        this.statistics.updateBank(payout);
-        
-        this.endHandWithResult('blackjack', 'Blackjack! You win!');
-    }
-
-    /**
-     * Handle dealer blackjack
-     */
-    async handleDealerBlackjack() {
-        await this.delay(500);
-        await this.ui.revealDealerHoleCard();
-        this.updateDealerTotal();
-        
-        await this.ui.showResultCelebration('lose', 'Dealer Blackjack');
-        
-        const loss = -this.gameState.getCurrentBet();
-        this.statistics.updateBank(loss);
-        
-        this.endHandWithResult('dealer_blackjack', 'Dealer has blackjack. You lose.');
-    }
-
-    /**
-     * Handle double blackjack (push)
-     */
-    async handleDoubleBlackjack() {
-        await this.delay(500);
-        await this.ui.revealDealerHoleCard();
-        this.updateDealerTotal();
-        
-        await this.ui.showResultCelebration('push', 'Push!');
-        
-        this.endHandWithResult('push', 'Both have blackjack - Push!');
-    }
-
-    /**
-     * Offer insurance when dealer shows Ace
-     */
-    async offerInsurance() {
-        this.ui.showMessage('Dealer showing Ace. Insurance available.', 'info');
-        this.ui.setButtonState('insurance-btn', true);
-        
-        // Auto-timeout insurance offer after 10 seconds
-        setTimeout(() => {
-            this.ui.setButtonState('insurance-btn', false);
-        }, 10000);
+        this.engine.shuffle();
+        await this.presenter.flush();
     }
 
     /**
@@ -400,7 +187,7 @@ export class GameFlow {
         if (!this.autoPlayEnabled || !this.gameState.isInPhase('playing')) return;
         
         const playerHand = this.playerHands[this.currentHandIndex];
-        const dealerUpCard = this.dealerHand.cards[1];
+        const dealerUpCard = this.engine.getDealerUpCard();
         
         // Get optimal action from strategy
         const { StrategyHints } = await import('../modules/StrategyHints.js');
@@ -410,7 +197,8 @@ export class GameFlow {
             playerHand, 
             dealerUpCard, 
             this.canDoubleDown(), 
-            this.canSplit()
+            this.canSplit(),
+            this.canSurrender()
         );
         
         await this.delay(this.autoPlayDelay);
@@ -446,6 +234,12 @@ export class GameFlow {
                 } else {
                     return await this.handlePlayerAction('hit');
                 }
+            case 'Surrender':
+                if (this.canSurrender()) {
+                    return await this.handlePlayerAction('surrender');
+                } else {
+                    return await this.handlePlayerAction('hit');
+                }
             default:
                 return await this.handlePlayerAction('hit');
         }
@@ -456,103 +250,75 @@ export class GameFlow {
      */
     async handlePlayerAction(action) {
         // Delegate to ActionHandler if available via controller-like interface
-        if (typeof this.actionHandler?.executeAction === 'function') {
-            return await this.actionHandler.executeAction(action);
+        if (typeof this.actionHandler?.executeAction !== 'function') {
+            return 'continue';
+        }
+        
+        const result = await this.actionHandler.executeAction(action);
+        if (result === 'complete' || result === 'bust') {
+            await this.moveToNextHand();
         }
-        return 'continue';
+        return result;
     }
 
     /**
      * Calculate results for all hands
      */
     calculateHandResults() {
-        const dealerValue = this.dealerHand.getValue();
-        const dealerBusted = this.dealerHand.isBusted();
-        
-        const results = {
-            hands: [],
-            summary: {
-                totalWagered: 0,
-                totalPayout: 0,
-                handsWon: 0,
-                handsLost: 0,
-                handsPushed: 0
-            }
-        };
-        
-        const baseBet = this.gameState.getCurrentBet() / (this.playerHands.length + (this.playerHands.filter(h => h.isDoubled).length));
-        
-        this.playerHands.forEach((hand, index) => {
-            const playerValue = hand.getValue();
-            const playerBusted = hand.isBusted();
-            const handBet = baseBet * (hand.isDoubled ? 2 : 1);
-            
-            results.summary.totalWagered += handBet;
-            
-            let outcome, message, payout = 0;
-            
-            if (playerBusted) {
-                outcome = 'lose';
-                message = 'Bust - Lose';
-                results.summary.handsLost++;
-            } else if (dealerBusted) {
-                outcome = 'win';
-                message = 'Dealer bust - Win!';
-                payout = handBet * 2; // Return bet + winnings
-                results.summary.handsWon++;
-            } else if (playerValue > dealerValue) {
-                outcome = 'win';
-                message = 'Win!';
-                payout = handBet * 2; // Return bet + winnings
-                results.summary.handsWon++;
-            } else if (playerValue < dealerValue) {
-                outcome = 'lose';
-                message = 'Lose';
-                results.summary.handsLost++;
-            } else {
-                outcome = 'push';
-                message = 'Push';
-                payout = handBet; // Return bet only
-                results.summary.handsPushed++;
-            }
-            
-            results.summary.totalPayout += payout;
-            results.hands.push({ outcome, message, payout, handBet });
-        });
-        
-        return results;
+        return this.engine.calculateResults();
     }
 
     /**
      * Update game statistics after hand completion
      */
     updateGameStatistics(results) {
-        // Record hand data
-        this.statistics.recordHand({
-            playerHands: this.playerHands.map(h => ({ 
-                cards: h.cards, 
-                value: h.getValue(), 
-                busted: h.isBusted(),
-                isDoubled: h.isDoubled,
-                isSplit: h.isSplit
-            })),
-            dealerHand: {
-                cards: this.dealerHand.cards,
-                value: this.dealerHand.getValue(),
-                busted: this.dealerHand.isBusted()
-            },
-            bet: results.summary.totalWagered,
-            payout: results.summary.totalPayout,
-            handsWon: results.summary.handsWon,
-            handsLost: results.summary.handsLost,
-            handsPushed: results.summary.handsPushed
+        const dealerHand = {
+            cards: this.dealerHand.cards,
+            value: this.dealerHand.getValue(),
+            busted: this.dealerHand.isBusted()
+        };
+        const shoe = this.engine.roundShoeState ? { ...this.engine.roundShoeState } : null;
+        const handLog = this.handRecorder?.getCompletedLog();
+        
+        // Each betting spot is recorded as its own hand
+        results.spots.forEach(spotResult => {
+            this.statistics.recordHand({
+                playerHands: this.playerHands.filter(h => h.spot === spotResult.spot).map(h => ({ 
+                    cards: h.cards, 
+                    value: h.getValue(), 
+                    busted: h.isBusted(),
+                    isDoubled: h.isDoubled,
+                    isSplit: h.isSplit,
+                    isSurrendered: h.isSurrendered
+                })),
+                dealerHand,
+                bet: spotResult.totalWagered,
+                initialBet: spotResult.bet,
+                payout: spotResult.totalPayout,
+                handsWon: spotResult.handsWon,
+                handsLost: spotResult.handsLost,
+                handsPushed: spotResult.handsPushed,
+                handsSurrendered: spotResult.handsSurrendered,
+                freeBetsWagered: spotResult.freeBetsWagered,
+                freeBetsWon: spotResult.freeBetsWon,
+                spot: spotResult.spot,
+                spotCount: results.spots.length,
+                shoe,
+                trueCount: handLog?.startCount.true ?? null
+            });
         });
         
+        // Keep the full event log for the replay viewer
+        if (handLog) {
+            this.statistics.recordHandLog(handLog);
+        }
+        
         // Record counting statistics if counting is enabled
         if (this.gameState.getSetting('cardCountingMode')) {
             const result = results.summary.handsWon > 0 ? 'win' : results.summary.handsLost > 0 ? 'loss' : 'push';
             this.statistics.recordCountingHand({
-                trueCount: this.cardCounting.getTrueCount(),
+                trueCount: this.cardCounting.getBettingTrueCount(),
+                countingSystem: this.cardCounting.getCountingSystem().id,
                 betAmount: results.summary.totalWagered,
                 result: result
             });
@@ -560,139 +326,61 @@ export class GameFlow {
             this.cardCounting.recordBet(results.summary.totalWagered);
         }
         
-        // Update bank with net result
-        this.statistics.updateBank(results.summary.totalPayout - results.summary.totalWagered);
-    }
-
-    /**
-     * End current hand
-     */
-    endCurrentHand() {
-        this.gameState.setPhase('finished');
-        this.disablePlayerActions();
-        this.ui.setButtonState('deal-btn', true);
-        
-        // Clear undo history for new hand
-        this.gameState.clearUndoHistory();
-        
-        console.log('🏁 Hand finished');
-    }
-
-    /**
-     * End hand with specific result
-     */
-    endHandWithResult(result, message) {
-        this.ui.showMessage(message, result === 'blackjack' ? 'success' : 'info');
-        this.endCurrentHand();
-    }
-
-    /**
-     * Deal a card to the player with all effects
-     */
-    async dealCardToPlayer(handIndex, faceUp = true) {
-        const card = this.deck.dealCard();
-        this.playerHands[handIndex].addCard(card);
-        
-        // Update card count if in counting mode
-        if (this.gameState.getSetting('cardCountingMode')) {
-            this.cardCounting.updateCount(card, faceUp);
-            this.statistics.updateCardCount(card);
-            this.cardCounting.updateDecksRemaining(this.deck.getDecksRemaining());
+        // Update bank with net result (plus insurance that waited for the dealer's second card)
+        const insuranceNet = results.deferredInsurance?.net ?? 0;
+        if (results.deferredInsurance) {
+            this.statistics.recordInsurance(results.deferredInsurance);
         }
-        
-        const cardElement = await this.ui.addCardToPlayer(card, handIndex, faceUp);
-        
-        // Highlight card for counting practice if enabled
-        if (this.gameState.getSetting('cardCountingMode') && faceUp) {
-            this.ui.highlightCardForCounting(cardElement, this.cardCounting.getHiLoValue(card));
-        }
-        
-        this.updatePlayerTotal(handIndex);
-        this.updateCardCountingDisplay();
-        
-        return card;
+        this.statistics.updateBank(results.summary.totalPayout - results.summary.totalWagered + insuranceNet);
     }
 
     /**
-     * Deal a card to the dealer with all effects
+     * Pay or collect side bets and record them per side bet
      */
-    async dealCardToDealer(faceUp = true) {
-        const card = this.deck.dealCard();
-        this.dealerHand.addCard(card);
-        
-        // Only update count for face-up cards
-        if (faceUp && this.gameState.getSetting('cardCountingMode')) {
-            this.cardCounting.updateCount(card, faceUp);
-            this.statistics.updateCardCount(card);
-            this.cardCounting.updateDecksRemaining(this.deck.getDecksRemaining());
-        }
-        
-        const cardElement = await this.ui.addCardToDealer(card, faceUp);
-        
-        // Highlight card for counting practice if enabled
-        if (this.gameState.getSetting('cardCountingMode') && faceUp) {
-            this.ui.highlightCardForCounting(cardElement, this.cardCounting.getHiLoValue(card));
-        }
+    settleSideBets(sideBetResults) {
+        if (!sideBetResults) return;
         
-        if (faceUp && !this.dealerHand || (faceUp && this.dealerHand.cards.length <= 2)) {
-            // During initial deal, the visible total is managed elsewhere
-        } else if (faceUp) {
-            this.updateDealerTotal();
-        }
-        
-        this.updateCardCountingDisplay();
-        
-        return card;
+        this.statistics.recordSideBets(sideBetResults);
+        this.statistics.updateBank(sideBetResults.net);
     }
 
     /**
-     * Check if dealer must hit according to rules
+     * End current hand (the engine has already settled it)
      */
-    mustDealerHit() {
-        const value = this.dealerHand.getValue();
-        return value < 17 || (value === 17 && this.dealerHand.isSoft() && !this.rules.rules.dealerStandsOnSoft17);
+    endCurrentHand() {
+        this.disablePlayerActions();
+        this.ui.setButtonState('deal-btn', true);
+        this.updateSideBetCount();
+        
+        console.log('🏁 Hand finished');
     }
 
     /**
      * Check if player can double down
      */
     canDoubleDown() {
-        const hand = this.playerHands[this.currentHandIndex];
-        return this.rules.canDoubleDown(hand);
+        return this.engine.canDoubleDown();
     }
 
     /**
      * Check if player can split
      */
     canSplit() {
-        const hand = this.playerHands[this.currentHandIndex];
-        return this.rules.canSplit(hand, this.playerHands.length);
+        return this.engine.canSplit();
+    }
+
+    /**
+     * Check if player can surrender
+     */
+    canSurrender() {
+        return this.engine.canSurrender();
     }
 
     /**
      * Enable player actions based on available options
      */
     enablePlayerActions() {
-        const hand = this.playerHands[this.currentHandIndex];
-        const actions = [];
-
-        if (!hand.isBusted() && hand.getValue() < 21) {
-            actions.push({ action: 'hit', enabled: true });
-        }
-
-        if (!hand.isBusted()) {
-            actions.push({ action: 'stand', enabled: true });
-        }
-
-        if (this.canDoubleDown()) {
-            actions.push({ action: 'doubleDown', enabled: true });
-        }
-
-        if (this.canSplit()) {
-            actions.push({ action: 'split', enabled: true });
-        }
-
-        this.ui.enableGameButtons(actions);
+        this.ui.enableGameButtons(this.engine.getAvailableActions());
     }
 
     /**
@@ -709,7 +397,7 @@ export class GameFlow {
         if (!this.gameState.getSetting('showBasicStrategyHints')) return;
 
         const playerHand = this.playerHands[this.currentHandIndex];
-        const dealerUpCard = this.dealerHand.cards[1];
+        const dealerUpCard = this.engine.getDealerUpCard();
         
         if (playerHand && dealerUpCard) {
             // This would call strategy hints module
@@ -717,15 +405,6 @@ export class GameFlow {
         }
     }
 
-    /**
-     * Reset hands for new game
-     */
-    resetHands() {
-        this.dealerHand = new Hand();
-        this.playerHands = [new Hand()];
-        this.currentHandIndex = 0;
-    }
-
     /**
      * Update player total display
      */
@@ -738,7 +417,8 @@ export class GameFlow {
      * Update dealer total display
      */
     updateDealerTotal() {
-        this.ui.updateDealerTotal(this.dealerHand.getValue(), this.dealerHand.isBusted());
+        // Only what the player can see - the hole card stays hidden until revealed
+        this.ui.updateDealerTotal(this.engine.getDealerVisibleTotal(), this.dealerHand.isBusted());
     }
 
     /**
@@ -749,18 +429,39 @@ export class GameFlow {
             const countData = {
                 running: this.cardCounting.getRunningCount(),
                 true: this.cardCounting.getTrueCount(),
-                decksRemaining: this.deck.getDecksRemaining()
+                decksRemaining: this.deck.getDecksRemaining(),
+                countingSystem: this.cardCounting.getCountingSystem()
             };
             
             this.ui.updateCardCountingDisplay(countData);
         }
     }
 
+    /**
+     * Show whether each offered side bet is worth making from the cards left in the shoe
+     */
+    updateSideBetCount() {
+        if (!this.gameState.getSetting('cardCountingMode')) return;
+        
+        this.ui.updateSideBetCount(this.engine.getSideBetCount());
+    }
+
+    /**
+     * Update seed / shoe / round display
+     */
+    updateShoeDisplay() {
+        this.ui.updateShoeInfo({
+            seed: this.deck.getSeed(),
+            shoeNumber: this.deck.shoeNumber,
+            roundNumber: this.gameState.roundNumber
+        });
+    }
+
     /**
      * Update all UI displays
      */
     updateAllDisplays() {
-        this.updatePlayerTotal(0);
+        this.playerHands.forEach((hand, index) => this.updatePlayerTotal(index));
         this.updateDealerTotal();
         
         const basicStats = this.statistics.getStats();
@@ -772,7 +473,7 @@ export class GameFlow {
             strategyGrade: strategyStats.grade
         });
         
-        this.ui.updateCurrentBet(this.gameState.getCurrentBet());
+        this.ui.updateCurrentBet(this.engine.getRoundWager(this.gameState.getSpotBets()));
         
         if (this.gameState.getSetting('cardCountingMode')) {
             this.updateCardCountingDisplay();
@@ -780,21 +481,10 @@ export class GameFlow {
     }
 
     /**
-     * Enhanced delay with game speed controls
+     * Delay with game speed controls (shared with the presenter)
      */
     delay(baseMs) {
-        const speed = this.gameState.getSetting('gameSpeed');
-        const speedMultipliers = {
-            'instant': 0,
-            'fast': 0.3,
-            'normal': 1,
-            'slow': 2
-        };
-        
-        const multiplier = speedMultipliers[speed] || 1;
-        const actualDelay = Math.round(baseMs * multiplier);
-        
-        return new Promise(resolve => setTimeout(resolve, actualDelay));
+        return this.presenter.delay(baseMs);
     }
 
     /**
@@ -886,9 +576,8 @@ export class GameFlow {
         this.pausedOperations = [];
         this.autoPlayEnabled = false;
         
-        this.dealerHand = null;
-        this.playerHands = [];
-        this.currentHandIndex = 0;
+        this.presenter.clear();
+        this.engine.resetHands();
         
         console.log('🧹 GameFlow cleaned up');
     }
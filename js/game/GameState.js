@@ -3,8 +3,19 @@
  * Extracted from GameController.js for better organization
  */
 
+import { PersistenceSchema, SCHEMA_VERSION } from '../statistics/PersistenceSchema.js';
+import { ProfileManager } from '../statistics/ProfileManager.js';
+
 export class GameState {
-    constructor() {
+    /**
+     * @param {Object} options - { quiet } where quiet suppresses per-hand logging (simulations)
+     */
+    constructor(options = {}) {
+        this.quiet = !!options.quiet;
+        
+        // Settings are saved per player profile
+        this.settingsKey = ProfileManager.getStorageKey('blackjackpro_gamestate');
+        
         // Game phases: 'waiting', 'betting', 'dealing', 'playing', 'dealer', 'finished'
         this.currentPhase = 'waiting';
         this.previousPhase = null;
@@ -12,8 +23,16 @@ export class GameState {
         // Game settings
         this.settings = {
             deckCount: 6,
+            tableRules: 'standard',
+            shoeSeed: null, // null = random seed for each new game
             showBasicStrategyHints: true,
             cardCountingMode: false,
+            countingSystem: 'hi-lo',
+            allowPerfectPairs: false,
+            allow21Plus3: false,
+            spotCount: 1, // Betting spots played each round (1-3)
+            companions: ['', '', ''], // Style of the simulated player in each other seat ('' = empty)
+            playerSeat: 'third', // 'first' or 'third' base
             minimumBet: 5,
             maximumBet: 500,
             gameSpeed: 'normal',
@@ -24,7 +43,9 @@ export class GameState {
         
         // Current game data
         this.currentBet = 25;
+        this.spotBets = [25, 25, 25]; // Spot 1 mirrors currentBet
         this.insuranceBet = 0;
+        this.sideBets = { perfectPairs: 0, twentyOnePlus3: 0, superMatch: 0 };
         this.gameId = null;
         
         // Game history for undo functionality
@@ -57,7 +78,9 @@ export class GameState {
         this.currentPhase = 'waiting';
         this.previousPhase = null;
         this.currentBet = 25;
+        this.spotBets = [25, 25, 25]; // Spot 1 mirrors currentBet
         this.insuranceBet = 0;
+        this.sideBets = { perfectPairs: 0, twentyOnePlus3: 0, superMatch: 0 };
         this.gameId = Date.now();
         this.gameHistory = [];
         this.canUndo = false;
@@ -65,7 +88,7 @@ export class GameState {
         this.handStartTime = null;
         this.roundNumber = 0;
         
-        console.log('🔄 GameState reset for new session');
+        if (!this.quiet) console.log('🔄 GameState reset for new session');
     }
 
     /**
@@ -79,7 +102,7 @@ export class GameState {
         this.canUndo = false;
         this.lastAction = null;
         
-        console.log(`🎴 Starting hand #${this.roundNumber}`);
+        if (!this.quiet) console.log(`🎴 Starting hand #${this.roundNumber}`);
     }
 
     /**
@@ -93,7 +116,7 @@ export class GameState {
         this.previousPhase = this.currentPhase;
         this.currentPhase = newPhase;
         
-        console.log(`🎯 Phase: ${this.previousPhase} → ${newPhase} ${reason ? `(${reason})` : ''}`);
+        if (!this.quiet) console.log(`🎯 Phase: ${this.previousPhase} → ${newPhase} ${reason ? `(${reason})` : ''}`);
         
         // Emit phase change event
         this.emitPhaseChange(newPhase, this.previousPhase, reason);
@@ -162,33 +185,76 @@ export class GameState {
     }
 
     /**
-     * Set current bet amount
+     * Set the bet amount for a spot (spot 0 is the main bet)
      */
-    setBetAmount(amount) {
+    setBetAmount(amount, spot = 0) {
+        if (!(spot >= 0 && spot < this.spotBets.length)) {
+            throw new Error(`Unknown betting spot: ${spot}`);
+        }
+
         const clampedAmount = Math.max(
             this.settings.minimumBet, 
             Math.min(amount, this.settings.maximumBet)
         );
         
-        this.currentBet = clampedAmount;
-        console.log(`💰 Bet set to $${clampedAmount}`);
+        this.spotBets[spot] = clampedAmount;
+        if (spot === 0) {
+            this.currentBet = clampedAmount;
+        }
+        if (!this.quiet) console.log(`💰 Spot ${spot + 1} bet set to $${clampedAmount}`);
         
         return clampedAmount;
     }
 
     /**
-     * Get current bet amount
+     * Get current bet amount (the first spot)
      */
     getCurrentBet() {
         return this.currentBet;
     }
 
+    /**
+     * Get the bet on each spot in play, left to right
+     */
+    getSpotBets() {
+        const spotCount = Math.min(Math.max(1, this.settings.spotCount || 1), this.spotBets.length);
+        return [this.currentBet, ...this.spotBets.slice(1, spotCount)];
+    }
+
+    /**
+     * Total of the main bets across every spot in play
+     */
+    getTotalSpotBet() {
+        return this.getSpotBets().reduce((sum, bet) => sum + bet, 0);
+    }
+
+    /**
+     * Set a side bet amount for the coming rounds (0 = no bet)
+     */
+    setSideBet(type, amount) {
+        if (!this.sideBets.hasOwnProperty(type)) {
+            throw new Error(`Unknown side bet: ${type}`);
+        }
+
+        this.sideBets[type] = Math.max(0, Math.floor(amount) || 0);
+        if (!this.quiet) console.log(`🎲 ${type} side bet set to $${this.sideBets[type]}`);
+        
+        return this.sideBets[type];
+    }
+
+    /**
+     * Get side bet amounts
+     */
+    getSideBets() {
+        return { ...this.sideBets };
+    }
+
     /**
      * Set insurance bet
      */
     setInsuranceBet(amount) {
         this.insuranceBet = amount;
-        console.log(`🛡️ Insurance bet: $${amount}`);
+        if (!this.quiet) console.log(`🛡️ Insurance bet: $${amount}`);
     }
 
     /**
@@ -223,7 +289,7 @@ export class GameState {
         this.canUndo = true;
         this.lastAction = action;
         
-        console.log(`💾 State saved for undo: ${action} (${this.gameHistory.length} states)`);
+        if (!this.quiet) console.log(`💾 State saved for undo: ${action} (${this.gameHistory.length} states)`);
     }
 
     /**
@@ -262,7 +328,7 @@ export class GameState {
         this.gameHistory = [];
         this.canUndo = false;
         this.lastAction = null;
-        console.log('🗑️ Undo history cleared');
+        if (!this.quiet) console.log('🗑️ Undo history cleared');
     }
 
     /**
@@ -275,7 +341,9 @@ export class GameState {
             currentPhase: this.currentPhase,
             previousPhase: this.previousPhase,
             currentBet: this.currentBet,
+            spotBets: [...this.spotBets],
             insuranceBet: this.insuranceBet,
+            sideBets: { ...this.sideBets },
             handStartTime: this.handStartTime,
             canUndo: this.canUndo,
             lastAction: this.lastAction,
@@ -380,24 +448,35 @@ export class GameState {
         return {
             sessionData: this.getSessionData(),
             gameHistory: [...this.gameHistory],
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            schemaVersion: SCHEMA_VERSION
         };
     }
 
     /**
-     * Import state from export
+     * Import state from export (older exports are upgraded first; invalid ones are rejected)
      */
     importState(exportedState) {
         try {
-            if (exportedState.sessionData) {
-                const data = exportedState.sessionData;
+            const { valid, data: upgradedState, errors } = PersistenceSchema.prepare('gameState', exportedState);
+            if (!valid) {
+                console.error(`❌ GameState import rejected:\n${errors.join('\n')}`);
+                return false;
+            }
+            
+            if (upgradedState.sessionData) {
+                const data = upgradedState.sessionData;
                 
                 this.gameId = data.gameId;
                 this.roundNumber = data.roundNumber;
                 this.currentPhase = data.currentPhase;
                 this.previousPhase = data.previousPhase;
                 this.currentBet = data.currentBet;
+                this.spotBets = Array.isArray(data.spotBets)
+                    ? [data.currentBet, ...data.spotBets.slice(1)]
+                    : [data.currentBet, ...this.spotBets.slice(1)];
                 this.insuranceBet = data.insuranceBet;
+                this.sideBets = { ...this.sideBets, ...data.sideBets };
                 this.handStartTime = data.handStartTime;
                 this.canUndo = data.canUndo;
                 this.lastAction = data.lastAction;
@@ -407,8 +486,8 @@ export class GameState {
                 }
             }
             
-            if (exportedState.gameHistory) {
-                this.gameHistory = [...exportedState.gameHistory];
+            if (upgradedState.gameHistory) {
+                this.gameHistory = [...upgradedState.gameHistory];
             }
             
             console.log('📥 GameState imported successfully');
@@ -427,10 +506,11 @@ export class GameState {
             const settingsData = {
                 settings: this.settings,
                 gameId: this.gameId,
-                lastUpdated: new Date().toISOString()
+                lastUpdated: new Date().toISOString(),
+                schemaVersion: SCHEMA_VERSION
             };
             
-            localStorage.setItem('blackjackpro_gamestate', JSON.stringify(settingsData));
+            localStorage.setItem(this.settingsKey, JSON.stringify(settingsData));
         } catch (error) {
             console.warn('⚠️ Failed to save settings:', error);
         }
@@ -441,12 +521,14 @@ export class GameState {
      */
     loadSettings() {
         try {
-            const saved = localStorage.getItem('blackjackpro_gamestate');
+            const saved = localStorage.getItem(this.settingsKey);
             if (saved) {
-                const data = JSON.parse(saved);
-                if (data.settings) {
+                const { valid, data, errors } = PersistenceSchema.prepare('gameSettings', JSON.parse(saved));
+                if (valid) {
                     this.settings = { ...this.settings, ...data.settings };
                     console.log('📋 Settings loaded from storage');
+                } else {
+                    console.warn(`⚠️ Saved settings were not loaded:\n${errors.join('\n')}`);
                 }
             }
         } catch (error) {
@@ -460,8 +542,16 @@ export class GameState {
     resetSettings() {
         this.settings = {
             deckCount: 6,
+            tableRules: 'standard',
+            shoeSeed: null, // null = random seed for each new game
             showBasicStrategyHints: true,
             cardCountingMode: false,
+            countingSystem: 'hi-lo',
+            allowPerfectPairs: false,
+            allow21Plus3: false,
+            spotCount: 1, // Betting spots played each round (1-3)
+            companions: ['', '', ''], // Style of the simulated player in each other seat ('' = empty)
+            playerSeat: 'third', // 'first' or 'third' base
             minimumBet: 5,
             maximumBet: 500,
             gameSpeed: 'normal',
@@ -505,6 +595,9 @@ export class GameState {
      * Emit custom event
      */
     emitEvent(eventName, data) {
+        // Headless runs (Node, workers) have no document to dispatch on
+        if (typeof document === 'undefined') return;
+        
         const event = new CustomEvent(`gameState:${eventName}`, {
             detail: data
         });
@@ -523,7 +616,9 @@ export class GameState {
             },
             betting: {
                 currentBet: this.currentBet,
+                spotBets: this.getSpotBets(),
                 insuranceBet: this.insuranceBet,
+                sideBets: { ...this.sideBets },
                 minBet: this.settings.minimumBet,
                 maxBet: this.settings.maximumBet
             },
@@ -0,0 +1,189 @@
+/**
+ * HandRecorder - Builds a replayable event log for every round the engine plays
+ * Listens to the same engine events as the TablePresenter and keeps, in order, each
+ * card dealt, each player action (with the hint shown and the options available),
+ * splits, Blackjack Switch swaps, undos and the settlement. The count after every step is kept with its own
+ * running count, so logs are complete even when counting practice is switched off.
+ */
+
+export class HandRecorder {
+    /**
+     * @param {BlackjackEngine} engine - engine to record
+     * @param {CardCounting} cardCounting - supplies the counting system for the logged count
+     */
+    constructor(engine, cardCounting) {
+        this.engine = engine;
+        this.cardCounting = cardCounting;
+
+        this.unsubscribers = [];
+        this.currentLog = null;
+        this.pendingHint = null;
+        this.countedDeck = null;
+        this.runningCount = 0;
+
+        this.handlers = {
+            shuffled: () => this.resetCount(),
+            roundStarted: (event) => this.onRoundStarted(event),
+            cardDealt: (event) => this.onCardDealt(event),
+            holeCardRevealed: (event) => this.onHoleCardRevealed(event),
+            actionTaken: (event) => this.onActionTaken(event),
+            handSplit: (event) => this.addEvent('split', { handIndex: event.handIndex, hands: this.serializeHands(event.hands) }),
+            cardsSwitched: (event) => this.addEvent('switch', { handIndex: event.handIndex, hands: this.serializeHands(event.hands) }),
+            stateRestored: (event) => this.addEvent('undo', {
+                action: event.action,
+                handIndex: event.handIndex,
+                hands: this.serializeHands(event.hands)
+            }),
+            insuranceResolved: (event) => this.addEvent('insurance', { bet: event.bet, won: event.won, net: event.net }),
+            roundSettled: (event) => this.onRoundSettled(event)
+        };
+    }
+
+    /**
+     * Subscribe to engine events
+     */
+    attach() {
+        this.detach();
+        this.resetCount();
+        this.unsubscribers = Object.entries(this.handlers).map(([eventName, handler]) =>
+            this.engine.on(eventName, handler)
+        );
+    }
+
+    /**
+     * Unsubscribe from engine events
+     */
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Remember the hint shown for the decision the player is about to make
+     */
+    noteHint(hint) {
+        this.pendingHint = hint ? { action: hint.action, explanation: hint.explanation } : null;
+    }
+
+    /**
+     * Current true count (rounded to a tenth)
+     */
+    getTrueCount() {
+        return this.getCount().true;
+    }
+
+    /**
+     * The log of the last settled round (null while a round is in progress)
+     */
+    getCompletedLog() {
+        return this.currentLog?.results ? this.currentLog : null;
+    }
+
+    // ===== EVENT HANDLERS =====
+
+    onRoundStarted({ roundNumber, spotBets, companions, playerSeat, shoe }) {
+        // A new shoe object (deck count changed) starts its own count
+        if (this.countedDeck !== this.engine.deck) {
+            this.resetCount();
+        }
+
+        this.pendingHint = null;
+        this.currentLog = {
+            roundNumber,
+            timestamp: new Date().toISOString(),
+            shoe: shoe ? { ...shoe } : null,
+            spotBets: [...spotBets],
+            playerSeat,
+            companions: companions.map(({ seat, name, style }) => ({ seat, name, style })),
+            countingSystem: this.cardCounting.getCountingSystem().id,
+            numDecks: this.engine.deck.numDecks,
+            startCount: this.getCount(),
+            events: [],
+            results: null
+        };
+    }
+
+    onCardDealt({ target, handIndex, card, faceUp, decksRemaining }) {
+        if (faceUp) {
+            this.countCard(card);
+        }
+        this.addEvent('deal', {
+            target,
+            handIndex,
+            card: this.serializeCard(card),
+            faceUp
+        }, decksRemaining);
+    }
+
+    onHoleCardRevealed({ card, decksRemaining }) {
+        this.countCard(card);
+        this.addEvent('reveal', { card: this.serializeCard(card) }, decksRemaining);
+    }
+
+    onActionTaken({ action, handIndex }) {
+        // actionTaken fires before the action is applied, so the options are still the ones the player saw
+        const available = this.engine.getAvailableActions().map(option => option.action);
+        this.addEvent('action', { action, handIndex, available, hint: this.pendingHint });
+        this.pendingHint = null;
+    }
+
+    onRoundSettled({ results }) {
+        if (!this.currentLog) return;
+
+        this.addEvent('settled', {});
+        this.currentLog.results = {
+            hands: results.hands.map(({ outcome, message, payout, handBet, spot }) => ({ outcome, message, payout, handBet, spot })),
+            dealer: { ...results.dealer },
+            companions: results.companions.map(({ seat, outcome }) => ({ seat, outcome })),
+            net: results.summary.totalPayout - results.summary.totalWagered
+        };
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Append an event with the count after it
+     */
+    addEvent(type, data, decksRemaining = this.engine.deck.getDecksRemaining()) {
+        if (!this.currentLog) return;
+
+        this.currentLog.events.push({ type, ...data, count: this.getCount(decksRemaining) });
+    }
+
+    /**
+     * Running and true count now
+     */
+    getCount(decksRemaining = this.engine.deck.getDecksRemaining()) {
+        const system = this.cardCounting.getCountingSystem();
+        return {
+            running: this.runningCount,
+            true: Math.round(system.getTrueCount(this.runningCount, decksRemaining) * 10) / 10
+        };
+    }
+
+    /**
+     * Start the count over for a fresh shoe
+     */
+    resetCount() {
+        this.countedDeck = this.engine.deck;
+        this.runningCount = this.cardCounting.getCountingSystem().getInitialRunningCount(this.engine.deck.numDecks);
+    }
+
+    /**
+     * Add a visible card to the running count
+     */
+    countCard(card) {
+        this.runningCount += this.cardCounting.getCountingSystem().getTag(card);
+    }
+
+    /**
+     * Cards are stored as rank and suit only
+     */
+    serializeCard(card) {
+        return { rank: card.rank, suit: card.suit };
+    }
+
+    serializeHands(hands) {
+        return hands.map(hand => ({ spot: hand.spot, cards: hand.cards.map(card => this.serializeCard(card)) }));
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * HandReplay - Steps through a recorded hand (see HandRecorder) on the table UI
+ * Each step is one logged event. The table is rebuilt from the start of the hand up
+ * to the current step, so stepping backward is as cheap as stepping forward. At each
+ * decision the correct play is the hint the player was shown, or basic strategy when
+ * hints were off.
+ */
+
+import { Card } from '../modules/Deck.js';
+import { Hand } from '../modules/Hand.js';
+
+// Engine action names -> hint action names
+const ACTION_NAMES = {
+    hit: 'Hit',
+    stand: 'Stand',
+    double: 'Double Down',
+    split: 'Split',
+    surrender: 'Surrender',
+    switch: 'Switch'
+};
+
+export class HandReplay {
+    /**
+     * @param {StrategyHints} strategyHints - used for decisions recorded without a hint
+     */
+    constructor(strategyHints) {
+        this.strategyHints = strategyHints;
+        this.log = null;
+        this.stepIndex = 0;
+    }
+
+    /**
+     * Load a hand log and go to its first step
+     */
+    load(log) {
+        if (!log?.events?.length) {
+            throw new Error('This hand has no recorded events');
+        }
+        this.log = log;
+        this.stepIndex = 0;
+    }
+
+    /**
+     * Check if a hand is loaded
+     */
+    isActive() {
+        return this.log !== null;
+    }
+
+    /**
+     * Leave the replay
+     */
+    close() {
+        this.log = null;
+        this.stepIndex = 0;
+    }
+
+    getStepCount() {
+        return this.log ? this.log.events.length : 0;
+    }
+
+    canStepBack() {
+        return this.isActive() && this.stepIndex > 0;
+    }
+
+    canStepForward() {
+        return this.isActive() && this.stepIndex < this.getStepCount() - 1;
+    }
+
+    stepForward() {
+        if (this.canStepForward()) this.stepIndex++;
+        return this.getStep();
+    }
+
+    stepBack() {
+        if (this.canStepBack()) this.stepIndex--;
+        return this.getStep();
+    }
+
+    /**
+     * Jump to the next decision the player made (or the last step)
+     */
+    nextDecision() {
+        const events = this.log.events;
+        let index = this.stepIndex + 1;
+        while (index < events.length - 1 && events[index].type !== 'action') {
+            index++;
+        }
+        this.stepIndex = Math.min(index, events.length - 1);
+        return this.getStep();
+    }
+
+    /**
+     * Everything needed to show the current step:
+     * { index, total, event, table, description, decision }
+     * decision is { chosen, correct, explanation, isCorrect } at action steps, otherwise null
+     */
+    getStep() {
+        const event = this.log.events[this.stepIndex];
+        const table = this.buildTable(this.stepIndex);
+
+        return {
+            index: this.stepIndex,
+            total: this.getStepCount(),
+            event,
+            table,
+            description: this.describeEvent(event, table),
+            decision: event.type === 'action' ? this.getDecision(event, table) : null
+        };
+    }
+
+    /**
+     * Table as it stood after the given step. An action step shows the table the
+     * player was looking at when they chose.
+     */
+    buildTable(stepIndex) {
+        const table = {
+            dealerCards: [],
+            hands: this.log.spotBets.map((bet, spot) => ({ spot, cards: [] })),
+            companions: this.log.companions.map(companion => ({ ...companion, cards: [] })),
+            playerSeat: this.log.playerSeat,
+            currentHandIndex: null,
+            count: this.log.events[stepIndex].count
+        };
+
+        for (let i = 0; i <= stepIndex; i++) {
+            const event = this.log.events[i];
+            switch (event.type) {
+                case 'deal': {
+                    const card = this.toCard(event.card);
+                    if (event.target === 'dealer') {
+                        table.dealerCards.push({ card, faceUp: event.faceUp });
+                    } else if (event.target === 'companion') {
+                        table.companions[event.handIndex].cards.push(card);
+                    } else {
+                        table.hands[event.handIndex].cards.push(card);
+                    }
+                    break;
+                }
+                case 'reveal':
+                    table.dealerCards.forEach(dealerCard => {
+                        dealerCard.faceUp = true;
+                    });
+                    break;
+                case 'split':
+                case 'switch':
+                case 'undo':
+                    table.hands = event.hands.map(hand => ({ spot: hand.spot, cards: hand.cards.map(card => this.toCard(card)) }));
+                    table.currentHandIndex = event.handIndex;
+                    break;
+                case 'action':
+                    table.currentHandIndex = event.handIndex;
+                    break;
+            }
+        }
+
+        table.hands = table.hands.map(hand => this.withTotals(hand));
+        table.companions = table.companions.map(companion => this.withTotals(companion));
+        const visibleDealerCards = table.dealerCards.filter(dealerCard => dealerCard.faceUp).map(dealerCard => dealerCard.card);
+        table.dealerTotal = visibleDealerCards.length ? this.toHand(visibleDealerCards).getValue() : '';
+        return table;
+    }
+
+    /**
+     * What the player chose and what they should have played
+     */
+    getDecision(event, table) {
+        const chosen = ACTION_NAMES[event.action] ?? event.action;
+        let correct = event.hint?.action ?? null;
+        let explanation = event.hint?.explanation ?? '';
+
+        // A switch recorded without its hint can't be judged from the chart
+        if (!correct && event.action !== 'switch') {
+            const hand = this.toHand(table.hands[event.handIndex].cards);
+            // Both dealer cards face up before the dealer's turn means Double Exposure: judge against the whole hand
+            const visibleDealerCards = table.dealerCards.filter(dealerCard => dealerCard.faceUp).map(dealerCard => dealerCard.card);
+            const upCard = visibleDealerCards.length === 2 ? this.toHand(visibleDealerCards) : visibleDealerCards[0];
+            if (upCard) {
+                const hint = this.strategyHints.getBasicStrategyHint(
+                    hand,
+                    upCard,
+                    event.available.includes('doubleDown'),
+                    event.available.includes('split'),
+                    event.available.includes('surrender')
+                );
+                correct = hint.action;
+                explanation = hint.explanation;
+            }
+        }
+
+        return { chosen, correct, explanation, isCorrect: !correct || chosen === correct };
+    }
+
+    /**
+     * One line describing a step
+     */
+    describeEvent(event, table) {
+        const handName = (index) => table.hands.length > 1 ? `Hand ${index + 1}` : 'Your hand';
+
+        switch (event.type) {
+            case 'deal': {
+                const card = `${event.card.rank}${event.card.suit}`;
+                if (event.target === 'dealer') {
+                    return event.faceUp ? `Dealer is dealt ${card}` : 'Dealer is dealt the hole card';
+                }
+                if (event.target === 'companion') {
+                    return `${table.companions[event.handIndex].name} (other player) is dealt ${card}`;
+                }
+                return `${handName(event.handIndex)} is dealt ${card}`;
+            }
+            case 'reveal':
+                return `Dealer turns over ${event.card.rank}${event.card.suit}`;
+            case 'action':
+                return `${handName(event.handIndex)}: you chose ${ACTION_NAMES[event.action] ?? event.action}`;
+            case 'split':
+                return `${handName(event.handIndex)} is split`;
+            case 'switch':
+                return `Second cards switched: ${table.hands.map(hand => hand.total).join(' and ')}`;
+            case 'undo':
+                return `Undid ${event.action}`;
+            case 'insurance':
+                return event.won ? `Insurance wins $${event.net}` : `Insurance loses $${event.bet}`;
+            case 'settled':
+                return (this.log.results?.hands ?? []).map(hand => hand.message).join(' • ') || 'Round settled';
+            default:
+                return event.type;
+        }
+    }
+
+    // ===== HELPERS =====
+
+    toCard({ rank, suit }) {
+        return new Card(suit, rank);
+    }
+
+    toHand(cards) {
+        const hand = new Hand();
+        cards.forEach(card => hand.addCard(card));
+        return hand;
+    }
+
+    withTotals(seat) {
+        const hand = this.toHand(seat.cards);
+        return { ...seat, total: seat.cards.length ? hand.getValue() : '', busted: hand.isBusted() };
+    }
+}
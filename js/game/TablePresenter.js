@@ -0,0 +1,381 @@
+/**
+ * TablePresenter - Renders BlackjackEngine events on the table UI
+ * The engine runs synchronously; its events are queued here and played back
+ * in order with casino timing, card counting updates and effects.
+ */
+
+export class TablePresenter {
+    constructor(engine, ui, statistics, cardCounting) {
+        this.engine = engine;
+        this.ui = ui;
+        this.statistics = statistics;
+        this.cardCounting = cardCounting;
+
+        this.queue = [];
+        this.flushPromise = null;
+        this.unsubscribers = [];
+
+        this.handlers = {
+            shuffled: (event) => this.onShuffled(event),
+            roundStarted: (event) => this.onRoundStarted(event),
+            cardDealt: (event) => this.onCardDealt(event),
+            initialDealComplete: (event) => this.onInitialDealComplete(event),
+            sideBetsResolved: (event) => this.onSideBetsResolved(event),
+            insuranceOffered: (event) => this.onInsuranceOffered(event),
+            insuranceResolved: (event) => this.onInsuranceResolved(event),
+            playerTurn: (event) => this.onPlayerTurn(event),
+            handSplit: (event) => this.onHandSplit(event),
+            cardsSwitched: (event) => this.onCardsSwitched(event),
+            handCompleted: (event) => this.onHandCompleted(event),
+            companionFinished: (event) => this.onCompanionFinished(event),
+            dealerTurn: (event) => this.onDealerTurn(event),
+            holeCardRevealed: (event) => this.onHoleCardRevealed(event),
+            dealerFinished: (event) => this.onDealerFinished(event),
+            roundSettled: (event) => this.onRoundSettled(event),
+            stateRestored: (event) => this.onStateRestored(event)
+        };
+    }
+
+    get gameState() {
+        return this.engine.gameState;
+    }
+
+    /**
+     * Subscribe to engine events
+     */
+    attach() {
+        this.detach();
+        this.unsubscribers = Object.entries(this.handlers).map(([eventName, handler]) =>
+            this.engine.on(eventName, (payload) => this.queue.push({ handler, payload }))
+        );
+    }
+
+    /**
+     * Unsubscribe from engine events
+     */
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Play back every queued event in order (concurrent callers share one playback)
+     */
+    flush() {
+        if (!this.flushPromise) {
+            this.flushPromise = this.playQueue().finally(() => {
+                this.flushPromise = null;
+            });
+        }
+        return this.flushPromise;
+    }
+
+    async playQueue() {
+        while (this.queue.length > 0) {
+            const { handler, payload } = this.queue.shift();
+            await handler(payload);
+        }
+    }
+
+    /**
+     * Drop pending events (e.g. after an error)
+     */
+    clear() {
+        this.queue = [];
+    }
+
+    // ===== EVENT HANDLERS =====
+
+    async onShuffled({ newSession }) {
+        // The count follows the shoe's composition (Spanish 21 decks have no 10s)
+        this.cardCounting.setRemovedRanks(this.engine.deck.removedRanks);
+        
+        // Card counting always restarts with a fresh shoe
+        if (this.gameState.getSetting('cardCountingMode')) {
+            this.cardCounting.reset();
+            this.statistics.resetCardCount();
+            this.updateCardCountingDisplay();
+        }
+
+        if (!newSession) {
+            this.ui.showMessage('Reshuffling deck...', 'info', 2000);
+            await this.delay(2000);
+        }
+    }
+
+    async onRoundStarted({ roundNumber, spotBets, companions, playerSeat }) {
+        this.ui.clearDealer();
+        this.ui.clearPlayer();
+        this.ui.showCompanionSeats(companions, playerSeat);
+        if (spotBets.length > 1) {
+            // One container per betting spot, dealt left to right
+            this.ui.showSplitHands(spotBets.map((bet, spot) => ({ spot })));
+        }
+        this.ui.updateShoeInfo({
+            seed: this.engine.deck.getSeed(),
+            shoeNumber: this.engine.deck.shoeNumber,
+            roundNumber
+        });
+        this.ui.updateGamePhase('dealing', 'Dealing Cards');
+        this.ui.showLoadingOverlay('Dealing Cards...');
+    }
+
+    async onCardDealt(event) {
+        const { target, handIndex, card, faceUp, exposed, total, busted, phase } = event;
+
+        // Dealer draws get a dramatic pause before each card
+        if (target === 'dealer' && phase === 'dealer') {
+            await this.delay(1200);
+        }
+
+        // Only face-up cards are counted
+        if (faceUp && this.gameState.getSetting('cardCountingMode')) {
+            this.cardCounting.updateCount(card, faceUp);
+            this.statistics.updateCardCount(card, this.cardCounting.getCardValue(card));
+            this.cardCounting.updateDecksRemaining(event.decksRemaining);
+        }
+
+        let cardElement;
+        if (target === 'dealer') {
+            cardElement = await this.ui.addCardToDealer(card, faceUp, exposed);
+        } else if (target === 'companion') {
+            cardElement = await this.ui.addCardToCompanion(card, handIndex);
+        } else {
+            cardElement = await this.ui.addCardToPlayer(card, handIndex, faceUp);
+        }
+
+        // Highlight card for counting practice if enabled
+        if (faceUp && this.gameState.getSetting('cardCountingMode')) {
+            this.ui.highlightCardForCounting(cardElement, this.cardCounting.getCardValue(card));
+        }
+
+        if (target === 'dealer') {
+            this.ui.updateDealerTotal(total, busted);
+        } else if (target === 'companion') {
+            this.ui.updateCompanionTotal(handIndex, total, busted);
+        } else {
+            this.ui.updatePlayerTotal(total, busted, handIndex);
+        }
+        this.updateCardCountingDisplay();
+
+        await this.delay(phase === 'dealer' ? 800 : phase === 'dealing' ? 400 : 300);
+    }
+
+    async onInitialDealComplete() {
+        this.ui.hideLoadingOverlay();
+    }
+
+    async onSideBetsResolved({ bets }) {
+        this.ui.showSideBetResults(bets);
+
+        const winners = bets.filter(bet => bet.outcome);
+        if (winners.length > 0) {
+            const summary = winners.map(bet => `${bet.name}: ${bet.label} pays $${bet.net}`).join(' • ');
+            this.ui.showMessage(summary, 'success', 3000);
+            await this.delay(1500);
+        }
+    }
+
+    async onInsuranceOffered() {
+        this.ui.showMessage('Dealer showing Ace. Insurance available.', 'info');
+        this.ui.setButtonState('insurance-btn', true);
+
+        // Auto-timeout insurance offer after 10 seconds
+        setTimeout(() => {
+            this.ui.setButtonState('insurance-btn', false);
+        }, 10000);
+    }
+
+    async onInsuranceResolved({ bet, won, net }) {
+        this.ui.setButtonState('insurance-btn', false);
+        if (won) {
+            this.ui.showMessage(`Insurance pays $${net}!`, 'success', 3000);
+        } else {
+            this.ui.showMessage(`Insurance bet of $${bet} lost`, 'error', 2000);
+        }
+    }
+
+    async onPlayerTurn({ handIndex }) {
+        this.ui.updateGamePhase('playing', 'Your Turn');
+        this.ui.highlightCurrentHand(handIndex);
+        await this.delay(300);
+    }
+
+    async onHandSplit({ hands }) {
+        await this.redrawHands(hands);
+
+        this.ui.showMessage('Hand split! Continue with first hand.', 'info', 2000);
+        await this.delay(300);
+    }
+
+    async onCardsSwitched({ hands }) {
+        await this.redrawHands(hands);
+
+        this.ui.showMessage('Second cards switched!', 'info', 2000);
+        await this.delay(300);
+    }
+
+    /**
+     * Rebuild each hand inside its own container
+     */
+    async redrawHands(hands) {
+        this.ui.showSplitHands(hands);
+
+        for (let handIndex = 0; handIndex < hands.length; handIndex++) {
+            for (const card of hands[handIndex].cards) {
+                await this.ui.addCardToPlayer(card, handIndex, true);
+            }
+            this.ui.updatePlayerTotal(hands[handIndex].total, hands[handIndex].busted, handIndex);
+        }
+    }
+
+    async onHandCompleted({ handIndex, reason }) {
+        if (reason === 'bust') {
+            this.ui.addCardEffect(handIndex, 'busted');
+            this.ui.showMessage('Bust!', 'error', 2000);
+            await this.delay(1000);
+        } else if (reason === '21') {
+            this.ui.addCardEffect(handIndex, 'winning');
+            this.ui.showMessage('21!', 'success', 1500);
+            await this.delay(1000);
+        } else if (reason === 'charlie') {
+            this.ui.addCardEffect(handIndex, 'winning');
+            this.ui.showMessage(`${this.engine.rules.rules.charlieCards}-card Charlie!`, 'success', 1500);
+            await this.delay(1000);
+        } else if (reason === 'double') {
+            await this.delay(1500);
+        }
+    }
+
+    async onCompanionFinished({ name, total, busted, isDoubled }) {
+        const action = busted ? 'busts' : isDoubled ? `doubles to ${total}` : `stands on ${total}`;
+        this.ui.showMessage(`${name} ${action}`, 'info', 1200);
+        await this.delay(500);
+    }
+
+    async onDealerTurn() {
+        this.ui.updateGamePhase('dealer', 'Dealer\'s Turn');
+        this.ui.disableGameButtons();
+        this.ui.showMessage(
+            this.engine.isNoHoleCard() ? 'Dealer draws second card...' : 'Dealer reveals hole card...',
+            'info'
+        );
+        await this.delay(1000);
+    }
+
+    async onHoleCardRevealed({ card, total, busted, phase }) {
+        await this.ui.revealDealerHoleCard();
+        this.ui.updateDealerTotal(total, busted);
+
+        // Update card count for hole card
+        if (this.gameState.getSetting('cardCountingMode')) {
+            this.cardCounting.updateCount(card, true);
+            this.statistics.updateCardCount(card);
+            this.updateCardCountingDisplay();
+        }
+
+        await this.delay(phase === 'dealer' ? 1500 : 500);
+    }
+
+    async onDealerFinished({ total, busted, blackjack, cardsDrawn }) {
+        if (busted) {
+            await this.ui.addCardEffect(undefined, 'busted'); // Dealer cards
+            this.ui.showMessage('Dealer busts!', 'success', 2000);
+        } else if (total === 21) {
+            this.ui.showMessage(blackjack || cardsDrawn === 0 ? 'Dealer has 21!' : 'Dealer makes 21!', 'info', 2000);
+        } else {
+            this.ui.showMessage(`Dealer stands on ${total}`, 'info', 2000);
+        }
+
+        await this.delay(2000);
+    }
+
+    async onRoundSettled({ results, immediate }) {
+        this.ui.hideLoadingOverlay();
+
+        results.companions.forEach(({ seat, outcome }) => this.ui.showCompanionResult(seat, outcome));
+
+        results.hands.forEach((result, index) => {
+            this.ui.showHandResult(index, result.outcome, result.message);
+        });
+
+        if (immediate) {
+            // Round decided on the deal - announce the blackjack
+            const [hand] = results.hands;
+            if (hand.outcome === 'blackjack') {
+                await this.ui.showResultCelebration('blackjack', 'BLACKJACK!');
+                for (let index = 0; index < results.hands.length; index++) {
+                    await this.ui.addCardEffect(index, 'winning');
+                }
+            } else if (hand.outcome === 'push') {
+                await this.ui.showResultCelebration('push', 'Push!');
+            } else {
+                await this.ui.showResultCelebration('lose', 'Dealer Blackjack');
+            }
+            this.ui.showMessage(hand.message, hand.outcome === 'blackjack' ? 'success' : 'info');
+        } else if (results.summary.handsWon > 0 && results.summary.totalPayout > results.summary.totalWagered * 1.5) {
+            // Show celebration for big wins
+            await this.ui.showResultCelebration('win', 'Great Hand!');
+        }
+    }
+
+    async onStateRestored({ handIndex, hands, dealerCards }) {
+        this.ui.clearPlayer();
+        this.ui.clearDealer();
+
+        if (hands.length > 1) {
+            this.ui.showSplitHands(hands);
+        }
+
+        // Redraw cards
+        for (let index = 0; index < hands.length; index++) {
+            for (const card of hands[index].cards) {
+                await this.ui.addCardToPlayer(card, index, true);
+            }
+            this.ui.updatePlayerTotal(hands[index].total, hands[index].busted, index);
+        }
+
+        const exposed = this.engine.isDoubleExposure();
+        for (let i = 0; i < dealerCards.length; i++) {
+            // Only second card is face up before the dealer's turn (no hole card: the only card is up; Double Exposure: both are)
+            await this.ui.addCardToDealer(dealerCards[i], i === 1 || exposed || this.engine.isNoHoleCard(), i === 0 && exposed);
+        }
+        this.ui.updateDealerTotal(this.engine.getDealerVisibleTotal(), false);
+
+        this.ui.highlightCurrentHand(handIndex);
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Update card counting display
+     */
+    updateCardCountingDisplay() {
+        if (this.gameState.getSetting('cardCountingMode')) {
+            this.ui.updateCardCountingDisplay({
+                running: this.cardCounting.getRunningCount(),
+                true: this.cardCounting.getTrueCount(),
+                decksRemaining: this.engine.deck.getDecksRemaining(),
+                countingSystem: this.cardCounting.getCountingSystem()
+            });
+        }
+    }
+
+    /**
+     * Enhanced delay with game speed controls
+     */
+    delay(baseMs) {
+        const speed = this.gameState.getSetting('gameSpeed');
+        const speedMultipliers = {
+            'instant': 0,
+            'fast': 0.3,
+            'normal': 1,
+            'slow': 2
+        };
+
+        const multiplier = speedMultipliers[speed] ?? 1;
+        const actualDelay = Math.round(baseMs * multiplier);
+
+        return new Promise(resolve => setTimeout(resolve, actualDelay));
+    }
+}
@@ -1,23 +1,55 @@
 /**
- * Card Counting Module - Comprehensive Hi-Lo counting system
- * Handles running count, true count, betting recommendations, and practice mode
+ * Card Counting Module - Running and true counts for any registered CountingSystem
+ * Handles running count, true count, betting recommendations, and practice mode.
+ * Bet ramps, index plays and the advantage model are expressed in Hi-Lo true counts,
+ * so other systems are converted with CountingSystem.toHiLoScale() before use.
  */
 
+import { CountingSystem } from './CountingSystem.js';
+import { IndexPlays } from './IndexPlays.js';
+import { ProfileManager } from '../statistics/ProfileManager.js';
+import { DataCodec } from '../statistics/DataCodec.js';
+
 export class CardCounting {
-    constructor() {
+    /**
+     * @param {Object} options - { quiet, system, indexPlays } where quiet suppresses per-card logging
+     *   (simulations), system is a CountingSystem id (default Hi-Lo) and indexPlays replaces the
+     *   default index play entries
+     */
+    constructor(options = {}) {
+        this.quiet = !!options.quiet;
+        // Own key: DataPersistence keeps the counting analytics, compressed, under blackjackpro_counting
+        this.storageKey = ProfileManager.getStorageKey('blackjackpro_counting_practice');
+        this.legacyStorageKey = ProfileManager.getStorageKey('blackjackpro_counting');
+        this.system = CountingSystem.get(options.system);
+        this.indexPlays = new IndexPlays();
+        if (options.indexPlays) {
+            this.indexPlays.setEntries(options.indexPlays);
+        }
         this.isEnabled = false;
         this.practiceMode = false;
         this.showCountHints = true;
         this.showCardValues = false;
         
-        // Hi-Lo counting system
-        this.runningCount = 0;
+        // Counts for the selected system; bettingTrueCount is ace-adjusted and on the Hi-Lo scale
+        this.totalDecks = 6;
+        this.runningCount = this.system.getInitialRunningCount(this.totalDecks);
         this.trueCount = 0;
+        this.bettingTrueCount = 0;
         this.decksRemaining = 6;
-        this.totalDecks = 6;
         this.cardsDealt = 0;
         this.penetration = 0;
         
+        // Ranks missing from every deck (the 10s in Spanish 21); the count is adjusted so it stays balanced
+        this.removedRanks = [];
+        
+        // Player advantage (%) = base + perCount * TC; rule of thumb until replaced by simulation results
+        this.advantageModel = {
+            baseAdvantage: -0.5,
+            advantagePerCount: 0.5,
+            source: 'rule-of-thumb'
+        };
+        
         // Practice mode tracking
         this.practiceCount = 0;
         this.playerEstimate = 0;
@@ -55,6 +87,7 @@ export class CardCounting {
             console.log('🧮 Initializing Card Counting module...');
             
             this.loadCountingData();
+            this.indexPlays.load();
             this.resetSession();
             
             this.isInitialized = true;
@@ -91,22 +124,73 @@ export class CardCounting {
         }
     }
 
+    /**
+     * Select the counting system; the count restarts because tags aren't comparable
+     */
+    setCountingSystem(systemId) {
+        this.system = CountingSystem.get(systemId);
+        this.reset();
+        console.log(`🧮 Counting system: ${this.system.name}`);
+    }
+
+    /**
+     * Get the active counting system
+     */
+    getCountingSystem() {
+        return this.system;
+    }
+
     /**
      * Set total number of decks
      */
     setTotalDecks(decks) {
         this.totalDecks = decks;
         this.decksRemaining = decks;
+        
+        // Unbalanced systems start below zero by an amount that depends on the shoe size
+        if (this.cardsDealt === 0) {
+            this.runningCount = this.system.getInitialRunningCount(decks);
+        }
         this.calculateTrueCount();
         console.log(`🎴 Total decks set to: ${decks}`);
     }
 
+    /**
+     * Count a shoe with ranks removed from every deck (['10'] for Spanish 21).
+     * Without its 10s a deck no longer counts out to zero, so the running count
+     * drifts upward as cards are dealt; getDeckAdjustment() takes the drift back out.
+     */
+    setRemovedRanks(ranks = []) {
+        if ([...ranks].sort().join() === [...this.removedRanks].sort().join()) return;
+        
+        this.removedRanks = [...ranks];
+        this.reset();
+        console.log(`🎴 Counting ${this.getCardsPerDeck()}-card decks${ranks.length ? ` (no ${ranks.join(', ')})` : ''}`);
+    }
+
+    /**
+     * Cards in one deck of the shoe being counted
+     */
+    getCardsPerDeck() {
+        return 52 - 4 * this.removedRanks.length;
+    }
+
+    /**
+     * Running count correction for removed ranks: the removed cards' tags, pro rata
+     * for the cards dealt so far (Hi-Lo without 10s: -4 per deck dealt)
+     */
+    getDeckAdjustment() {
+        const removedPerDeck = this.removedRanks.reduce((sum, rank) => sum + 4 * this.system.getTag(rank), 0);
+        return removedPerDeck * this.cardsDealt / this.getCardsPerDeck();
+    }
+
     /**
      * Reset counting session
      */
     reset() {
-        this.runningCount = 0;
+        this.runningCount = this.system.getInitialRunningCount(this.totalDecks);
         this.trueCount = 0;
+        this.bettingTrueCount = 0;
         this.decksRemaining = this.totalDecks;
         this.cardsDealt = 0;
         this.penetration = 0;
@@ -115,7 +199,7 @@ export class CardCounting {
         this.tensCount = 0;
         this.countHistory = [];
         
-        console.log('🔄 Card count reset');
+        if (!this.quiet) console.log('🔄 Card count reset');
     }
 
     /**
@@ -143,8 +227,8 @@ export class CardCounting {
     updateCount(card, isVisible = true) {
         if (!this.isEnabled || !isVisible) return;
 
-        const hiLoValue = this.getHiLoValue(card);
-        this.runningCount += hiLoValue;
+        const countValue = this.getCardValue(card);
+        this.runningCount += countValue;
         this.cardsDealt++;
         
         // Update side counts
@@ -158,9 +242,10 @@ export class CardCounting {
         // Track count history
         this.countHistory.push({
             card: card.toString(),
-            hiLoValue,
+            countValue,
             runningCount: this.runningCount,
             trueCount: this.trueCount,
+            bettingTrueCount: this.bettingTrueCount,
             timestamp: Date.now()
         });
         
@@ -168,17 +253,14 @@ export class CardCounting {
         this.sessionStats.maxCount = Math.max(this.sessionStats.maxCount, this.runningCount);
         this.sessionStats.minCount = Math.min(this.sessionStats.minCount, this.runningCount);
         
-        console.log(`🧮 Count updated: RC=${this.runningCount}, TC=${this.trueCount.toFixed(1)}, Card=${card.toString()}`);
+        if (!this.quiet) console.log(`🧮 Count updated: RC=${this.runningCount}, TC=${this.trueCount.toFixed(1)}, Card=${card.toString()}`);
     }
 
     /**
-     * Get Hi-Lo value for a card
+     * Get the active system's tag for a card
      */
-    getHiLoValue(card) {
-        if (['2', '3', '4', '5', '6'].includes(card.rank)) return 1;
-        if (['7', '8', '9'].includes(card.rank)) return 0;
-        if (['10', 'J', 'Q', 'K', 'A'].includes(card.rank)) return -1;
-        return 0;
+    getCardValue(card) {
+        return this.system.getTag(card);
     }
 
     /**
@@ -194,27 +276,30 @@ export class CardCounting {
      * Calculate decks remaining
      */
     calculateDecksRemaining() {
-        const cardsRemaining = (52 * this.totalDecks) - this.cardsDealt;
-        this.decksRemaining = Math.max(0.5, cardsRemaining / 52);
+        const cardsPerDeck = this.getCardsPerDeck();
+        const cardsRemaining = (cardsPerDeck * this.totalDecks) - this.cardsDealt;
+        this.decksRemaining = Math.max(0.5, cardsRemaining / cardsPerDeck);
     }
 
     /**
      * Calculate penetration percentage
      */
     calculatePenetration() {
-        const totalCards = 52 * this.totalDecks;
+        const totalCards = this.getCardsPerDeck() * this.totalDecks;
         this.penetration = (this.cardsDealt / totalCards) * 100;
     }
 
     /**
-     * Calculate true count
+     * Calculate true count, plus the ace-adjusted Hi-Lo scale count used for betting
+     * (both from the running count corrected for any removed ranks)
      */
     calculateTrueCount() {
-        if (this.decksRemaining > 0) {
-            this.trueCount = this.runningCount / this.decksRemaining;
-        } else {
-            this.trueCount = 0;
-        }
+        const runningCount = this.runningCount + this.getDeckAdjustment();
+        this.trueCount = this.system.getTrueCount(runningCount, this.decksRemaining);
+        
+        const aceAdjustment = this.system.getAceAdjustment(this.acesCount, this.cardsDealt, this.getCardsPerDeck());
+        const adjustedTrueCount = this.system.getTrueCount(runningCount + aceAdjustment, this.decksRemaining);
+        this.bettingTrueCount = this.system.toHiLoScale(adjustedTrueCount);
     }
 
     /**
@@ -231,7 +316,7 @@ export class CardCounting {
      * Get betting recommendation based on true count
      */
     getBettingRecommendation(baseBet = 25, bankroll = 1000, riskLevel = 'moderate') {
-        const tc = this.trueCount;
+        const tc = this.bettingTrueCount;
         
         // Conservative betting strategy
         const conservativeSpread = {
@@ -259,9 +344,10 @@ export class CardCounting {
 
         const spread = riskLevel === 'aggressive' ? aggressiveSpread : conservativeSpread;
         
-        // Find appropriate bet size
+        // Find appropriate bet size (thresholds sorted numerically - object key order puts negatives last)
         let betSize = baseBet;
-        for (const [countThreshold, betAmount] of Object.entries(spread)) {
+        const thresholds = Object.entries(spread).sort(([a], [b]) => parseFloat(a) - parseFloat(b));
+        for (const [countThreshold, betAmount] of thresholds) {
             if (tc >= parseFloat(countThreshold)) {
                 betSize = betAmount;
             }
@@ -286,9 +372,27 @@ export class CardCounting {
      * Calculate player advantage based on true count
      */
     calculateAdvantage() {
-        const baseAdvantage = -0.5; // House edge with basic strategy
-        const advantagePerCount = 0.5; // Approximate advantage gain per true count
-        return baseAdvantage + (this.trueCount * advantagePerCount);
+        const { baseAdvantage, advantagePerCount } = this.advantageModel;
+        return baseAdvantage + (this.bettingTrueCount * advantagePerCount);
+    }
+
+    /**
+     * Replace the advantage model, e.g. with the fit measured by MonteCarloSimulator
+     */
+    setAdvantageModel({ baseAdvantage, advantagePerCount, source = 'custom' }) {
+        if (!Number.isFinite(baseAdvantage) || !Number.isFinite(advantagePerCount)) {
+            throw new Error('Advantage model needs numeric baseAdvantage and advantagePerCount');
+        }
+        
+        this.advantageModel = { baseAdvantage, advantagePerCount, source };
+        console.log(`📈 Advantage model: ${baseAdvantage.toFixed(2)}% + ${advantagePerCount.toFixed(2)}% per TC (${source})`);
+    }
+
+    /**
+     * Get the current advantage model
+     */
+    getAdvantageModel() {
+        return { ...this.advantageModel };
     }
 
     /**
@@ -310,7 +414,7 @@ export class CardCounting {
      */
     getConfidenceLevel() {
         const penetrationFactor = Math.min(1, this.penetration / 50); // Higher confidence with more penetration
-        const countMagnitude = Math.abs(this.trueCount);
+        const countMagnitude = Math.abs(this.bettingTrueCount);
         const confidenceScore = (penetrationFactor * 0.7) + (Math.min(countMagnitude / 5, 1) * 0.3);
         
         if (confidenceScore > 0.8) return 'high';
@@ -335,55 +439,23 @@ export class CardCounting {
 
     /**
      * Get index play recommendation for strategy deviations
-     */
-    getIndexPlayRecommendation(playerHand, dealerUpCard) {
-        const tc = this.trueCount;
-        const playerTotal = playerHand.getValue();
-        const dealerRank = dealerUpCard.rank;
-        
-        // Common index plays based on true count
-        const indexPlays = [
-            {
-                condition: () => playerTotal === 16 && dealerRank === '10' && tc >= 0,
-                action: 'Stand',
-                reason: 'Stand 16 vs 10 when TC ≥ 0'
-            },
-            {
-                condition: () => playerTotal === 15 && dealerRank === '10' && tc >= 4,
-                action: 'Stand',
-                reason: 'Stand 15 vs 10 when TC ≥ +4'
-            },
-            {
-                condition: () => playerTotal === 12 && dealerRank === '2' && tc >= 3,
-                action: 'Stand',
-                reason: 'Stand 12 vs 2 when TC ≥ +3'
-            },
-            {
-                condition: () => playerTotal === 12 && dealerRank === '3' && tc >= 2,
-                action: 'Stand',
-                reason: 'Stand 12 vs 3 when TC ≥ +2'
-            },
-            {
-                condition: () => playerTotal === 11 && dealerRank === 'A' && tc >= 1,
-                action: 'Double Down',
-                reason: 'Double 11 vs A when TC ≥ +1'
-            },
-            {
-                condition: () => dealerRank === 'A' && tc >= 3,
-                action: 'Take Insurance',
-                reason: 'Take insurance when TC ≥ +3'
-            }
-        ];
-
-        for (const play of indexPlays) {
-            if (play.condition()) {
-                return {
-                    hasDeviation: true,
-                    action: play.action,
-                    reason: play.reason,
-                    confidence: this.getConfidenceLevel()
-                };
-            }
+     * @param {Object} options - { canDouble, canSplit, canSurrender, canTakeInsurance, dealerHitsSoft17, basicAction }
+     *   (see IndexPlays.findPlay); basicAction suppresses deviations that match the chart
+     */
+    getIndexPlayRecommendation(playerHand, dealerUpCard, options = {}) {
+        // Indices are Hi-Lo numbers; the ace side count only adjusts betting
+        const tc = this.system.toHiLoScale(this.trueCount);
+        const play = this.indexPlays.findPlay(playerHand, dealerUpCard, tc, options);
+
+        if (play) {
+            return {
+                hasDeviation: true,
+                action: play.action,
+                reason: IndexPlays.describe(play.entry),
+                index: play.entry.index,
+                set: play.entry.set,
+                confidence: this.getConfidenceLevel()
+            };
         }
 
         return {
@@ -394,6 +466,13 @@ export class CardCounting {
         };
     }
 
+    /**
+     * Get the editable index play table
+     */
+    getIndexPlays() {
+        return this.indexPlays;
+    }
+
     /**
      * Record player's count estimate for practice mode
      */
@@ -496,7 +575,7 @@ export class CardCounting {
         }
 
         // Count-based suggestions
-        if (Math.abs(this.trueCount) > 4) {
+        if (Math.abs(this.bettingTrueCount) > 4) {
             suggestions.push({
                 type: 'count',
                 level: 'medium',
@@ -513,8 +592,11 @@ export class CardCounting {
     getCountingStats() {
         return {
             // Current state
+            countingSystem: { id: this.system.id, name: this.system.name, balanced: this.system.balanced },
             runningCount: this.runningCount,
+            deckAdjustment: parseFloat(this.getDeckAdjustment().toFixed(1)),
             trueCount: parseFloat(this.trueCount.toFixed(1)),
+            bettingTrueCount: this.getBettingTrueCount(),
             decksRemaining: parseFloat(this.decksRemaining.toFixed(1)),
             penetration: parseFloat(this.penetration.toFixed(1)),
             
@@ -552,7 +634,7 @@ export class CardCounting {
         // Simple correlation calculation
         // This would ideally use Pearson correlation coefficient
         const recentBets = this.bettingHistory.slice(-10);
-        const correspondingCounts = this.countHistory.slice(-10).map(h => h.trueCount);
+        const correspondingCounts = this.countHistory.slice(-10).map(h => h.bettingTrueCount);
         
         let correlation = 0;
         for (let i = 0; i < Math.min(recentBets.length, correspondingCounts.length); i++) {
@@ -611,21 +693,32 @@ export class CardCounting {
                 lastSaved: new Date().toISOString()
             };
             
-            localStorage.setItem('blackjackpro_counting', JSON.stringify(data));
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
         } catch (error) {
             console.warn('⚠️ Failed to save counting data:', error);
         }
     }
 
+    /**
+     * Saved practice data, or null. Data saved before it had its own key is read from the shared
+     * key unless an autosave has since replaced it with the counting analytics.
+     */
+    readSavedData() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved) return JSON.parse(saved);
+
+        const legacy = localStorage.getItem(this.legacyStorageKey);
+        const data = legacy ? JSON.parse(DataCodec.decompress(legacy)) : null;
+        return data?.sessionStats ? data : null;
+    }
+
     /**
      * Load counting data from localStorage
      */
     loadCountingData() {
         try {
-            const saved = localStorage.getItem('blackjackpro_counting');
-            if (saved) {
-                const data = JSON.parse(saved);
-                
+            const data = this.readSavedData();
+            if (data) {
                 if (data.sessionStats) {
                     this.sessionStats = { ...this.sessionStats, ...data.sessionStats };
                     // Convert date string back to Date object
@@ -659,6 +752,7 @@ export class CardCounting {
             bettingHistory: this.bettingHistory,
             countHistory: this.countHistory,
             currentState: {
+                countingSystem: this.system.id,
                 runningCount: this.runningCount,
                 trueCount: this.trueCount,
                 decksRemaining: this.decksRemaining,
@@ -689,6 +783,7 @@ export class CardCounting {
     isPracticeModeEnabled() { return this.practiceMode; }
     getRunningCount() { return this.runningCount; }
     getTrueCount() { return parseFloat(this.trueCount.toFixed(1)); }
+    getBettingTrueCount() { return parseFloat(this.bettingTrueCount.toFixed(1)); }
     getDecksRemaining() { return parseFloat(this.decksRemaining.toFixed(1)); }
     getPenetration() { return parseFloat(this.penetration.toFixed(1)); }
     
@@ -0,0 +1,214 @@
+/**
+ * Counting System Module - Registry of card counting systems
+ * Each system defines its card tags, whether it is balanced, how its running count
+ * converts to a true count and how it compares with Hi-Lo. CardCounting, the drills
+ * and the analytics all read tags and conversions from here.
+ */
+
+export const DEFAULT_COUNTING_SYSTEM = 'hi-lo';
+
+/**
+ * System definitions. Tags are keyed by rank ('10' covers J, Q and K).
+ * - balanced: a full shoe counts back to zero; the true count is RC / decks remaining
+ * - unbalanced: imbalancePerDeck is the count gained per deck dealt; the initial running
+ *   count (IRC) is pivot - imbalancePerDeck * decks, so a running count equal to the pivot
+ *   means a Hi-Lo style true count of +imbalancePerDeck at any depth
+ * - hiLoRatio: roughly how many of this system's true count points make one Hi-Lo point
+ * - aceSideCount: ace-neutral systems add perAce to the betting count for each surplus ace
+ */
+const COUNTING_SYSTEMS = {
+    'hi-lo': {
+        name: 'Hi-Lo',
+        level: 1,
+        balanced: true,
+        hiLoRatio: 1,
+        tags: { 'A': -1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1 },
+        description: 'The standard level-one balanced count.'
+    },
+    'ko': {
+        name: 'Knock-Out (KO)',
+        level: 1,
+        balanced: false,
+        imbalancePerDeck: 4,
+        pivot: 4,
+        hiLoRatio: 1,
+        tags: { 'A': -1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 1, '8': 0, '9': 0, '10': -1 },
+        description: 'Hi-Lo with the 7 counted +1; unbalanced, so bets can key off the running count alone.'
+    },
+    'hi-opt-1': {
+        name: 'Hi-Opt I',
+        level: 1,
+        balanced: true,
+        hiLoRatio: 1,
+        aceSideCount: { perAce: 1 },
+        tags: { 'A': 0, '2': 0, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1 },
+        description: 'Ace-neutral level-one count; an ace side count sharpens betting.'
+    },
+    'hi-opt-2': {
+        name: 'Hi-Opt II',
+        level: 2,
+        balanced: true,
+        hiLoRatio: 2,
+        aceSideCount: { perAce: 2 },
+        tags: { 'A': 0, '2': 1, '3': 1, '4': 2, '5': 2, '6': 1, '7': 1, '8': 0, '9': 0, '10': -2 },
+        description: 'Ace-neutral level-two count used with an ace side count for betting.'
+    },
+    'omega-2': {
+        name: 'Omega II',
+        level: 2,
+        balanced: true,
+        hiLoRatio: 2,
+        tags: { 'A': 0, '2': 1, '3': 1, '4': 2, '5': 2, '6': 2, '7': 1, '8': 0, '9': -1, '10': -2 },
+        description: 'Ace-neutral level-two count with strong playing efficiency.'
+    },
+    'zen': {
+        name: 'Zen Count',
+        level: 2,
+        balanced: true,
+        hiLoRatio: 2,
+        tags: { 'A': -1, '2': 1, '3': 1, '4': 2, '5': 2, '6': 2, '7': 1, '8': 0, '9': 0, '10': -2 },
+        description: 'Level-two count that keeps the ace in the main count.'
+    },
+    'wong-halves': {
+        name: 'Wong Halves',
+        level: 3,
+        balanced: true,
+        hiLoRatio: 1,
+        tags: { 'A': -1, '2': 0.5, '3': 1, '4': 1, '5': 1.5, '6': 1, '7': 0.5, '8': 0, '9': -0.5, '10': -1 },
+        description: 'Fractional tags that closely track each card\'s effect on the player.'
+    },
+    'red-seven': {
+        name: 'Red Seven',
+        level: 1,
+        balanced: false,
+        imbalancePerDeck: 2,
+        pivot: 0,
+        hiLoRatio: 1,
+        tags: { 'A': -1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1 },
+        colorTags: { '7': { red: 1 } },
+        description: 'Hi-Lo plus red 7s counted +1; unbalanced, starting at -2 per deck.'
+    }
+};
+
+// One shared instance per system; systems are read-only once built
+const instances = new Map();
+
+export class CountingSystem {
+    constructor(id, definition) {
+        this.id = id;
+        this.name = definition.name;
+        this.level = definition.level;
+        this.balanced = definition.balanced;
+        this.imbalancePerDeck = definition.imbalancePerDeck ?? 0;
+        this.pivot = definition.pivot ?? 0;
+        this.hiLoRatio = definition.hiLoRatio ?? 1;
+        this.aceSideCount = definition.aceSideCount ?? null;
+        this.tags = { ...definition.tags };
+        this.colorTags = definition.colorTags ?? {};
+        this.description = definition.description;
+    }
+
+    /**
+     * Get a counting system by id (unknown ids fall back to Hi-Lo)
+     */
+    static get(id = DEFAULT_COUNTING_SYSTEM) {
+        const definitionId = CountingSystem.has(id) ? id : DEFAULT_COUNTING_SYSTEM;
+        if (!instances.has(definitionId)) {
+            instances.set(definitionId, new CountingSystem(definitionId, COUNTING_SYSTEMS[definitionId]));
+        }
+        return instances.get(definitionId);
+    }
+
+    /**
+     * Check if a system id is registered
+     */
+    static has(id) {
+        return Object.prototype.hasOwnProperty.call(COUNTING_SYSTEMS, id);
+    }
+
+    /**
+     * Summaries of every registered system, for settings selectors
+     */
+    static list() {
+        return Object.entries(COUNTING_SYSTEMS).map(([id, definition]) => ({
+            id,
+            name: definition.name,
+            level: definition.level,
+            balanced: definition.balanced,
+            aceSideCount: Boolean(definition.aceSideCount),
+            description: definition.description
+        }));
+    }
+
+    /**
+     * Get the tag for a card. Accepts a Card or a rank string; rank-only red 7s
+     * can't be told apart, so they get the base tag.
+     */
+    getTag(card) {
+        const rank = typeof card === 'string' ? card : card?.rank;
+        const key = ['J', 'Q', 'K'].includes(rank) ? '10' : rank;
+        const colorTag = this.colorTags[key]?.[card?.color];
+
+        return colorTag ?? this.tags[key] ?? 0;
+    }
+
+    /**
+     * Running count at the start of a shoe
+     */
+    getInitialRunningCount(numDecks) {
+        return this.balanced ? 0 : this.pivot - this.imbalancePerDeck * numDecks;
+    }
+
+    /**
+     * Convert a running count to a true count. Unbalanced systems are converted
+     * around their pivot so the result reads like a balanced count.
+     */
+    getTrueCount(runningCount, decksRemaining) {
+        if (!(decksRemaining > 0)) return 0;
+
+        if (this.balanced) {
+            return runningCount / decksRemaining;
+        }
+        return (runningCount - this.pivot) / decksRemaining + this.imbalancePerDeck;
+    }
+
+    /**
+     * Betting adjustment from the ace side count: positive when more aces remain
+     * than a neutral shoe would hold
+     */
+    getAceAdjustment(acesSeen, cardsSeen, cardsPerDeck = 52) {
+        if (!this.aceSideCount) return 0;
+
+        const expectedAces = cardsSeen * 4 / cardsPerDeck;
+        return (expectedAces - acesSeen) * this.aceSideCount.perAce;
+    }
+
+    /**
+     * Express a true count on the Hi-Lo scale used by bet ramps, index plays and analytics
+     */
+    toHiLoScale(trueCount) {
+        return trueCount / this.hiLoRatio;
+    }
+
+    /**
+     * Net count of one full deck (0 for balanced systems)
+     */
+    getDeckTotal() {
+        return this.balanced ? 0 : this.imbalancePerDeck;
+    }
+
+    /**
+     * Tag groups for display, e.g. [{ tag: 1, ranks: ['2', '3'] }, ...] from highest tag down
+     */
+    getTagGroups() {
+        const groups = new Map();
+        for (const [rank, tag] of Object.entries(this.tags)) {
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push(rank);
+        }
+
+        return [...groups.entries()]
+            .map(([tag, ranks]) => ({ tag, ranks }))
+            .sort((a, b) => b.tag - a.tag);
+    }
+}
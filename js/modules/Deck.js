@@ -2,6 +2,9 @@
  * Deck Class - Manages cards and shuffling
  */
 
+import { SeededRandom } from './SeededRandom.js';
+import { CountingSystem } from './CountingSystem.js';
+
 export class Card {
     constructor(suit, rank) {
         this.suit = suit;
@@ -37,61 +40,145 @@ export class Card {
     }
 
     // For card counting
+    getCountValue(systemId) {
+        return CountingSystem.get(systemId).getTag(this);
+    }
+
     getHiLoValue() {
-        if (['2', '3', '4', '5', '6'].includes(this.rank)) return 1;
-        if (['7', '8', '9'].includes(this.rank)) return 0;
-        if (['10', 'J', 'Q', 'K', 'A'].includes(this.rank)) return -1;
-        return 0;
+        return this.getCountValue('hi-lo');
     }
 }
 
+const SUITS = ['♠', '♥', '♦', '♣'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
 export class Deck {
-    constructor(numDecks = 6) {
+    /**
+     * @param {number} numDecks - Decks in the shoe
+     * @param {Object} options - { seed, rngFactory, quiet, removedRanks, penetration } where rngFactory(seed) returns
+     *   an object with next() -> [0, 1), removedRanks are taken out of every deck (['10'] for Spanish 21) and
+     *   penetration is the share of the shoe dealt before a reshuffle (default 0.75)
+     */
+    constructor(numDecks = 6, options = {}) {
         this.numDecks = numDecks;
+        this.quiet = !!options.quiet;
+        this.removedRanks = [...(options.removedRanks ?? [])];
         this.cards = [];
         this.discardPile = [];
-        this.shufflePoint = Math.floor(52 * numDecks * 0.25); // Shuffle at 75% penetration
+        this.setPenetration(options.penetration ?? 0.75);
+        
+        // Seeded shuffling: shoe N of a given seed is always the same sequence of cards
+        this.rngFactory = options.rngFactory || ((seed) => new SeededRandom(seed));
+        this.seed = SeededRandom.normalizeSeed(options.seed ?? SeededRandom.generateSeed());
+        this.shoeNumber = 0;
         
-        this.createDeck();
         this.shuffle();
     }
 
     createDeck() {
-        const suits = ['♠', '♥', '♦', '♣'];
-        const ranks = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+        const ranks = RANKS.filter(rank => !this.removedRanks.includes(rank));
         
         this.cards = [];
         
         for (let deck = 0; deck < this.numDecks; deck++) {
-            for (const suit of suits) {
+            for (const suit of SUITS) {
                 for (const rank of ranks) {
                     this.cards.push(new Card(suit, rank));
                 }
             }
         }
         
-        console.log(`🎴 Created deck with ${this.cards.length} cards (${this.numDecks} deck${this.numDecks > 1 ? 's' : ''})`);
+        if (!this.quiet) console.log(`🎴 Created deck with ${this.cards.length} cards (${this.numDecks} deck${this.numDecks > 1 ? 's' : ''})`);
     }
 
     shuffle() {
-        // Add discarded cards back to deck
-        this.cards = [...this.cards, ...this.discardPile];
+        // Gather every card back in a fixed order so the result depends only on seed + shoe number
         this.discardPile = [];
+        this.createDeck();
         
-        // If no cards, recreate deck
-        if (this.cards.length === 0) {
-            this.createDeck();
-        }
+        this.shoeNumber++;
+        const rng = this.rngFactory(SeededRandom.deriveSeed(this.seed, this.shoeNumber));
         
-        // Fisher-Yates shuffle algorithm with multiple passes for better randomization
-        for (let pass = 0; pass < 3; pass++) {
-            for (let i = this.cards.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
-            }
+        // Fisher-Yates shuffle - a single pass with a uniform generator is unbiased
+        for (let i = this.cards.length - 1; i > 0; i--) {
+            const j = Math.floor(rng.next() * (i + 1));
+            [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
         }
         
-        console.log(`🔀 Deck shuffled: ${this.cards.length} cards`);
+        if (!this.quiet) console.log(`🔀 Deck shuffled: ${this.cards.length} cards (seed ${this.seed}, shoe #${this.shoeNumber})`);
+    }
+
+    /**
+     * Cards in one deck of this shoe (48 without the 10s)
+     */
+    getCardsPerDeck() {
+        return SUITS.length * RANKS.filter(rank => !this.removedRanks.includes(rank)).length;
+    }
+
+    /**
+     * Reshuffle once this share of the shoe has been dealt (checked between rounds)
+     */
+    setPenetration(penetration) {
+        this.penetration = penetration;
+        this.shufflePoint = Math.floor(this.getCardsPerDeck() * this.numDecks * (1 - penetration));
+    }
+
+    /**
+     * Change which ranks are taken out of every deck. A different composition
+     * starts a fresh shoe, keeping the same reshuffle penetration.
+     * @returns {boolean} true if the shoe was rebuilt
+     */
+    setRemovedRanks(ranks = []) {
+        const sorted = [...ranks].sort();
+        if (sorted.join() === [...this.removedRanks].sort().join()) return false;
+
+        this.removedRanks = sorted;
+        this.setPenetration(this.penetration);
+        this.shuffle();
+        return true;
+    }
+
+    /**
+     * Start a new sequence of shoes from a seed (random when none given)
+     */
+    setSeed(seed = null) {
+        this.seed = SeededRandom.normalizeSeed(seed ?? SeededRandom.generateSeed());
+        this.shoeNumber = 0;
+        this.shuffle();
+        return this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the shoe position needed to reproduce the next card dealt
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            shoeNumber: this.shoeNumber,
+            numDecks: this.numDecks,
+            position: (this.getCardsPerDeck() * this.numDecks) - this.cards.length,
+            removedRanks: [...this.removedRanks]
+        };
+    }
+
+    /**
+     * Rebuild a shoe from getState() output so play can be replayed card for card
+     */
+    restoreState(state) {
+        this.seed = SeededRandom.normalizeSeed(state.seed);
+        this.removedRanks = [...(state.removedRanks ?? this.removedRanks)];
+        this.shoeNumber = Math.max(0, state.shoeNumber - 1);
+        this.shuffle();
+        
+        // Cards are dealt from the end of the array
+        const position = Math.min(state.position || 0, this.cards.length);
+        this.discardPile = this.cards.splice(this.cards.length - position, position).reverse();
+        
+        if (!this.quiet) console.log(`⏪ Shoe restored: seed ${this.seed}, shoe #${this.shoeNumber}, position ${position}`);
     }
 
     dealCard() {
@@ -130,11 +217,11 @@ export class Deck {
     }
 
     getDecksRemaining() {
-        return Math.ceil(this.cards.length / 52);
+        return Math.ceil(this.cards.length / this.getCardsPerDeck());
     }
 
     getPenetration() {
-        const totalCards = 52 * this.numDecks;
+        const totalCards = this.getCardsPerDeck() * this.numDecks;
         return ((totalCards - this.cards.length) / totalCards) * 100;
     }
 
@@ -149,7 +236,7 @@ export class Deck {
      * Get cards remaining as percentage
      */
     getCardsRemainingPercentage() {
-        const totalCards = 52 * this.numDecks;
+        const totalCards = this.getCardsPerDeck() * this.numDecks;
         return (this.cards.length / totalCards) * 100;
     }
 
@@ -168,8 +255,7 @@ export class Deck {
     }
 
     reset() {
-        this.discardPile = [];
-        this.createDeck();
+        this.shoeNumber = 0;
         this.shuffle();
     }
 }
\ No newline at end of file
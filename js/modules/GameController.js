@@ -5,12 +5,17 @@
  */
 
 import { Deck } from './Deck.js';
-import { Hand } from './Hand.js';
 import { GameRules } from './GameRules.js';
+import { RulePresets } from './RulePresets.js';
 import { CardCounting } from './CardCounting.js';
 import { GameState } from '../game/GameState.js';
 import { ActionHandler } from '../game/ActionHandler.js';
 import { GameFlow } from '../game/GameFlow.js';
+import { TablePresenter } from '../game/TablePresenter.js';
+import { HandRecorder } from '../game/HandRecorder.js';
+import { HandReplay } from '../game/HandReplay.js';
+import { BlackjackEngine } from '../engine/BlackjackEngine.js';
+import { SimulationRunner } from '../simulation/SimulationRunner.js';
 
 export class GameController {
     constructor(statistics, uiController, strategyHints) {
@@ -23,16 +28,19 @@ export class GameController {
         this.cardCounting = new CardCounting();
         this.rules = new GameRules();
         
-        // Core game objects
+        // Core game objects - hands and round state live in the headless engine
         this.deck = null;
-        this.dealerHand = null;
-        this.playerHands = [];
-        this.currentHandIndex = 0;
+        this.engine = null;
+        this.presenter = null;
         
         // Initialize coordinating modules (will set deck after init)
         this.actionHandler = null;
         this.gameFlow = null;
         
+        // Background simulations run in a Web Worker
+        this.simulationRunner = new SimulationRunner();
+        this.lastSimulationRun = null;
+        
         this.isInitialized = false;
     }
 
@@ -45,29 +53,63 @@ export class GameController {
             
             // Initialize game state
             this.gameState.init();
+            // A custom rule set deleted in the rules editor falls back to the standard rules
+            const tableRules = this.gameState.getSetting('tableRules');
+            if (RulePresets.isCustom(tableRules) && !RulePresets.getPreset(tableRules)) {
+                this.gameState.updateSetting('tableRules', 'standard');
+            }
+            this.rules.setVariation(this.gameState.getSetting('tableRules'));
+            this.applySideBetRules();
+            this.applySpotCount();
+            this.applyDeckLimits();
+            const tableRulesSelect = document.getElementById('table-rules');
+            if (tableRulesSelect) {
+                this.addCustomRuleOptions(tableRulesSelect);
+                tableRulesSelect.value = this.gameState.getSetting('tableRules');
+            }
+            const shoeSeedInput = document.getElementById('shoe-seed');
+            if (shoeSeedInput) {
+                shoeSeedInput.value = this.gameState.getSetting('shoeSeed') ?? '';
+            }
             
             // Initialize deck and hands
             this.initializeGameObjects();
             
-            // Initialize coordinating modules with deck reference
-            this.actionHandler = new ActionHandler(
-                this.gameState, this.deck, this.ui, this.statistics, this.rules, this.cardCounting
-            );
-            this.gameFlow = new GameFlow(
-                this.gameState, this.deck, this.ui, this.statistics, this.rules, this.cardCounting
-            );
+            // Headless engine plays the game; the table UI is one subscriber to its events
+            this.engine = new BlackjackEngine({
+                gameState: this.gameState,
+                rules: this.rules,
+                deck: this.deck
+            });
+            this.presenter = new TablePresenter(this.engine, this.ui, this.statistics, this.cardCounting);
+            this.presenter.attach();
+            this.applyCompanions();
+            
+            // Initialize coordinating modules with engine reference
+            this.actionHandler = new ActionHandler(this.engine, this.presenter, this.ui, this.statistics);
+            this.gameFlow = new GameFlow(this.engine, this.presenter, this.ui, this.statistics, this.cardCounting);
             // Allow GameFlow to delegate to ActionHandler where needed
             this.gameFlow.actionHandler = this.actionHandler;
             
             // Initialize card counting module
             await this.cardCounting.init();
+            this.cardCounting.setCountingSystem(this.gameState.getSetting('countingSystem'));
+            this.cardCounting.setRemovedRanks(this.deck.removedRanks);
+            const countingSystemSelect = document.getElementById('counting-system');
+            if (countingSystemSelect) {
+                countingSystemSelect.value = this.cardCounting.getCountingSystem().id;
+            }
+            
+            // Every round is logged for the replay viewer
+            this.handRecorder = new HandRecorder(this.engine, this.cardCounting);
+            this.handRecorder.attach();
+            this.gameFlow.handRecorder = this.handRecorder;
+            this.actionHandler.handRecorder = this.handRecorder;
+            this.handReplay = new HandReplay(this.strategyHints);
             
             // Set up event listeners
             this.setupEventListeners();
             
-            // Update game references in modules
-            this.updateModuleReferences();
-            
             this.isInitialized = true;
             console.log('✅ GameController initialized with modular architecture');
         } catch (error) {
@@ -80,25 +122,174 @@ export class GameController {
      * Initialize core game objects
      */
     initializeGameObjects() {
-        this.deck = new Deck(this.gameState.getSetting('deckCount'));
-        this.deck.shuffle();
+        this.deck = new Deck(this.gameState.getSetting('deckCount'), {
+            seed: this.gameState.getSetting('shoeSeed') ?? undefined,
+            removedRanks: this.rules.getRemovedRanks(),
+            penetration: this.rules.getRules().penetration
+        });
         
-        this.dealerHand = new Hand();
-        this.playerHands = [new Hand()];
-        this.currentHandIndex = 0;
+        if (this.engine) {
+            this.engine.deck = this.deck;
+            this.engine.resetHands();
+        }
         
         this.ui.clearAll();
         this.ui.showMessage('Welcome! Click "New Game" to start.', 'info');
+        
+        this.refreshRuleStrategy();
+    }
+
+    /**
+     * Regenerate basic strategy for the current rules and deck count (runs in the background)
+     */
+    async refreshRuleStrategy() {
+        try {
+            const applied = await this.strategyHints.loadStrategyForRules(this.rules.getRules(), this.deck.numDecks);
+            if (!applied) return;
+
+            // Companions play the same chart as the player
+            this.engine?.companions.useCharts(this.strategyHints.basicStrategy);
+            if (this.gameState.isInPhase('playing')) {
+                this.showBasicStrategyHint();
+            }
+        } catch (error) {
+            console.error('Error generating strategy for table rules:', error);
+            this.ui.showMessage('Using standard strategy chart - rule-specific chart unavailable', 'warning', 3000);
+        }
+    }
+
+    /**
+     * Switch counting systems; the count restarts because earlier tags don't carry over
+     */
+    applyCountingSystem(systemId) {
+        this.cardCounting.setCountingSystem(systemId);
+        this.cardCounting.setTotalDecks(this.deck.numDecks);
+        this.statistics.resetCardCount();
+        
+        if (this.gameState.getSetting('cardCountingMode')) {
+            this.updateCardCountingDisplay();
+            this.updateBettingRecommendations();
+            this.ui.showMessage(`Counting with ${this.cardCounting.getCountingSystem().name} - count restarted`, 'info', 3000);
+        }
+    }
+
+    /**
+     * Apply the side bet settings on top of the table rules (a rules variation resets them)
+     */
+    applySideBetRules() {
+        this.rules.updateRule('allowPerfectPairs', this.gameState.getSetting('allowPerfectPairs'));
+        this.rules.updateRule('allow21Plus3', this.gameState.getSetting('allow21Plus3'));
+        
+        const offered = {
+            perfectPairs: this.rules.isSideBetAllowed('perfectPairs'),
+            twentyOnePlus3: this.rules.isSideBetAllowed('twentyOnePlus3'),
+            superMatch: this.rules.isSideBetAllowed('superMatch')
+        };
+        
+        const toggles = { 'allow-perfect-pairs': offered.perfectPairs, 'allow-21plus3': offered.twentyOnePlus3 };
+        Object.entries(toggles).forEach(([id, checked]) => {
+            const toggle = document.getElementById(id);
+            if (toggle) toggle.checked = checked;
+        });
+        document.querySelectorAll('[data-side-bet]').forEach(label => {
+            label.hidden = !offered[label.dataset.sideBet];
+        });
+        
+        const controls = document.getElementById('side-bet-controls');
+        if (controls) {
+            controls.hidden = !Object.values(offered).some(Boolean);
+        }
+        
+        if (this.engine && this.gameState.getSetting('cardCountingMode')) {
+            this.ui.updateSideBetCount(this.engine.getSideBetCount());
+        }
+    }
+
+    /**
+     * Offer the rule sets saved in the rules editor after the built-in table rules
+     */
+    addCustomRuleOptions(select) {
+        const presets = RulePresets.getPresets();
+        if (presets.length === 0) return;
+
+        const group = document.createElement('optgroup');
+        group.label = 'Custom rules';
+        presets.forEach(preset => group.append(new Option(preset.name, preset.id)));
+        select.append(group);
+    }
+
+    /**
+     * Keep the deck count within the table rules' limits (a single-deck table deals one deck)
+     * @returns {boolean} true if the shoe was rebuilt for the new count
+     */
+    applyDeckLimits() {
+        const deckCount = this.rules.getDeckCount(this.gameState.getSetting('deckCount'));
+        if (deckCount === this.gameState.getSetting('deckCount')) return false;
+
+        this.gameState.updateSetting('deckCount', deckCount);
+        const deckCountSelect = document.getElementById('deck-count');
+        if (deckCountSelect) {
+            deckCountSelect.value = deckCount;
+        }
+
+        // Like a deck count change, a new shoe is only built between rounds
+        if (!this.deck || !(this.gameState.isInPhase('waiting') || this.gameState.isInPhase('finished'))) return false;
+        this.initializeGameObjects();
+        this.ui.showMessage(`These table rules deal ${deckCount} deck${deckCount === 1 ? '' : 's'}`, 'info', 3000);
+        return true;
+    }
+
+    /**
+     * Show a bet input for each spot in play (Blackjack Switch plays one spot as two hands)
+     */
+    applySpotCount() {
+        const switchHands = !!this.rules.getRules().switchHands;
+        const spotCount = switchHands ? 1 : this.gameState.getSetting('spotCount');
+        
+        const spotSelect = document.getElementById('spot-count');
+        if (spotSelect) {
+            spotSelect.value = spotCount;
+            spotSelect.disabled = switchHands;
+        }
+        document.querySelectorAll('[data-spot]').forEach(label => {
+            label.hidden = parseInt(label.dataset.spot) >= spotCount;
+        });
+        
+        if (!this.gameState.isActivePlay()) {
+            this.ui.updateCurrentBet(this.getPlannedWager());
+        }
+    }
+
+    /**
+     * Main bet the next round will put on the table
+     */
+    getPlannedWager() {
+        return this.engine?.getRoundWager(this.gameState.getSpotBets()) ?? this.gameState.getTotalSpotBet();
     }
 
     /**
-     * Update module references with current game objects
+     * Seat the simulated players from the settings (they join from the next round)
      */
-    updateModuleReferences() {
-        this.actionHandler.updateGameRefs(this.dealerHand, this.playerHands, this.currentHandIndex);
-        this.gameFlow.updateGameRefs(this.dealerHand, this.playerHands, this.currentHandIndex);
+    applyCompanions() {
+        const slots = this.gameState.getSetting('companions');
+        const playerSeat = this.gameState.getSetting('playerSeat');
+        
+        document.querySelectorAll('.companion-style').forEach(select => {
+            select.value = slots[parseInt(select.dataset.companionSeat)] ?? '';
+        });
+        const seatSelect = document.getElementById('player-seat');
+        if (seatSelect) {
+            seatSelect.value = playerSeat;
+        }
+        
+        this.engine?.setCompanions(slots.filter(Boolean), playerSeat);
     }
 
+    // Hands are owned by the engine
+    get dealerHand() { return this.engine?.dealerHand ?? null; }
+    get playerHands() { return this.engine?.playerHands ?? []; }
+    get currentHandIndex() { return this.engine?.currentHandIndex ?? 0; }
+
     /**
      * Set up event listeners for game controls
      */
@@ -112,6 +303,8 @@ export class GameController {
         document.getElementById('stand-btn')?.addEventListener('click', () => this.executePlayerAction('stand'));
         document.getElementById('double-btn')?.addEventListener('click', () => this.executePlayerAction('doubleDown'));
         document.getElementById('split-btn')?.addEventListener('click', () => this.executePlayerAction('split'));
+        document.getElementById('surrender-btn')?.addEventListener('click', () => this.executePlayerAction('surrender'));
+        document.getElementById('switch-btn')?.addEventListener('click', () => this.executePlayerAction('switch'));
         document.getElementById('insurance-btn')?.addEventListener('click', () => this.executePlayerAction('insurance'));
 
         // Betting controls
@@ -119,6 +312,42 @@ export class GameController {
             this.setBetAmount(parseInt(e.target.value));
         });
 
+        // Extra betting spots
+        document.getElementById('spot-count')?.addEventListener('change', (e) => {
+            this.updateSetting('spotCount', parseInt(e.target.value));
+        });
+        
+        document.querySelectorAll('[data-spot] input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.setBetAmount(parseInt(e.target.value), parseInt(input.closest('[data-spot]').dataset.spot));
+            });
+        });
+
+        // Simulated players in the other seats
+        document.querySelectorAll('.companion-style').forEach(select => {
+            select.addEventListener('change', () => {
+                const slots = [...document.querySelectorAll('.companion-style')].map(style => style.value);
+                this.updateSetting('companions', slots);
+            });
+        });
+        
+        document.getElementById('player-seat')?.addEventListener('change', (e) => {
+            this.updateSetting('playerSeat', e.target.value);
+        });
+
+        // Side bets
+        document.getElementById('perfect-pairs-bet')?.addEventListener('change', (e) => {
+            this.setSideBet('perfectPairs', parseInt(e.target.value));
+        });
+        
+        document.getElementById('twenty-one-plus-3-bet')?.addEventListener('change', (e) => {
+            this.setSideBet('twentyOnePlus3', parseInt(e.target.value));
+        });
+        
+        document.getElementById('super-match-bet')?.addEventListener('change', (e) => {
+            this.setSideBet('superMatch', parseInt(e.target.value));
+        });
+
         // Chip buttons
         document.querySelectorAll('.chip-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -132,6 +361,23 @@ export class GameController {
             this.updateSetting('deckCount', parseInt(e.target.value));
         });
 
+        document.getElementById('table-rules')?.addEventListener('change', (e) => {
+            this.updateSetting('tableRules', e.target.value);
+        });
+
+        document.getElementById('allow-perfect-pairs')?.addEventListener('change', (e) => {
+            this.updateSetting('allowPerfectPairs', e.target.checked);
+        });
+
+        document.getElementById('allow-21plus3')?.addEventListener('change', (e) => {
+            this.updateSetting('allow21Plus3', e.target.checked);
+        });
+
+        document.getElementById('shoe-seed')?.addEventListener('change', (e) => {
+            const seed = e.target.value.trim() === '' ? null : parseInt(e.target.value);
+            this.updateSetting('shoeSeed', Number.isNaN(seed) ? null : seed);
+        });
+
         document.getElementById('basic-strategy-hints')?.addEventListener('change', (e) => {
             this.updateSetting('showBasicStrategyHints', e.target.checked);
         });
@@ -139,6 +385,10 @@ export class GameController {
         document.getElementById('card-counting-practice')?.addEventListener('change', (e) => {
             this.updateSetting('cardCountingMode', e.target.checked);
         });
+
+        document.getElementById('counting-system')?.addEventListener('change', (e) => {
+            this.updateSetting('countingSystem', e.target.value);
+        });
         
         document.getElementById('game-speed')?.addEventListener('change', (e) => {
             this.updateSetting('gameSpeed', e.target.value);
@@ -156,6 +406,26 @@ export class GameController {
         document.getElementById('undo-btn')?.addEventListener('click', () => this.undoLastAction());
         document.getElementById('hint-btn')?.addEventListener('click', () => this.showHintModal());
         document.getElementById('stats-btn')?.addEventListener('click', () => this.showStatsModal());
+        
+        // Hand replay viewer
+        document.getElementById('replay-btn')?.addEventListener('click', () => this.openReplay());
+        document.getElementById('replay-exit')?.addEventListener('click', () => this.closeReplay());
+        document.getElementById('replay-deal')?.addEventListener('click', () => this.playReplayedRound());
+        document.getElementById('replay-prev')?.addEventListener('click', () => this.renderReplayStep(this.handReplay.stepBack()));
+        document.getElementById('replay-next')?.addEventListener('click', () => this.renderReplayStep(this.handReplay.stepForward()));
+        document.getElementById('replay-next-decision')?.addEventListener('click', () => this.renderReplayStep(this.handReplay.nextDecision()));
+        document.getElementById('replay-hand')?.addEventListener('change', (e) => this.loadReplay(parseInt(e.target.value)));
+        
+        // Simulation requests from the stats modal
+        document.addEventListener('simulationRequested', (e) => this.runSimulation(e.detail));
+        document.addEventListener('simulationCancelRequested', () => this.simulationRunner.cancel());
+        
+        // Data export/import from the stats modal
+        document.addEventListener('dataExportRequested', (e) => this.exportData(e.detail.passphrase));
+        document.addEventListener('dataBackupRequested', (e) => this.backupData(e.detail.passphrase));
+        document.addEventListener('dataRestoreRequested', (e) => this.restoreData(e.detail.passphrase));
+        document.addEventListener('dataImportPreviewRequested', (e) => this.previewDataImport(e.detail));
+        document.addEventListener('dataImportRequested', (e) => this.importData(e.detail));
     }
 
     /**
@@ -167,12 +437,6 @@ export class GameController {
         const success = await this.gameFlow.initializeNewGame();
         
         if (success) {
-            // Update local references
-            this.dealerHand = new Hand();
-            this.playerHands = [new Hand()];
-            this.currentHandIndex = 0;
-            
-            this.updateModuleReferences();
             this.updateAllDisplays();
         }
         
@@ -186,7 +450,7 @@ export class GameController {
         const success = await this.gameFlow.startDealingSequence();
         
         if (success) {
-            this.updateModuleReferences();
+            this.updateAllDisplays();
         }
         
         return success;
@@ -196,14 +460,23 @@ export class GameController {
      * Execute player action (delegate to ActionHandler)
      */
     async executePlayerAction(action) {
-        // Update references before action
-        this.actionHandler.updateGameRefs(this.dealerHand, this.playerHands, this.currentHandIndex);
+        // Playing on without switching is itself a Blackjack Switch decision
+        if (action !== 'switch' && this.engine.canSwitch()) {
+            const switchHint = this.getStrategyHint();
+            if (switchHint) {
+                this.actionHandler.setLastStrategyHint(switchHint);
+                this.actionHandler.recordStrategyDecision('Keep');
+            }
+        }
         
         // Set strategy hint for accuracy tracking
-        const hint = this.getStrategyHint();
+        const hint = this.getStrategyHint(action === 'switch');
         if (hint) {
+            // EVs let the session summary price each mistake
+            this.addHintExpectedValues(hint);
             this.actionHandler.setLastStrategyHint(hint);
         }
+        this.handRecorder.noteHint(hint);
         
         // Execute the action
         const result = await this.actionHandler.executeAction(action);
@@ -226,10 +499,8 @@ export class GameController {
                 
             case 'complete':
             case 'bust':
-                // Hand/action completed, move to next hand or dealer
-                this.currentHandIndex = this.actionHandler.currentHandIndex;
+                // Hand completed - the engine has moved to the next hand or the dealer
                 await this.gameFlow.moveToNextHand();
-                this.updateModuleReferences();
                 break;
                 
             case 'error':
@@ -242,27 +513,43 @@ export class GameController {
     }
 
     /**
-     * Get basic strategy hint
+     * Get basic strategy hint (the keep-or-switch hint while Blackjack Switch cards can still be switched)
      */
-    getStrategyHint() {
+    getStrategyHint(allowSwitch = true) {
         if (!this.gameState.getSetting('showBasicStrategyHints') || !this.gameState.isInPhase('playing')) {
             return null;
         }
 
         const playerHand = this.playerHands[this.currentHandIndex];
-        const dealerUpCard = this.dealerHand.cards[1];
+        const dealerUpCard = this.engine.getDealerUpCard();
+        
+        if (allowSwitch && dealerUpCard && this.engine.canSwitch()) {
+            return this.strategyHints.getSwitchHint(this.playerHands, dealerUpCard, {
+                rules: this.rules.getRules(),
+                numDecks: this.deck.numDecks,
+                unseenCards: this.engine.getUnseenCards()
+            });
+        }
         
         if (playerHand && dealerUpCard) {
+            const canDouble = this.actionHandler.canDoubleDown();
+            const canSplit = this.actionHandler.canSplit();
+            const canSurrender = this.actionHandler.canSurrender();
             const hint = this.strategyHints.getBasicStrategyHint(
-                playerHand, 
-                dealerUpCard, 
-                this.actionHandler.canDoubleDown(),
-                this.actionHandler.canSplit()
+                playerHand, this.engine.getDealerStrategyCard(), canDouble, canSplit, canSurrender
             );
             
-            // Check for index play deviations if counting is enabled
-            if (this.gameState.getSetting('cardCountingMode')) {
-                const indexPlay = this.cardCounting.getIndexPlayRecommendation(playerHand, dealerUpCard);
+            // Check for index play deviations if counting is enabled (not for a doubled hand awaiting rescue;
+            // up-card indices don't apply once the whole dealer hand is showing)
+            if (this.gameState.getSetting('cardCountingMode') && !playerHand.isDoubled && !this.engine.isDoubleExposure()) {
+                const indexPlay = this.cardCounting.getIndexPlayRecommendation(playerHand, dealerUpCard, {
+                    canDouble,
+                    canSplit,
+                    canSurrender,
+                    canTakeInsurance: this.engine.canTakeInsurance(),
+                    dealerHitsSoft17: !this.rules.getRules().dealerStandsOnSoft17,
+                    basicAction: hint.action
+                });
                 if (indexPlay.hasDeviation) {
                     hint.action = indexPlay.action;
                     hint.explanation += ` (Index Play: ${indexPlay.reason})`;
@@ -288,11 +575,109 @@ export class GameController {
             
             // Show modal if enabled
             if (this.gameState.getSetting('showStrategyModal')) {
+                this.addHintExpectedValues(hint);
                 this.ui.showHintModal(hint);
             }
         }
     }
 
+    // ===== HAND REPLAY =====
+
+    /**
+     * Open the replay viewer on the most recent recorded hand
+     */
+    openReplay() {
+        if (!this.engine.canStartRound()) {
+            this.ui.showMessage('Finish the current round before replaying a hand', 'error', 3000);
+            return;
+        }
+        
+        const logs = this.statistics.getHandLogs();
+        if (logs.length === 0) {
+            this.ui.showMessage('No recorded hands to replay yet', 'info', 3000);
+            return;
+        }
+        
+        const select = document.getElementById('replay-hand');
+        if (select) {
+            select.innerHTML = logs.map((log, index) => {
+                const net = log.results?.net ?? 0;
+                const hands = log.handNumbers?.length ? `Hand ${log.handNumbers.join(', ')}` : `Round ${log.roundNumber}`;
+                return `<option value="${index}">${hands} (${net >= 0 ? '+' : '-'}$${Math.abs(net)})</option>`;
+            }).reverse().join('');
+        }
+        
+        document.getElementById('replay-panel')?.removeAttribute('hidden');
+        this.ui.setButtonState('deal-btn', false);
+        this.ui.setButtonState('new-game-btn', false);
+        this.loadReplay(logs.length - 1);
+    }
+
+    /**
+     * Replay one recorded hand from its first step
+     */
+    loadReplay(logIndex) {
+        try {
+            this.handReplay.load(this.statistics.getHandLogs()[logIndex]);
+            const select = document.getElementById('replay-hand');
+            if (select) {
+                select.value = logIndex;
+            }
+            this.renderReplayStep(this.handReplay.getStep());
+        } catch (error) {
+            console.error('Error loading hand replay:', error);
+            this.ui.showMessage(`Cannot replay this hand: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Draw a replay step on the table, highlighting the correct play at decisions
+     */
+    renderReplayStep(step) {
+        if (!this.handReplay.isActive()) return;
+        
+        this.ui.showReplayTable(step.table);
+        this.ui.showReplayStep(step, {
+            canStepBack: this.handReplay.canStepBack(),
+            canStepForward: this.handReplay.canStepForward()
+        });
+        this.highlightRecommendedAction(step.decision?.correct ?? null);
+    }
+
+    /**
+     * Leave the replay viewer and return to the live table
+     */
+    closeReplay() {
+        this.handReplay.close();
+        document.getElementById('replay-panel')?.setAttribute('hidden', '');
+        this.highlightRecommendedAction(null);
+        
+        this.ui.clearAll();
+        this.ui.showCompanionSeats([], this.gameState.getSetting('playerSeat'));
+        this.ui.showMessage('Replay closed. Click "Deal" for the next hand.', 'info');
+        this.ui.setButtonState('deal-btn', true);
+        this.ui.setButtonState('new-game-btn', true);
+    }
+
+    /**
+     * Leave the replay viewer with the shoe rewound to the replayed round, so "Deal" plays it again
+     */
+    playReplayedRound() {
+        const { shoe } = this.handReplay.log ?? {};
+        try {
+            this.engine.restoreRound(shoe);
+        } catch (error) {
+            console.error('Error rewinding the shoe:', error);
+            this.ui.showMessage(`Cannot play this hand again: ${error.message}`, 'error');
+            return;
+        }
+
+        this.closeReplay();
+        this.gameFlow.updateShoeDisplay();
+        this.gameFlow.updateSideBetCount();
+        this.ui.showMessage(`Shoe rewound to round ${shoe.roundNumber} - bet the same spots and click "Deal" to play it again.`, 'info');
+    }
+
     /**
      * Highlight recommended action on buttons
      */
@@ -307,7 +692,9 @@ export class GameController {
             'Hit': 'hit-btn',
             'Stand': 'stand-btn',
             'Double Down': 'double-btn',
-            'Split': 'split-btn'
+            'Split': 'split-btn',
+            'Surrender': 'surrender-btn',
+            'Switch': 'switch-btn'
         };
         
         const buttonId = actionMap[recommendedAction];
@@ -326,9 +713,6 @@ export class GameController {
         const success = await this.actionHandler.undoLastAction();
         
         if (success) {
-            // Update local references from action handler
-            this.currentHandIndex = this.actionHandler.currentHandIndex;
-            this.updateModuleReferences();
             this.updateAllDisplays();
         }
         
@@ -344,7 +728,6 @@ export class GameController {
         // Handle specific setting changes
         if (key === 'deckCount' && (this.gameState.isInPhase('waiting') || this.gameState.isInPhase('finished'))) {
             this.initializeGameObjects();
-            this.updateModuleReferences();
         } else if (key === 'cardCountingMode') {
             this.cardCounting.setEnabled(value);
             this.cardCounting.setTotalDecks(this.gameState.getSetting('deckCount'));
@@ -354,6 +737,37 @@ export class GameController {
                 this.updateCardCountingDisplay();
                 this.updateBettingRecommendations();
             }
+        } else if (key === 'tableRules') {
+            const deckChanges = this.rules.getVariation(value).spanishDeck !== this.rules.rules.spanishDeck;
+            this.rules.setVariation(value);
+            this.applySideBetRules();
+            this.applySpotCount();
+            // Rebuilding the shoe for the rules' deck limits also regenerates the strategy
+            const shoeRebuilt = this.applyDeckLimits();
+            if (!shoeRebuilt) {
+                this.refreshRuleStrategy();
+            }
+            if (deckChanges && !shoeRebuilt) {
+                // The engine swaps the shoe before the next deal
+                this.ui.showMessage(`${this.rules.getVariantName()}: a new shoe is shuffled for the next hand`, 'info', 3000);
+            }
+        } else if (key === 'allowPerfectPairs' || key === 'allow21Plus3') {
+            this.applySideBetRules();
+        } else if (key === 'spotCount') {
+            this.applySpotCount();
+        } else if (key === 'companions' || key === 'playerSeat') {
+            this.applyCompanions();
+            if (this.gameState.isActivePlay()) {
+                this.ui.showMessage('Seating changes apply from the next round', 'info', 3000);
+            }
+        } else if (key === 'countingSystem') {
+            this.applyCountingSystem(value);
+        } else if (key === 'shoeSeed') {
+            this.ui.showMessage(
+                value === null ? 'Random shoes from the next new game' : `Seed ${value} will be used from the next new game`,
+                'info',
+                3000
+            );
         } else if (key === 'gameSpeed') {
             this.ui.setAnimationSpeed(value);
         } else if (key === 'soundEffects') {
@@ -362,14 +776,14 @@ export class GameController {
     }
 
     /**
-     * Set bet amount
+     * Set the bet amount for a spot (spot 0 is the main bet)
      */
-    setBetAmount(amount) {
-        const newAmount = this.gameState.setBetAmount(amount);
-        this.ui.updateCurrentBet(newAmount);
+    setBetAmount(amount, spot = 0) {
+        const newAmount = this.gameState.setBetAmount(amount, spot);
+        this.ui.updateCurrentBet(this.getPlannedWager());
         
         // Update bet amount input
-        const betInput = document.getElementById('bet-amount');
+        const betInput = document.getElementById(spot === 0 ? 'bet-amount' : `spot-bet-${spot + 1}`);
         if (betInput) {
             betInput.value = newAmount;
         }
@@ -377,6 +791,22 @@ export class GameController {
         return newAmount;
     }
 
+    /**
+     * Set a side bet for the coming rounds (0 = no bet), capped at the table's side bet limit
+     */
+    setSideBet(type, amount) {
+        const limit = this.rules.getRules().maxSideBet;
+        const newAmount = this.gameState.setSideBet(type, Math.min(amount || 0, limit));
+        
+        const inputIds = { perfectPairs: 'perfect-pairs-bet', twentyOnePlus3: 'twenty-one-plus-3-bet', superMatch: 'super-match-bet' };
+        const input = document.getElementById(inputIds[type]);
+        if (input) {
+            input.value = newAmount;
+        }
+        
+        return newAmount;
+    }
+
     /**
      * Update all UI displays
      */
@@ -387,7 +817,8 @@ export class GameController {
         });
         
         if (this.dealerHand) {
-            this.ui.updateDealerTotal(this.dealerHand.getValue(), this.dealerHand.isBusted());
+            // Hole card stays hidden until the engine reveals it
+            this.ui.updateDealerTotal(this.engine.getDealerVisibleTotal(), this.dealerHand.isBusted());
         }
         
         // Update statistics
@@ -400,8 +831,10 @@ export class GameController {
             strategyGrade: strategyStats.grade
         });
         
-        // Update current bet
-        this.ui.updateCurrentBet(this.gameState.getCurrentBet());
+        // Update current bet (everything on the table while a round is in play)
+        this.ui.updateCurrentBet(
+            this.gameState.isActivePlay() ? this.engine.getTotalWager() : this.getPlannedWager()
+        );
         
         // Update counting displays if enabled
         if (this.gameState.getSetting('cardCountingMode')) {
@@ -422,6 +855,7 @@ export class GameController {
         
         const countStats = this.cardCounting.getCountingStats();
         this.ui.updateCardCountingDisplay(countStats);
+        this.ui.updateSideBetCount(this.engine.getSideBetCount());
         
         // Update mode indicator
         this.ui.updateCountingModeIndicator(
@@ -460,7 +894,7 @@ export class GameController {
         this.statistics.recordBettingDecision({
             betAmount: this.gameState.getCurrentBet(),
             recommendedBet: bettingRec.recommendedBet,
-            trueCount: this.cardCounting.getTrueCount(),
+            trueCount: this.cardCounting.getBettingTrueCount(),
             bankroll: this.statistics.getBankAmount(),
             advantage: bettingRec.advantage
         });
@@ -483,10 +917,38 @@ export class GameController {
         
         const hint = this.getStrategyHint();
         if (hint) {
+            this.addHintExpectedValues(hint);
             this.ui.showHintModal(hint);
         }
     }
 
+    /**
+     * Add exact EVs for the current hand and unseen cards to a hint's alternatives
+     */
+    addHintExpectedValues(hint) {
+        const playerHand = this.playerHands[this.currentHandIndex];
+        const dealerUpCard = this.engine?.getDealerUpCard();
+        // A doubled hand awaiting rescue has no chart EVs; a switch hint is priced already
+        if (!playerHand || !dealerUpCard || playerHand.isDoubled || hint.handType === 'switch') return hint;
+
+        try {
+            this.strategyHints.addExpectedValues(hint, playerHand, dealerUpCard, {
+                rules: this.rules.getRules(),
+                numDecks: this.deck.numDecks,
+                unseenCards: this.engine.getUnseenCards(),
+                holeCard: this.engine.isDoubleExposure() ? this.engine.dealerHand.cards[0] : null,
+                canDoubleDown: this.actionHandler.canDoubleDown(),
+                canSplit: this.actionHandler.canSplit(),
+                canSurrender: this.actionHandler.canSurrender(),
+                splitHands: this.playerHands.filter(hand => hand.spot === playerHand.spot).length
+            });
+        } catch (error) {
+            // The qualitative hint is still useful without EVs
+            console.error('Error calculating hint EVs:', error);
+        }
+        return hint;
+    }
+
     /**
      * Show detailed statistics modal
      */
@@ -502,8 +964,175 @@ export class GameController {
         this.ui.showStatsModal({
             gameStats: stats,
             strategyStats: strategyStats,
-            countingStats: countingStats
+            countingStats: countingStats,
+            sideBetStats: this.statistics.getSideBetStats(),
+            freeBetStats: this.statistics.getFreeBetStats(),
+            luckVsSkill: this.statistics.getLuckVsSkill(this.rules.getHouseEdge(this.deck.numDecks)),
+            chartData: this.statistics.getChartData(),
+            storage: this.statistics.getStorageInfo(),
+            profile: this.statistics.getProfile(),
+            simulation: {
+                config: this.getSimulationDefaults(),
+                running: this.simulationRunner.isRunning(),
+                lastRun: this.lastSimulationRun
+            }
         });
+
+        // Long-term history comes from IndexedDB and fills in once it has been read
+        this.statistics.getLongTermStats()
+            .then(longTermStats => this.ui.showLongTermStats(longTermStats))
+            .catch(error => {
+                console.error('Error loading long-term statistics:', error);
+                this.ui.showLongTermStats(null);
+            });
+    }
+
+    /**
+     * Simulation form defaults, taken from the current table
+     */
+    getSimulationDefaults() {
+        return {
+            ...(this.lastSimulationRun?.results.config ?? { rounds: 100000, betting: 'flat', useIndexPlays: true }),
+            variation: this.gameState.getSetting('tableRules'),
+            numDecks: this.gameState.getSetting('deckCount'),
+            countingSystem: this.gameState.getSetting('countingSystem')
+        };
+    }
+
+    /**
+     * Run a simulation job in the worker and report back to the stats modal
+     */
+    async runSimulation(config) {
+        if (this.simulationRunner.isRunning()) {
+            this.ui.showMessage('A simulation is already running', 'warning', 2000);
+            return null;
+        }
+
+        this.ui.setSimulationRunning(true);
+
+        try {
+            // Custom index tables and rule sets travel with the job; the worker has no access to saved data
+            const indexPlays = this.cardCounting.getIndexPlays();
+            const jobConfig = {
+                ...config,
+                indexPlays: indexPlays.isCustomized ? indexPlays.getEntries() : null,
+                ...(RulePresets.isCustom(config.variation) && { ruleOverrides: this.rules.getVariation(config.variation) })
+            };
+            
+            const simulationRun = await this.simulationRunner.run(jobConfig, {
+                onProgress: (progress) => this.ui.updateSimulationProgress(progress)
+            });
+
+            this.lastSimulationRun = simulationRun;
+            this.ui.showSimulationResults(simulationRun);
+            this.ui.showMessage(
+                simulationRun.status === 'cancelled' ? 'Simulation cancelled' : 'Simulation complete',
+                'info',
+                2000
+            );
+            return simulationRun;
+        } catch (error) {
+            console.error('Error running simulation:', error);
+            this.ui.setSimulationRunning(false);
+            this.ui.showMessage(`Simulation failed: ${error.message}`, 'error', 3000);
+            return null;
+        }
+    }
+
+    // ===== DATA EXPORT / IMPORT =====
+
+    /**
+     * Download statistics and the table state as a versioned JSON export
+     * @param {string|null} passphrase - encrypt the file with this passphrase
+     */
+    async exportData(passphrase = null) {
+        const json = await this.statistics.exportToFile(this.gameState.exportState(), passphrase);
+        if (!json) {
+            this.ui.showMessage('Export failed', 'error', 3000);
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        const profileName = (this.statistics.getProfile()?.name ?? 'default').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        this.ui.downloadFile(`blackjackpro-${profileName}-${date}.json`, json);
+        this.ui.showMessage(passphrase ? 'Encrypted data exported' : 'Data exported', 'info', 2000);
+    }
+
+    /**
+     * Back up stored statistics in the browser, encrypted when a passphrase is given
+     */
+    async backupData(passphrase = null) {
+        const success = passphrase
+            ? await this.statistics.createEncryptedBackup(passphrase)
+            : this.statistics.createBackup();
+        
+        this.ui.showMessage(success ? 'Backup saved' : 'Backup failed', success ? 'info' : 'error', 2000);
+    }
+
+    /**
+     * Replace the statistics with the browser backup, after confirmation
+     */
+    restoreData(passphrase = null) {
+        if (this.gameState.isActivePlay()) {
+            this.ui.showMessage('Finish the current hand before restoring', 'warning', 3000);
+            return;
+        }
+        
+        this.ui.showConfirmation('Replace your current statistics with the saved backup?', async () => {
+            const success = await this.statistics.restoreFromBackup(passphrase);
+            this.updateAllDisplays();
+            this.ui.showMessage(
+                success ? 'Backup restored' : 'Backup could not be restored (check the passphrase)',
+                success ? 'success' : 'error',
+                3000
+            );
+        });
+    }
+
+    /**
+     * Dry-run an import file and show what it would change
+     */
+    async previewDataImport({ json, fileName, passphrase }) {
+        this.ui.showImportPreview(await this.statistics.previewImport(json, passphrase), fileName);
+    }
+
+    /**
+     * Replace stored statistics (and table settings) with an export file
+     */
+    async importData({ json, passphrase }) {
+        if (this.gameState.isActivePlay()) {
+            this.ui.showMessage('Finish the current hand before importing', 'warning', 3000);
+            return false;
+        }
+        
+        try {
+            const report = await this.statistics.importFromFile(json, passphrase);
+            if (!report.imported) {
+                this.ui.showImportPreview(report);
+                this.ui.showMessage('Import failed - see the errors listed', 'error', 3000);
+                return false;
+            }
+            
+            const { gameState, indexPlays } = report.sections;
+            if (indexPlays) {
+                this.cardCounting.getIndexPlays().load();
+            }
+            if (gameState) {
+                // Imported tables start between hands, whatever phase they were exported in
+                this.importGameState({
+                    gameState: { ...gameState, sessionData: { ...gameState.sessionData, currentPhase: 'waiting', previousPhase: null } }
+                });
+            }
+            
+            this.ui.hideActiveModal();
+            this.updateAllDisplays();
+            this.ui.showMessage('Data imported', 'success', 2000);
+            return true;
+        } catch (error) {
+            console.error('Error importing data:', error);
+            this.ui.showMessage(`Import failed: ${error.message}`, 'error', 3000);
+            return false;
+        }
     }
 
     // ===== GETTERS AND SETTERS =====
@@ -581,7 +1210,10 @@ export class GameController {
                 isDoubled: hand.isDoubled,
                 isSplit: hand.isSplit
             })),
-            deckState: this.deck ? { cardsRemaining: this.deck.getCardsRemaining?.() } : null
+            deckState: this.deck ? {
+                cardsRemaining: this.deck.getCardsRemaining?.(),
+                ...this.deck.getState()
+            } : null
         };
     }
 
@@ -594,14 +1226,9 @@ export class GameController {
                 this.gameState.importState(exportedData.gameState);
             }
             
-            if (exportedData.currentHandIndex !== undefined) {
-                this.currentHandIndex = exportedData.currentHandIndex;
-            }
-            
             // Restore hands would require more complex logic
             // This is a simplified version for the basic structure
             
-            this.updateModuleReferences();
             this.updateAllDisplays();
             
             return true;
@@ -694,10 +1321,14 @@ export class GameController {
         this.actionHandler.cleanup();
         this.gameFlow.cleanup();
         
+        // Stop any background simulation
+        this.simulationRunner.terminate();
+        
         // Reset references
-        this.dealerHand = null;
-        this.playerHands = [];
-        this.currentHandIndex = 0;
+        this.presenter.detach();
+        this.engine.removeAllListeners();
+        this.engine = null;
+        this.presenter = null;
         this.deck = null;
         
         this.isInitialized = false;
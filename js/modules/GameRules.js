@@ -1,7 +1,64 @@
 /**
  * Game Rules Module - Defines blackjack rules and variations
+ * Variant games (Spanish 21, Free Bet, Blackjack Switch, Double Exposure) are rule sets too: getVariation() switches on the
+ * flags that change the deck, the payouts and which strategy chart applies. Rule sets saved in
+ * the rules editor are offered as custom presets (see RulePresets).
  */
 
+import { RulePresets } from './RulePresets.js';
+
+// Built-in rule sets in menu order; custom presets from the rules editor are offered after them
+const PRESET_NAMES = {
+    'standard': 'Standard',
+    'las-vegas': 'Las Vegas',
+    'atlantic-city': 'Atlantic City',
+    'european': 'European',
+    'single-deck': 'Single Deck',
+    'liberal': 'Liberal',
+    'conservative': 'Conservative',
+    'spanish-21': 'Spanish 21',
+    'free-bet': 'Free Bet',
+    'blackjack-switch': 'Blackjack Switch',
+    'double-exposure': 'Double Exposure'
+};
+
+// House edge (%) with basic strategy for six decks, dealer stands on soft 17, double after split,
+// no surrender, splits to four hands and 3:2 blackjack - every rule, variant rules included, adjusts from here
+const BASE_HOUSE_EDGE = 0.4;
+
+// House edge (%) change from the number of decks, relative to the six-deck base
+const DECK_HOUSE_EDGE = { 1: -0.48, 2: -0.19, 3: -0.1, 4: -0.06, 5: -0.02, 6: 0, 7: 0.01, 8: 0.02 };
+
+// House edge (%) change when a Charlie of this many cards wins
+const CHARLIE_HOUSE_EDGE = { 5: -1.46, 6: -0.16, 7: -0.01 };
+
+// House edge (%) change when fewer than four split hands are allowed (1 = no splitting)
+const SPLIT_HANDS_HOUSE_EDGE = { 1: 0.57, 2: 0.06, 3: 0.01 };
+
+// House edge (%) per unit of blackjack payout below 3:2 (about the chance of an unmatched blackjack)
+const BLACKJACK_PAYOUT_EDGE = 4.53;
+
+// House edge (%) change from each variant rule, measured with the rules its own game plays it with
+// (free doubles and splits alongside a dealer 22 push, the switch at even money). Free Bet and
+// Spanish 21 add up to their published edges; the switch and double exposure are calibrated to what
+// MonteCarloSimulator measures for their presets with basic strategy (about 0.62% and 0.30%)
+const VARIANT_RULE_HOUSE_EDGE = {
+    dealer22Push: 6.9,
+    freeDoubles: -4.19,
+    freeSplits: -2.33,
+    switchHands: -9.17,
+    doubleExposure: -11.51,
+    dealerWinsTies: 8.5,
+    doubleExposureWithTies: -2.65, // Both rules together, in place of the two above
+    spanishDeck: 1.9,
+    player21Wins: -0.72,
+    doubleDownRescue: -0.15,
+    spanish21Bonuses: -0.55 // With the default bonus payouts; scaled by how much better or worse the paytables are
+};
+
+// Hard totals the house doubles for free in Free Bet Blackjack
+const FREE_DOUBLE_TOTALS = [9, 10, 11];
+
 export class GameRules {
     constructor() {
         this.rules = this.getDefaultRules();
@@ -31,6 +88,7 @@ export class GameRules {
             // Betting rules
             minBet: 5,
             maxBet: 500,
+            maxSpots: 3, // Betting spots one player may play at once
             
             // Special rules
             charlieRule: false, // 5-card Charlie wins
@@ -38,10 +96,33 @@ export class GameRules {
             europeeanNoHoleCard: false,
             originalBetsOnly: false, // Dealer blackjack vs doubled/split hands
             
-            // Side bets (not implemented but defined for future)
+            // Game variant
+            gameVariant: 'classic', // 'classic', 'spanish-21', 'free-bet', 'blackjack-switch' or 'double-exposure'
+            spanishDeck: false, // 48-card decks: the four 10s are removed (face cards stay)
+            player21Wins: false, // Player 21 beats any dealer hand, blackjack beats dealer blackjack
+            doubleDownRescue: false, // After doubling, forfeit the original bet and take back the double
+            spanish21Bonuses: false, // Bonus payouts below on 21s that were not doubled
+            // Paid "to 1" instead of even money
+            multiCard21Payouts: { 5: 1.5, 6: 2, 7: 3 }, // 21 with 5, 6, or 7+ cards
+            sixSevenEightPayouts: { mixed: 1.5, suited: 2, spades: 3 },
+            sevenSevenSevenPayouts: { mixed: 1.5, suited: 2, spades: 3 },
+            freeDoubles: false, // The house puts up the double on two-card hard 9, 10 and 11
+            freeSplits: false, // The house puts up the bet for the new hand when splitting any pair but 10s
+            dealer22Push: false, // A dealer total of exactly 22 pushes every live hand (blackjacks still win)
+            switchHands: false, // Two equal hands per round; their second cards may be swapped before play
+            doubleExposure: false, // Both dealer cards are dealt face up
+            dealerWinsTies: false, // Tied totals lose instead of pushing (tied blackjacks still win)
+            
+            // Side bets
             allowInsurance: true,
             allowPerfectPairs: false,
-            allow21Plus3: false
+            allow21Plus3: false,
+            allowSuperMatch: false, // Pairs among the first four cards of both Switch hands
+            maxSideBet: 100,
+            // Paid "to 1" on top of the returned stake
+            perfectPairsPayouts: { perfect: 25, colored: 12, mixed: 6 },
+            twentyOnePlus3Payouts: { suitedTrips: 100, straightFlush: 40, threeOfAKind: 30, straight: 10, flush: 5 },
+            superMatchPayouts: { fourOfAKind: 40, twoPair: 8, threeOfAKind: 5, pair: 1 }
         };
     }
 
@@ -126,6 +207,35 @@ export class GameRules {
         return true;
     }
 
+    /**
+     * Check if a doubled hand may be rescued (surrendering the original bet)
+     */
+    canRescue(hand) {
+        return this.rules.doubleDownRescue && hand.isDoubled && !hand.isSurrendered && !hand.isBusted();
+    }
+
+    /**
+     * Check if a double would be free (the house puts up the extra bet)
+     */
+    isFreeDouble(hand) {
+        return this.rules.freeDoubles && hand.cards.length === 2 && !hand.isSoft() &&
+               FREE_DOUBLE_TOTALS.includes(hand.getValue());
+    }
+
+    /**
+     * Check if a split would be free - any pair except 10-value cards
+     */
+    isFreeSplit(hand) {
+        return this.rules.freeSplits && hand.cards.length === 2 && hand.cards[0].value !== 10;
+    }
+
+    /**
+     * Check if the dealer's hand is a 22 that pushes instead of busting (Free Bet)
+     */
+    isDealerPush22(dealerHand) {
+        return this.rules.dealer22Push && dealerHand.getValue() === 22;
+    }
+
     /**
      * Check if insurance is allowed
      */
@@ -147,6 +257,35 @@ export class GameRules {
         return true;
     }
 
+    /**
+     * Check if the table offers a side bet ('perfectPairs', 'twentyOnePlus3' or 'superMatch')
+     */
+    isSideBetAllowed(type) {
+        switch (type) {
+            case 'perfectPairs':
+                return this.rules.allowPerfectPairs;
+            case 'twentyOnePlus3':
+                return this.rules.allow21Plus3;
+            case 'superMatch':
+                // Super Match needs the four cards of two hands
+                return this.rules.allowSuperMatch && this.rules.switchHands;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get the paytable for a side bet, keyed by outcome
+     */
+    getSideBetPayouts(type) {
+        const payouts = {
+            perfectPairs: this.rules.perfectPairsPayouts,
+            twentyOnePlus3: this.rules.twentyOnePlus3Payouts,
+            superMatch: this.rules.superMatchPayouts
+        };
+        return { ...(payouts[type] || {}) };
+    }
+
     /**
      * Calculate blackjack payout
      */
@@ -161,6 +300,51 @@ export class GameRules {
         return insuranceBet * this.rules.insurancePayout;
     }
 
+    /**
+     * Spanish 21 bonus for a 21, or null when none applies
+     * 6-7-8 and 7-7-7 pay more when suited, most in spades; 5+ card 21s pay by card count.
+     * @returns {{ ratio: number, label: string }|null} ratio is paid "to 1" instead of even money
+     */
+    getTwentyOneBonus(hand) {
+        if (!this.rules.spanish21Bonuses || hand.isDoubled || hand.getValue() !== 21) {
+            return null;
+        }
+        
+        const ranks = hand.cards.map(card => card.rank).sort().join('-');
+        const paytable = ranks === '6-7-8' ? this.rules.sixSevenEightPayouts
+            : ranks === '7-7-7' ? this.rules.sevenSevenSevenPayouts
+            : null;
+        
+        if (paytable) {
+            const suits = new Set(hand.cards.map(card => card.suit));
+            const suit = suits.size > 1 ? 'mixed' : suits.has('♠') ? 'spades' : 'suited';
+            const prefixes = { mixed: '', suited: 'Suited ', spades: 'Spade ' };
+            return { ratio: paytable[suit], label: `${prefixes[suit]}${ranks}` };
+        }
+        
+        if (hand.cards.length >= 5) {
+            const cardCount = Math.min(hand.cards.length, 7);
+            return { ratio: this.rules.multiCard21Payouts[cardCount], label: `${cardCount}${cardCount === 7 ? '+' : ''}-card 21` };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Winnings on a 21 (stake not included), with any Spanish 21 bonus
+     */
+    calculateTwentyOnePayout(hand, bet) {
+        const bonus = this.getTwentyOneBonus(hand);
+        return bonus ? Math.floor(bet * bonus.ratio) : bet;
+    }
+
+    /**
+     * Ranks taken out of every deck (the 10s in Spanish 21)
+     */
+    getRemovedRanks() {
+        return this.rules.spanishDeck ? ['10'] : [];
+    }
+
     /**
      * Check if hand qualifies for Charlie rule
      */
@@ -184,12 +368,12 @@ export class GameRules {
         const playerBlackjack = playerHand.isBlackjack();
         const dealerBlackjack = dealerHand.isBlackjack();
         
-        // Handle blackjacks
-        if (playerBlackjack && dealerBlackjack) {
+        // Handle blackjacks (Double Exposure gives tied blackjacks to the player)
+        if (playerBlackjack && dealerBlackjack && !this.rules.player21Wins && !this.rules.dealerWinsTies) {
             return { result: 'push', payout: 0, message: 'Both blackjack - Push' };
         }
         
-        if (playerBlackjack && !dealerBlackjack) {
+        if (playerBlackjack) {
             const payout = this.calculateBlackjackPayout(gameContext.bet || 0);
             return { result: 'blackjack', payout, message: 'Blackjack!' };
         }
@@ -203,6 +387,18 @@ export class GameRules {
             return { result: 'lose', payout: -gameContext.bet || 0, message: 'Player bust' };
         }
         
+        // Free Bet: a dealer 22 pushes instead of busting
+        if (this.isDealerPush22(dealerHand)) {
+            return { result: 'push', payout: 0, message: 'Dealer 22 - Push' };
+        }
+        
+        // Spanish 21: a player 21 always wins, with any bonus
+        if (this.rules.player21Wins && playerValue === 21) {
+            const bonus = this.getTwentyOneBonus(playerHand);
+            const payout = this.calculateTwentyOnePayout(playerHand, gameContext.bet || 0);
+            return { result: 'win', payout, message: bonus ? `${bonus.label} bonus!` : '21 wins!' };
+        }
+        
         if (dealerBusted) {
             return { result: 'win', payout: gameContext.bet || 0, message: 'Dealer bust' };
         }
@@ -217,6 +413,8 @@ export class GameRules {
             return { result: 'win', payout: gameContext.bet || 0, message: 'Win!' };
         } else if (playerValue < dealerValue) {
             return { result: 'lose', payout: -gameContext.bet || 0, message: 'Lose' };
+        } else if (this.rules.dealerWinsTies) {
+            return { result: 'lose', payout: -gameContext.bet || 0, message: 'Tie - dealer wins' };
         } else {
             return { result: 'push', payout: 0, message: 'Push' };
         }
@@ -253,6 +451,11 @@ export class GameRules {
      * Get rule variations for different casino types
      */
     getVariation(variationType) {
+        // Rule sets saved in the rules editor (an unknown or deleted preset plays the defaults)
+        if (RulePresets.isCustom(variationType)) {
+            return { ...this.getDefaultRules(), ...(RulePresets.getPreset(variationType)?.rules ?? {}) };
+        }
+
         const variations = {
             'las-vegas': {
                 ...this.getDefaultRules(),
@@ -308,6 +511,58 @@ export class GameRules {
                 hitSplitAces: false,
                 blackjackPayout: 1.2,
                 maxSplitHands: 2
+            },
+            
+            'spanish-21': {
+                ...this.getDefaultRules(),
+                gameVariant: 'spanish-21',
+                spanishDeck: true,
+                player21Wins: true,
+                spanish21Bonuses: true,
+                dealerStandsOnSoft17: false,
+                doubleAfterSplit: true,
+                surrenderAllowed: true,
+                doubleDownRescue: true,
+                resplitAces: true,
+                hitSplitAces: true,
+                blackjackPayout: 1.5
+            },
+            
+            'free-bet': {
+                ...this.getDefaultRules(),
+                gameVariant: 'free-bet',
+                freeDoubles: true,
+                freeSplits: true,
+                dealer22Push: true,
+                dealerStandsOnSoft17: false,
+                doubleAfterSplit: true,
+                surrenderAllowed: false,
+                blackjackPayout: 1.5
+            },
+            
+            'blackjack-switch': {
+                ...this.getDefaultRules(),
+                gameVariant: 'blackjack-switch',
+                switchHands: true,
+                dealer22Push: true,
+                allowSuperMatch: true,
+                dealerStandsOnSoft17: false,
+                doubleAfterSplit: true,
+                surrenderAllowed: false,
+                blackjackPayout: 1.0 // Even money pays for the switch
+            },
+            
+            'double-exposure': {
+                ...this.getDefaultRules(),
+                gameVariant: 'double-exposure',
+                doubleExposure: true,
+                dealerWinsTies: true,
+                allowInsurance: false, // Nothing to insure against - a dealer blackjack is in plain sight
+                dealerStandsOnSoft17: false,
+                doubleAfterSplit: true,
+                surrenderAllowed: false,
+                maxSplitHands: 2,
+                blackjackPayout: 1.0 // Even money pays for seeing the hole card
             }
         };
         
@@ -369,21 +624,98 @@ export class GameRules {
         console.log('🔄 Rules reset to defaults');
     }
 
+    /**
+     * Built-in and custom rule sets for the table rules menus
+     * @returns {Array<{ id, name, custom }>}
+     */
+    static getPresets() {
+        return [
+            ...Object.entries(PRESET_NAMES).map(([id, name]) => ({ id, name, custom: false })),
+            ...RulePresets.getPresets().map(({ id, name }) => ({ id, name, custom: true }))
+        ];
+    }
+
+    /**
+     * Deck count to deal with these rules: the preferred count, kept within minDecks-maxDecks
+     */
+    getDeckCount(preferred = 6) {
+        return Math.min(this.rules.maxDecks, Math.max(this.rules.minDecks, preferred));
+    }
+
     /**
      * Get house edge estimate for current rules
+     * @param {number} numDecks - decks in the shoe (defaults to a six-deck shoe within the rules' deck limits)
      */
-    getHouseEdge() {
-        // Simplified house edge calculation based on major rules
-        let houseEdge = 0.5; // Base house edge with perfect basic strategy
+    getHouseEdge(numDecks = this.getDeckCount()) {
+        const houseEdge = this.getHouseEdgeFactors(numDecks).reduce((sum, factor) => sum + factor.edge, 0);
+        return Math.round(houseEdge * 100) / 100;
+    }
+
+    /**
+     * What makes up the house edge estimate: the classic six-deck base, then each rule that moves it
+     * @returns {Array<{ label, edge }>} edge in percent (negative favours the player)
+     */
+    getHouseEdgeFactors(numDecks = this.getDeckCount()) {
+        // Simplified house edge calculation based on published rule effects
+        const factors = [{ label: 'Base game (6 decks, S17, DAS, 3:2)', edge: BASE_HOUSE_EDGE }];
+        const add = (label, edge) => {
+            if (edge) factors.push({ label, edge });
+        };
+        const holeCardHidden = !this.rules.doubleExposure || this.rules.europeeanNoHoleCard;
         
         // Adjust for rule variations
-        if (!this.rules.dealerStandsOnSoft17) houseEdge += 0.22;
-        if (!this.rules.doubleAfterSplit) houseEdge += 0.14;
-        if (!this.rules.surrenderAllowed) houseEdge += 0.07;
-        if (this.rules.blackjackPayout < 1.5) houseEdge += (1.5 - this.rules.blackjackPayout) * 2.3;
-        if (this.rules.charlieRule) houseEdge -= 0.16;
+        add(`${numDecks} deck${numDecks === 1 ? '' : 's'}`, DECK_HOUSE_EDGE[numDecks] ?? 0);
+        if (!this.rules.dealerStandsOnSoft17) add('Dealer hits soft 17', 0.22);
+        if (!this.rules.doubleAfterSplit) add('No double after split', 0.14);
+        if (this.rules.surrenderAllowed) add('Late surrender', -0.07);
+        add(this.rules.maxSplitHands === 1 ? 'No splitting' : `Split to ${this.rules.maxSplitHands} hands`, SPLIT_HANDS_HOUSE_EDGE[this.rules.maxSplitHands] ?? 0);
+        if (this.rules.resplitAces) add('Resplit aces', -0.08);
+        if (this.rules.hitSplitAces) add('Hit split aces', -0.19);
+        if (this.rules.europeeanNoHoleCard && !this.rules.originalBetsOnly) add('No hole card (all bets lost to blackjack)', 0.11);
+        if (this.rules.charlieRule) add(`${this.rules.charlieCards}-card Charlie`, CHARLIE_HOUSE_EDGE[this.rules.charlieCards] ?? 0);
+        add(`Blackjack pays ${GameRules.formatPayout(this.rules.blackjackPayout)}`, (1.5 - this.rules.blackjackPayout) * BLACKJACK_PAYOUT_EDGE);
         
-        return Math.round(houseEdge * 100) / 100;
+        // Variant rules
+        if (this.rules.spanishDeck) add('Spanish deck (no 10s)', VARIANT_RULE_HOUSE_EDGE.spanishDeck);
+        if (this.rules.player21Wins) add('Player 21 always wins', VARIANT_RULE_HOUSE_EDGE.player21Wins);
+        if (this.rules.doubleDownRescue) add('Double-down rescue', VARIANT_RULE_HOUSE_EDGE.doubleDownRescue);
+        if (this.rules.spanish21Bonuses) add('21 bonuses', VARIANT_RULE_HOUSE_EDGE.spanish21Bonuses * this.getBonusPaytableScale());
+        if (this.rules.freeDoubles) add('Free doubles', VARIANT_RULE_HOUSE_EDGE.freeDoubles);
+        if (this.rules.freeSplits) add('Free splits', VARIANT_RULE_HOUSE_EDGE.freeSplits);
+        if (this.rules.dealer22Push) add('Dealer 22 pushes', VARIANT_RULE_HOUSE_EDGE.dealer22Push);
+        if (this.rules.switchHands) add('Switch second cards', VARIANT_RULE_HOUSE_EDGE.switchHands);
+        if (this.rules.dealerWinsTies && !holeCardHidden) {
+            add('Both dealer cards shown, dealer wins ties', VARIANT_RULE_HOUSE_EDGE.doubleExposureWithTies);
+        } else {
+            if (!holeCardHidden) add('Both dealer cards shown', VARIANT_RULE_HOUSE_EDGE.doubleExposure);
+            if (this.rules.dealerWinsTies) add('Dealer wins ties', VARIANT_RULE_HOUSE_EDGE.dealerWinsTies);
+        }
+        
+        return factors;
+    }
+
+    /**
+     * How the 21 bonus paytables compare with the defaults: their total payout above even money, relative
+     */
+    getBonusPaytableScale() {
+        const paytables = rules => [rules.multiCard21Payouts, rules.sixSevenEightPayouts, rules.sevenSevenSevenPayouts];
+        const bonusTotal = rules => paytables(rules)
+            .flatMap(paytable => Object.values(paytable))
+            .reduce((sum, ratio) => sum + ratio - 1, 0);
+        return bonusTotal(this.rules) / bonusTotal(this.getDefaultRules());
+    }
+
+    /**
+     * Format a "to 1" payout as a ratio in the smallest whole numbers (1.5 -> "3:2", 1.2 -> "6:5")
+     */
+    static formatPayout(payout) {
+        for (let denominator = 1; denominator <= 10; denominator++) {
+            const numerator = payout * denominator;
+            if (Math.abs(numerator - Math.round(numerator)) < 1e-9) {
+                return `${Math.round(numerator)}:${denominator}`;
+            }
+        }
+        return `${payout}:1`;
     }
 
     /**
@@ -391,14 +723,55 @@ export class GameRules {
      */
     getRuleSummary() {
         return {
+            'Game': this.getVariantName(),
             'Dealer Stands on Soft 17': this.rules.dealerStandsOnSoft17 ? 'Yes' : 'No',
             'Double After Split': this.rules.doubleAfterSplit ? 'Allowed' : 'Not Allowed',
             'Surrender': this.rules.surrenderAllowed ? 'Allowed' : 'Not Allowed',
-            'Blackjack Payout': `${this.rules.blackjackPayout}:1`,
+            'Blackjack Payout': GameRules.formatPayout(this.rules.blackjackPayout),
             'Max Split Hands': this.rules.maxSplitHands,
+            'Decks': this.rules.minDecks === this.rules.maxDecks ? this.rules.minDecks : `${this.rules.minDecks}-${this.rules.maxDecks}`,
+            'Penetration': `${Math.round(this.rules.penetration * 100)}%`,
+            'Charlie': this.rules.charlieRule ? `${this.rules.charlieCards}-card Charlie wins` : 'None',
+            'Betting Spots': `Up to ${this.rules.maxSpots}`,
             'Resplit Aces': this.rules.resplitAces ? 'Allowed' : 'Not Allowed',
             'Hit Split Aces': this.rules.hitSplitAces ? 'Allowed' : 'Not Allowed',
+            'Perfect Pairs': this.rules.allowPerfectPairs ? 'Offered' : 'Not Offered',
+            '21+3': this.rules.allow21Plus3 ? 'Offered' : 'Not Offered',
+            ...(this.rules.gameVariant === 'spanish-21' && {
+                'Deck': '48 cards (no 10s)',
+                'Player 21': this.rules.player21Wins ? 'Always wins' : 'Can push',
+                'Double-Down Rescue': this.rules.doubleDownRescue ? 'Allowed' : 'Not Allowed',
+                '21 Bonuses': this.rules.spanish21Bonuses ? '5/6/7-card, 6-7-8, 7-7-7' : 'None'
+            }),
+            ...(this.rules.gameVariant === 'free-bet' && {
+                'Free Doubles': this.rules.freeDoubles ? 'Hard 9, 10, 11' : 'None',
+                'Free Splits': this.rules.freeSplits ? 'All pairs but 10s' : 'None',
+                'Dealer 22': this.rules.dealer22Push ? 'Pushes' : 'Busts'
+            }),
+            ...(this.rules.gameVariant === 'blackjack-switch' && {
+                'Hands': this.rules.switchHands ? 'Two, second cards may be switched' : 'One',
+                'Dealer 22': this.rules.dealer22Push ? 'Pushes' : 'Busts',
+                'Super Match': this.rules.allowSuperMatch ? 'Offered' : 'Not Offered'
+            }),
+            ...(this.rules.gameVariant === 'double-exposure' && {
+                'Dealer Cards': this.rules.doubleExposure ? 'Both face up' : 'Hole card face down',
+                'Ties': this.rules.dealerWinsTies ? 'Dealer wins (tied blackjacks win)' : 'Push'
+            }),
             'House Edge': `${this.getHouseEdge()}%`
         };
     }
+
+    /**
+     * Display name of the game being played
+     */
+    getVariantName() {
+        const names = {
+            'classic': 'Blackjack',
+            'spanish-21': 'Spanish 21',
+            'free-bet': 'Free Bet Blackjack',
+            'blackjack-switch': 'Blackjack Switch',
+            'double-exposure': 'Double Exposure'
+        };
+        return names[this.rules.gameVariant] ?? names.classic;
+    }
 }
\ No newline at end of file
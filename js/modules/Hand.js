@@ -3,11 +3,18 @@
  */
 
 export class Hand {
-    constructor() {
+    /**
+     * @param {number} spot - betting spot the hand belongs to (split hands keep their spot)
+     */
+    constructor(spot = 0) {
+        this.spot = spot;
         this.cards = [];
         this.isStanding = false;
         this.isDoubled = false;
         this.isSplit = false;
+        this.isSurrendered = false;
+        this.isRescued = false; // Surrendered after doubling (double-down rescue)
+        this.isSwitched = false; // Second card traded with the other hand (Blackjack Switch)
     }
 
     addCard(card) {
@@ -18,6 +25,15 @@ export class Hand {
         return this.cards.pop();
     }
 
+    /**
+     * Trade second cards with another hand (Blackjack Switch)
+     */
+    switchSecondCard(otherHand) {
+        [this.cards[1], otherHand.cards[1]] = [otherHand.cards[1], this.cards[1]];
+        this.isSwitched = true;
+        otherHand.isSwitched = true;
+    }
+
     getValue() {
         let value = 0;
         let aces = 0;
@@ -127,22 +143,28 @@ export class Hand {
         this.isStanding = false;
         this.isDoubled = false;
         this.isSplit = false;
+        this.isSurrendered = false;
+        this.isRescued = false;
+        this.isSwitched = false;
     }
 
     clone() {
-        const newHand = new Hand();
+        const newHand = new Hand(this.spot);
         newHand.cards = [...this.cards];
         newHand.isStanding = this.isStanding;
         newHand.isDoubled = this.isDoubled;
         newHand.isSplit = this.isSplit;
+        newHand.isSurrendered = this.isSurrendered;
+        newHand.isRescued = this.isRescued;
+        newHand.isSwitched = this.isSwitched;
         return newHand;
     }
     
     /**
-     * Check if hand can be hit (not standing, not doubled, not busted)
+     * Check if hand can be hit (not standing, not doubled, not surrendered, not busted)
      */
     canHit() {
-        return !this.isStanding && !this.isDoubled && !this.isBusted();
+        return !this.isStanding && !this.isDoubled && !this.isSurrendered && !this.isBusted();
     }
     
     /**
@@ -0,0 +1,390 @@
+/**
+ * Index Plays Module - Data-driven count-based strategy deviations
+ * Ships the Illustrious 18, the Fab 4 surrenders and common negative-count
+ * deviations (Hi-Lo indices, multi-deck). Entries tell hard, soft and pair hands
+ * apart, can be limited to S17 or H17 games and can be edited, imported and exported.
+ *
+ * Entry: { id, set, hand, total, dealer, action, index, direction, dealerRule, surrender, enabled }
+ * - hand: 'hard' | 'soft' | 'pair' | 'insurance'; for pairs, total is the card value (A = 11)
+ * - dealer: up card value 2-11 (11 = Ace)
+ * - direction: 'above' plays action at TC >= index, 'below' plays it at TC < index
+ * - dealerRule: 'any' | 's17' | 'h17'
+ * - surrender: 'any' | 'allowed' (only while surrender is possible) | 'not-allowed'
+ */
+
+import { ProfileManager } from '../statistics/ProfileManager.js';
+
+const STORAGE_KEY = 'blackjackpro_index_plays';
+const TABLE_VERSION = 1;
+
+export const INDEX_PLAY_SETS = {
+    illustrious18: 'Illustrious 18',
+    fab4: 'Fab 4 Surrenders',
+    negative: 'Negative Deviations',
+    custom: 'Custom'
+};
+
+const HAND_TYPES = ['hard', 'soft', 'pair', 'insurance'];
+const ACTIONS = ['Hit', 'Stand', 'Double Down', 'Split', 'Surrender', 'Take Insurance'];
+const DIRECTIONS = ['above', 'below'];
+const DEALER_RULES = ['any', 's17', 'h17'];
+const SURRENDER_RULES = ['any', 'allowed', 'not-allowed'];
+
+/**
+ * Build a table entry with defaults for the optional fields
+ */
+function entry(set, hand, total, dealer, action, index, options = {}) {
+    const {
+        direction = 'above',
+        dealerRule = 'any',
+        surrender = 'any'
+    } = options;
+
+    return {
+        id: `${set}-${hand}-${total ?? 'ins'}-${dealer}-${dealerRule}`,
+        set,
+        hand,
+        total,
+        dealer,
+        action,
+        index,
+        direction,
+        dealerRule,
+        surrender,
+        enabled: true
+    };
+}
+
+export class IndexPlays {
+    constructor() {
+        this.entries = IndexPlays.getDefaultEntries();
+        this.isCustomized = false;
+        this.storageKey = ProfileManager.getStorageKey(STORAGE_KEY); // Each player edits their own table
+    }
+
+    /**
+     * Default tables, in match order: insurance, Fab 4, Illustrious 18, negative deviations
+     */
+    static getDefaultEntries() {
+        return [
+            // Illustrious 18 - insurance is decided before the hand is played
+            entry('illustrious18', 'insurance', null, 11, 'Take Insurance', 3),
+
+            // Fab 4 surrenders (late surrender games)
+            entry('fab4', 'hard', 14, 10, 'Surrender', 3, { surrender: 'allowed' }),
+            entry('fab4', 'hard', 15, 10, 'Hit', 0, { direction: 'below', surrender: 'allowed' }),
+            entry('fab4', 'hard', 15, 9, 'Surrender', 2, { surrender: 'allowed' }),
+            entry('fab4', 'hard', 15, 11, 'Surrender', 1, { surrender: 'allowed', dealerRule: 's17' }),
+            entry('fab4', 'hard', 15, 11, 'Hit', -1, { direction: 'below', surrender: 'allowed', dealerRule: 'h17' }),
+
+            // Illustrious 18
+            entry('illustrious18', 'hard', 16, 10, 'Stand', 0, { surrender: 'not-allowed' }),
+            entry('illustrious18', 'hard', 15, 10, 'Stand', 4, { surrender: 'not-allowed' }),
+            entry('illustrious18', 'pair', 10, 5, 'Split', 5),
+            entry('illustrious18', 'pair', 10, 6, 'Split', 4),
+            entry('illustrious18', 'hard', 10, 10, 'Double Down', 4),
+            entry('illustrious18', 'hard', 12, 3, 'Stand', 2),
+            entry('illustrious18', 'hard', 12, 2, 'Stand', 3),
+            entry('illustrious18', 'hard', 11, 11, 'Double Down', 1, { dealerRule: 's17' }),
+            entry('illustrious18', 'hard', 11, 11, 'Hit', -1, { direction: 'below', dealerRule: 'h17' }),
+            entry('illustrious18', 'hard', 9, 2, 'Double Down', 1),
+            entry('illustrious18', 'hard', 10, 11, 'Double Down', 4, { dealerRule: 's17' }),
+            entry('illustrious18', 'hard', 10, 11, 'Double Down', 3, { dealerRule: 'h17' }),
+            entry('illustrious18', 'hard', 9, 7, 'Double Down', 3),
+            entry('illustrious18', 'hard', 16, 9, 'Stand', 5, { surrender: 'not-allowed', dealerRule: 's17' }),
+            entry('illustrious18', 'hard', 16, 9, 'Stand', 4, { surrender: 'not-allowed', dealerRule: 'h17' }),
+            entry('illustrious18', 'hard', 13, 2, 'Hit', -1, { direction: 'below' }),
+            entry('illustrious18', 'hard', 12, 4, 'Hit', 0, { direction: 'below' }),
+            entry('illustrious18', 'hard', 12, 5, 'Hit', -2, { direction: 'below' }),
+            entry('illustrious18', 'hard', 12, 6, 'Hit', -1, { direction: 'below' }),
+            entry('illustrious18', 'hard', 13, 3, 'Hit', -2, { direction: 'below' }),
+
+            // Negative-count deviations beyond the Illustrious 18
+            entry('negative', 'hard', 13, 4, 'Hit', -4, { direction: 'below' }),
+            entry('negative', 'hard', 13, 5, 'Hit', -5, { direction: 'below' }),
+            entry('negative', 'hard', 13, 6, 'Hit', -5, { direction: 'below' }),
+            entry('negative', 'hard', 14, 2, 'Hit', -3, { direction: 'below' }),
+            entry('negative', 'hard', 10, 9, 'Hit', -2, { direction: 'below' }),
+            entry('negative', 'hard', 11, 10, 'Hit', -4, { direction: 'below' })
+        ];
+    }
+
+    /**
+     * Find the deviation for a hand at a given Hi-Lo true count
+     * @param {Hand} hand - Player hand
+     * @param {Card} dealerUpCard - Dealer up card
+     * @param {number} trueCount - Hi-Lo scale true count
+     * @param {Object} options - { canDouble, canSplit, canSurrender, canTakeInsurance, dealerHitsSoft17, basicAction }
+     * @returns {Object|null} { entry, action } for the first entry that fires and differs from basicAction
+     */
+    findPlay(hand, dealerUpCard, trueCount, options = {}) {
+        const {
+            canDouble = true,
+            canSplit = true,
+            canSurrender = false,
+            canTakeInsurance = false,
+            dealerHitsSoft17 = false,
+            basicAction = null
+        } = options;
+        const dealerValue = dealerUpCard.rank === 'A' ? 11 : dealerUpCard.value;
+        const dealerRule = dealerHitsSoft17 ? 'h17' : 's17';
+        const total = hand.getValue();
+        const isPair = hand.cards.length === 2 && hand.cards[0].value === hand.cards[1].value;
+        const isSoft = hand.isSoft();
+        const actionAvailable = {
+            'Double Down': canDouble,
+            'Split': canSplit,
+            'Surrender': canSurrender,
+            'Take Insurance': canTakeInsurance
+        };
+
+        for (const play of this.entries) {
+            if (!play.enabled || play.dealer !== dealerValue) continue;
+            if (play.dealerRule !== 'any' && play.dealerRule !== dealerRule) continue;
+            if (play.surrender === 'allowed' && !canSurrender) continue;
+            if (play.surrender === 'not-allowed' && canSurrender) continue;
+            if (actionAvailable[play.action] === false) continue;
+
+            // Pairs the chart splits only take pair deviations
+            const matchesHand = {
+                insurance: () => canTakeInsurance,
+                pair: () => isPair && hand.cards[0].value === play.total,
+                soft: () => isSoft && total === play.total && !(isPair && basicAction === 'Split'),
+                hard: () => !isSoft && total === play.total && !(isPair && basicAction === 'Split')
+            }[play.hand];
+            if (!matchesHand?.()) continue;
+
+            const fires = play.direction === 'below' ? trueCount < play.index : trueCount >= play.index;
+            if (fires && play.action !== basicAction) {
+                return { entry: play, action: play.action };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Human-readable description of an entry, e.g. "Stand hard 16 vs 10 at TC ≥ 0"
+     */
+    static describe(play) {
+        const dealer = play.dealer === 11 ? 'A' : play.dealer;
+        const index = play.index > 0 ? `+${play.index}` : `${play.index}`;
+        const when = play.direction === 'below' ? `below TC ${index}` : `at TC ≥ ${index}`;
+
+        if (play.hand === 'insurance') {
+            return `Take insurance ${when}`;
+        }
+
+        const hand = play.hand === 'pair'
+            ? `${play.total === 11 ? 'A' : play.total}s`
+            : `${play.hand} ${play.total}`;
+        return `${play.action} ${hand} vs ${dealer} ${when}`;
+    }
+
+    // ===== EDITING =====
+
+    /**
+     * Get a copy of all entries
+     */
+    getEntries() {
+        return this.entries.map(play => ({ ...play }));
+    }
+
+    /**
+     * Replace the whole table (validated)
+     */
+    setEntries(entries) {
+        if (!Array.isArray(entries)) {
+            throw new Error('Index play table must be an array of entries');
+        }
+
+        const validated = entries.map((play, position) => IndexPlays.validateEntry(play, position));
+        const ids = new Set();
+        validated.forEach(play => {
+            if (ids.has(play.id)) {
+                throw new Error(`Duplicate index play id: ${play.id}`);
+            }
+            ids.add(play.id);
+        });
+
+        this.entries = validated;
+        this.isCustomized = true;
+    }
+
+    /**
+     * Change fields of one entry
+     */
+    updateEntry(id, changes) {
+        const position = this.entries.findIndex(play => play.id === id);
+        if (position === -1) {
+            throw new Error(`Unknown index play: ${id}`);
+        }
+
+        const updated = [...this.entries];
+        updated[position] = { ...updated[position], ...changes, id };
+        this.setEntries(updated);
+        return this.entries[position];
+    }
+
+    /**
+     * Add an entry (custom set unless given); returns the stored entry
+     */
+    addEntry(play) {
+        const added = {
+            set: 'custom',
+            direction: 'above',
+            dealerRule: 'any',
+            surrender: 'any',
+            enabled: true,
+            ...play
+        };
+        added.id = added.id || `custom-${Date.now().toString(36)}-${this.entries.length}`;
+
+        this.setEntries([...this.entries, added]);
+        return this.entries[this.entries.length - 1];
+    }
+
+    /**
+     * Remove an entry
+     */
+    removeEntry(id) {
+        this.setEntries(this.entries.filter(play => play.id !== id));
+    }
+
+    /**
+     * Enable or disable every entry in a set
+     */
+    setSetEnabled(set, enabled) {
+        this.setEntries(this.entries.map(play => (play.set === set ? { ...play, enabled } : play)));
+    }
+
+    /**
+     * Restore the built-in tables
+     */
+    resetToDefaults() {
+        this.entries = IndexPlays.getDefaultEntries();
+        this.isCustomized = false;
+        this.clearSaved();
+    }
+
+    /**
+     * Check one entry and return a normalized copy
+     */
+    static validateEntry(play, position = 0) {
+        const label = `Index play ${position + 1}${play?.id ? ` (${play.id})` : ''}`;
+
+        if (!play || typeof play !== 'object') {
+            throw new Error(`${label} is not an object`);
+        }
+        if (!play.id || typeof play.id !== 'string') {
+            throw new Error(`${label} needs a string id`);
+        }
+        if (!HAND_TYPES.includes(play.hand)) {
+            throw new Error(`${label}: hand must be one of ${HAND_TYPES.join(', ')}`);
+        }
+        if (play.hand !== 'insurance' && !Number.isInteger(play.total)) {
+            throw new Error(`${label}: total must be a whole number`);
+        }
+        if (!Number.isInteger(play.dealer) || play.dealer < 2 || play.dealer > 11) {
+            throw new Error(`${label}: dealer must be 2-11 (11 = Ace)`);
+        }
+        if (!ACTIONS.includes(play.action)) {
+            throw new Error(`${label}: action must be one of ${ACTIONS.join(', ')}`);
+        }
+        if (!Number.isFinite(play.index)) {
+            throw new Error(`${label}: index must be a number`);
+        }
+
+        const normalized = {
+            ...play,
+            set: play.set || 'custom',
+            total: play.hand === 'insurance' ? null : play.total,
+            direction: play.direction || 'above',
+            dealerRule: play.dealerRule || 'any',
+            surrender: play.surrender || 'any',
+            enabled: play.enabled !== false
+        };
+
+        if (!DIRECTIONS.includes(normalized.direction)) {
+            throw new Error(`${label}: direction must be 'above' or 'below'`);
+        }
+        if (!DEALER_RULES.includes(normalized.dealerRule)) {
+            throw new Error(`${label}: dealerRule must be one of ${DEALER_RULES.join(', ')}`);
+        }
+        if (!SURRENDER_RULES.includes(normalized.surrender)) {
+            throw new Error(`${label}: surrender must be one of ${SURRENDER_RULES.join(', ')}`);
+        }
+
+        return normalized;
+    }
+
+    // ===== IMPORT / EXPORT =====
+
+    /**
+     * Export the table as JSON
+     */
+    exportTable() {
+        return JSON.stringify({
+            version: TABLE_VERSION,
+            entries: this.entries,
+            exportDate: new Date().toISOString()
+        }, null, 2);
+    }
+
+    /**
+     * Import a table exported by exportTable() (or a bare array of entries)
+     */
+    importTable(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const entries = Array.isArray(data) ? data : data?.entries;
+
+        if (!Array.isArray(entries)) {
+            throw new Error('File does not contain an index play table');
+        }
+        if (data.version && data.version > TABLE_VERSION) {
+            throw new Error(`Index play table version ${data.version} is newer than this app supports`);
+        }
+
+        this.setEntries(entries);
+        console.log(`📋 Imported ${this.entries.length} index plays`);
+        return this.entries.length;
+    }
+
+    /**
+     * Save a customized table to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: TABLE_VERSION, entries: this.entries }));
+        } catch (error) {
+            console.warn('⚠️ Failed to save index plays:', error);
+        }
+    }
+
+    /**
+     * Load a saved table; falls back to the defaults if it is missing or invalid
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                this.importTable(saved);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load index plays, using defaults:', error);
+            this.entries = IndexPlays.getDefaultEntries();
+            this.isCustomized = false;
+        }
+    }
+
+    /**
+     * Forget the saved table
+     */
+    clearSaved() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('⚠️ Failed to clear index plays:', error);
+        }
+    }
+}
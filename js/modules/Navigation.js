@@ -2,8 +2,11 @@
  * Navigation Module - Handles mobile navigation and page interactions
  */
 
+import { ProfileSwitcher } from '../ui/ProfileSwitcher.js';
+
 export class Navigation {
     constructor() {
+        this.profileSwitcher = new ProfileSwitcher();
         this.isInitialized = false;
         this.isMobileMenuOpen = false;
     }
@@ -18,6 +21,7 @@ export class Navigation {
             this.setupMobileMenu();
             this.setupActiveNavigation();
             this.setupSmoothScrolling();
+            this.profileSwitcher.init();
             
             this.isInitialized = true;
             console.log('✅ Navigation initialized');
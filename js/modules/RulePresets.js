@@ -0,0 +1,99 @@
+/**
+ * RulePresets - Named custom rule sets saved from the rules editor
+ * They are offered next to the built-in variations (las-vegas, atlantic-city, ...) and
+ * shared by every profile, like the other table preferences. Ids carry a 'custom:' prefix
+ * so GameRules.getVariation() can tell them from the built-in names.
+ */
+
+const STORAGE_KEY = 'blackjackpro_rule_presets';
+
+export const CUSTOM_PRESET_PREFIX = 'custom:';
+
+const MAX_NAME_LENGTH = 32;
+
+export class RulePresets {
+    /**
+     * Every saved preset, oldest first
+     * @returns {Array<{ id, name, rules, updatedAt }>}
+     */
+    static getPresets() {
+        return RulePresets.load();
+    }
+
+    static getPreset(presetId) {
+        return RulePresets.load().find(preset => preset.id === presetId) ?? null;
+    }
+
+    static isCustom(presetId) {
+        return typeof presetId === 'string' && presetId.startsWith(CUSTOM_PRESET_PREFIX);
+    }
+
+    /**
+     * Save a rule set under a name; saving under an existing name replaces that preset
+     * @throws {Error} with a readable message if the name is empty or too long
+     */
+    static savePreset(name, rules) {
+        const trimmed = RulePresets.checkName(name);
+        const presets = RulePresets.load();
+        const existing = presets.find(preset => preset.name.toLowerCase() === trimmed.toLowerCase());
+
+        const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rules';
+        const preset = {
+            id: existing?.id ?? `${CUSTOM_PRESET_PREFIX}${slug}-${Date.now().toString(36)}`,
+            name: trimmed,
+            rules: { ...rules },
+            updatedAt: new Date().toISOString()
+        };
+
+        RulePresets.store(existing
+            ? presets.map(candidate => (candidate.id === existing.id ? preset : candidate))
+            : [...presets, preset]);
+        console.log(`📐 Rule preset saved: ${preset.name}`);
+        return preset;
+    }
+
+    static deletePreset(presetId) {
+        RulePresets.store(RulePresets.load().filter(preset => preset.id !== presetId));
+        console.log(`🗑️ Rule preset deleted: ${presetId}`);
+    }
+
+    // ===== STORAGE =====
+
+    /**
+     * Read the saved presets; without localStorage (e.g. in workers) there are none
+     */
+    static load() {
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            if (!saved) return [];
+
+            const data = JSON.parse(saved);
+            return Array.isArray(data.presets)
+                ? data.presets.filter(preset => RulePresets.isCustom(preset?.id) && typeof preset.name === 'string' &&
+                    preset.rules && typeof preset.rules === 'object')
+                : [];
+        } catch (error) {
+            console.warn('⚠️ Failed to read rule presets:', error);
+            return [];
+        }
+    }
+
+    static store(presets) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ presets }));
+    }
+
+    /**
+     * Trimmed name, or a readable error if it cannot be used
+     */
+    static checkName(name) {
+        const trimmed = String(name ?? '').trim();
+
+        if (!trimmed) {
+            throw new Error('Enter a name for the rule set.');
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(`Rule set names can be at most ${MAX_NAME_LENGTH} characters.`);
+        }
+        return trimmed;
+    }
+}
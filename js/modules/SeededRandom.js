@@ -0,0 +1,68 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32) for reproducible shoes
+ * Any object exposing next() -> [0, 1) can be plugged into Deck instead
+ */
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Create a fresh random seed (used when the player doesn't pick one)
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 100000);
+    }
+
+    /**
+     * Coerce any seed input (number or string) to an unsigned 32-bit integer
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.abs(Math.floor(seed)) >>> 0;
+        }
+
+        // Hash strings so "coach-drill-1" style seeds work too
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Derive an independent seed for a numbered stream (e.g. shoe #3 of a seed)
+     */
+    static deriveSeed(seed, streamNumber) {
+        let hash = (SeededRandom.normalizeSeed(seed) ^ Math.imul(streamNumber + 1, 0x9E3779B1)) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, maxExclusive)
+     */
+    nextInt(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+}
@@ -0,0 +1,341 @@
+/**
+ * Side Bets Module - Perfect Pairs, 21+3 and Super Match
+ * Every bet is decided by the opening cards: Perfect Pairs by the player's first
+ * two cards, 21+3 by those two plus the dealer's up card, and Super Match (Blackjack
+ * Switch) by the four cards of both hands. Payouts come from the GameRules paytables
+ * so tables can be configured per casino.
+ */
+
+export const SIDE_BETS = {
+    perfectPairs: {
+        name: 'Perfect Pairs',
+        ruleKey: 'allowPerfectPairs',
+        payoutKey: 'perfectPairsPayouts',
+        outcomes: {
+            perfect: 'Perfect pair',
+            colored: 'Coloured pair',
+            mixed: 'Mixed pair'
+        }
+    },
+    twentyOnePlus3: {
+        name: '21+3',
+        ruleKey: 'allow21Plus3',
+        payoutKey: 'twentyOnePlus3Payouts',
+        outcomes: {
+            suitedTrips: 'Suited three of a kind',
+            straightFlush: 'Straight flush',
+            threeOfAKind: 'Three of a kind',
+            straight: 'Straight',
+            flush: 'Flush'
+        }
+    },
+    superMatch: {
+        name: 'Super Match',
+        ruleKey: 'allowSuperMatch',
+        payoutKey: 'superMatchPayouts',
+        outcomes: {
+            fourOfAKind: 'Four of a kind',
+            twoPair: 'Two pair',
+            threeOfAKind: 'Three of a kind',
+            pair: 'Pair'
+        }
+    }
+};
+
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+const SUITS = ['♠', '♥', '♦', '♣'];
+const RED_SUITS = ['♥', '♦'];
+
+export class SideBets {
+    /**
+     * @param {GameRules} rules - supplies the allow flags, paytables and side bet limit
+     */
+    constructor(rules) {
+        this.rules = rules;
+    }
+
+    /**
+     * Side bet types the table currently offers
+     */
+    getAvailableTypes() {
+        return Object.keys(SIDE_BETS).filter(type => this.rules.isSideBetAllowed(type));
+    }
+
+    /**
+     * Keep only bets the table offers, capped at the side bet limit
+     */
+    normalizeWagers(wagers = {}) {
+        const normalized = {};
+        const limit = this.rules.rules.maxSideBet;
+
+        this.getAvailableTypes().forEach(type => {
+            const amount = Math.min(Math.max(0, Math.floor(wagers[type] || 0)), limit);
+            if (amount > 0) {
+                normalized[type] = amount;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Perfect Pairs outcome for the player's first two cards (null when not a pair)
+     */
+    static evaluatePerfectPairs(cards) {
+        const [first, second] = cards;
+        if (!first || !second || first.rank !== second.rank) return null;
+
+        if (first.suit === second.suit) return 'perfect';
+        return first.color === second.color ? 'colored' : 'mixed';
+    }
+
+    /**
+     * 21+3 outcome for three cards, treated as a poker hand (null when nothing pays).
+     * Aces play high or low, so A-2-3 and Q-K-A are both straights.
+     */
+    static evaluate21Plus3(cards) {
+        if (cards.length !== 3 || cards.some(card => !card)) return null;
+
+        const ranks = cards.map(card => RANKS.indexOf(card.rank)).sort((a, b) => a - b);
+        const sameRank = ranks[0] === ranks[2];
+        const flush = cards.every(card => card.suit === cards[0].suit);
+        const straight = !sameRank && (
+            (ranks[1] === ranks[0] + 1 && ranks[2] === ranks[1] + 1) ||
+            (ranks[0] === 0 && ranks[1] === 11 && ranks[2] === 12)
+        );
+
+        if (sameRank && flush) return 'suitedTrips';
+        if (straight && flush) return 'straightFlush';
+        if (sameRank) return 'threeOfAKind';
+        if (straight) return 'straight';
+        if (flush) return 'flush';
+        return null;
+    }
+
+    /**
+     * Super Match outcome for the four cards of both Switch hands, by rank (null when nothing pairs)
+     */
+    static evaluateSuperMatch(cards) {
+        if (cards.length !== 4 || cards.some(card => !card)) return null;
+
+        const rankCounts = {};
+        cards.forEach(card => {
+            rankCounts[card.rank] = (rankCounts[card.rank] || 0) + 1;
+        });
+        const pattern = Object.values(rankCounts).sort((a, b) => b - a).join('');
+
+        switch (pattern) {
+            case '4': return 'fourOfAKind';
+            case '22': return 'twoPair';
+            case '31': return 'threeOfAKind';
+            case '211': return 'pair';
+            default: return null;
+        }
+    }
+
+    /**
+     * Outcome of one side bet for the opening cards (the first hand's two cards come first)
+     */
+    static evaluate(type, playerCards, dealerUpCard) {
+        switch (type) {
+            case 'perfectPairs':
+                return SideBets.evaluatePerfectPairs(playerCards.slice(0, 2));
+            case 'twentyOnePlus3':
+                return SideBets.evaluate21Plus3([...playerCards.slice(0, 2), dealerUpCard]);
+            case 'superMatch':
+                return SideBets.evaluateSuperMatch(playerCards.slice(0, 4));
+            default:
+                throw new Error(`Unknown side bet: ${type}`);
+        }
+    }
+
+    /**
+     * Settle the wagers against the opening cards.
+     * payout is the amount returned including the stake, net is the win or loss.
+     */
+    settle(wagers, playerCards, dealerUpCard) {
+        const results = {
+            bets: [],
+            totalWagered: 0,
+            totalPayout: 0,
+            net: 0
+        };
+
+        Object.entries(wagers).forEach(([type, bet]) => {
+            const outcome = SideBets.evaluate(type, playerCards, dealerUpCard);
+            const multiplier = outcome ? this.rules.getSideBetPayouts(type)[outcome] ?? 0 : 0;
+            const payout = multiplier > 0 ? bet * (multiplier + 1) : 0;
+
+            results.bets.push({
+                type,
+                name: SIDE_BETS[type].name,
+                bet,
+                outcome,
+                label: outcome ? SIDE_BETS[type].outcomes[outcome] : 'No win',
+                multiplier,
+                payout,
+                net: payout - bet
+            });
+            results.totalWagered += bet;
+            results.totalPayout += payout;
+        });
+
+        results.net = results.totalPayout - results.totalWagered;
+        return results;
+    }
+
+    // ===== SIDE BET COUNT =====
+
+    /**
+     * Exact expected value per unit bet of each offered side bet when the opening
+     * cards come from the given cards. Counters bet when the value turns positive.
+     */
+    getExpectedValues(cards) {
+        const composition = SideBets.getComposition(cards);
+
+        const calculators = {
+            perfectPairs: SideBets.getPerfectPairsProbabilities,
+            twentyOnePlus3: SideBets.get21Plus3Probabilities,
+            superMatch: SideBets.getSuperMatchProbabilities
+        };
+
+        return this.getAvailableTypes().map(type => {
+            const probabilities = calculators[type](composition, cards.length);
+            const payouts = this.rules.getSideBetPayouts(type);
+
+            const winChance = Object.values(probabilities).reduce((sum, p) => sum + p, 0);
+            const ev = Object.entries(probabilities)
+                .reduce((sum, [outcome, p]) => sum + p * (payouts[outcome] ?? 0), 0) - (1 - winChance);
+
+            return {
+                type,
+                name: SIDE_BETS[type].name,
+                ev,
+                positive: ev > 0,
+                probabilities
+            };
+        });
+    }
+
+    /**
+     * Count of each rank/suit combination
+     */
+    static getComposition(cards) {
+        const composition = RANKS.map(() => SUITS.map(() => 0));
+        cards.forEach(card => {
+            const rank = RANKS.indexOf(card.rank);
+            const suit = SUITS.indexOf(card.suit);
+            if (rank >= 0 && suit >= 0) {
+                composition[rank][suit]++;
+            }
+        });
+        return composition;
+    }
+
+    /**
+     * Chance of each Perfect Pairs outcome for two cards dealt from the composition
+     */
+    static getPerfectPairsProbabilities(composition, totalCards) {
+        const probabilities = { perfect: 0, colored: 0, mixed: 0 };
+        if (totalCards < 2) return probabilities;
+
+        const orderedPairs = totalCards * (totalCards - 1);
+        composition.forEach(suitCounts => {
+            suitCounts.forEach((first, i) => {
+                suitCounts.forEach((second, j) => {
+                    if (i === j) {
+                        probabilities.perfect += first * (first - 1) / orderedPairs;
+                    } else if (RED_SUITS.includes(SUITS[i]) === RED_SUITS.includes(SUITS[j])) {
+                        probabilities.colored += first * second / orderedPairs;
+                    } else {
+                        probabilities.mixed += first * second / orderedPairs;
+                    }
+                });
+            });
+        });
+
+        return probabilities;
+    }
+
+    /**
+     * Chance of each 21+3 outcome for three cards dealt from the composition.
+     * Walks every multiset of card types, so a full eight-deck shoe takes ~25k steps.
+     */
+    static get21Plus3Probabilities(composition, totalCards) {
+        const probabilities = { suitedTrips: 0, straightFlush: 0, threeOfAKind: 0, straight: 0, flush: 0 };
+        if (totalCards < 3) return probabilities;
+
+        const types = [];
+        composition.forEach((suitCounts, rank) => {
+            suitCounts.forEach((count, suit) => {
+                if (count > 0) types.push({ count, card: { rank: RANKS[rank], suit: SUITS[suit] } });
+            });
+        });
+
+        const choose2 = (n) => n * (n - 1) / 2;
+        const choose3 = (n) => n * (n - 1) * (n - 2) / 6;
+        const totalHands = choose3(totalCards);
+
+        for (let i = 0; i < types.length; i++) {
+            for (let j = i; j < types.length; j++) {
+                for (let k = j; k < types.length; k++) {
+                    let combinations;
+                    if (i === j && j === k) combinations = choose3(types[i].count);
+                    else if (i === j) combinations = choose2(types[i].count) * types[k].count;
+                    else if (j === k) combinations = types[i].count * choose2(types[j].count);
+                    else combinations = types[i].count * types[j].count * types[k].count;
+
+                    if (combinations === 0) continue;
+
+                    const outcome = SideBets.evaluate21Plus3([types[i].card, types[j].card, types[k].card]);
+                    if (outcome) {
+                        probabilities[outcome] += combinations / totalHands;
+                    }
+                }
+            }
+        }
+
+        return probabilities;
+    }
+
+    /**
+     * Chance of each Super Match outcome for four cards dealt from the composition.
+     * Only ranks matter, so this walks the rank multisets (1,820 for thirteen ranks).
+     */
+    static getSuperMatchProbabilities(composition, totalCards) {
+        const probabilities = { fourOfAKind: 0, twoPair: 0, threeOfAKind: 0, pair: 0 };
+        if (totalCards < 4) return probabilities;
+
+        const rankCounts = composition.map(suitCounts => suitCounts.reduce((sum, count) => sum + count, 0));
+        const choose = (n, k) => {
+            let result = 1;
+            for (let i = 0; i < k; i++) result = result * (n - i) / (i + 1);
+            return result;
+        };
+        const totalHands = choose(totalCards, 4);
+
+        for (let a = 0; a < RANKS.length; a++) {
+            for (let b = a; b < RANKS.length; b++) {
+                for (let c = b; c < RANKS.length; c++) {
+                    for (let d = c; d < RANKS.length; d++) {
+                        const multiplicity = {};
+                        [a, b, c, d].forEach(rank => {
+                            multiplicity[rank] = (multiplicity[rank] || 0) + 1;
+                        });
+
+                        const combinations = Object.entries(multiplicity)
+                            .reduce((product, [rank, count]) => product * choose(rankCounts[rank], count), 1);
+                        if (combinations === 0) continue;
+
+                        const outcome = SideBets.evaluateSuperMatch([a, b, c, d].map(rank => ({ rank: RANKS[rank] })));
+                        if (outcome) {
+                            probabilities[outcome] += combinations / totalHands;
+                        }
+                    }
+                }
+            }
+        }
+
+        return probabilities;
+    }
+}
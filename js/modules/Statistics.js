@@ -8,6 +8,9 @@ import { SessionStats } from '../statistics/SessionStats.js';
 import { StrategyAnalytics } from '../statistics/StrategyAnalytics.js';
 import { CountingAnalytics } from '../statistics/CountingAnalytics.js';
 import { DataPersistence } from '../statistics/DataPersistence.js';
+import { HistoryStore } from '../statistics/HistoryStore.js';
+import { SCHEMA_VERSION } from '../statistics/PersistenceSchema.js';
+import { DEFAULT_PROFILE_ID } from '../statistics/ProfileManager.js';
 
 export class Statistics {
     constructor() {
@@ -16,6 +19,7 @@ export class Statistics {
         this.strategyAnalytics = new StrategyAnalytics();
         this.countingAnalytics = new CountingAnalytics();
         this.dataPersistence = new DataPersistence();
+        this.historyStore = new HistoryStore(); // unlimited long-term records (IndexedDB)
         
         // Legacy card count support (for backward compatibility)
         this.cardCount = {
@@ -42,12 +46,16 @@ export class Statistics {
             
             // Load saved statistics
             this.loadAllStatistics();
+            await this.openHistoryStore();
             
             // Hook auto-save event
             document.addEventListener('stats:autoSave', () => {
                 try { this.saveStatistics(); } catch (e) { console.warn('Auto-save failed:', e); }
             });
             
+            // Save under the old profile before the page reloads into another one
+            document.addEventListener('profileSwitching', () => this.saveStatistics());
+            
             this.isInitialized = true;
             console.log('✅ Statistics initialized with modular architecture');
         } catch (error) {
@@ -72,12 +80,71 @@ export class Statistics {
      */
     recordHand(handData) {
         const success = this.sessionStats.recordHand(handData);
+        if (success) {
+            const handRecord = this.sessionStats.handHistory[this.sessionStats.handHistory.length - 1];
+            this.storeHistoryRecord('addHand', {
+                ...handRecord,
+                handType: HistoryStore.getHandType(handData.playerHands)
+            });
+            this.saveStatistics();
+        }
+        return success;
+    }
+
+    /**
+     * Keep the event log of a settled round for replay
+     */
+    recordHandLog(log) {
+        const success = this.sessionStats.recordHandLog(log);
+        if (success) {
+            this.saveStatistics();
+        }
+        return success;
+    }
+
+    /**
+     * Get recorded hand logs, oldest first
+     */
+    getHandLogs() {
+        return this.sessionStats.getHandLogs();
+    }
+
+    /**
+     * Record settled side bets
+     */
+    recordSideBets(sideBetResults) {
+        const success = this.sessionStats.recordSideBets(sideBetResults);
+        if (success) {
+            this.saveStatistics();
+        }
+        return success;
+    }
+
+    /**
+     * Record a settled insurance bet
+     */
+    recordInsurance(insuranceResult) {
+        const success = this.sessionStats.recordInsurance(insuranceResult);
         if (success) {
             this.saveStatistics();
         }
         return success;
     }
 
+    /**
+     * Get side bet performance
+     */
+    getSideBetStats() {
+        return this.sessionStats.getSideBetStats();
+    }
+
+    /**
+     * Get Free Bet chip results
+     */
+    getFreeBetStats() {
+        return this.sessionStats.getFreeBetStats();
+    }
+
     /**
      * Update bank amount
      */
@@ -129,6 +196,7 @@ export class Statistics {
         };
         
         const record = this.strategyAnalytics.recordDecision(decisionData);
+        this.storeHistoryRecord('addDecision', record);
         this.saveStatistics();
         return record;
     }
@@ -154,6 +222,7 @@ export class Statistics {
      */
     recordCountingHand(handData) {
         const record = this.countingAnalytics.recordCountingHand(handData);
+        this.storeHistoryRecord('addCount', record);
         this.saveStatistics();
         return record;
     }
@@ -177,10 +246,10 @@ export class Statistics {
     // ===== CARD COUNT MANAGEMENT (Legacy Support) =====
 
     /**
-     * Update card count (Hi-Lo system)
+     * Update card count (the active system's tag, Hi-Lo if not given)
      */
-    updateCardCount(card) {
-        const countValue = card.getHiLoValue ? card.getHiLoValue() : 0;
+    updateCardCount(card, tag = null) {
+        const countValue = tag ?? (card.getHiLoValue ? card.getHiLoValue() : 0);
         this.cardCount.running += countValue;
         
         // Calculate true count
@@ -236,6 +305,61 @@ export class Statistics {
         };
     }
 
+    /**
+     * Split the session's result into skill (money lost to mistakes) and luck (variance)
+     * Expected result = -house edge x initial bets - cost of mistakes; whatever is left
+     * of the actual result is variance. House edge and the usual 1.15 bets standard deviation
+     * per hand are both quoted per initial bet, so doubles and splits are not counted again.
+     * Side bets and insurance carry their own edge and are reported apart, not as variance.
+     * @param {number} houseEdge - house edge with perfect basic strategy, in percent
+     */
+    getLuckVsSkill(houseEdge) {
+        const session = this.sessionStats.getSessionStats();
+        const mistakeCost = this.strategyAnalytics.getMistakeCost(session.sessionStartTime);
+        
+        const round = value => Math.round(value * 100) / 100;
+        const expectedWithPerfectPlay = -(houseEdge / 100) * session.totalInitialBets;
+        const expectedResult = expectedWithPerfectPlay - mistakeCost.lostToMistakes;
+        const standardDeviation = 1.15 * session.averageInitialBet * Math.sqrt(session.handsPlayed);
+        // netGain covers the hands only; side bets and insurance are settled and recorded separately
+        const variance = session.netGain - expectedResult;
+        
+        return {
+            handsPlayed: session.handsPlayed,
+            actualResult: session.netGain,
+            sideBetResult: this.sessionStats.getSideBetStats().netGain,
+            insuranceResult: this.sessionStats.getInsuranceStats().netGain,
+            expectedWithPerfectPlay: round(expectedWithPerfectPlay),
+            lostToMistakes: mistakeCost.lostToMistakes,
+            variance: round(variance),
+            expectedResult: round(expectedResult),
+            standardDeviation: round(standardDeviation),
+            confidenceBand: {
+                level: 95,
+                low: round(expectedResult - 1.96 * standardDeviation),
+                high: round(expectedResult + 1.96 * standardDeviation)
+            },
+            // How many standard deviations luck moved the result
+            luckScore: standardDeviation > 0 ? round(variance / standardDeviation) : 0,
+            mistakes: mistakeCost.mistakes,
+            pricedDecisions: mistakeCost.pricedDecisions,
+            decisions: mistakeCost.decisions,
+            costliestMistakes: mistakeCost.costliest
+        };
+    }
+
+    /**
+     * Series for the stats modal charts
+     */
+    getChartData() {
+        return {
+            bankroll: this.sessionStats.getBankrollHistory(),
+            shoeCount: this.sessionStats.getShoeCountHistory(),
+            learningProgress: this.strategyAnalytics.getLearningProgress(),
+            betsByCount: this.countingAnalytics.getBetsByCount()
+        };
+    }
+
     /**
      * Get real-time statistics update
      */
@@ -318,6 +442,57 @@ export class Statistics {
         console.log('📋 All statistics loaded from storage');
     }
 
+    // ===== LONG-TERM HISTORY (delegated to HistoryStore) =====
+
+    /**
+     * Player profile these statistics belong to ({ id, name, createdAt })
+     */
+    getProfile() {
+        return this.dataPersistence.profile;
+    }
+
+    getProfileId() {
+        return this.getProfile()?.id ?? DEFAULT_PROFILE_ID;
+    }
+
+    /**
+     * Open the IndexedDB history and copy in the localStorage history on first use
+     */
+    async openHistoryStore() {
+        try {
+            if (await this.historyStore.open()) {
+                await this.historyStore.migrateFromLocalStorage(this.dataPersistence.loadAllData(), this.getProfileId());
+            }
+        } catch (error) {
+            // The session still works from localStorage alone
+            console.error('❌ Failed to set up history store:', error);
+        }
+    }
+
+    /**
+     * Append a record to the long-term history, tagged with the profile and current session
+     */
+    storeHistoryRecord(method, record) {
+        this.historyStore[method]({ ...record, profileId: this.getProfileId(), sessionId: this.sessionStats.sessionData.sessionId })
+            .catch(error => console.warn('⚠️ Failed to write history record:', error));
+    }
+
+    /**
+     * Long-term strategy accuracy and results by true count, for this profile
+     * @param {Object} filter - HistoryStore filter { from, to, sessionId, minTrueCount, maxTrueCount, handType }
+     * @returns {Promise<Object|null>} { strategy, counting }, or null without IndexedDB
+     */
+    async getLongTermStats(filter = {}) {
+        if (!this.historyStore.isAvailable) return null;
+
+        filter = { profileId: this.getProfileId(), ...filter };
+        const [strategy, counting] = await Promise.all([
+            this.strategyAnalytics.getHistoricalAccuracy(this.historyStore, filter),
+            this.countingAnalytics.getHistoricalPerformanceByCount(this.historyStore, filter)
+        ]);
+        return { strategy, counting };
+    }
+
     /**
      * Export all data for backup/sharing
      */
@@ -325,8 +500,9 @@ export class Statistics {
         return {
             exportInfo: {
                 timestamp: new Date().toISOString(),
-                version: '1.0',
-                source: 'BlackjackPro Statistics (Optimized)'
+                schemaVersion: SCHEMA_VERSION,
+                source: 'BlackjackPro Statistics (Optimized)',
+                profile: this.dataPersistence.profile?.name ?? null
             },
             session: this.sessionStats.exportSessionData(),
             strategy: this.strategyAnalytics.exportData(),
@@ -335,20 +511,28 @@ export class Statistics {
     }
 
     /**
-     * Import data from backup/sharing
+     * Import data from backup/sharing (upgraded and validated first; nothing changes if it fails)
      */
     importAllData(importData) {
         try {
-            if (importData.session) {
-                this.sessionStats.importSessionData(importData.session);
+            const report = this.dataPersistence.checkImport(importData);
+            if (!report.valid) {
+                console.error(`❌ Import rejected:\n${report.errors.join('\n')}`);
+                return false;
             }
             
-            if (importData.strategy) {
-                this.strategyAnalytics.importData(importData.strategy);
+            const { session, strategy, counting } = report.sections;
+            
+            if (session) {
+                this.sessionStats.importSessionData(session);
             }
             
-            if (importData.counting) {
-                this.countingAnalytics.importData(importData.counting);
+            if (strategy) {
+                this.strategyAnalytics.importData(strategy);
+            }
+            
+            if (counting) {
+                this.countingAnalytics.importData(counting);
             }
             
             this.saveStatistics();
@@ -360,6 +544,35 @@ export class Statistics {
         }
     }
 
+    /**
+     * Export stored statistics (and optionally the game state) as a JSON file body
+     * @param {string|null} passphrase - encrypt the export with this passphrase
+     */
+    async exportToFile(gameState = null, passphrase = null) {
+        this.saveStatistics();
+        return this.dataPersistence.exportToFile(gameState, passphrase);
+    }
+
+    /**
+     * Check an export file without importing it
+     * @returns {Promise<Object>} import report: { valid, errors, fromVersion, migrations, summary, encrypted, ... }
+     */
+    previewImport(jsonData, passphrase = null) {
+        return this.dataPersistence.previewImport(jsonData, passphrase);
+    }
+
+    /**
+     * Import an export file into storage and reload the statistics from it
+     * @returns {Promise<Object>} import report with `imported` set
+     */
+    async importFromFile(jsonData, passphrase = null) {
+        const report = await this.dataPersistence.importFromFile(jsonData, passphrase);
+        if (report.imported) {
+            this.loadAllStatistics();
+        }
+        return report;
+    }
+
     /**
      * Create backup
      */
@@ -367,11 +580,20 @@ export class Statistics {
         return this.dataPersistence.createBackup();
     }
 
+    /**
+     * Create a passphrase-encrypted backup
+     */
+    createEncryptedBackup(passphrase) {
+        this.saveStatistics();
+        return this.dataPersistence.createEncryptedBackup(passphrase);
+    }
+
     /**
      * Restore from backup
+     * @param {string|null} passphrase - needed when the backup is encrypted
      */
-    restoreFromBackup() {
-        const success = this.dataPersistence.restoreFromBackup();
+    async restoreFromBackup(passphrase = null) {
+        const success = await this.dataPersistence.restoreFromBackup(passphrase);
         if (success) {
             this.loadAllStatistics();
         }
@@ -395,6 +617,7 @@ export class Statistics {
         this.strategyAnalytics.reset();
         this.countingAnalytics.reset();
         this.resetCardCount();
+        this.historyStore.clear(this.getProfileId()).catch(error => console.warn('⚠️ Failed to clear history store:', error));
         
         this.saveStatistics();
         console.log('🔄 All statistics reset');
@@ -415,7 +638,8 @@ export class Statistics {
             session: this.sessionStats,
             strategy: this.strategyAnalytics,
             counting: this.countingAnalytics,
-            persistence: this.dataPersistence
+            persistence: this.dataPersistence,
+            history: this.historyStore
         };
     }
 
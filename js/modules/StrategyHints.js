@@ -1,10 +1,44 @@
 /**
  * Strategy Hints Module - Provides basic strategy recommendations
+ * Starts from the standard 6-deck S17/DAS chart; loadStrategyForRules() swaps in
+ * charts derived by StrategyCalculator for the table's actual rules.
+ * Blackjack Switch's keep-or-switch choice is priced per deal by getSwitchHint().
+ * Double Exposure charts are keyed by the dealer's whole two-card hand, so hints there
+ * take the dealer Hand in place of an up card.
  */
 
+import { StrategyCalculator } from '../engine/StrategyCalculator.js';
+import { SimulationRunner } from '../simulation/SimulationRunner.js';
+import { VARIANT_CHARTS } from './VariantCharts.js';
+import { Hand } from './Hand.js';
+
+// Bump when chart generation changes so stale cached charts are ignored
+const CHART_VERSION = 1;
+const CHART_CACHE_KEY = 'blackjackpro_strategy_charts';
+const MAX_CACHED_CHARTS = 8;
+
+// Hint action names -> StrategyCalculator.analyzeHand() result keys
+const EV_ACTION_KEYS = {
+    'Hit': 'hit',
+    'Stand': 'stand',
+    'Double Down': 'double',
+    'Split': 'split',
+    'Surrender': 'surrender'
+};
+
+// Generated charts, shared by every StrategyHints instance on the page
+const chartCache = new Map();
+
 export class StrategyHints {
     constructor() {
         this.basicStrategy = {};
+        this.noHoleCard = null; // { originalBetsOnly } at a European no-hole-card table
+        this.freeBet = null; // { freeDoubles, freeSplits } at a Free Bet table
+        this.doubleExposure = null; // { dealerWinsTies, dealerHitsSoft17 } at a Double Exposure table
+        this.switchValues = new Map(); // full-shoe Blackjack Switch hand EVs, by rules and cards
+        this.rulesSignature = null;
+        this.requestedSignature = null;
+        this.chartRunner = null;
         this.isInitialized = false;
     }
 
@@ -80,6 +114,12 @@ export class StrategyHints {
             'Q': { 2: 'S', 3: 'S', 4: 'S', 5: 'S', 6: 'S', 7: 'S', 8: 'S', 9: 'S', 10: 'S', 11: 'S' },
             'K': { 2: 'S', 3: 'S', 4: 'S', 5: 'S', 6: 'S', 7: 'S', 8: 'S', 9: 'S', 10: 'S', 11: 'S' }
         };
+
+        // The default chart has no computed fallbacks - unavailable doubles and surrenders hit
+        this.basicStrategy.fallbacks = null;
+        // Doubled hands only have a decision on double-down rescue tables
+        this.basicStrategy.rescue = null;
+        this.rulesSignature = null;
         
         // Strategy accuracy tracking
         this.strategyAccuracy = {
@@ -91,15 +131,165 @@ export class StrategyHints {
         console.log('📚 Basic strategy charts loaded');
     }
 
+    /**
+     * Replace the charts with ones derived from the table rules.
+     * Generation runs in a Web Worker when available; results are cached per rule set.
+     * Resolves true once the charts are applied (false if a newer request superseded it).
+     */
+    async loadStrategyForRules(rules, numDecks = 6) {
+        const signature = StrategyHints.getRulesSignature(rules, numDecks);
+        this.requestedSignature = signature;
+        this.noHoleCard = rules.europeeanNoHoleCard ? { originalBetsOnly: !!rules.originalBetsOnly } : null;
+        this.freeBet = rules.freeDoubles || rules.freeSplits ? { freeDoubles: !!rules.freeDoubles, freeSplits: !!rules.freeSplits } : null;
+        this.doubleExposure = rules.doubleExposure && !rules.europeeanNoHoleCard
+            ? { dealerWinsTies: !!rules.dealerWinsTies, dealerHitsSoft17: !rules.dealerStandsOnSoft17 }
+            : null;
+
+        if (this.rulesSignature === signature) return true;
+
+        // Variant games play their published chart rather than a generated one
+        const variantCharts = StrategyHints.getVariantCharts(rules);
+        if (variantCharts) {
+            this.applyCharts(variantCharts, signature);
+            return true;
+        }
+
+        let charts = this.getCachedCharts(signature);
+        if (!charts) {
+            try {
+                charts = await this.generateCharts(rules, numDecks);
+            } catch (error) {
+                if (this.requestedSignature !== signature) return false;
+                throw error;
+            }
+            this.cacheCharts(signature, charts);
+        }
+
+        // A newer rule set was requested while these charts were being generated
+        if (this.requestedSignature !== signature) return false;
+
+        this.applyCharts(charts, signature);
+        return true;
+    }
+
+    /**
+     * Compute charts for a rule set (worker if available, otherwise inline)
+     */
+    async generateCharts(rules, numDecks) {
+        if (!SimulationRunner.isSupported()) {
+            return new StrategyCalculator(rules, numDecks).generateCharts();
+        }
+
+        if (!this.chartRunner) {
+            this.chartRunner = new SimulationRunner();
+        }
+        // Only the latest rule set matters - drop any chart job still running
+        if (this.chartRunner.isRunning()) {
+            this.chartRunner.terminate('Superseded by newer rules');
+        }
+
+        try {
+            const { results } = await this.chartRunner.run({ rules, numDecks }, { jobType: 'strategy' });
+            return results;
+        } catch (error) {
+            if (this.requestedSignature !== StrategyHints.getRulesSignature(rules, numDecks)) throw error;
+
+            console.warn('Strategy worker unavailable, generating charts inline:', error.message);
+            return new StrategyCalculator(rules, numDecks).generateCharts();
+        }
+    }
+
+    /**
+     * Use generated charts for hints
+     */
+    applyCharts(charts, signature = null) {
+        this.basicStrategy.hard = charts.hard;
+        this.basicStrategy.soft = charts.soft;
+        this.basicStrategy.pairs = charts.pairs;
+        this.basicStrategy.fallbacks = charts.fallbacks ?? null;
+        this.basicStrategy.rescue = charts.rescue ?? null;
+        this.basicStrategy.keyedByDealerHand = !!charts.keyedByDealerHand;
+        this.rulesSignature = signature;
+        console.log(`📚 Strategy charts applied${signature ? ' for table rules' : ''}`);
+    }
+
+    /**
+     * Identify a rule set by the rules that change basic strategy
+     */
+    static getRulesSignature(rules, numDecks) {
+        const strategyRules = [
+            'dealerStandsOnSoft17', 'doubleAfterSplit', 'resplitAces', 'hitSplitAces',
+            'surrenderAllowed', 'maxSplitHands', 'charlieRule', 'charlieCards',
+            'europeeanNoHoleCard', 'originalBetsOnly', 'gameVariant',
+            'freeDoubles', 'freeSplits', 'dealer22Push', 'doubleExposure', 'dealerWinsTies'
+        ];
+        return JSON.stringify([CHART_VERSION, numDecks, ...strategyRules.map(rule => rules[rule] ?? null)]);
+    }
+
+    /**
+     * Fixed chart for a variant game, or null when charts are generated from the rules
+     */
+    static getVariantCharts(rules) {
+        return VARIANT_CHARTS[rules.gameVariant] ?? null;
+    }
+
+    /**
+     * Look up generated charts in memory, then localStorage
+     */
+    getCachedCharts(signature) {
+        if (chartCache.has(signature)) {
+            return chartCache.get(signature);
+        }
+
+        try {
+            if (typeof localStorage === 'undefined') return null;
+            const stored = JSON.parse(localStorage.getItem(CHART_CACHE_KEY) || '{}');
+            if (stored[signature]) {
+                chartCache.set(signature, stored[signature]);
+                return stored[signature];
+            }
+        } catch (error) {
+            console.warn('Could not read cached strategy charts:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Remember generated charts (localStorage keeps the most recent few rule sets)
+     */
+    cacheCharts(signature, charts) {
+        chartCache.set(signature, charts);
+
+        try {
+            if (typeof localStorage === 'undefined') return;
+            const stored = JSON.parse(localStorage.getItem(CHART_CACHE_KEY) || '{}');
+            delete stored[signature];
+            stored[signature] = charts;
+
+            const signatures = Object.keys(stored);
+            signatures.slice(0, Math.max(0, signatures.length - MAX_CACHED_CHARTS)).forEach(key => delete stored[key]);
+
+            localStorage.setItem(CHART_CACHE_KEY, JSON.stringify(stored));
+        } catch (error) {
+            console.warn('Could not cache strategy charts:', error);
+        }
+    }
+
     /**
      * Get basic strategy hint for current situation - Enhanced Version
+     * @param {Card|Hand} dealerUpCard - Dealer up card, or the dealer's hand at a Double Exposure table
      */
-    getBasicStrategyHint(playerHand, dealerUpCard, canDoubleDown = true, canSplit = true) {
+    getBasicStrategyHint(playerHand, dealerUpCard, canDoubleDown = true, canSplit = true, canSurrender = false) {
         const dealerValue = this.getDealerValue(dealerUpCard);
         const hintId = `${playerHand.toString()}_vs_${dealerUpCard.toString()}`;
         
         this.strategyAccuracy.totalHints++;
         
+        // A doubled hand still in play can only stand or be rescued
+        if (playerHand.isDoubled) {
+            return { id: hintId, ...this.getRescueRecommendation(playerHand, dealerValue, canSurrender) };
+        }
+        
         let recommendedAction;
         let explanation;
         let handType;
@@ -115,41 +305,24 @@ export class StrategyHints {
                 explanation = this.getPairExplanation(pairRank, dealerValue, action);
             } else {
                 // If can't split or shouldn't split, treat as hard total
-                const hardValue = playerHand.getValue();
-                const hardAction = this.basicStrategy.hard[hardValue]?.[dealerValue];
-                recommendedAction = this.getActionName(hardAction);
-                explanation = this.getHardExplanation(hardValue, dealerValue, hardAction);
+                ({ recommendedAction, explanation } = this.getTotalRecommendation(
+                    'hard', playerHand.getValue(), dealerValue, canDoubleDown, canSurrender
+                ));
             }
         }
         // Handle soft totals
         else if (playerHand.isSoft()) {
             handType = 'soft';
-            const softValue = playerHand.getValue();
-            const action = this.basicStrategy.soft[softValue]?.[dealerValue];
-            
-            // Check if double down is available
-            if (action === 'D' && !canDoubleDown) {
-                recommendedAction = 'Hit';
-                explanation = `Would double on soft ${softValue}, but since doubling isn't available, hit instead.`;
-            } else {
-                recommendedAction = this.getActionName(action);
-                explanation = this.getSoftExplanation(softValue, dealerValue, action);
-            }
+            ({ recommendedAction, explanation } = this.getTotalRecommendation(
+                'soft', playerHand.getValue(), dealerValue, canDoubleDown, canSurrender
+            ));
         }
         // Handle hard totals
         else {
             handType = 'hard';
-            const hardValue = playerHand.getValue();
-            const action = this.basicStrategy.hard[hardValue]?.[dealerValue];
-            
-            // Check if double down is available
-            if (action === 'D' && !canDoubleDown) {
-                recommendedAction = 'Hit';
-                explanation = `Would double on ${hardValue}, but since doubling isn't available, hit instead.`;
-            } else {
-                recommendedAction = this.getActionName(action);
-                explanation = this.getHardExplanation(hardValue, dealerValue, action);
-            }
+            ({ recommendedAction, explanation } = this.getTotalRecommendation(
+                'hard', playerHand.getValue(), dealerValue, canDoubleDown, canSurrender
+            ));
         }
         
         // Fallback
@@ -158,6 +331,20 @@ export class StrategyHints {
             explanation = 'Unable to determine optimal strategy for this situation.';
         }
         
+        if (this.noHoleCard) {
+            ({ recommendedAction, explanation } = this.adjustForNoHoleCard(
+                playerHand, dealerValue, recommendedAction, explanation, canSurrender
+            ));
+        }
+        
+        if (this.freeBet) {
+            explanation = this.getFreeBetExplanation(playerHand, recommendedAction) ?? explanation;
+        }
+        
+        if (this.doubleExposure && this.basicStrategy.keyedByDealerHand) {
+            explanation = this.getDoubleExposureExplanation(playerHand, dealerValue, recommendedAction);
+        }
+        
         return {
             id: hintId,
             action: recommendedAction,
@@ -166,14 +353,244 @@ export class StrategyHints {
             handType: handType,
             playerValue: playerHand.getValue(),
             dealerUpCard: dealerValue,
-            alternativeActions: this.getAlternativeActions(playerHand, dealerUpCard, canDoubleDown, canSplit)
+            byDealerHand: dealerUpCard instanceof Hand && this.basicStrategy.keyedByDealerHand,
+            alternativeActions: this.getAlternativeActions(playerHand, dealerUpCard, canDoubleDown, canSplit, canSurrender)
+        };
+    }
+
+    /**
+     * No hole card: a dealer blackjack drawn later also takes doubled and split bets
+     * (unless only original bets are lost). Rule-generated charts already price this in;
+     * until they are ready the standard chart stops doubling and splitting into a 10 or Ace.
+     */
+    adjustForNoHoleCard(playerHand, dealerValue, recommendedAction, explanation, canSurrender) {
+        if (dealerValue < 10 || this.noHoleCard.originalBetsOnly) {
+            return { recommendedAction, explanation };
+        }
+
+        const dealerName = dealerValue === 11 ? 'an Ace' : 'a 10';
+        const risky = recommendedAction === 'Double Down' ||
+            (recommendedAction === 'Split' && !(playerHand.cards[0].rank === 'A' && dealerValue === 10));
+
+        if (risky && !this.rulesSignature) {
+            const fallback = this.getTotalRecommendation(
+                playerHand.isSoft() ? 'soft' : 'hard', playerHand.getValue(), dealerValue, false, canSurrender
+            );
+            return {
+                recommendedAction: fallback.recommendedAction,
+                explanation: `No hole card: don't ${recommendedAction === 'Split' ? 'split' : 'double'} against ${dealerName} - ` +
+                    `a dealer blackjack would take the extra bet too. ${fallback.recommendedAction} instead.`
+            };
+        }
+
+        if (recommendedAction === 'Double Down' || recommendedAction === 'Split') {
+            explanation += ` (No hole card: the extra bet is lost too if the dealer draws blackjack.)`;
+        }
+        return { recommendedAction, explanation };
+    }
+
+    /**
+     * Free Bet: explain a recommended double or split the house pays for (null when it costs money)
+     */
+    getFreeBetExplanation(playerHand, recommendedAction) {
+        const value = playerHand.getValue();
+        
+        if (recommendedAction === 'Split' && this.freeBet.freeSplits && playerHand.cards[0].value !== 10) {
+            return 'Free split - the house puts up the bet on the new hand, so split every pair but 10s.';
+        }
+        if (recommendedAction === 'Double Down' && this.freeBet.freeDoubles && playerHand.cards.length === 2 &&
+            !playerHand.isSoft() && value >= 9 && value <= 11) {
+            return `Free double on ${value} - the house matches your bet, so always take it.`;
+        }
+        return null;
+    }
+
+    /**
+     * Double Exposure: explain a play against the dealer's whole hand
+     */
+    getDoubleExposureExplanation(playerHand, dealerValue, recommendedAction) {
+        const playerValue = playerHand.getValue();
+        const playerLabel = playerHand.isSoft() ? `soft ${playerValue}` : playerValue;
+        const isSoftDealer = typeof dealerValue === 'string';
+        const dealerTotal = isSoftDealer ? parseInt(dealerValue.replace('soft ', '')) : dealerValue;
+        const dealerStands = dealerTotal > 17 || (dealerTotal === 17 && !(isSoftDealer && this.doubleExposure.dealerHitsSoft17));
+        const dealerLabel = `the dealer's ${dealerValue}`;
+        const tieNote = this.doubleExposure.dealerWinsTies ? ' - a tie loses' : '';
+
+        switch (recommendedAction) {
+            case 'Stand':
+                if (!dealerStands) return `Stand on ${playerLabel} - ${dealerLabel} has to draw and may bust.`;
+                if (playerValue > dealerTotal) return `Stand on ${playerLabel} - it already beats ${dealerLabel}.`;
+                break;
+            case 'Hit':
+                return dealerStands
+                    ? `Hit ${playerLabel} - ${dealerLabel} stands, so you have to beat it${tieNote}.`
+                    : `Hit ${playerLabel} - ${dealerLabel} is strong enough that standing loses more.`;
+            case 'Double Down':
+                return `Double on ${playerLabel} - ${dealerLabel} has to draw and is likely to bust.`;
+            case 'Split':
+                return `Split the ${playerHand.cards[0].rank}s - ${dealerLabel} has to draw and is likely to bust.`;
+        }
+        return `${recommendedAction} is the best play against ${dealerLabel} (both dealer cards are face up${tieNote}).`;
+    }
+
+    /**
+     * Stand or rescue a doubled hand (double-down rescue gives up the original bet)
+     */
+    getRescueRecommendation(playerHand, dealerValue, canSurrender) {
+        const playerValue = playerHand.getValue();
+        const rescue = canSurrender && !playerHand.isSoft() && this.basicStrategy.rescue?.[playerValue]?.[dealerValue] === 'SU';
+        
+        return {
+            action: rescue ? 'Surrender' : 'Stand',
+            explanation: rescue
+                ? `Rescue the double: ${playerValue} against dealer ${dealerValue} loses more than the original bet on average.`
+                : `Stand on the doubled ${playerValue} - it is worth more than giving back the original bet.`,
+            confidence: 'high',
+            handType: 'doubled',
+            playerValue,
+            dealerUpCard: dealerValue,
+            alternativeActions: [
+                { action: 'Stand', available: true, description: 'Keep the doubled hand', risk: this.assessStandRisk(playerValue, dealerValue), situation: 'doubled' },
+                ...(canSurrender ? [{ action: 'Surrender', available: true, description: 'Rescue: lose the original bet, take back the double', risk: 'none', situation: 'doubled' }] : [])
+            ]
+        };
+    }
+
+    /**
+     * Keep or switch the second cards of two Blackjack Switch hands. Both pairings are priced
+     * with exact EVs for the unseen shoe (a dealt two-card 21 is paid as a blackjack, a switched
+     * one is played as an ordinary 21), so alternatives
+     * carry EVs for the two hands together rather than per $1. Without unseenCards a full shoe
+     * is assumed and hand values are memoized (the simulator decides every round this way).
+     * @param {Array<Hand>} hands - The two hands as dealt
+     * @param {Card} dealerUpCard - Dealer up card
+     * @param {Object} table - { rules, numDecks, unseenCards }
+     */
+    getSwitchHint(hands, dealerUpCard, table) {
+        const dealerValue = this.getDealerValue(dealerUpCard);
+        const [first, second] = hands;
+        const pairings = {
+            Keep: [first.cards, second.cards],
+            Switch: [[first.cards[0], second.cards[1]], [second.cards[0], first.cards[1]]]
+        };
+
+        const calculator = new StrategyCalculator(table.rules, table.numDecks);
+        const shoe = table.unseenCards ? calculator.createShoeFromCards(table.unseenCards) : null;
+        const signature = StrategyHints.getRulesSignature(table.rules, table.numDecks);
+        const handValue = (cards, switched) => {
+            const hand = new Hand();
+            cards.forEach(card => hand.addCard(card));
+            if (hand.isBlackjack() && !switched) return table.rules.blackjackPayout;
+
+            const key = `${signature}|${cards.map(card => card.value).sort().join(',')}|${dealerUpCard.value}|${switched}`;
+            if (!shoe && this.switchValues.has(key)) return this.switchValues.get(key);
+
+            const ev = calculator.analyzeHand(cards, dealerUpCard, {
+                shoe,
+                canDouble: true,
+                canSplit: true,
+                canSurrender: true
+            }).best;
+            if (!shoe) this.switchValues.set(key, ev);
+            return ev;
+        };
+        const describe = (cards, switched) => {
+            const hand = new Hand();
+            cards.forEach(card => hand.addCard(card));
+            if (hand.isBlackjack()) return switched ? '21' : 'blackjack';
+            if (hand.isPair()) return `a pair of ${cards[0].rank}s`;
+            return hand.isSoft() ? `soft ${hand.getValue()}` : `${hand.getValue()}`;
+        };
+
+        const evs = Object.fromEntries(Object.entries(pairings).map(([action, pairing]) =>
+            [action, pairing.reduce((sum, cards) => sum + handValue(cards, action === 'Switch'), 0)]
+        ));
+        // Ties keep the hands as dealt (the second cards are often the same value)
+        const action = evs.Switch - evs.Keep > 1e-9 ? 'Switch' : 'Keep';
+        const other = action === 'Switch' ? 'Keep' : 'Switch';
+        const labels = Object.fromEntries(Object.entries(pairings).map(([key, pairing]) =>
+            [key, pairing.map(cards => describe(cards, key === 'Switch')).join(' and ')]
+        ));
+        const bestEv = evs[action];
+        const explanation = Math.abs(evs.Switch - evs.Keep) <= 1e-9
+            ? `Switching makes no difference here - play ${labels.Keep} against a dealer ${dealerValue}.`
+            : `${action === 'Switch' ? 'Switch' : 'Keep the hands as dealt'}: ${labels[action]} against a dealer ${dealerValue} ` +
+              `are worth more than ${labels[other]}.`;
+
+        return {
+            id: `${first.toString()}_${second.toString()}_vs_${dealerUpCard.toString()}`,
+            action,
+            explanation,
+            confidence: Math.abs(evs.Switch - evs.Keep) < 0.02 ? 'medium' : 'high',
+            handType: 'switch',
+            playerValue: `${first.getValue()} & ${second.getValue()}`,
+            dealerUpCard: dealerValue,
+            alternativeActions: Object.keys(pairings).map(key => ({
+                action: key,
+                available: true,
+                description: key === 'Switch' ? `Play ${labels.Switch} (EV for both hands)` : `Play ${labels.Keep} (EV for both hands)`,
+                risk: key === action ? 'low' : 'medium',
+                situation: 'switch',
+                ev: evs[key],
+                costCents: Math.max(0, (bestEv - evs[key]) * 100),
+                isBest: key === action
+            })),
+            bestEv,
+            evBestAction: action
+        };
+    }
+
+    /**
+     * Chart action for a hard or soft total, falling back when doubling or surrender is unavailable
+     */
+    getTotalRecommendation(chartType, value, dealerValue, canDoubleDown, canSurrender) {
+        const action = this.basicStrategy[chartType][value]?.[dealerValue];
+        const label = chartType === 'soft' ? `soft ${value}` : value;
+
+        if ((action === 'D' && !canDoubleDown) || (action === 'SU' && !canSurrender)) {
+            const fallback = this.getFallbackAction(chartType, value, dealerValue);
+            const fallbackName = this.getActionName(fallback);
+
+            if (action === 'SU') {
+                return {
+                    recommendedAction: fallbackName,
+                    explanation: this.getSurrenderFallbackExplanation(value, dealerValue, fallbackName)
+                };
+            }
+            return {
+                recommendedAction: fallbackName,
+                explanation: `Would double on ${label}, but since doubling isn't available, ${fallbackName.toLowerCase()} instead.`
+            };
+        }
+
+        return {
+            recommendedAction: this.getActionName(action),
+            explanation: chartType === 'soft'
+                ? this.getSoftExplanation(value, dealerValue, action)
+                : this.getHardExplanation(value, dealerValue, action)
         };
     }
 
     /**
-     * Get dealer card value for strategy lookup
+     * Play to use when a chart's double, surrender or split is not allowed
+     */
+    getFallbackAction(chartType, row, dealerValue) {
+        return this.basicStrategy.fallbacks?.[chartType]?.[row]?.[dealerValue] ?? 'H';
+    }
+
+    /**
+     * Get dealer card value for strategy lookup. A dealer Hand (Double Exposure) gives its
+     * chart column - total, or 'soft N' - once the charts are keyed by dealer hand, otherwise its up card.
      */
     getDealerValue(dealerCard) {
+        if (dealerCard instanceof Hand) {
+            if (!this.basicStrategy.keyedByDealerHand) {
+                return this.getDealerValue(dealerCard.cards[dealerCard.cards.length - 1]);
+            }
+            const value = dealerCard.getValue();
+            return dealerCard.isSoft() ? `soft ${value}` : value;
+        }
         if (dealerCard.rank === 'A') return 11;
         if (['J', 'Q', 'K'].includes(dealerCard.rank)) return 10;
         return parseInt(dealerCard.rank);
@@ -250,6 +667,8 @@ export class StrategyHints {
             } else {
                 return `Hit 12 against dealer ${dealerValue} - dealer unlikely to bust.`;
             }
+        } else if (action === 'SU') {
+            return `Surrender ${hardValue} against dealer ${dealerValue} - you lose more than half your bet on average by playing it out.`;
         } else if (hardValue >= 13 && hardValue <= 16) {
             if (dealerValue >= 2 && dealerValue <= 6) {
                 return `Stand on ${hardValue} against weak dealer ${dealerValue} - let dealer bust.`;
@@ -263,6 +682,13 @@ export class StrategyHints {
         return `${this.getActionName(action)} is the mathematically optimal play.`;
     }
 
+    /**
+     * Get explanation when surrender is optimal but not currently allowed
+     */
+    getSurrenderFallbackExplanation(hardValue, dealerValue, fallbackName = 'Hit') {
+        return `Would surrender ${hardValue} against dealer ${dealerValue}, but since surrender isn't available, ${fallbackName.toLowerCase()} instead.`;
+    }
+
     /**
      * Get strategy recommendation with detailed analysis
      */
@@ -339,7 +765,7 @@ export class StrategyHints {
     /**
      * Get alternative actions with analysis - Enhanced Version
      */
-    getAlternativeActions(playerHand, dealerUpCard, canDoubleDown = true, canSplit = true) {
+    getAlternativeActions(playerHand, dealerUpCard, canDoubleDown = true, canSplit = true, canSurrender = false) {
         const dealerValue = this.getDealerValue(dealerUpCard);
         const playerValue = playerHand.getValue();
         const alternatives = [];
@@ -386,8 +812,56 @@ export class StrategyHints {
             });
         }
         
+        // Surrender (late surrender on the first two cards only)
+        if (canSurrender && playerHand.cards.length === 2) {
+            alternatives.push({
+                action: 'Surrender',
+                available: true,
+                description: 'Forfeit half the bet and end the hand',
+                risk: 'none',
+                situation: this.assessSurrenderSituation(playerHand, dealerValue)
+            });
+        }
+        
         return alternatives;
     }
+
+    /**
+     * Attach composition-dependent EVs to a hint's alternative actions.
+     * Each available alternative gets `ev` (per $1 of the hand's bet), `costCents`
+     * (cents per $1 given up versus the best play) and `isBest`.
+     * @param {Object} hint - Hint from getBasicStrategyHint
+     * @param {Hand} playerHand - Current player hand
+     * @param {Card} dealerUpCard - Dealer up card
+     * @param {Object} table - { rules, numDecks, unseenCards, holeCard (Double Exposure), canDoubleDown,
+     *   canSplit, canSurrender, splitHands }
+     */
+    addExpectedValues(hint, playerHand, dealerUpCard, table) {
+        const calculator = new StrategyCalculator(table.rules, table.numDecks);
+        const evs = calculator.analyzeHand(playerHand.cards, dealerUpCard, {
+            shoe: table.unseenCards ? calculator.createShoeFromCards(table.unseenCards) : null,
+            holeCard: table.holeCard ?? null,
+            canDouble: table.canDoubleDown,
+            canSplit: table.canSplit,
+            canSurrender: table.canSurrender,
+            isSplitHand: Boolean(playerHand.isSplit),
+            splitHands: table.splitHands || 1
+        });
+
+        hint.alternativeActions?.forEach(alternative => {
+            const key = EV_ACTION_KEYS[alternative.action];
+            const ev = evs[key];
+            if (ev === null || ev === undefined) return;
+
+            alternative.ev = ev;
+            alternative.costCents = Math.max(0, (evs.best - ev) * 100);
+            alternative.isBest = key === evs.bestAction;
+        });
+
+        hint.bestEv = evs.best;
+        hint.evBestAction = Object.keys(EV_ACTION_KEYS).find(action => EV_ACTION_KEYS[action] === evs.bestAction);
+        return hint;
+    }
     
     /**
      * Assess risk of standing with current total
@@ -425,6 +899,16 @@ export class StrategyHints {
         return 'situational';
     }
 
+    /**
+     * Assess surrender situation
+     */
+    assessSurrenderSituation(playerHand, dealerValue) {
+        const action = this.basicStrategy.hard[playerHand.getValue()]?.[dealerValue];
+        if (!playerHand.isSoft() && !playerHand.isPair() && action === 'SU') return 'recommended';
+        
+        return 'unfavorable';
+    }
+
     /**
      * Assess risk for recommended action
      */
@@ -452,6 +936,11 @@ export class StrategyHints {
                     level: 'medium',
                     description: 'Creates two hands with additional bet required'
                 };
+            case 'surrender':
+                return {
+                    level: 'low',
+                    description: 'Guaranteed loss of half the bet'
+                };
             default:
                 return {
                     level: 'unknown',
@@ -540,7 +1029,8 @@ export class StrategyHints {
         return {
             hard: this.basicStrategy.hard,
             soft: this.basicStrategy.soft,
-            pairs: this.basicStrategy.pairs
+            pairs: this.basicStrategy.pairs,
+            fallbacks: this.basicStrategy.fallbacks
         };
     }
 }
\ No newline at end of file
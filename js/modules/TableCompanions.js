@@ -0,0 +1,178 @@
+/**
+ * Table Companions Module - Simulated players in the other seats
+ * Companions are dealt from the same shoe as the player, so their cards have to be
+ * counted too. They play hit/stand/double only (pairs are played as totals, no
+ * surrender or insurance) and their results never touch the player's bank.
+ * Their hands are settled by the table rules, like the player's.
+ */
+
+import { Hand } from './Hand.js';
+import { StrategyHints } from './StrategyHints.js';
+
+export const COMPANION_STYLES = {
+    'basic': {
+        name: 'Basic strategy',
+        description: 'Plays the basic strategy chart'
+    },
+    'erratic': {
+        name: 'Erratic',
+        description: 'Plays basic strategy, but about one decision in four is a random hit, stand or double'
+    },
+    'hits-16': {
+        name: 'Always hits 16',
+        description: 'Basic strategy, except hard 16 is always hit'
+    }
+};
+
+export const MAX_COMPANIONS = 3;
+
+// Share of erratic decisions made at random
+const ERRATIC_RATE = 0.25;
+
+export class TableCompanions {
+    /**
+     * @param {GameRules} rules - table rules the hands are settled by (classic rules when omitted)
+     * @param {StrategyHints} strategy - chart used for basic strategy decisions (the standard chart when omitted)
+     */
+    constructor(rules = null, strategy = null) {
+        this.rules = rules;
+        this.strategy = strategy;
+        this.seats = [];
+        this.playerSeat = 'third';
+        this.random = null;
+    }
+
+    /**
+     * Seat the companions. playerSeat 'first' puts the player first to be dealt and
+     * first to act; 'third' puts the player last, after every companion has played.
+     */
+    configure(styles = [], playerSeat = 'third') {
+        if (styles.length > MAX_COMPANIONS) {
+            throw new Error(`At most ${MAX_COMPANIONS} companions can sit at the table`);
+        }
+        styles.forEach(style => {
+            if (!COMPANION_STYLES[style]) {
+                throw new Error(`Unknown companion style: ${style}`);
+            }
+        });
+
+        this.seats = styles.map((style, seat) => ({
+            seat,
+            style,
+            name: COMPANION_STYLES[style].name,
+            hand: new Hand()
+        }));
+        this.playerSeat = playerSeat === 'first' ? 'first' : 'third';
+    }
+
+    /**
+     * Check if anyone else is at the table
+     */
+    hasCompanions() {
+        return this.seats.length > 0;
+    }
+
+    /**
+     * Check if the companions act before the player (player at third base)
+     */
+    actBeforePlayer() {
+        return this.playerSeat === 'third';
+    }
+
+    /**
+     * Fresh hands for a new round
+     * @param {Object} random - object with next() -> [0, 1), used by erratic companions
+     */
+    startRound(random) {
+        this.random = random;
+        this.seats.forEach(seat => {
+            seat.hand = new Hand();
+        });
+    }
+
+    /**
+     * Basic strategy chart, loaded on first use
+     */
+    getStrategy() {
+        if (!this.strategy) {
+            this.strategy = new StrategyHints();
+            this.strategy.loadBasicStrategy();
+        }
+        return this.strategy;
+    }
+
+    /**
+     * Play the same charts as the player, e.g. a variant's chart or one generated for the table rules
+     * @param {Object} charts - { hard, soft, pairs, fallbacks, rescue, keyedByDealerHand }
+     */
+    useCharts(charts) {
+        this.getStrategy().applyCharts(charts);
+    }
+
+    /**
+     * Choose the next action for a companion: 'hit', 'stand' or 'double'
+     */
+    decide(seatIndex, dealerUpCard) {
+        const { style, hand } = this.seats[seatIndex];
+        const canDouble = hand.canDoubleDown();
+
+        if (style === 'erratic' && this.random.next() < ERRATIC_RATE) {
+            const choices = canDouble ? ['hit', 'stand', 'double'] : ['hit', 'stand'];
+            return choices[Math.floor(this.random.next() * choices.length)];
+        }
+
+        if (style === 'hits-16' && !hand.isSoft() && hand.getValue() === 16) {
+            return 'hit';
+        }
+
+        const hint = this.getStrategy().getBasicStrategyHint(hand, dealerUpCard, canDouble, false, false);
+        switch (hint.action) {
+            case 'Stand':
+                return 'stand';
+            case 'Double Down':
+                return canDouble ? 'double' : 'hit';
+            default:
+                return 'hit';
+        }
+    }
+
+    /**
+     * Outcome of each companion hand against the dealer: 'blackjack', 'win', 'lose' or 'push'
+     */
+    settle(dealerHand) {
+        const dealerValue = dealerHand.getValue();
+        const dealerBlackjack = dealerHand.isBlackjack();
+
+        return this.seats.map(({ seat, hand }) => {
+            let outcome;
+            if (this.rules) {
+                // Dealer 22 pushes, dealer-wins-ties, 21 bonuses and Charlies apply to companions too
+                outcome = this.rules.determineResult(hand, dealerHand).result;
+            } else if (hand.isBlackjack()) {
+                outcome = dealerBlackjack ? 'push' : 'blackjack';
+            } else if (dealerBlackjack || hand.isBusted()) {
+                outcome = 'lose';
+            } else if (dealerHand.isBusted() || hand.getValue() > dealerValue) {
+                outcome = 'win';
+            } else {
+                outcome = hand.getValue() < dealerValue ? 'lose' : 'push';
+            }
+            return { seat, outcome, total: hand.getValue() };
+        });
+    }
+
+    /**
+     * Plain description of every seat
+     */
+    describe() {
+        return this.seats.map(({ seat, style, name, hand }) => ({
+            seat,
+            style,
+            name,
+            cards: [...hand.cards],
+            total: hand.getValue(),
+            busted: hand.isBusted(),
+            isDoubled: hand.isDoubled
+        }));
+    }
+}
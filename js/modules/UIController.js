@@ -85,8 +85,13 @@ export class UIController {
     /**
      * Add card to dealer's hand
      */
-    async addCardToDealer(card, faceUp = true) {
+    async addCardToDealer(card, faceUp = true, exposed = false) {
         const cardElement = this.animations.createCardElement(card, faceUp);
+        // Double Exposure: mark the hole card that was dealt face up
+        if (exposed) {
+            cardElement.classList.add('exposed-hole-card');
+            cardElement.title = 'Hole card (dealt face up)';
+        }
         this.dom.appendTo(cardElement, 'dealerCards');
         
         await this.animations.addDealingAnimation(cardElement);
@@ -105,9 +110,8 @@ export class UIController {
         const cardElement = this.animations.createCardElement(card, faceUp);
         
         // Handle split hands
-        const container = handIndex === 0 ? 
-            this.dom.getElement('playerCards') : 
-            this.dom.getElementById(`player-hand-${handIndex}`)?.querySelector('.hand-cards');
+        const container = this.dom.getSplitHandElement(handIndex, '.hand-cards') ||
+            (handIndex === 0 ? this.dom.getElement('playerCards') : null);
             
         if (container) {
             container.appendChild(cardElement);
@@ -135,7 +139,7 @@ export class UIController {
      */
     async addCardEffect(handIndex, effect) {
         const container = handIndex !== undefined ? 
-            this.dom.getElementById(`player-hand-${handIndex}`) || this.dom.getElement('playerCards') :
+            this.dom.getSplitHandElement(handIndex) || this.dom.getElement('playerCards') :
             this.dom.getElement('dealerCards');
             
         return await this.animations.addCardEffect(container, effect);
@@ -185,6 +189,48 @@ export class UIController {
         this.modals.showStatsModal(statsData);
     }
 
+    /**
+     * Update simulation progress in the stats modal
+     */
+    updateSimulationProgress(progress) {
+        this.modals.updateSimulationProgress(progress);
+    }
+
+    /**
+     * Toggle simulation controls in the stats modal
+     */
+    setSimulationRunning(running) {
+        this.modals.setSimulationRunning(running);
+    }
+
+    /**
+     * Show simulation results in the stats modal
+     */
+    showSimulationResults(simulationRun) {
+        this.modals.showSimulationResults(simulationRun);
+    }
+
+    /**
+     * Show long-term history in the open stats modal
+     */
+    showLongTermStats(longTermStats) {
+        this.modals.showLongTermStats(longTermStats);
+    }
+
+    /**
+     * Close the open modal
+     */
+    hideActiveModal() {
+        this.modals.hideActiveModal();
+    }
+
+    /**
+     * Show the import dry-run in the stats modal
+     */
+    showImportPreview(report, fileName) {
+        this.modals.showImportPreview(report, fileName);
+    }
+
     /**
      * Show settings modal
      */
@@ -215,6 +261,13 @@ export class UIController {
 
     // ===== DOM OPERATIONS (delegated to DOMHelpers) =====
     
+    /**
+     * Offer text as a file download
+     */
+    downloadFile(fileName, contents) {
+        this.dom.downloadFile(fileName, contents);
+    }
+
     /**
      * Clear all displays
      */
@@ -242,6 +295,8 @@ export class UIController {
         // Remove split hands
         this.dom.findElements('.split-hand').forEach(hand => hand.remove());
         this.dom.removeClass('playerCards', 'split-layout');
+        
+        this.dom.updateHTML('sideBetResults', '');
     }
 
     /**
@@ -266,6 +321,103 @@ export class UIController {
         this.animations.animateSplitHands(playerHands);
     }
 
+    /**
+     * Draw a recorded table position at once, without dealing animations (hand replay)
+     */
+    showReplayTable({ dealerCards, dealerTotal, hands, companions, playerSeat, currentHandIndex }) {
+        this.clearDealer();
+        this.clearPlayer();
+
+        dealerCards.forEach(({ card, faceUp }) => {
+            this.dom.appendTo(this.animations.createCardElement(card, faceUp), 'dealerCards');
+        });
+        this.dom.updateDealerTotal(dealerTotal, dealerTotal > 21);
+
+        if (hands.length > 1) {
+            this.dom.showSplitHands(hands);
+        }
+        hands.forEach((hand, index) => {
+            const container = this.dom.getSplitHandElement(index, '.hand-cards') ||
+                (index === 0 ? this.dom.getElement('playerCards') : null);
+            hand.cards.forEach(card => container?.appendChild(this.animations.createCardElement(card, true)));
+            this.dom.updatePlayerTotal(hand.total, hand.busted, index);
+        });
+
+        this.dom.showCompanionSeats(companions, playerSeat);
+        companions.forEach(companion => {
+            const container = this.dom.getCompanionSeatElement(companion.seat, '.hand-cards');
+            companion.cards.forEach(card => container?.appendChild(this.animations.createCardElement(card, true)));
+            this.dom.updateCompanionTotal(companion.seat, companion.total, companion.busted);
+        });
+
+        if (currentHandIndex !== null) {
+            this.dom.highlightCurrentHand(currentHandIndex);
+        }
+    }
+
+    /**
+     * Update the replay panel for a step
+     */
+    showReplayStep({ index, total, description, decision, table }, { canStepBack, canStepForward }) {
+        const count = table.count;
+        const formatCount = (value) => `${value > 0 ? '+' : ''}${value}`;
+        
+        this.dom.batchUpdate([
+            { type: 'text', element: 'replayStep', value: `Step ${index + 1} of ${total}` },
+            { type: 'text', element: 'replayDescription', value: description },
+            { type: 'text', element: 'replayCount', value: `Running count ${formatCount(count.running)} • True count ${formatCount(count.true)}` }
+        ]);
+        
+        const decisionElement = this.dom.getElement('replayDecision');
+        if (decisionElement) {
+            decisionElement.textContent = decision?.correct
+                ? `${decision.isCorrect ? '✅' : '❌'} Correct play: ${decision.correct}. ${decision.explanation}`
+                : '';
+            decisionElement.className = `replay-decision ${decision ? (decision.isCorrect ? 'correct' : 'incorrect') : ''}`;
+        }
+        
+        this.setButtonState('replay-prev', canStepBack);
+        this.setButtonState('replay-next', canStepForward);
+        this.setButtonState('replay-next-decision', canStepForward);
+    }
+
+    /**
+     * Show the companion seats for the round
+     */
+    showCompanionSeats(companions, playerSeat) {
+        this.dom.showCompanionSeats(companions, playerSeat);
+    }
+
+    /**
+     * Deal a card to a companion seat
+     */
+    async addCardToCompanion(card, seat) {
+        const cardElement = this.animations.createCardElement(card, true);
+        const container = this.dom.getCompanionSeatElement(seat, '.hand-cards');
+        
+        if (container) {
+            container.appendChild(cardElement);
+            await this.animations.addDealingAnimation(cardElement);
+            this.playCardSound();
+        }
+        
+        return cardElement;
+    }
+
+    /**
+     * Update a companion's total
+     */
+    updateCompanionTotal(seat, total, isBusted) {
+        this.dom.updateCompanionTotal(seat, total, isBusted);
+    }
+
+    /**
+     * Mark a companion's result for the round
+     */
+    showCompanionResult(seat, outcome) {
+        this.dom.showCompanionResult(seat, outcome);
+    }
+
     /**
      * Highlight current hand
      */
@@ -345,15 +497,64 @@ export class UIController {
         const running = (countData.runningCount ?? countData.running ?? 0);
         const trueCt = (countData.trueCount ?? countData.true ?? 0);
         const decksRem = (countData.decksRemaining ?? 6);
+        // Shoes with removed ranks (Spanish 21) also show the balanced running count
+        const adjustment = countData.deckAdjustment ?? 0;
         const updates = [
-            { type: 'text', element: 'runningCount', value: running },
+            { type: 'text', element: 'runningCount', value: adjustment ? `${running} (adj. ${Math.round(running + adjustment)})` : running },
             { type: 'text', element: 'trueCount', value: Number(trueCt).toFixed(1) },
             { type: 'text', element: 'decksRemaining', value: Number(decksRem).toFixed(1) }
         ];
+        if (countData.countingSystem) {
+            updates.push({ type: 'text', element: 'countingSystem', value: countData.countingSystem.name });
+        }
+        
+        this.dom.batchUpdate(updates);
+    }
+
+    /**
+     * Update the side bet count - each offered bet's value per $1 from the cards left
+     */
+    updateSideBetCount(sideBetCount) {
+        const elements = { perfectPairs: 'perfectPairsEv', twentyOnePlus3: 'twentyOnePlus3Ev', superMatch: 'superMatchEv' };
+        const updates = [];
+        
+        Object.entries(elements).forEach(([type, element]) => {
+            const count = sideBetCount.find(entry => entry.type === type);
+            const value = count ? `${count.ev >= 0 ? '+' : ''}${(count.ev * 100).toFixed(1)}%` : 'Off';
+            
+            updates.push(
+                { type: 'text', element, value },
+                { type: 'class', element, className: 'positive', add: !!count?.positive }
+            );
+        });
         
         this.dom.batchUpdate(updates);
     }
 
+    /**
+     * Show the outcome of each side bet beside the main bet
+     */
+    showSideBetResults(bets) {
+        const html = bets.map(bet => `
+            <span class="side-bet-result ${bet.outcome ? 'win' : 'lose'}">
+                ${bet.name}: ${bet.label} (${bet.net >= 0 ? '+' : '-'}$${Math.abs(bet.net)})
+            </span>
+        `).join('');
+        
+        this.dom.updateHTML('sideBetResults', html);
+    }
+
+    /**
+     * Update shoe seed / shoe number / round display
+     */
+    updateShoeInfo(shoeData) {
+        this.dom.batchUpdate([
+            { type: 'text', element: 'shoeSeed', value: shoeData.seed ?? '-' },
+            { type: 'text', element: 'shoeNumber', value: shoeData.shoeNumber ?? 0 },
+            { type: 'text', element: 'roundNumber', value: shoeData.roundNumber ?? 0 }
+        ]);
+    }
+
     /**
      * Toggle card counting display visibility
      */
@@ -407,7 +608,7 @@ export class UIController {
      * Disable all game action buttons
      */
     disableGameButtons() {
-        const gameButtons = ['hit-btn', 'stand-btn', 'double-btn', 'split-btn', 'insurance-btn'];
+        const gameButtons = ['hit-btn', 'stand-btn', 'double-btn', 'split-btn', 'surrender-btn', 'switch-btn', 'insurance-btn'];
         gameButtons.forEach(buttonId => this.setButtonState(buttonId, false));
     }
 
@@ -420,6 +621,8 @@ export class UIController {
             'stand': 'stand-btn',
             'doubleDown': 'double-btn',
             'split': 'split-btn',
+            'surrender': 'surrender-btn',
+            'switch': 'switch-btn',
             'insurance': 'insurance-btn'
         };
         
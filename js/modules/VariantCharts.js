@@ -0,0 +1,165 @@
+/**
+ * Variant Charts - Basic strategy for blackjack variants, in StrategyHints chart format
+ * StrategyCalculator derives charts for classic rule sets; variant games change the deck
+ * and payouts in ways it does not model, so their published two-card charts are used instead.
+ * Rows list the play against dealer 2-10 and Ace; fallbacks give the play when a double or
+ * surrender is not available.
+ */
+
+const DEALER_VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+
+/**
+ * Chart row from ten action codes, dealer 2 through Ace
+ */
+function row(codes) {
+    return Object.fromEntries(DEALER_VALUES.map((dealerValue, i) => [dealerValue, codes[i]]));
+}
+
+/**
+ * Chart section from { rowKey: 'H H D ...' } strings
+ */
+function section(rows) {
+    return Object.fromEntries(Object.entries(rows).map(([key, codes]) => [key, row(codes.split(' '))]));
+}
+
+/**
+ * Plays for when the chart's double or surrender is unavailable: doubled soft 18s stand,
+ * surrendered 17s stand, everything else hits
+ */
+function deriveFallbacks(charts) {
+    const fallbacks = { hard: {}, soft: {}, pairs: {} };
+    ['hard', 'soft'].forEach(chartType => {
+        Object.entries(charts[chartType]).forEach(([total, actions]) => {
+            fallbacks[chartType][total] = Object.fromEntries(Object.entries(actions).map(([dealerValue, action]) => {
+                if (action === 'S' || action === 'H') return [dealerValue, action];
+                return [dealerValue, parseInt(total) >= (chartType === 'soft' ? 18 : 17) ? 'S' : 'H'];
+            }));
+        });
+    });
+    return fallbacks;
+}
+
+/**
+ * Spanish 21 (six to eight 48-card decks, dealer hits soft 17, late surrender,
+ * double-down rescue, player 21 wins). Without the 10s doubling and splitting lose
+ * value, and the 21 bonuses make hitting stiff hands better than in classic blackjack.
+ */
+function createSpanish21Charts() {
+    const charts = {
+        hard: section({
+            5: 'H H H H H H H H H H',
+            6: 'H H H H H H H H H H',
+            7: 'H H H H H H H H H H',
+            8: 'H H H H H H H H H H',
+            9: 'H H H H D H H H H H',
+            10: 'D D D D D D D H H H',
+            11: 'D D D D D D D D D D',
+            12: 'H H H H H H H H H H',
+            13: 'H H H S S H H H H H',
+            14: 'H S S S S H H H H H',
+            15: 'S S S S S H H H H H',
+            16: 'S S S S S H H H H SU',
+            17: 'S S S S S S S S S SU',
+            18: 'S S S S S S S S S S',
+            19: 'S S S S S S S S S S',
+            20: 'S S S S S S S S S S',
+            21: 'S S S S S S S S S S'
+        }),
+        soft: section({
+            13: 'H H H H D H H H H H',
+            14: 'H H H D D H H H H H',
+            15: 'H H D D D H H H H H',
+            16: 'H H D D D H H H H H',
+            17: 'H H D D D H H H H H',
+            18: 'S S D D D S S H H H',
+            19: 'S S S S S S S S S S',
+            20: 'S S S S S S S S S S',
+            21: 'S S S S S S S S S S'
+        }),
+        pairs: section({
+            'A': 'SP SP SP SP SP SP SP SP SP SP',
+            '2': 'SP SP SP SP SP SP SP H H H',
+            '3': 'SP SP SP SP SP SP SP H H H',
+            '4': 'H H H H H H H H H H',
+            '5': 'D D D D D D D H H H',
+            '6': 'H H SP SP SP H H H H H',
+            '7': 'SP SP SP SP SP SP H H H H',
+            '8': 'SP SP SP SP SP SP SP SP SP SP',
+            '9': 'S SP SP SP SP S SP SP S S',
+            'J': 'S S S S S S S S S S',
+            'Q': 'S S S S S S S S S S',
+            'K': 'S S S S S S S S S S'
+        }),
+        // Double-down rescue: after the double card, give back the original bet on weak totals
+        rescue: section({
+            12: 'S S S S S S SU SU SU SU',
+            13: 'S S S S S S SU SU SU SU',
+            14: 'S S S S S S SU SU SU SU',
+            15: 'S S S S S S SU SU SU SU',
+            16: 'S S S S S S SU SU SU SU'
+        })
+    };
+    return { ...charts, fallbacks: deriveFallbacks(charts) };
+}
+
+/**
+ * Free Bet Blackjack (six decks, dealer hits soft 17, no surrender). Free doubles on hard
+ * 9-11 and free splits on every pair but 10s are always taken; a dealer 22 pushes, so stiff
+ * hands stand less often and paid soft doubles are rarer than in classic blackjack.
+ */
+function createFreeBetCharts() {
+    const charts = {
+        hard: section({
+            5: 'H H H H H H H H H H',
+            6: 'H H H H H H H H H H',
+            7: 'H H H H H H H H H H',
+            8: 'H H H H H H H H H H',
+            9: 'D D D D D D D D D D',
+            10: 'D D D D D D D D D D',
+            11: 'D D D D D D D D D D',
+            12: 'H H H S S H H H H H',
+            13: 'H S S S S H H H H H',
+            14: 'S S S S S H H H H H',
+            15: 'S S S S S H H H H H',
+            16: 'S S S S S H H H H H',
+            17: 'S S S S S S S S S S',
+            18: 'S S S S S S S S S S',
+            19: 'S S S S S S S S S S',
+            20: 'S S S S S S S S S S',
+            21: 'S S S S S S S S S S'
+        }),
+        soft: section({
+            13: 'H H H H H H H H H H',
+            14: 'H H H H H H H H H H',
+            15: 'H H H H H H H H H H',
+            16: 'H H H H D H H H H H',
+            17: 'H H H D D H H H H H',
+            18: 'S S S D D S S H H H',
+            19: 'S S S S S S S S S S',
+            20: 'S S S S S S S S S S',
+            21: 'S S S S S S S S S S'
+        }),
+        pairs: section({
+            'A': 'SP SP SP SP SP SP SP SP SP SP',
+            '2': 'SP SP SP SP SP SP SP SP SP SP',
+            '3': 'SP SP SP SP SP SP SP SP SP SP',
+            '4': 'SP SP SP SP SP SP SP SP SP SP',
+            '5': 'D D D D D D D D D D',
+            '6': 'SP SP SP SP SP SP SP SP SP SP',
+            '7': 'SP SP SP SP SP SP SP SP SP SP',
+            '8': 'SP SP SP SP SP SP SP SP SP SP',
+            '9': 'SP SP SP SP SP SP SP SP SP SP',
+            '10': 'S S S S S S S S S S',
+            'J': 'S S S S S S S S S S',
+            'Q': 'S S S S S S S S S S',
+            'K': 'S S S S S S S S S S'
+        })
+    };
+    return { ...charts, fallbacks: deriveFallbacks(charts) };
+}
+
+// Charts keyed by GameRules.rules.gameVariant (classic games use generated charts)
+export const VARIANT_CHARTS = {
+    'spanish-21': createSpanish21Charts(),
+    'free-bet': createFreeBetCharts()
+};
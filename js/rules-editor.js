@@ -0,0 +1,511 @@
+/**
+ * Rules Editor Page JavaScript
+ * Edits every table rule, keeps a house-edge estimate up to date and saves named rule sets
+ */
+
+import { Navigation } from './modules/Navigation.js';
+import { GameRules } from './modules/GameRules.js';
+import { RulePresets } from './modules/RulePresets.js';
+import { SideBets } from './modules/SideBets.js';
+import { Deck } from './modules/Deck.js';
+import { GameState } from './game/GameState.js';
+
+const DECK_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8].map(decks => [decks, `${decks} deck${decks === 1 ? '' : 's'}`]);
+
+// Form layout: one fieldset per group; enabledWhen greys out rules that have no effect yet
+const RULE_GROUPS = [
+    {
+        title: 'Game',
+        fields: [
+            {
+                rule: 'gameVariant', label: 'Game', type: 'select',
+                options: [['classic', 'Blackjack'], ['spanish-21', 'Spanish 21'], ['free-bet', 'Free Bet Blackjack'],
+                    ['blackjack-switch', 'Blackjack Switch'], ['double-exposure', 'Double Exposure']],
+                hint: 'Picks the strategy chart; the rules below stay as set and set the house edge'
+            }
+        ]
+    },
+    {
+        title: 'Payouts',
+        fields: [
+            {
+                rule: 'blackjackPayout', label: 'Blackjack pays', type: 'select',
+                options: [[1.5, '3:2'], [1.4, '7:5'], [1.2, '6:5'], [1, '1:1 (even money)'], [2, '2:1']]
+            },
+            { rule: 'insurancePayout', label: 'Insurance pays (to 1)', type: 'number', min: 0, step: 0.5 }
+        ]
+    },
+    {
+        title: 'Dealer',
+        fields: [
+            { rule: 'dealerStandsOnSoft17', label: 'Soft 17', type: 'select', options: [[true, 'Dealer stands (S17)'], [false, 'Dealer hits (H17)']] },
+            { rule: 'europeeanNoHoleCard', label: 'Hole card', type: 'select', options: [[false, 'Dealer peeks for blackjack'], [true, 'No hole card (European)']] },
+            { rule: 'originalBetsOnly', label: 'Dealer blackjack takes original bets only', type: 'checkbox', enabledWhen: rules => rules.europeeanNoHoleCard },
+            { rule: 'dealer22Push', label: 'Dealer 22 pushes', type: 'checkbox' },
+            { rule: 'doubleExposure', label: 'Both dealer cards face up', type: 'checkbox' },
+            { rule: 'dealerWinsTies', label: 'Dealer wins ties', type: 'checkbox' }
+        ]
+    },
+    {
+        title: 'Doubling & Splitting',
+        fields: [
+            { rule: 'doubleAfterSplit', label: 'Double after split (DAS)', type: 'checkbox' },
+            { rule: 'maxSplitHands', label: 'Split up to', type: 'select', options: [[1, 'No splitting'], [2, '2 hands'], [3, '3 hands'], [4, '4 hands']] },
+            { rule: 'resplitAces', label: 'Resplit aces', type: 'checkbox', enabledWhen: rules => rules.maxSplitHands > 2 },
+            { rule: 'hitSplitAces', label: 'Hit split aces', type: 'checkbox', enabledWhen: rules => rules.maxSplitHands > 1 },
+            { rule: 'freeDoubles', label: 'Free doubles on hard 9-11', type: 'checkbox' },
+            { rule: 'freeSplits', label: 'Free splits (all pairs but 10s)', type: 'checkbox', enabledWhen: rules => rules.maxSplitHands > 1 },
+            { rule: 'doubleDownRescue', label: 'Double-down rescue', type: 'checkbox' }
+        ]
+    },
+    {
+        title: 'Surrender',
+        fields: [
+            {
+                rule: 'surrenderAllowed', label: 'Surrender', type: 'select', options: [[false, 'Not allowed'], [true, 'Late surrender']],
+                hint: 'Only late surrender is supported: the dealer checks for blackjack before you can surrender'
+            }
+        ]
+    },
+    {
+        title: 'Shoe',
+        fields: [
+            { rule: 'minDecks', label: 'Fewest decks', type: 'select', options: DECK_OPTIONS },
+            { rule: 'maxDecks', label: 'Most decks', type: 'select', options: DECK_OPTIONS },
+            { rule: 'penetration', label: 'Penetration', type: 'range', min: 0.5, max: 0.95, step: 0.05 },
+            { rule: 'spanishDeck', label: '48-card decks (no 10s)', type: 'checkbox' }
+        ]
+    },
+    {
+        title: 'Special Rules',
+        fields: [
+            { rule: 'charlieRule', label: 'Charlie wins', type: 'checkbox' },
+            { rule: 'charlieCards', label: 'Charlie cards', type: 'select', options: [[5, '5 cards'], [6, '6 cards'], [7, '7 cards']], enabledWhen: rules => rules.charlieRule },
+            { rule: 'player21Wins', label: 'Player 21 always wins', type: 'checkbox' },
+            { rule: 'switchHands', label: 'Two hands with card switching', type: 'checkbox' },
+            { rule: 'spanish21Bonuses', label: 'Spanish 21 bonuses', type: 'checkbox' },
+            { rule: 'multiCard21Payouts', label: 'Multi-card 21 (to 1)', type: 'payouts', keys: { 5: '5 cards', 6: '6 cards', 7: '7+ cards' }, enabledWhen: rules => rules.spanish21Bonuses },
+            { rule: 'sixSevenEightPayouts', label: '6-7-8 (to 1)', type: 'payouts', keys: { mixed: 'Mixed', suited: 'Suited', spades: 'Spades' }, enabledWhen: rules => rules.spanish21Bonuses },
+            { rule: 'sevenSevenSevenPayouts', label: '7-7-7 (to 1)', type: 'payouts', keys: { mixed: 'Mixed', suited: 'Suited', spades: 'Spades' }, enabledWhen: rules => rules.spanish21Bonuses }
+        ]
+    },
+    {
+        title: 'Table Limits',
+        fields: [
+            { rule: 'minBet', label: 'Minimum bet', type: 'number', min: 1, step: 1 },
+            { rule: 'maxBet', label: 'Maximum bet', type: 'number', min: 1, step: 1 },
+            { rule: 'maxSpots', label: 'Betting spots', type: 'select', options: [[1, '1 spot'], [2, '2 spots'], [3, '3 spots']] },
+            { rule: 'maxSideBet', label: 'Maximum side bet', type: 'number', min: 0, step: 1 }
+        ]
+    },
+    {
+        title: 'Side Bets',
+        note: 'At the table, Perfect Pairs and 21+3 follow the side bet switches in the game settings.',
+        fields: [
+            { rule: 'allowInsurance', label: 'Insurance offered', type: 'checkbox' },
+            { rule: 'allowPerfectPairs', label: 'Perfect Pairs offered', type: 'checkbox' },
+            { rule: 'perfectPairsPayouts', label: 'Perfect Pairs (to 1)', type: 'payouts', keys: { perfect: 'Perfect', colored: 'Colored', mixed: 'Mixed' } },
+            { rule: 'allow21Plus3', label: '21+3 offered', type: 'checkbox' },
+            {
+                rule: 'twentyOnePlus3Payouts', label: '21+3 (to 1)', type: 'payouts',
+                keys: { suitedTrips: 'Suited trips', straightFlush: 'Straight flush', threeOfAKind: 'Three of a kind', straight: 'Straight', flush: 'Flush' }
+            },
+            { rule: 'allowSuperMatch', label: 'Super Match offered', type: 'checkbox', enabledWhen: rules => rules.switchHands },
+            {
+                rule: 'superMatchPayouts', label: 'Super Match (to 1)', type: 'payouts',
+                keys: { fourOfAKind: 'Four of a kind', twoPair: 'Two pair', threeOfAKind: 'Three of a kind', pair: 'Pair' }
+            }
+        ]
+    }
+];
+
+// Rules kept in step with another rule instead of being edited directly
+const DERIVED_RULES = {
+    dealerHitsSoft17: rules => !rules.dealerStandsOnSoft17
+};
+
+class RulesEditorApp {
+    constructor() {
+        this.navigation = null;
+        this.gameState = null;
+        this.rules = new GameRules().getDefaultRules();
+        this.presetId = 'standard';
+        this.fields = new Map();
+        this.isInitialized = false;
+    }
+
+    async init() {
+        try {
+            console.log('📐 Initializing Rules Editor...');
+
+            // Initialize navigation
+            this.navigation = new Navigation();
+            await this.navigation.init();
+
+            // The table rules of the active profile are the starting point
+            this.gameState = new GameState();
+            this.gameState.loadSettings();
+
+            this.renderPresetOptions();
+            this.loadPreset(this.gameState.getSetting('tableRules'));
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ Rules Editor initialized');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize Rules Editor:', error);
+        }
+    }
+
+    setupEventListeners() {
+        const form = document.getElementById('rules-form');
+        form?.addEventListener('input', (e) => this.handleRuleInput(e.target));
+        form?.addEventListener('change', (e) => this.handleRuleInput(e.target));
+        form?.addEventListener('submit', (e) => e.preventDefault());
+
+        document.getElementById('preset-select')?.addEventListener('change', (e) => this.loadPreset(e.target.value));
+        document.getElementById('save-preset')?.addEventListener('click', () => this.savePreset());
+        document.getElementById('play-preset')?.addEventListener('click', () => this.savePreset({ play: true }));
+        document.getElementById('delete-preset')?.addEventListener('click', () => this.deletePreset());
+    }
+
+    // ===== PRESETS =====
+
+    /**
+     * Fill the "Start from" menu with the built-in and saved rule sets
+     */
+    renderPresetOptions() {
+        const select = document.getElementById('preset-select');
+        if (!select) return;
+
+        select.replaceChildren();
+        const presets = GameRules.getPresets();
+        [['Built-in rules', false], ['Custom rules', true]].forEach(([label, custom]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.filter(preset => preset.custom === custom).forEach(preset => {
+                group.appendChild(new Option(preset.name, preset.id));
+            });
+            if (group.children.length > 0) select.appendChild(group);
+        });
+    }
+
+    /**
+     * Load a built-in or saved rule set into the form
+     */
+    loadPreset(presetId) {
+        const known = GameRules.getPresets().some(preset => preset.id === presetId);
+        this.presetId = known ? presetId : 'standard';
+        this.rules = { ...new GameRules().getVariation(this.presetId) };
+
+        const select = document.getElementById('preset-select');
+        if (select) select.value = this.presetId;
+
+        const nameInput = document.getElementById('preset-name');
+        if (nameInput) nameInput.value = RulePresets.getPreset(this.presetId)?.name ?? '';
+
+        this.renderForm();
+        this.refresh();
+    }
+
+    /**
+     * Save the form as a named rule set, optionally making it the table rules and opening the game
+     */
+    savePreset({ play = false } = {}) {
+        try {
+            const errors = this.validateRules();
+            if (errors.length > 0) {
+                throw new Error(errors[0]);
+            }
+
+            const preset = RulePresets.savePreset(document.getElementById('preset-name')?.value, this.rules);
+            this.renderPresetOptions();
+            this.presetId = preset.id;
+            document.getElementById('preset-select').value = preset.id;
+            this.updatePresetButtons();
+
+            if (play) {
+                this.gameState.updateSetting('tableRules', preset.id);
+                window.location.href = 'index.html';
+                return;
+            }
+            this.showStatus(`Saved "${preset.name}" - pick it under Table Rules in the game settings`, 'success');
+        } catch (error) {
+            console.error('❌ Failed to save rule set:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Delete the loaded custom rule set after confirmation
+     */
+    deletePreset() {
+        const preset = RulePresets.getPreset(this.presetId);
+        if (!preset || !confirm(`Delete the rule set "${preset.name}"?`)) return;
+
+        RulePresets.deletePreset(preset.id);
+        if (this.gameState.getSetting('tableRules') === preset.id) {
+            this.gameState.updateSetting('tableRules', 'standard');
+        }
+
+        this.renderPresetOptions();
+        this.loadPreset('standard');
+        this.showStatus(`Deleted "${preset.name}"`, 'success');
+    }
+
+    updatePresetButtons() {
+        const deleteButton = document.getElementById('delete-preset');
+        if (deleteButton) deleteButton.disabled = !RulePresets.isCustom(this.presetId);
+    }
+
+    showStatus(message, type = 'info') {
+        const status = document.getElementById('preset-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `rules-editor-status ${type}`;
+    }
+
+    // ===== FORM =====
+
+    /**
+     * Build the form from RULE_GROUPS; rules the layout does not know get an "Other Rules" group
+     */
+    renderForm() {
+        const form = document.getElementById('rules-form');
+        if (!form) return;
+
+        const knownRules = new Set([
+            ...RULE_GROUPS.flatMap(group => group.fields.map(field => field.rule)),
+            ...Object.keys(DERIVED_RULES)
+        ]);
+        const otherFields = Object.entries(this.rules)
+            .filter(([rule, value]) => !knownRules.has(rule) && ['boolean', 'number'].includes(typeof value))
+            .map(([rule, value]) => ({ rule, label: rule, type: typeof value === 'boolean' ? 'checkbox' : 'number' }));
+        const groups = otherFields.length > 0 ? [...RULE_GROUPS, { title: 'Other Rules', fields: otherFields }] : RULE_GROUPS;
+
+        this.fields = new Map(groups.flatMap(group => group.fields.map(field => [field.rule, field])));
+        form.innerHTML = groups.map(group => `
+            <fieldset class="rules-group">
+                <legend>${group.title}</legend>
+                ${group.note ? `<p class="rule-note">${group.note}</p>` : ''}
+                ${group.fields.map(field => this.renderField(field)).join('')}
+            </fieldset>
+        `).join('');
+    }
+
+    renderField(field) {
+        const value = this.rules[field.rule];
+        const id = `rule-${field.rule}`;
+        const hint = field.hint ? `<small class="rule-hint">${field.hint}</small>` : '';
+
+        switch (field.type) {
+            case 'checkbox':
+                return `
+                    <div class="rule-field checkbox">
+                        <label><input type="checkbox" id="${id}" data-rule="${field.rule}" ${value ? 'checked' : ''}> ${field.label}</label>
+                        ${hint}
+                    </div>`;
+            case 'select': {
+                // Keep a value the menu does not list (e.g. an imported 8:5 payout) selectable
+                const options = field.options.some(([optionValue]) => optionValue === value)
+                    ? field.options
+                    : [...field.options, [value, field.rule === 'blackjackPayout' ? GameRules.formatPayout(value) : String(value)]];
+                return `
+                    <div class="rule-field">
+                        <label for="${id}">${field.label}</label>
+                        <select id="${id}" data-rule="${field.rule}">
+                            ${options.map(([optionValue, label], index) => `
+                                <option value="${index}" ${optionValue === value ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        ${hint}
+                    </div>`;
+            }
+            case 'range':
+                return `
+                    <div class="rule-field">
+                        <label for="${id}">${field.label} <output id="${id}-output">${Math.round(value * 100)}%</output></label>
+                        <input type="range" id="${id}" data-rule="${field.rule}" min="${field.min}" max="${field.max}" step="${field.step}" value="${value}">
+                        ${hint}
+                    </div>`;
+            case 'payouts': {
+                const keys = { ...field.keys, ...Object.fromEntries(Object.keys(value ?? {}).map(key => [key, field.keys[key] ?? key])) };
+                return `
+                    <div class="rule-field payouts">
+                        <span class="rule-label">${field.label}</span>
+                        <div class="payout-inputs">
+                            ${Object.entries(keys).map(([key, label]) => `
+                                <label>${label}
+                                    <input type="number" data-rule="${field.rule}" data-key="${key}" min="0" step="0.5" value="${value?.[key] ?? 0}">
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>`;
+            }
+            default:
+                return `
+                    <div class="rule-field">
+                        <label for="${id}">${field.label}</label>
+                        <input type="number" id="${id}" data-rule="${field.rule}" min="${field.min ?? ''}" step="${field.step ?? 'any'}" value="${value}">
+                        ${hint}
+                    </div>`;
+        }
+    }
+
+    /**
+     * Copy one control's value into the rules and refresh the estimate
+     */
+    handleRuleInput(target) {
+        const field = this.fields.get(target.dataset?.rule);
+        if (!field) return;
+
+        switch (field.type) {
+            case 'checkbox':
+                this.rules[field.rule] = target.checked;
+                break;
+            case 'select': {
+                const option = field.options[parseInt(target.value)];
+                // The extra option for an unlisted value sits past the end of field.options
+                if (option) this.rules[field.rule] = option[0];
+                break;
+            }
+            case 'range':
+                this.rules[field.rule] = parseFloat(target.value);
+                document.getElementById(`${target.id}-output`).textContent = `${Math.round(this.rules[field.rule] * 100)}%`;
+                break;
+            case 'payouts':
+                this.rules[field.rule] = { ...this.rules[field.rule], [target.dataset.key]: parseFloat(target.value) };
+                break;
+            default:
+                this.rules[field.rule] = parseFloat(target.value);
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Apply derived rules, grey out inactive controls and update the estimate
+     */
+    refresh() {
+        Object.entries(DERIVED_RULES).forEach(([rule, derive]) => {
+            this.rules[rule] = derive(this.rules);
+        });
+
+        this.fields.forEach(field => {
+            if (!field.enabledWhen) return;
+            const enabled = !!field.enabledWhen(this.rules);
+            document.querySelectorAll(`[data-rule="${field.rule}"]`).forEach(control => {
+                control.disabled = !enabled;
+                control.closest('.rule-field')?.classList.toggle('inactive', !enabled);
+            });
+        });
+
+        const errors = this.validateRules();
+        const errorList = document.getElementById('rules-errors');
+        if (errorList) {
+            errorList.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        }
+        ['save-preset', 'play-preset'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) button.disabled = errors.length > 0;
+        });
+
+        this.updatePresetButtons();
+        this.updateHouseEdge(errors.length === 0);
+    }
+
+    /**
+     * Problems that would stop the rules from being played, as readable messages
+     */
+    validateRules() {
+        const errors = [];
+
+        this.fields.forEach(field => {
+            const value = this.rules[field.rule];
+            if (field.type === 'payouts') {
+                if (Object.values(value ?? {}).some(payout => !Number.isFinite(payout) || payout < 0)) {
+                    errors.push(`${field.label} payouts must be numbers of 0 or more.`);
+                }
+            } else if (field.type === 'number') {
+                if (!Number.isFinite(value)) {
+                    errors.push(`${field.label} must be a number.`);
+                } else if (field.min !== undefined && value < field.min) {
+                    errors.push(`${field.label} must be at least ${field.min}.`);
+                }
+            }
+        });
+
+        if (this.rules.minDecks > this.rules.maxDecks) {
+            errors.push('The fewest decks cannot be more than the most decks.');
+        }
+        if (this.rules.minBet > this.rules.maxBet) {
+            errors.push('The minimum bet cannot be more than the maximum bet.');
+        }
+        return errors;
+    }
+
+    // ===== HOUSE EDGE =====
+
+    /**
+     * Show the estimate for the deck count the game would deal with these rules
+     */
+    updateHouseEdge(valid) {
+        const valueElement = document.getElementById('house-edge-value');
+        const decksElement = document.getElementById('house-edge-decks');
+        const factorList = document.getElementById('house-edge-factors');
+        const sideBetList = document.getElementById('side-bet-edges');
+        if (!valueElement || !factorList) return;
+
+        if (!valid) {
+            valueElement.textContent = '—';
+            valueElement.className = 'house-edge-value';
+            if (decksElement) decksElement.textContent = 'Fix the problems below to see an estimate.';
+            factorList.innerHTML = '';
+            if (sideBetList) sideBetList.innerHTML = '';
+            return;
+        }
+
+        const gameRules = new GameRules();
+        gameRules.rules = { ...this.rules };
+        const numDecks = gameRules.getDeckCount(this.gameState.getSetting('deckCount'));
+        const houseEdge = gameRules.getHouseEdge(numDecks);
+
+        valueElement.textContent = `${houseEdge.toFixed(2)}%`;
+        valueElement.className = `house-edge-value ${houseEdge < 0 ? 'player-edge' : ''}`;
+        if (decksElement) {
+            decksElement.textContent = houseEdge < 0
+                ? `Player edge with ${numDecks} deck${numDecks === 1 ? '' : 's'}`
+                : `House edge with ${numDecks} deck${numDecks === 1 ? '' : 's'}`;
+        }
+        factorList.innerHTML = gameRules.getHouseEdgeFactors(numDecks).map(({ label, edge }) => `
+            <li><span>${label}</span><span class="${edge < 0 ? 'positive' : ''}">${edge > 0 ? '+' : ''}${edge.toFixed(2)}%</span></li>
+        `).join('');
+        if (sideBetList) sideBetList.innerHTML = this.renderSideBetEdges(gameRules, numDecks);
+    }
+
+    /**
+     * House edge of each offered side bet on its own paytable, dealt from a full shoe
+     */
+    renderSideBetEdges(gameRules, numDecks) {
+        const shoe = new Deck(numDecks, { quiet: true, removedRanks: gameRules.getRemovedRanks() });
+        const sideBets = new SideBets(gameRules).getExpectedValues(shoe.cards);
+        if (sideBets.length === 0) {
+            return '<li><span>No side bets offered</span></li>';
+        }
+        return sideBets.map(({ name, ev }) => `
+            <li><span>${name}</span><span class="${ev > 0 ? 'positive' : ''}">${(-ev * 100).toFixed(2)}%</span></li>
+        `).join('');
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    console.log('📄 Rules Editor page loaded');
+
+    window.RulesEditorApp = new RulesEditorApp();
+    await window.RulesEditorApp.init();
+});
+
+export { RulesEditorApp };
@@ -0,0 +1,441 @@
+/**
+ * MonteCarloSimulator - Plays large numbers of rounds on the headless BlackjackEngine
+ * Decisions come from StrategyHints (plus CardCounting index plays), bets from
+ * CardCounting.getBettingRecommendation(), so the numbers describe the app's own advice.
+ *
+ * Usage (Node or a worker):
+ *   const sim = new MonteCarloSimulator({ rounds: 1000000, variation: 'las-vegas', betting: 'count' });
+ *   const results = sim.run();
+ * or step with runBatch() to report progress between batches.
+ */
+
+import { BlackjackEngine } from '../engine/BlackjackEngine.js';
+import { StrategyHints } from '../modules/StrategyHints.js';
+import { CardCounting } from '../modules/CardCounting.js';
+import { StrategyCalculator } from '../engine/StrategyCalculator.js';
+
+// True counts outside this range are pooled into the end buckets
+const MIN_TRUE_COUNT_BUCKET = -6;
+const MAX_TRUE_COUNT_BUCKET = 10;
+
+export class MonteCarloSimulator {
+    /**
+     * @param {Object} config - see getDefaultConfig()
+     */
+    constructor(config = {}) {
+        this.config = { ...MonteCarloSimulator.getDefaultConfig(), ...config };
+        const { numDecks, seed, variation, ruleOverrides } = this.config;
+
+        this.engine = new BlackjackEngine({ numDecks, seed, quiet: true });
+        this.engine.rules.setVariation(variation);
+        Object.entries(ruleOverrides).forEach(([rule, value]) => this.engine.rules.updateRule(rule, value));
+        // A configured penetration replaces the table's (the engine reshuffles at the rules' penetration)
+        if (this.config.penetration !== undefined && this.config.penetration !== null) {
+            this.engine.rules.updateRule('penetration', this.config.penetration);
+        }
+        this.engine.syncDeckToRules();
+
+        this.strategy = new StrategyHints();
+        this.strategy.loadBasicStrategy();
+        if (this.config.ruleStrategy) {
+            this.applyRuleStrategy();
+        }
+
+        this.counting = new CardCounting({
+            quiet: true,
+            system: this.config.countingSystem,
+            indexPlays: this.config.indexPlays
+        });
+        this.counting.setEnabled(true);
+        this.counting.setRemovedRanks(this.engine.deck.removedRanks);
+        this.counting.setTotalDecks(numDecks);
+        this.attachCounting();
+
+        this.decide = (hand, dealerUpCard, engine) => this.chooseAction(hand, dealerUpCard, engine);
+        this.resetStats();
+    }
+
+    /**
+     * Default simulation settings
+     */
+    static getDefaultConfig() {
+        return {
+            rounds: 100000,
+            variation: 'las-vegas',
+            ruleOverrides: {},       // e.g. { dealerStandsOnSoft17: false }
+            numDecks: 6,
+            penetration: null,       // null = rules.penetration
+            seed: null,              // null = random
+            useIndexPlays: true,
+            indexPlays: null,        // IndexPlays entries (null = built-in tables)
+            ruleStrategy: true,      // basic strategy derived for these rules (false = standard chart)
+            betting: 'flat',         // 'flat' or 'count' (getBettingRecommendation)
+            countingSystem: 'hi-lo', // CountingSystem id driving bets and index plays
+            baseBet: 25,
+            riskLevel: 'moderate',   // 'moderate' or 'aggressive' bet ramp
+            bankroll: 10000,         // for bet caps and risk of ruin
+            batchSize: 5000
+        };
+    }
+
+    /**
+     * Play the basic strategy generated for the configured rules and deck count
+     */
+    applyRuleStrategy() {
+        const rules = this.engine.rules.getRules();
+        const { numDecks } = this.config;
+        const signature = StrategyHints.getRulesSignature(rules, numDecks);
+
+        const variantCharts = StrategyHints.getVariantCharts(rules);
+        if (variantCharts) {
+            this.strategy.applyCharts(variantCharts, signature);
+            return;
+        }
+
+        const charts = this.strategy.getCachedCharts(signature) ?? new StrategyCalculator(rules, numDecks).generateCharts();
+        this.strategy.cacheCharts(signature, charts);
+        this.strategy.applyCharts(charts, signature);
+    }
+
+    /**
+     * Keep the running count in step with every card the table can see
+     */
+    attachCounting() {
+        this.engine.on('cardDealt', ({ card, faceUp }) => this.counting.updateCount(card, faceUp));
+        this.engine.on('holeCardRevealed', ({ card }) => this.counting.updateCount(card, true));
+        this.engine.on('shuffled', () => {
+            this.counting.setRemovedRanks(this.engine.deck.removedRanks);
+            this.counting.reset();
+        });
+    }
+
+    /**
+     * Clear accumulated results
+     */
+    resetStats() {
+        this.stats = {
+            roundsPlayed: 0,
+            meanNet: 0,
+            sumSquaredDeviation: 0,  // Welford accumulator for the variance of round results
+            totalNet: 0,
+            totalInitialBet: 0,
+            totalWagered: 0,
+            roundsWon: 0,
+            roundsLost: 0,
+            roundsPushed: 0,
+            blackjacks: 0,
+            doubles: 0,
+            splits: 0,
+            surrenders: 0,
+            insuranceTaken: 0,
+            byTrueCount: {}
+        };
+        this.startTime = Date.now();
+    }
+
+    // ===== RUNNING =====
+
+    /**
+     * Run every remaining round synchronously
+     */
+    run() {
+        while (!this.isComplete()) {
+            this.runBatch();
+        }
+        return this.getResults();
+    }
+
+    /**
+     * Play up to batchSize rounds and return progress
+     */
+    runBatch(batchSize = this.config.batchSize) {
+        const target = Math.min(this.config.rounds, this.stats.roundsPlayed + batchSize);
+
+        while (this.stats.roundsPlayed < target) {
+            this.playOneRound();
+        }
+
+        return this.getProgress();
+    }
+
+    /**
+     * Check if all requested rounds have been played
+     */
+    isComplete() {
+        return this.stats.roundsPlayed >= this.config.rounds;
+    }
+
+    /**
+     * Get progress information
+     */
+    getProgress() {
+        return {
+            roundsPlayed: this.stats.roundsPlayed,
+            rounds: this.config.rounds,
+            fraction: this.config.rounds > 0 ? this.stats.roundsPlayed / this.config.rounds : 1,
+            elapsedMs: Date.now() - this.startTime
+        };
+    }
+
+    /**
+     * Bet, play and record one round
+     */
+    playOneRound() {
+        // Shuffle before sizing the bet so the count belongs to the shoe being played
+        if (this.engine.deck.needsReshuffle()) {
+            this.engine.shuffle();
+        }
+
+        const trueCountBucket = this.getTrueCountBucket();
+        const bet = this.getBet();
+
+        this.roundInsuranceNet = 0;
+        const results = this.engine.playRound(this.decide, bet);
+        const net = results.summary.totalPayout - results.summary.totalWagered + this.roundInsuranceNet +
+            (results.deferredInsurance?.net ?? 0);
+
+        // Blackjack Switch puts the bet on two hands
+        this.recordRound(net, this.engine.getRoundWager(bet), results, trueCountBucket);
+    }
+
+    /**
+     * Bet for the next round
+     */
+    getBet() {
+        const { betting, baseBet, bankroll, riskLevel } = this.config;
+
+        if (betting !== 'count') {
+            return baseBet;
+        }
+
+        return this.counting.getBettingRecommendation(baseBet, bankroll, riskLevel).recommendedBet;
+    }
+
+    /**
+     * Pick an engine action from the strategy hint and any index play
+     */
+    chooseAction(hand, dealerUpCard, engine) {
+        if (engine.canSwitch()) {
+            const switchHint = this.strategy.getSwitchHint(engine.playerHands, dealerUpCard, {
+                rules: engine.rules.rules,
+                numDecks: this.config.numDecks
+            });
+            if (switchHint.action === 'Switch') return 'switch';
+        }
+
+        const canDouble = engine.canDoubleDown();
+        const canSplit = engine.canSplit();
+        const canSurrender = engine.canSurrender();
+        let action = this.strategy.getBasicStrategyHint(hand, engine.getDealerStrategyCard(), canDouble, canSplit, canSurrender).action;
+
+        // Index plays cover two-card decisions; a doubled hand can only stand or be rescued
+        if (hand.isDoubled) {
+            return action === 'Surrender' && canSurrender ? 'surrender' : 'stand';
+        }
+
+        // Up-card index plays don't apply once the whole dealer hand is showing
+        if (this.config.useIndexPlays && !engine.isDoubleExposure()) {
+            const indexPlay = this.counting.getIndexPlayRecommendation(hand, dealerUpCard, {
+                canDouble,
+                canSplit,
+                canSurrender,
+                canTakeInsurance: engine.canTakeInsurance(),
+                dealerHitsSoft17: !engine.rules.rules.dealerStandsOnSoft17,
+                basicAction: action
+            });
+
+            if (indexPlay.hasDeviation && indexPlay.action === 'Take Insurance') {
+                // Insurance is a side decision - the hand is still played by the chart
+                if (engine.canTakeInsurance()) {
+                    this.roundInsuranceNet += engine.takeInsurance().net;
+                    this.stats.insuranceTaken++;
+                }
+            } else if (indexPlay.hasDeviation) {
+                action = indexPlay.action;
+            }
+        }
+
+        return this.toEngineAction(action, engine);
+    }
+
+    /**
+     * Map a strategy action name to an engine action, hitting when the option isn't allowed
+     */
+    toEngineAction(action, engine) {
+        switch (action) {
+            case 'Stand':
+                return 'stand';
+            case 'Double Down':
+                return engine.canDoubleDown() ? 'doubleDown' : 'hit';
+            case 'Split':
+                return engine.canSplit() ? 'split' : 'hit';
+            case 'Surrender':
+                return engine.canSurrender() ? 'surrender' : 'hit';
+            default:
+                return 'hit';
+        }
+    }
+
+    /**
+     * Current true count (Hi-Lo scale, so systems are comparable), floored into a reporting bucket
+     */
+    getTrueCountBucket() {
+        const bucket = Math.floor(this.counting.bettingTrueCount);
+        return Math.max(MIN_TRUE_COUNT_BUCKET, Math.min(MAX_TRUE_COUNT_BUCKET, bucket));
+    }
+
+    /**
+     * Add one round to the running statistics
+     */
+    recordRound(net, bet, results, trueCountBucket) {
+        const stats = this.stats;
+        stats.roundsPlayed++;
+
+        // Welford's online mean/variance
+        const delta = net - stats.meanNet;
+        stats.meanNet += delta / stats.roundsPlayed;
+        stats.sumSquaredDeviation += delta * (net - stats.meanNet);
+
+        stats.totalNet += net;
+        stats.totalInitialBet += bet;
+        stats.totalWagered += results.summary.totalWagered;
+
+        if (net > 0) stats.roundsWon++;
+        else if (net < 0) stats.roundsLost++;
+        else stats.roundsPushed++;
+
+        results.hands.forEach(hand => {
+            if (hand.outcome === 'blackjack') stats.blackjacks++;
+            if (hand.outcome === 'surrender') stats.surrenders++;
+        });
+        stats.doubles += this.engine.playerHands.filter(hand => hand.isDoubled).length;
+        stats.splits += this.engine.playerHands.length - this.engine.getSpotCount();
+
+        const bucket = stats.byTrueCount[trueCountBucket] || (stats.byTrueCount[trueCountBucket] = { rounds: 0, net: 0, initialBet: 0 });
+        bucket.rounds++;
+        bucket.net += net;
+        bucket.initialBet += bet;
+    }
+
+    // ===== RESULTS =====
+
+    /**
+     * Summary statistics for the rounds played so far
+     */
+    getResults() {
+        const stats = this.stats;
+        const rounds = stats.roundsPlayed;
+        const { baseBet, bankroll } = this.config;
+
+        const mean = stats.meanNet;
+        const variance = rounds > 1 ? stats.sumSquaredDeviation / (rounds - 1) : 0;
+        const sd = Math.sqrt(variance);
+
+        return {
+            config: { ...this.config },
+            rules: this.engine.rules.getRules(),
+            rounds,
+            elapsedMs: Date.now() - this.startTime,
+
+            // Money per round and per 100 rounds
+            evPerRound: round(mean, 4),
+            evPer100: round(mean * 100, 2),
+            evPer100Units: round((mean * 100) / baseBet, 3),
+            sdPerRound: round(sd, 4),
+            sdPer100: round(sd * 10, 2),
+            sdPerRoundUnits: round(sd / baseBet, 4),
+
+            // Edge on the initial bet and the share of rounds won
+            winRate: round(stats.totalInitialBet > 0 ? (stats.totalNet / stats.totalInitialBet) * 100 : 0, 3),
+            roundsWonPercent: round(rounds > 0 ? (stats.roundsWon / rounds) * 100 : 0, 2),
+            roundsLostPercent: round(rounds > 0 ? (stats.roundsLost / rounds) * 100 : 0, 2),
+            roundsPushedPercent: round(rounds > 0 ? (stats.roundsPushed / rounds) * 100 : 0, 2),
+            averageBet: round(rounds > 0 ? stats.totalInitialBet / rounds : 0, 2),
+            totalNet: round(stats.totalNet, 2),
+            totalWagered: round(stats.totalWagered, 2),
+
+            // Risk-adjusted measures (scale free, so they compare ramps fairly)
+            n0: mean > 0 ? Math.round(variance / (mean * mean)) : Infinity,
+            score: round(variance > 0 ? 1e6 * (mean * mean) / variance * Math.sign(mean) : 0, 2),
+            desirabilityIndex: round(sd > 0 ? (1000 * mean) / sd : 0, 2),
+            riskOfRuin: round(this.calculateRiskOfRuin(mean, variance, bankroll), 4),
+
+            events: {
+                blackjacks: stats.blackjacks,
+                doubles: stats.doubles,
+                splits: stats.splits,
+                surrenders: stats.surrenders,
+                insuranceTaken: stats.insuranceTaken
+            },
+
+            advantageByTrueCount: this.getAdvantageByTrueCount(),
+            advantageModel: this.fitAdvantageModel(),
+            houseEdgeEstimate: this.engine.rules.getHouseEdge(this.config.numDecks)
+        };
+    }
+
+    /**
+     * Risk of ruin for a bankroll: e^(-2 * mean * bankroll / variance)
+     */
+    calculateRiskOfRuin(mean, variance, bankroll) {
+        if (mean <= 0) return 1;
+        if (variance <= 0) return 0;
+        return Math.min(1, Math.exp((-2 * mean * bankroll) / variance));
+    }
+
+    /**
+     * Measured player edge (% of initial bet) for each true count
+     */
+    getAdvantageByTrueCount() {
+        return Object.entries(this.stats.byTrueCount)
+            .map(([trueCount, bucket]) => ({
+                trueCount: Number(trueCount),
+                rounds: bucket.rounds,
+                frequency: round((bucket.rounds / Math.max(1, this.stats.roundsPlayed)) * 100, 2),
+                advantage: round(bucket.initialBet > 0 ? (bucket.net / bucket.initialBet) * 100 : 0, 3)
+            }))
+            .sort((a, b) => a.trueCount - b.trueCount);
+    }
+
+    /**
+     * Weighted least-squares line through advantage by true count.
+     * The result can be handed to CardCounting.setAdvantageModel().
+     */
+    fitAdvantageModel() {
+        const points = this.getAdvantageByTrueCount().filter(point => point.rounds > 0);
+        const totalWeight = points.reduce((sum, point) => sum + point.rounds, 0);
+
+        if (points.length < 2 || totalWeight === 0) {
+            return null;
+        }
+
+        const meanX = points.reduce((sum, point) => sum + point.trueCount * point.rounds, 0) / totalWeight;
+        const meanY = points.reduce((sum, point) => sum + point.advantage * point.rounds, 0) / totalWeight;
+
+        let covariance = 0;
+        let varianceX = 0;
+        points.forEach(point => {
+            covariance += point.rounds * (point.trueCount - meanX) * (point.advantage - meanY);
+            varianceX += point.rounds * (point.trueCount - meanX) ** 2;
+        });
+
+        if (varianceX === 0) {
+            return null;
+        }
+
+        const advantagePerCount = covariance / varianceX;
+        return {
+            baseAdvantage: round(meanY - advantagePerCount * meanX, 3),
+            advantagePerCount: round(advantagePerCount, 3),
+            source: 'simulation'
+        };
+    }
+}
+
+/**
+ * Round to a fixed number of decimals
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,120 @@
+/**
+ * SimulationRunner - Main-thread handle for jobs running in SimulationWorker
+ * Keeps the page responsive during large batch runs: starts a job with a
+ * rules/strategy/count config, streams progress and supports cancellation.
+ */
+
+export class SimulationRunner {
+    constructor() {
+        this.worker = null;
+        this.activeJob = null;
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Check if the browser can run module workers
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Start a job. Resolves with { status: 'complete' | 'cancelled', results }
+     * and rejects if the worker reports an error.
+     * @param {Object} config - MonteCarloSimulator config
+     * @param {Object} options - { jobType, onProgress(progress) }
+     */
+    run(config, { jobType = 'simulation', onProgress = null } = {}) {
+        if (!SimulationRunner.isSupported()) {
+            return Promise.reject(new Error('Web Workers are not supported in this browser'));
+        }
+        if (this.isRunning()) {
+            return Promise.reject(new Error('A simulation is already running'));
+        }
+
+        const jobId = this.nextJobId++;
+        const worker = this.getWorker();
+
+        return new Promise((resolve, reject) => {
+            this.activeJob = { jobId, onProgress, resolve, reject };
+            worker.postMessage({ type: 'start', jobId, jobType, config });
+            console.log(`🧮 ${jobType} job ${jobId} started`);
+        });
+    }
+
+    /**
+     * Ask the worker to stop the active job after its current batch
+     */
+    cancel() {
+        if (!this.isRunning()) return false;
+
+        this.worker.postMessage({ type: 'cancel', jobId: this.activeJob.jobId });
+        console.log(`⏹️ Cancelling simulation job ${this.activeJob.jobId}`);
+        return true;
+    }
+
+    /**
+     * Check if a job is in progress
+     */
+    isRunning() {
+        return this.activeJob !== null;
+    }
+
+    /**
+     * Create the worker on first use
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+        }
+        return this.worker;
+    }
+
+    /**
+     * Route worker messages to the active job
+     */
+    handleMessage(message) {
+        const job = this.activeJob;
+        if (!job || message.jobId !== job.jobId) return;
+
+        switch (message.type) {
+            case 'progress':
+                job.onProgress?.(message.progress);
+                break;
+            case 'complete':
+            case 'cancelled':
+                this.activeJob = null;
+                console.log(`✅ Simulation job ${job.jobId} ${message.type}`);
+                job.resolve({ status: message.type, results: message.results });
+                break;
+            case 'error':
+                this.activeJob = null;
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * A worker that fails to load or throws cannot be reused
+     */
+    handleWorkerError(event) {
+        console.error('Simulation worker error:', event.message || event);
+        this.terminate(event.message || 'Simulation worker failed');
+    }
+
+    /**
+     * Stop the worker immediately; the active job (if any) is rejected
+     */
+    terminate(reason = 'Simulation stopped') {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const job = this.activeJob;
+        this.activeJob = null;
+        job?.reject(new Error(reason));
+    }
+}
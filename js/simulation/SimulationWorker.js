@@ -0,0 +1,85 @@
+/**
+ * SimulationWorker - Web Worker entry point for long-running simulation jobs
+ * Load as a module worker (see SimulationRunner). Jobs run in batches and yield
+ * between them so progress is streamed and cancel messages are handled promptly.
+ *
+ * Messages in:  { type: 'start', jobId, jobType, config } | { type: 'cancel', jobId }
+ * Messages out: { type: 'progress' | 'complete' | 'cancelled' | 'error', jobId, ... }
+ */
+
+import { MonteCarloSimulator } from './MonteCarloSimulator.js';
+import { StrategyChartJob } from './StrategyChartJob.js';
+
+// Job factories - each job exposes runBatch(), isComplete(), getProgress() and getResults()
+const JOB_TYPES = {
+    simulation: (config) => new MonteCarloSimulator(config),
+    strategy: (config) => new StrategyChartJob(config)
+};
+
+const jobs = new Map();
+
+self.addEventListener('message', (event) => {
+    const { type, jobId } = event.data;
+
+    switch (type) {
+        case 'start':
+            startJob(jobId, event.data.jobType, event.data.config);
+            break;
+        case 'cancel':
+            if (jobs.has(jobId)) {
+                jobs.get(jobId).cancelled = true;
+            }
+            break;
+        default:
+            self.postMessage({ type: 'error', jobId, message: `Unknown message type: ${type}` });
+    }
+});
+
+/**
+ * Create a job and start its batch loop
+ */
+function startJob(jobId, jobType = 'simulation', config = {}) {
+    const createJob = JOB_TYPES[jobType];
+    if (!createJob) {
+        self.postMessage({ type: 'error', jobId, message: `Unknown job type: ${jobType}` });
+        return;
+    }
+
+    try {
+        jobs.set(jobId, { runner: createJob(config), cancelled: false });
+        runNextBatch(jobId);
+    } catch (error) {
+        jobs.delete(jobId);
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+}
+
+/**
+ * Run one batch, report progress, then yield so queued messages are processed
+ */
+function runNextBatch(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    try {
+        if (job.cancelled) {
+            jobs.delete(jobId);
+            self.postMessage({ type: 'cancelled', jobId, results: job.runner.getResults() });
+            return;
+        }
+
+        const progress = job.runner.runBatch();
+        self.postMessage({ type: 'progress', jobId, progress });
+
+        if (job.runner.isComplete()) {
+            jobs.delete(jobId);
+            self.postMessage({ type: 'complete', jobId, results: job.runner.getResults() });
+            return;
+        }
+
+        setTimeout(() => runNextBatch(jobId), 0);
+    } catch (error) {
+        jobs.delete(jobId);
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+}
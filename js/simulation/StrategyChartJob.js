@@ -0,0 +1,58 @@
+/**
+ * StrategyChartJob - Generates rule-specific basic strategy charts in batches
+ * Follows the job interface SimulationWorker expects (runBatch, isComplete,
+ * getProgress, getResults); each batch computes one dealer up card.
+ */
+
+import { StrategyCalculator } from '../engine/StrategyCalculator.js';
+
+const UP_CARDS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+
+export class StrategyChartJob {
+    /**
+     * @param {Object} config - { rules: GameRules.rules, numDecks }
+     */
+    constructor({ rules = {}, numDecks = 6 } = {}) {
+        this.calculator = new StrategyCalculator(rules, numDecks);
+        this.charts = this.calculator.createEmptyCharts();
+        this.completed = 0;
+        this.startTime = Date.now();
+    }
+
+    /**
+     * Compute the next dealer up card column
+     */
+    runBatch() {
+        if (!this.isComplete()) {
+            this.calculator.addUpCardToCharts(this.charts, UP_CARDS[this.completed]);
+            this.completed++;
+        }
+        return this.getProgress();
+    }
+
+    /**
+     * Check if every column has been computed
+     */
+    isComplete() {
+        return this.completed >= UP_CARDS.length;
+    }
+
+    /**
+     * Get progress information
+     */
+    getProgress() {
+        return {
+            completed: this.completed,
+            total: UP_CARDS.length,
+            fraction: this.completed / UP_CARDS.length,
+            elapsedMs: Date.now() - this.startTime
+        };
+    }
+
+    /**
+     * Finished charts (partial columns are left out if cancelled)
+     */
+    getResults() {
+        return this.isComplete() ? this.calculator.finishCharts(this.charts) : null;
+    }
+}
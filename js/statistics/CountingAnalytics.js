@@ -3,6 +3,8 @@
  * Extracted from Statistics.js for better organization
  */
 
+import { SCHEMA_VERSION } from './PersistenceSchema.js';
+
 export class CountingAnalytics {
     constructor() {
         this.countingData = {
@@ -54,7 +56,7 @@ export class CountingAnalytics {
         this.bettingHistory = [];
         this.maxHistorySize = 500;
         
-        // Expected values by count (Hi-Lo)
+        // Expected values by count (Hi-Lo scale - other systems are recorded via CardCounting.getBettingTrueCount())
         this.expectedEV = {
             '-4': -2.5,
             '-3': -2.0,
@@ -78,10 +80,12 @@ export class CountingAnalytics {
 
     /**
      * Record a counting hand result
+     * @param {Object} handData - trueCount is on the Hi-Lo scale; countingSystem is the system id in use
      */
     recordCountingHand(handData) {
         const {
             trueCount,
+            countingSystem = 'hi-lo',
             betAmount,
             result,
             estimatedCount,
@@ -115,6 +119,7 @@ export class CountingAnalytics {
             timestamp: new Date(),
             trueCount,
             countRange,
+            countingSystem,
             betAmount,
             result,
             payout,
@@ -431,6 +436,45 @@ export class CountingAnalytics {
         };
     }
 
+    /**
+     * Results by true count range over every stored hand matching a filter
+     * (hands played without a recorded count are left out)
+     * @param {HistoryStore} historyStore - long-term record store
+     * @param {Object} filter - HistoryStore filter
+     */
+    async getHistoricalPerformanceByCount(historyStore, filter = {}) {
+        const hands = await historyStore.queryHands(filter);
+        const performance = {};
+
+        hands
+            .filter(hand => typeof hand.trueCount === 'number')
+            .forEach(hand => {
+                const range = this.getCountRange(hand.trueCount);
+                performance[range] ??= { hands: 0, totalWagered: 0, netResult: 0 };
+                performance[range].hands++;
+                performance[range].totalWagered += hand.bet;
+                performance[range].netResult += hand.netResult;
+            });
+
+        Object.values(performance).forEach(range => {
+            range.edge = range.totalWagered > 0 ? Math.round((range.netResult / range.totalWagered) * 10000) / 100 : 0;
+        });
+
+        return performance;
+    }
+
+    /**
+     * Bet placed at each recorded true count, for the bet vs count chart
+     */
+    getBetsByCount() {
+        return this.bettingHistory.map(({ trueCount, betAmount, recommendedBet, isOptimal }) => ({
+            trueCount,
+            betAmount,
+            recommendedBet,
+            isOptimal
+        }));
+    }
+
     /**
      * Get betting efficiency analysis
      */
@@ -508,7 +552,8 @@ export class CountingAnalytics {
             countHistory: [...this.countHistory],
             bettingHistory: [...this.bettingHistory],
             stats: this.getCountingStats(),
-            exportTimestamp: new Date().toISOString()
+            exportTimestamp: new Date().toISOString(),
+            schemaVersion: SCHEMA_VERSION
         };
     }
 
@@ -0,0 +1,295 @@
+/**
+ * DataCodec - Compression and passphrase encryption for stored and exported data
+ * Compression is LZW over the JSON text, synchronous so localStorage writes stay synchronous.
+ * Stored strings pack 15 bits per character (offset past control characters, never a
+ * surrogate) so localStorage keeps them intact; files use base64 of the packed bytes.
+ * Encryption is AES-GCM with a key derived from the passphrase by PBKDF2 (Web Crypto).
+ */
+
+// Marks a compressed localStorage value; uncompressed values are JSON and start with { or [
+export const COMPRESSED_PREFIX = 'lz:';
+
+// Reserved codes; dictionary entries start after them
+const CODE_END = 0;
+const CODE_CHAR8 = 1;
+const CODE_CHAR16 = 2;
+const FIRST_ENTRY = 3;
+
+const STORAGE_UNIT_BITS = 15;
+const STORAGE_CHAR_OFFSET = 32;
+
+const PBKDF2_ITERATIONS = 250000;
+
+export class DataCodec {
+    // ===== COMPRESSION =====
+
+    /**
+     * Compress text into a string safe to keep in localStorage
+     */
+    static compress(text) {
+        const units = DataCodec.encode(text, STORAGE_UNIT_BITS);
+        return COMPRESSED_PREFIX + units.map(unit => String.fromCharCode(unit + STORAGE_CHAR_OFFSET)).join('');
+    }
+
+    /**
+     * Reverse compress(); strings without the prefix are returned unchanged
+     */
+    static decompress(stored) {
+        if (!DataCodec.isCompressed(stored)) return stored;
+
+        const units = [];
+        for (let i = COMPRESSED_PREFIX.length; i < stored.length; i++) {
+            units.push(stored.charCodeAt(i) - STORAGE_CHAR_OFFSET);
+        }
+        return DataCodec.decode(units, STORAGE_UNIT_BITS);
+    }
+
+    static isCompressed(stored) {
+        return typeof stored === 'string' && stored.startsWith(COMPRESSED_PREFIX);
+    }
+
+    /**
+     * Compress text to base64 (for export files)
+     */
+    static compressToBase64(text) {
+        return DataCodec.bytesToBase64(DataCodec.encode(text, 8));
+    }
+
+    static decompressFromBase64(base64) {
+        return DataCodec.decode(Array.from(DataCodec.base64ToBytes(base64)), 8);
+    }
+
+    /**
+     * LZW-encode text into units of the given bit width
+     * Characters are added to the dictionary as they first appear, so any text works.
+     */
+    static encode(text, unitBits) {
+        const writer = new BitWriter(unitBits);
+        const dictionary = new Map();
+        let nextCode = FIRST_ENTRY;
+        let phrase = '';
+
+        const writeCode = (code) => writer.write(code, DataCodec.codeWidth(nextCode));
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (!dictionary.has(char)) {
+                if (phrase) {
+                    writeCode(dictionary.get(phrase));
+                    dictionary.set(phrase + char, nextCode++);
+                }
+                const charCode = char.charCodeAt(0);
+                writeCode(charCode < 256 ? CODE_CHAR8 : CODE_CHAR16);
+                writer.write(charCode, charCode < 256 ? 8 : 16);
+                dictionary.set(char, nextCode++);
+                phrase = '';
+                continue;
+            }
+
+            const extended = phrase + char;
+            if (dictionary.has(extended)) {
+                phrase = extended;
+            } else {
+                writeCode(dictionary.get(phrase));
+                dictionary.set(extended, nextCode++);
+                phrase = char;
+            }
+        }
+
+        if (phrase) {
+            writeCode(dictionary.get(phrase));
+            // The decoder expects an entry after every phrase; keep code widths in step
+            nextCode++;
+        }
+        writeCode(CODE_END);
+
+        return writer.finish();
+    }
+
+    /**
+     * Reverse encode()
+     */
+    static decode(units, unitBits) {
+        const reader = new BitReader(units, unitBits);
+        const entries = [];
+        const output = [];
+        let previous = null;
+
+        // The encoder has already added the entry this code completes, so widths run one ahead
+        const readCode = () => reader.read(DataCodec.codeWidth(FIRST_ENTRY + entries.length + (previous === null ? 0 : 1)));
+
+        for (;;) {
+            const code = readCode();
+            if (code === null) throw new Error('Compressed data is truncated');
+            if (code === CODE_END) break;
+
+            if (code === CODE_CHAR8 || code === CODE_CHAR16) {
+                const charCode = reader.read(code === CODE_CHAR8 ? 8 : 16);
+                if (charCode === null) throw new Error('Compressed data is truncated');
+
+                const char = String.fromCharCode(charCode);
+                if (previous !== null) entries.push(previous + char);
+                entries.push(char);
+                output.push(char);
+                previous = null;
+                continue;
+            }
+
+            const index = code - FIRST_ENTRY;
+            let entry;
+            if (index < entries.length) {
+                entry = entries[index];
+            } else if (index === entries.length && previous !== null) {
+                entry = previous + previous[0];
+            } else {
+                throw new Error('Compressed data is damaged');
+            }
+
+            if (previous !== null) entries.push(previous + entry[0]);
+            output.push(entry);
+            previous = entry;
+        }
+
+        return output.join('');
+    }
+
+    /**
+     * Bits needed to write any code below or equal to nextCode
+     */
+    static codeWidth(nextCode) {
+        return Math.max(2, Math.ceil(Math.log2(nextCode + 1)));
+    }
+
+    // ===== ENCRYPTION =====
+
+    /**
+     * Whether Web Crypto is available (it needs a secure context: https or localhost)
+     */
+    static canEncrypt() {
+        return !!globalThis.crypto?.subtle;
+    }
+
+    /**
+     * Encrypt text with a passphrase
+     * @returns {Promise<Object>} { algorithm, kdf, iterations, salt, iv, ciphertext } (binary fields base64)
+     */
+    static async encrypt(text, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await DataCodec.deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+        return {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2-SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: DataCodec.bytesToBase64(salt),
+            iv: DataCodec.bytesToBase64(iv),
+            ciphertext: DataCodec.bytesToBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    /**
+     * Decrypt the output of encrypt()
+     * A wrong passphrase fails the AES-GCM integrity check and rejects with a readable error
+     */
+    static async decrypt({ iterations, salt, iv, ciphertext }, passphrase) {
+        const key = await DataCodec.deriveKey(passphrase, DataCodec.base64ToBytes(salt), iterations);
+
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: DataCodec.base64ToBytes(iv) },
+                key,
+                DataCodec.base64ToBytes(ciphertext)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch {
+            throw new Error('Wrong passphrase, or the encrypted data is damaged');
+        }
+    }
+
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // ===== HELPERS =====
+
+    static bytesToBase64(bytes) {
+        const chunks = [];
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            chunks.push(String.fromCharCode(...bytes.slice(i, i + 0x8000)));
+        }
+        return btoa(chunks.join(''));
+    }
+
+    static base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Writes values least significant bit first into fixed-width units
+ */
+class BitWriter {
+    constructor(unitBits) {
+        this.unitBits = unitBits;
+        this.units = [];
+        this.current = 0;
+        this.filled = 0;
+    }
+
+    write(value, bits) {
+        for (let i = 0; i < bits; i++) {
+            this.current |= ((value >> i) & 1) << this.filled;
+            if (++this.filled === this.unitBits) {
+                this.units.push(this.current);
+                this.current = 0;
+                this.filled = 0;
+            }
+        }
+    }
+
+    finish() {
+        if (this.filled > 0) this.units.push(this.current);
+        return this.units;
+    }
+}
+
+/**
+ * Reads values written by BitWriter; returns null past the end
+ */
+class BitReader {
+    constructor(units, unitBits) {
+        this.units = units;
+        this.unitBits = unitBits;
+        this.index = 0;
+        this.position = 0;
+    }
+
+    read(bits) {
+        let value = 0;
+        for (let i = 0; i < bits; i++) {
+            if (this.index >= this.units.length) return null;
+
+            value |= ((this.units[this.index] >> this.position) & 1) << i;
+            if (++this.position === this.unitBits) {
+                this.index++;
+                this.position = 0;
+            }
+        }
+        return value;
+    }
+}
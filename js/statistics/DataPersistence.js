@@ -3,22 +3,36 @@
  * Extracted from Statistics.js for better organization
  */
 
+import { PersistenceSchema, SCHEMA_VERSION } from './PersistenceSchema.js';
+import { DataCodec } from './DataCodec.js';
+import { ProfileManager } from './ProfileManager.js';
+import { IndexPlays } from '../modules/IndexPlays.js';
+
+// Sections of an export file, in import order, with the schema kind of each
+const IMPORT_SECTIONS = ['session', 'strategy', 'counting', 'gameState'];
+
 export class DataPersistence {
-    constructor() {
+    /**
+     * @param {string} profileId - profile whose keys to use (the active profile by default)
+     */
+    constructor(profileId = ProfileManager.getActiveProfile().id) {
+        this.profile = ProfileManager.getProfile(profileId);
         this.storageKeys = {
-            session: 'blackjackpro_session',
-            strategy: 'blackjackpro_strategy',
-            counting: 'blackjackpro_counting',
-            settings: 'blackjackpro_settings',
-            backup: 'blackjackpro_backup'
+            session: ProfileManager.getStorageKey('blackjackpro_session', profileId),
+            strategy: ProfileManager.getStorageKey('blackjackpro_strategy', profileId),
+            counting: ProfileManager.getStorageKey('blackjackpro_counting', profileId),
+            settings: ProfileManager.getStorageKey('blackjackpro_settings', profileId),
+            backup: ProfileManager.getStorageKey('blackjackpro_backup', profileId)
         };
+        // The edited index play table, saved uncompressed by IndexPlays and exported with the statistics
+        this.indexPlaysKey = ProfileManager.getStorageKey('blackjackpro_index_plays', profileId);
         
         this.autoSaveEnabled = true;
         this.autoSaveInterval = 30000; // 30 seconds
         this.autoSaveTimer = null;
         
-        this.compressionEnabled = true;
-        this.encryptionEnabled = false; // For future enhancement
+        this.compressionEnabled = true; // LZW-compress stored values and exports
+        this.encryptionEnabled = DataCodec.canEncrypt(); // Passphrase encryption of exports and backups (needs Web Crypto)
         
         this.isInitialized = false;
     }
@@ -65,7 +79,7 @@ export class DataPersistence {
             const data = {
                 ...sessionStats.exportSessionData(),
                 lastSaved: new Date().toISOString(),
-                version: '1.0'
+                schemaVersion: SCHEMA_VERSION
             };
             
             return this.saveToStorage(this.storageKeys.session, data);
@@ -80,9 +94,9 @@ export class DataPersistence {
      */
     loadSessionData() {
         try {
-            const data = this.loadFromStorage(this.storageKeys.session);
+            const data = this.loadPayload('session', 'sessionData');
             
-            if (data && data.sessionData) {
+            if (data) {
                 console.log('📋 Session data loaded from storage');
                 return data;
             }
@@ -102,7 +116,7 @@ export class DataPersistence {
             const data = {
                 ...strategyAnalytics.exportData(),
                 lastSaved: new Date().toISOString(),
-                version: '1.0'
+                schemaVersion: SCHEMA_VERSION
             };
             
             return this.saveToStorage(this.storageKeys.strategy, data);
@@ -117,9 +131,9 @@ export class DataPersistence {
      */
     loadStrategyData() {
         try {
-            const data = this.loadFromStorage(this.storageKeys.strategy);
+            const data = this.loadPayload('strategy', 'strategyData');
             
-            if (data && data.strategyData) {
+            if (data) {
                 console.log('📋 Strategy data loaded from storage');
                 return data;
             }
@@ -139,7 +153,7 @@ export class DataPersistence {
             const data = {
                 ...countingAnalytics.exportData(),
                 lastSaved: new Date().toISOString(),
-                version: '1.0'
+                schemaVersion: SCHEMA_VERSION
             };
             
             return this.saveToStorage(this.storageKeys.counting, data);
@@ -154,9 +168,9 @@ export class DataPersistence {
      */
     loadCountingData() {
         try {
-            const data = this.loadFromStorage(this.storageKeys.counting);
+            const data = this.loadPayload('counting', 'countingData');
             
-            if (data && data.countingData) {
+            if (data) {
                 console.log('📋 Counting data loaded from storage');
                 return data;
             }
@@ -168,6 +182,25 @@ export class DataPersistence {
         }
     }
 
+    /**
+     * Load a stored payload and upgrade it to the current schema
+     * Payloads that fail validation are logged and not loaded
+     */
+    loadPayload(kind, rootKey) {
+        const data = this.loadFromStorage(this.storageKeys[kind]);
+        if (!data?.[rootKey]) return null;
+
+        const { valid, data: upgraded, migrations, errors } = PersistenceSchema.prepare(kind, data);
+        if (!valid) {
+            console.warn(`⚠️ Stored ${kind} data was not loaded:\n${errors.join('\n')}`);
+            return null;
+        }
+        if (migrations.length > 0) {
+            console.log(`🔄 Upgraded stored ${kind} data (${migrations.join(', ')})`);
+        }
+        return upgraded;
+    }
+
     /**
      * Save all statistics data
      */
@@ -219,11 +252,8 @@ export class DataPersistence {
         try {
             const backupData = {
                 timestamp: new Date().toISOString(),
-                version: '1.0',
-                session: this.loadFromStorage(this.storageKeys.session),
-                strategy: this.loadFromStorage(this.storageKeys.strategy),
-                counting: this.loadFromStorage(this.storageKeys.counting),
-                settings: this.loadFromStorage(this.storageKeys.settings)
+                schemaVersion: SCHEMA_VERSION,
+                ...this.collectStoredData()
             };
             
             const success = this.saveToStorage(this.storageKeys.backup, backupData);
@@ -240,41 +270,61 @@ export class DataPersistence {
     }
 
     /**
-     * Restore from backup
+     * Create a backup encrypted with a passphrase (stored in the export file format)
      */
-    restoreFromBackup() {
+    async createEncryptedBackup(passphrase) {
         try {
-            const backupData = this.loadFromStorage(this.storageKeys.backup);
-            
-            if (!backupData) {
-                console.warn('⚠️ No backup data found');
-                return false;
-            }
+            const backupData = await this.packExport({
+                exportInfo: {
+                    timestamp: new Date().toISOString(),
+                    schemaVersion: SCHEMA_VERSION,
+                    source: 'Backup'
+                },
+                ...this.collectStoredData()
+            }, passphrase);
             
-            let restoredCount = 0;
+            const success = this.saveToStorage(this.storageKeys.backup, backupData);
             
-            // Restore each data type
-            if (backupData.session) {
-                this.saveToStorage(this.storageKeys.session, backupData.session);
-                restoredCount++;
+            if (success) {
+                console.log('🔒 Encrypted backup created');
             }
             
-            if (backupData.strategy) {
-                this.saveToStorage(this.storageKeys.strategy, backupData.strategy);
-                restoredCount++;
-            }
+            return success;
+        } catch (error) {
+            console.error('❌ Failed to create encrypted backup:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Restore from backup (upgraded and validated like an imported file)
+     * @param {string|null} passphrase - needed when the backup is encrypted
+     */
+    async restoreFromBackup(passphrase = null) {
+        try {
+            const backupData = this.loadFromStorage(this.storageKeys.backup);
             
-            if (backupData.counting) {
-                this.saveToStorage(this.storageKeys.counting, backupData.counting);
-                restoredCount++;
+            if (!backupData) {
+                console.warn('⚠️ No backup data found');
+                return false;
             }
             
-            if (backupData.settings) {
-                this.saveToStorage(this.storageKeys.settings, backupData.settings);
-                restoredCount++;
+            // Plain backups are an export file without the exportInfo header
+            const importData = backupData.exportInfo
+                ? await this.unpackExport(backupData, passphrase)
+                : {
+                    exportInfo: { timestamp: backupData.timestamp, schemaVersion: backupData.schemaVersion, source: 'Backup' },
+                    ...backupData
+                };
+            const report = this.checkImport(importData);
+            
+            if (!report.valid) {
+                console.error(`❌ Backup failed validation:\n${report.errors.join('\n')}`);
+                return false;
             }
             
-            console.log(`📥 Restored ${restoredCount} data sets from backup (${backupData.timestamp})`);
+            const restoredCount = this.storeImport(report);
+            console.log(`📥 Restored ${restoredCount} data sets from backup (${report.exportedAt})`);
             return true;
             
         } catch (error) {
@@ -285,22 +335,25 @@ export class DataPersistence {
 
     /**
      * Export all data as downloadable JSON
+     * The sections are compressed when compressionEnabled, and encrypted when a passphrase is given
+     * @param {Object|null} gameState - GameState.exportState() output to include
+     * @param {string|null} passphrase - encrypt the export with this passphrase
+     * @returns {Promise<string|null>}
      */
-    exportToFile() {
+    async exportToFile(gameState = null, passphrase = null) {
         try {
             const exportData = {
                 exportInfo: {
                     timestamp: new Date().toISOString(),
-                    version: '1.0',
-                    source: 'BlackjackPro Statistics'
+                    schemaVersion: SCHEMA_VERSION,
+                    source: 'BlackjackPro Statistics',
+                    profile: this.profile?.name ?? null
                 },
-                session: this.loadFromStorage(this.storageKeys.session),
-                strategy: this.loadFromStorage(this.storageKeys.strategy),
-                counting: this.loadFromStorage(this.storageKeys.counting),
-                settings: this.loadFromStorage(this.storageKeys.settings)
+                ...this.collectStoredData(),
+                gameState
             };
             
-            return JSON.stringify(exportData, null, 2);
+            return JSON.stringify(await this.packExport(exportData, passphrase), null, 2);
         } catch (error) {
             console.error('❌ Failed to export data:', error);
             return null;
@@ -308,48 +361,231 @@ export class DataPersistence {
     }
 
     /**
-     * Import data from JSON string
+     * Every stored statistics section, as saved
      */
-    importFromFile(jsonData) {
-        try {
-            const importData = JSON.parse(jsonData);
-            
-            if (!importData.exportInfo) {
-                throw new Error('Invalid export format');
-            }
-            
-            let importedCount = 0;
-            
-            // Import each data type
-            if (importData.session) {
-                this.saveToStorage(this.storageKeys.session, importData.session);
-                importedCount++;
-            }
-            
-            if (importData.strategy) {
-                this.saveToStorage(this.storageKeys.strategy, importData.strategy);
-                importedCount++;
+    collectStoredData() {
+        return {
+            session: this.loadFromStorage(this.storageKeys.session),
+            strategy: this.loadFromStorage(this.storageKeys.strategy),
+            counting: this.loadFromStorage(this.storageKeys.counting),
+            settings: this.loadFromStorage(this.storageKeys.settings),
+            indexPlays: this.loadFromStorage(this.indexPlaysKey)
+        };
+    }
+
+    /**
+     * Replace the sections of an export with one packed payload, keeping exportInfo readable
+     * @returns {Promise<Object>} { exportInfo: { ..., compression, encrypted }, encryption?, payload }
+     */
+    async packExport({ exportInfo, ...sections }, passphrase = null) {
+        if (!this.compressionEnabled && !passphrase) {
+            return { exportInfo, ...sections };
+        }
+        
+        const json = JSON.stringify(sections);
+        const packed = {
+            exportInfo: { ...exportInfo, compression: this.compressionEnabled ? 'lz' : 'none', encrypted: !!passphrase }
+        };
+        let payload = this.compressionEnabled ? DataCodec.compressToBase64(json) : json;
+        
+        if (passphrase) {
+            this.checkEncryptionAvailable();
+            const { ciphertext, ...encryption } = await DataCodec.encrypt(payload, passphrase);
+            packed.encryption = encryption;
+            payload = ciphertext;
+        }
+        
+        packed.payload = payload;
+        return packed;
+    }
+
+    /**
+     * Reverse packExport(); unpacked exports are returned unchanged
+     * Throws with a readable message when the passphrase is missing or wrong
+     */
+    async unpackExport(importData, passphrase = null) {
+        if (!importData?.exportInfo || importData.payload === undefined) {
+            return importData;
+        }
+        
+        const { exportInfo: { compression, encrypted, ...exportInfo }, encryption, payload } = importData;
+        let text = payload;
+        
+        if (encrypted) {
+            if (!passphrase) {
+                throw new Error('This file is encrypted. Enter its passphrase to read it.');
             }
-            
-            if (importData.counting) {
-                this.saveToStorage(this.storageKeys.counting, importData.counting);
-                importedCount++;
+            this.checkEncryptionAvailable();
+            text = await DataCodec.decrypt({ ...encryption, ciphertext: payload }, passphrase);
+        }
+        
+        try {
+            if (compression === 'lz') {
+                text = DataCodec.decompressFromBase64(text);
             }
+            return { exportInfo, ...JSON.parse(text) };
+        } catch (error) {
+            throw new Error(`The packed data in this file could not be read (${error.message}).`);
+        }
+    }
+
+    checkEncryptionAvailable() {
+        if (!this.encryptionEnabled) {
+            throw new Error('Encryption needs Web Crypto, which browsers only offer on https:// or localhost pages.');
+        }
+    }
+
+    /**
+     * Dry run of importFromFile: parse, unpack, upgrade and validate without storing anything
+     * @returns {Promise<Object>} import report (see checkImport)
+     */
+    async previewImport(jsonData, passphrase = null) {
+        let importData;
+        try {
+            importData = JSON.parse(jsonData);
+        } catch (error) {
+            return this.createImportReport([`The file is not valid JSON: ${error.message}`]);
+        }
+        
+        try {
+            const report = this.checkImport(await this.unpackExport(importData, passphrase));
+            return { ...report, encrypted: !!importData?.exportInfo?.encrypted };
+        } catch (error) {
+            return { ...this.createImportReport([error.message]), encrypted: !!importData?.exportInfo?.encrypted };
+        }
+    }
+
+    /**
+     * Import data from JSON string
+     * Nothing is stored unless every section passes validation
+     * @returns {Promise<Object>} import report with `imported` set
+     */
+    async importFromFile(jsonData, passphrase = null) {
+        try {
+            const report = await this.previewImport(jsonData, passphrase);
             
-            if (importData.settings) {
-                this.saveToStorage(this.storageKeys.settings, importData.settings);
-                importedCount++;
+            if (!report.valid) {
+                console.error(`❌ Import rejected:\n${report.errors.join('\n')}`);
+                return { ...report, imported: false };
             }
             
+            const importedCount = this.storeImport(report);
             console.log(`📥 Imported ${importedCount} data sets from file`);
-            return true;
+            return { ...report, imported: true };
             
         } catch (error) {
             console.error('❌ Failed to import data from file:', error);
-            return false;
+            return { ...this.createImportReport([`Import failed: ${error.message}`]), imported: false };
         }
     }
 
+    /**
+     * Upgrade and validate a parsed export file, section by section
+     * @returns {Object} { valid, errors, fromVersion, migrations, exportedAt, source, sections, summary }
+     */
+    checkImport(importData) {
+        if (!importData?.exportInfo) {
+            return this.createImportReport(['This is not a BlackjackPro export file (the "exportInfo" header is missing).']);
+        }
+        
+        const file = PersistenceSchema.prepare('export', importData);
+        const report = {
+            ...this.createImportReport(file.errors),
+            fromVersion: file.fromVersion,
+            migrations: [...file.migrations],
+            exportedAt: importData.exportInfo.timestamp ?? null,
+            source: importData.exportInfo.source ?? null,
+            profile: importData.exportInfo.profile ?? null
+        };
+        if (!file.valid) return report;
+        
+        IMPORT_SECTIONS.forEach(kind => {
+            if (!file.data[kind]) return;
+            
+            const section = PersistenceSchema.prepare(kind, file.data[kind]);
+            report.errors.push(...section.errors);
+            report.migrations.push(...section.migrations);
+            if (section.valid) {
+                report.sections[kind] = section.data;
+            }
+        });
+        
+        if (file.data.settings) {
+            report.sections.settings = file.data.settings;
+        }
+        if (file.data.indexPlays) {
+            try {
+                new IndexPlays().importTable(file.data.indexPlays);
+                report.sections.indexPlays = file.data.indexPlays;
+            } catch (error) {
+                report.errors.push(`Index plays: ${error.message}`);
+            }
+        }
+        if (Object.keys(report.sections).length === 0 && report.errors.length === 0) {
+            report.errors.push('The file contains no statistics or game state to import.');
+        }
+        
+        report.valid = report.errors.length === 0;
+        report.summary = this.summarizeImport(report.sections);
+        return report;
+    }
+
+    /**
+     * Empty import report, failed when errors are given
+     */
+    createImportReport(errors = []) {
+        return {
+            valid: errors.length === 0,
+            errors: [...errors],
+            fromVersion: null,
+            toVersion: SCHEMA_VERSION,
+            migrations: [],
+            exportedAt: null,
+            source: null,
+            profile: null,
+            sections: {},
+            summary: null
+        };
+    }
+
+    /**
+     * What an import would bring in, for the preview
+     */
+    summarizeImport({ session, strategy, counting, gameState, settings, indexPlays }) {
+        return {
+            handsPlayed: session?.sessionData?.handsPlayed ?? 0,
+            handsInHistory: session?.handHistory?.length ?? 0,
+            bankroll: session?.sessionData?.bankAmount ?? null,
+            decisions: strategy?.strategyData?.totalDecisions ?? 0,
+            countedHands: counting?.countHistory?.length ?? 0,
+            includesGameState: !!gameState,
+            includesSettings: !!settings,
+            includesIndexPlays: !!indexPlays
+        };
+    }
+
+    /**
+     * Write the validated sections of an import report to storage
+     * (the game state section is applied by the caller through GameState.importState)
+     * @returns {number} data sets stored
+     */
+    storeImport({ sections }) {
+        let storedCount = 0;
+        
+        ['session', 'strategy', 'counting', 'settings'].forEach(kind => {
+            if (sections[kind] && this.saveToStorage(this.storageKeys[kind], sections[kind])) {
+                storedCount++;
+            }
+        });
+        // Stored as IndexPlays.save() writes it, never compressed
+        if (sections.indexPlays) {
+            localStorage.setItem(this.indexPlaysKey, JSON.stringify(sections.indexPlays));
+            storedCount++;
+        }
+        
+        return storedCount;
+    }
+
     /**
      * Clear all stored data
      */
@@ -380,25 +616,35 @@ export class DataPersistence {
                 available: true,
                 totalItems: 0,
                 totalSize: 0,
+                totalRawSize: 0,
                 itemSizes: {}
             };
             
             Object.entries(this.storageKeys).forEach(([name, key]) => {
                 const data = localStorage.getItem(key);
                 if (data) {
-                    const size = new Blob([data]).size;
+                    const json = this.decompressData(data);
+                    // localStorage quotas count UTF-16 code units, two bytes each
+                    const size = data.length * 2;
+                    const rawSize = json.length * 2;
                     info.itemSizes[name] = {
                         key,
                         size,
+                        rawSize,
+                        compressed: DataCodec.isCompressed(data),
                         sizeFormatted: this.formatBytes(size),
-                        lastModified: this.getLastModified(data)
+                        rawSizeFormatted: this.formatBytes(rawSize),
+                        lastModified: this.getLastModified(json)
                     };
                     info.totalSize += size;
+                    info.totalRawSize += rawSize;
                     info.totalItems++;
                 }
             });
             
             info.totalSizeFormatted = this.formatBytes(info.totalSize);
+            info.totalRawSizeFormatted = this.formatBytes(info.totalRawSize);
+            info.compressionRatio = info.totalRawSize > 0 ? info.totalSize / info.totalRawSize : 1;
             info.storageQuota = this.getStorageQuota();
             
             return info;
@@ -414,7 +660,7 @@ export class DataPersistence {
     getLastModified(jsonData) {
         try {
             const data = JSON.parse(jsonData);
-            return data.lastSaved || 'Unknown';
+            return data.lastSaved || data.timestamp || data.exportInfo?.timestamp || 'Unknown';
         } catch {
             return 'Unknown';
         }
@@ -472,7 +718,7 @@ export class DataPersistence {
         try {
             let jsonString = JSON.stringify(data);
             
-            // Apply compression if enabled (simple implementation)
+            // Apply compression if enabled
             if (this.compressionEnabled) {
                 jsonString = this.compressData(jsonString);
             }
@@ -502,10 +748,8 @@ export class DataPersistence {
                 return null;
             }
             
-            // Apply decompression if needed
-            if (this.compressionEnabled) {
-                jsonString = this.decompressData(jsonString);
-            }
+            // Decompress whatever was stored compressed, even if compression is now off
+            jsonString = this.decompressData(jsonString);
             
             return JSON.parse(jsonString);
         } catch (error) {
@@ -515,20 +759,17 @@ export class DataPersistence {
     }
 
     /**
-     * Simple data compression (placeholder for future enhancement)
+     * Compress a JSON string for localStorage
      */
     compressData(data) {
-        // This is a placeholder for actual compression
-        // Could implement LZ-string or similar library
-        return data;
+        return DataCodec.compress(data);
     }
 
     /**
-     * Simple data decompression (placeholder for future enhancement)
+     * Decompress a stored value (values saved uncompressed are returned as they are)
      */
     decompressData(data) {
-        // This is a placeholder for actual decompression
-        return data;
+        return DataCodec.decompress(data);
     }
 
     /**
@@ -0,0 +1,398 @@
+/**
+ * HistoryStore - Long-term IndexedDB store for hand, decision and count records
+ * The localStorage blobs written by DataPersistence keep only the recent history
+ * that the live statistics need; every record is also appended here without a size
+ * limit, indexed by date, session, true count and hand type for the query APIs.
+ * Records carry the player profile they belong to, and queries can filter on it.
+ * When IndexedDB is unavailable every method resolves to an empty result.
+ */
+
+import { DEFAULT_PROFILE_ID } from './ProfileManager.js';
+
+const DB_NAME = 'blackjackpro_history';
+const DB_VERSION = 1;
+
+// Record stores and the indexes each one gets
+const STORES = {
+    hands: ['timestamp', 'sessionId', 'trueCount', 'handType'],
+    decisions: ['timestamp', 'sessionId', 'trueCount', 'handType'],
+    counts: ['timestamp', 'sessionId', 'trueCount']
+};
+const META_STORE = 'meta';
+const MIGRATION_KEY = 'localStorageMigration';
+
+export class HistoryStore {
+    constructor() {
+        this.db = null;
+        this.isAvailable = false;
+    }
+
+    /**
+     * Open (or create) the database
+     * @returns {Promise<boolean>} whether the store can be used
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('⚠️ IndexedDB not available - long-term history disabled');
+            return false;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => this.createStores(request.result);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('History database is open in another tab with an older version'));
+            });
+            this.isAvailable = true;
+            console.log('🗄️ HistoryStore opened');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to open history store:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Create the record stores and their indexes
+     */
+    createStores(db) {
+        Object.entries(STORES).forEach(([storeName, indexes]) => {
+            if (db.objectStoreNames.contains(storeName)) return;
+
+            const store = db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+            indexes.forEach(index => store.createIndex(index, index));
+        });
+
+        if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE);
+        }
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+        this.isAvailable = false;
+    }
+
+    // ===== WRITING =====
+
+    /**
+     * Add a finished hand: { timestamp, sessionId, trueCount, handType, bet, payout, netResult, result, ... }
+     */
+    addHand(record) {
+        return this.add('hands', [record]);
+    }
+
+    /**
+     * Add a strategy decision: { timestamp, sessionId, trueCount, handType, playerAction, recommendedAction, isCorrect, ... }
+     */
+    addDecision(record) {
+        return this.add('decisions', [record]);
+    }
+
+    /**
+     * Add a counting record: { timestamp, sessionId, trueCount, betAmount, result, ... }
+     */
+    addCount(record) {
+        return this.add('counts', [record]);
+    }
+
+    /**
+     * Write records in one transaction (timestamps are stored as milliseconds)
+     * @returns {Promise<number>} records written
+     */
+    async add(storeName, records) {
+        if (!this.isAvailable || records.length === 0) return 0;
+
+        const transaction = this.db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        records.forEach(record => store.add(this.normalizeRecord(record)));
+
+        await this.complete(transaction);
+        return records.length;
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Hands matching a filter, oldest first
+     * @param {Object} filter - { from, to, profileId, sessionId, minTrueCount, maxTrueCount, handType, limit }
+     */
+    queryHands(filter = {}) {
+        return this.query('hands', filter);
+    }
+
+    /**
+     * Strategy decisions matching a filter, oldest first
+     */
+    queryDecisions(filter = {}) {
+        return this.query('decisions', filter);
+    }
+
+    /**
+     * Counting records matching a filter, oldest first
+     */
+    queryCounts(filter = {}) {
+        return this.query('counts', filter);
+    }
+
+    /**
+     * Read records through the most selective index the filter allows, then apply the rest
+     */
+    async query(storeName, filter = {}) {
+        if (!this.isAvailable) return [];
+
+        const { indexName, range } = this.chooseIndex(storeName, filter);
+        const limit = filter.limit ?? Infinity;
+        // Only the timestamp index walks records oldest first; other sources are read in full
+        // so the limit keeps the oldest matches rather than the lowest index keys
+        const stopAtLimit = indexName === 'timestamp';
+        const matches = [];
+
+        const transaction = this.db.transaction(storeName, 'readonly');
+        const store = transaction.objectStore(storeName);
+        const source = indexName ? store.index(indexName) : store;
+
+        await new Promise((resolve, reject) => {
+            const request = source.openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || (stopAtLimit && matches.length >= limit)) {
+                    resolve();
+                    return;
+                }
+                if (this.matchesFilter(cursor.value, filter)) {
+                    matches.push(this.denormalizeRecord(cursor.value));
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        // Index order is by the index key; callers get records in the order they happened
+        return matches.sort((a, b) => a.timestamp - b.timestamp).slice(0, limit);
+    }
+
+    /**
+     * Number of records in a store (optionally for one session)
+     */
+    async count(storeName, sessionId = null) {
+        if (!this.isAvailable) return 0;
+
+        const store = this.db.transaction(storeName, 'readonly').objectStore(storeName);
+        const request = sessionId === null ? store.count() : store.index('sessionId').count(IDBKeyRange.only(sessionId));
+        return this.result(request);
+    }
+
+    /**
+     * Every session id with recorded hands, oldest first
+     */
+    async getSessionIds() {
+        if (!this.isAvailable) return [];
+
+        const index = this.db.transaction('hands', 'readonly').objectStore('hands').index('sessionId');
+        const sessionIds = [];
+        await new Promise((resolve, reject) => {
+            const request = index.openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                sessionIds.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+        return sessionIds;
+    }
+
+    /**
+     * Pick one index for the filter: session, then true count, then hand type, then date (also used for a limit)
+     */
+    chooseIndex(storeName, filter) {
+        const indexes = STORES[storeName];
+        const { sessionId, minTrueCount, maxTrueCount, handType, from, to, limit } = filter;
+
+        // null is not a valid index key, so records without a session are found by scanning
+        if (sessionId !== undefined && sessionId !== null && indexes.includes('sessionId')) {
+            return { indexName: 'sessionId', range: IDBKeyRange.only(sessionId) };
+        }
+        if ((minTrueCount !== undefined || maxTrueCount !== undefined) && indexes.includes('trueCount')) {
+            return { indexName: 'trueCount', range: this.createRange(minTrueCount, maxTrueCount) };
+        }
+        if (handType !== undefined && indexes.includes('handType')) {
+            return { indexName: 'handType', range: IDBKeyRange.only(handType) };
+        }
+        if (from !== undefined || to !== undefined) {
+            return { indexName: 'timestamp', range: this.createRange(this.toTime(from), this.toTime(to)) };
+        }
+        // A limited query with nothing to narrow it reads the oldest records first
+        if (limit !== undefined) {
+            return { indexName: 'timestamp', range: null };
+        }
+        return { indexName: null, range: null };
+    }
+
+    createRange(lower, upper) {
+        if (lower !== undefined && upper !== undefined) return IDBKeyRange.bound(lower, upper);
+        if (lower !== undefined) return IDBKeyRange.lowerBound(lower);
+        return IDBKeyRange.upperBound(upper);
+    }
+
+    /**
+     * Check the conditions the chosen index did not cover
+     */
+    matchesFilter(record, { profileId, sessionId, minTrueCount, maxTrueCount, handType, from, to }) {
+        // Records written before profiles existed belong to the default profile
+        if (profileId !== undefined && (record.profileId ?? DEFAULT_PROFILE_ID) !== profileId) return false;
+        if (sessionId !== undefined && record.sessionId !== sessionId) return false;
+        const hasCount = typeof record.trueCount === 'number';
+        if (minTrueCount !== undefined && !(hasCount && record.trueCount >= minTrueCount)) return false;
+        if (maxTrueCount !== undefined && !(hasCount && record.trueCount <= maxTrueCount)) return false;
+        if (handType !== undefined && record.handType !== handType) return false;
+        if (from !== undefined && record.timestamp < this.toTime(from)) return false;
+        if (to !== undefined && record.timestamp > this.toTime(to)) return false;
+        return true;
+    }
+
+    // ===== MIGRATION =====
+
+    /**
+     * Copy the history kept in the blackjackpro_* localStorage keys into the store, once
+     * @param {Object} savedData - DataPersistence.loadAllData() output
+     * @param {string} profileId - profile the saved data belongs to
+     * @returns {Promise<Object|null>} records migrated per store, or null if already done
+     */
+    async migrateFromLocalStorage(savedData, profileId = DEFAULT_PROFILE_ID) {
+        if (!this.isAvailable) return null;
+
+        const previous = await this.getMeta(MIGRATION_KEY);
+        if (previous) return null;
+
+        const sessionId = savedData.session?.sessionData?.sessionId ?? null;
+        const migrated = {
+            hands: await this.add('hands', (savedData.session?.handHistory ?? []).map(hand => ({
+                ...hand,
+                profileId,
+                sessionId,
+                trueCount: null,
+                handType: HistoryStore.getHandType(hand.playerHands)
+            }))),
+            decisions: await this.add('decisions', (savedData.strategy?.decisionHistory ?? []).map(decision => ({
+                ...decision,
+                profileId,
+                sessionId: null,
+                trueCount: decision.trueCount ?? null
+            }))),
+            counts: await this.add('counts', (savedData.counting?.countHistory ?? []).map(count => ({
+                ...count,
+                profileId,
+                sessionId: null
+            })))
+        };
+
+        await this.setMeta(MIGRATION_KEY, { migratedAt: new Date().toISOString(), ...migrated });
+        console.log(`🗄️ Migrated localStorage history: ${migrated.hands} hands, ${migrated.decisions} decisions, ${migrated.counts} counts`);
+        return migrated;
+    }
+
+    // ===== MAINTENANCE =====
+
+    /**
+     * Delete every record, or only one profile's (the migration marker stays, so old keys are not copied again)
+     */
+    async clear(profileId = null) {
+        if (!this.isAvailable) return false;
+
+        const storeNames = Object.keys(STORES);
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            if (profileId === null) {
+                store.clear();
+                return;
+            }
+
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (this.matchesFilter(cursor.value, { profileId })) cursor.delete();
+                cursor.continue();
+            };
+        });
+        await this.complete(transaction);
+
+        console.log(`🗑️ History store cleared${profileId === null ? '' : ` for profile ${profileId}`}`);
+        return true;
+    }
+
+    async getMeta(key) {
+        const store = this.db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+        return this.result(store.get(key));
+    }
+
+    async setMeta(key, value) {
+        const transaction = this.db.transaction(META_STORE, 'readwrite');
+        transaction.objectStore(META_STORE).put(value, key);
+        await this.complete(transaction);
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Hand type of a played spot: 'pair' (split), 'blackjack', 'soft' or 'hard'
+     * (null when the cards were not kept, e.g. in old records)
+     */
+    static getHandType(playerHands = []) {
+        if (playerHands.length > 1 || playerHands.some(hand => hand.isSplit)) return 'pair';
+
+        const [hand] = playerHands;
+        if (!hand?.cards?.length) return null;
+
+        const [first, second] = hand.cards;
+        if (first && second && first.rank === second.rank) return 'pair';
+        if (hand.cards.length === 2 && hand.value === 21) return 'blackjack';
+        return [first, second].some(card => card?.rank === 'A') ? 'soft' : 'hard';
+    }
+
+    /**
+     * Stored form: millisecond timestamps, no undefined index keys, no id to let the store assign one
+     */
+    normalizeRecord({ id, ...record }) {
+        return {
+            ...record,
+            timestamp: this.toTime(record.timestamp ?? Date.now()),
+            profileId: record.profileId ?? DEFAULT_PROFILE_ID,
+            sessionId: record.sessionId ?? null,
+            trueCount: typeof record.trueCount === 'number' ? record.trueCount : null
+        };
+    }
+
+    denormalizeRecord(record) {
+        return { ...record, date: new Date(record.timestamp) };
+    }
+
+    toTime(value) {
+        return value instanceof Date ? value.getTime() : typeof value === 'string' ? new Date(value).getTime() : value;
+    }
+
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * PersistenceSchema - Schema version, migrations and validation for saved and exported data
+ * Every payload written to localStorage or to an export file carries `schemaVersion`.
+ * Payloads written before versioning (with `version: '1.0'` or nothing) are version 1.
+ * Loading runs the payload through MIGRATIONS one version at a time, then checks it
+ * against SCHEMAS and reports problems as plain sentences.
+ */
+
+export const SCHEMA_VERSION = 2;
+
+// Readable names for each payload kind
+const KIND_LABELS = {
+    session: 'Session statistics',
+    strategy: 'Strategy statistics',
+    counting: 'Counting statistics',
+    gameState: 'Game state',
+    gameSettings: 'Game settings',
+    export: 'Export file'
+};
+
+// Apply a migration to each item of a list; anything else is left for validation to report
+const mapItems = (list, migrateItem) => (Array.isArray(list) ? list.map(migrateItem) : list ?? []);
+
+// MIGRATIONS[kind][n] upgrades a version n payload to version n + 1
+const MIGRATIONS = {
+    session: {
+        1: (data) => ({
+            ...data,
+            sessionData: {
+                ...data.sessionData,
+                sideBets: data.sessionData?.sideBets ?? {}
+            },
+            // Hands saved before multi-spot play, shoe replay and count tracking
+            handHistory: mapItems(data.handHistory, hand => ({
+                spot: 0,
+                spotCount: 1,
+                shoe: null,
+                trueCount: null,
+                ...hand
+            })),
+            handLogs: data.handLogs ?? [],
+            bankrollHistory: data.bankrollHistory ?? []
+        })
+    },
+    strategy: {
+        1: (data) => ({
+            ...data,
+            strategyData: {
+                ...data.strategyData,
+                decisionsByType: {
+                    surrender: { total: 0, correct: 0 },
+                    ...data.strategyData?.decisionsByType
+                }
+            },
+            // Decisions saved before mistakes were priced
+            decisionHistory: mapItems(data.decisionHistory, decision => ({
+                playedEv: null,
+                optimalEv: null,
+                handBet: null,
+                trueCount: null,
+                ...decision
+            }))
+        })
+    },
+    counting: {
+        1: (data) => ({
+            ...data,
+            countHistory: data.countHistory ?? [],
+            bettingHistory: data.bettingHistory ?? []
+        })
+    },
+    gameState: {
+        1: (data) => ({
+            ...data,
+            sessionData: data.sessionData ? {
+                ...data.sessionData,
+                // One betting spot before multi-spot play
+                spotBets: data.sessionData.spotBets ?? [data.sessionData.currentBet],
+                sideBets: data.sessionData.sideBets ?? {}
+            } : data.sessionData,
+            gameHistory: data.gameHistory ?? []
+        })
+    },
+    export: {
+        1: (data) => ({
+            ...data,
+            exportInfo: { ...data.exportInfo, schemaVersion: 2 }
+        })
+    }
+};
+
+// Field rules per payload kind: { path, type, required, min, oneOf, items }
+const SCHEMAS = {
+    session: [
+        { path: 'sessionData', type: 'object', required: true },
+        { path: 'sessionData.handsPlayed', type: 'number', min: 0 },
+        { path: 'sessionData.bankAmount', type: 'number', min: 0 },
+        { path: 'sessionData.totalWagered', type: 'number', min: 0 },
+        { path: 'sessionData.totalWon', type: 'number', min: 0 },
+        { path: 'sessionData.totalInitialBets', type: 'number', min: 0 },
+        {
+            path: 'handHistory',
+            type: 'array',
+            items: [
+                { path: 'bet', type: 'number', required: true, min: 0 },
+                { path: 'payout', type: 'number', required: true, min: 0 },
+                { path: 'result', type: 'string', oneOf: ['win', 'loss', 'push'] }
+            ]
+        },
+        { path: 'handLogs', type: 'array', items: [{ path: 'events', type: 'array', required: true }] },
+        {
+            path: 'bankrollHistory',
+            type: 'array',
+            items: [
+                { path: 'handNumber', type: 'number', required: true },
+                { path: 'bankroll', type: 'number', required: true }
+            ]
+        }
+    ],
+    strategy: [
+        { path: 'strategyData', type: 'object', required: true },
+        { path: 'strategyData.totalDecisions', type: 'number', min: 0 },
+        { path: 'strategyData.correctDecisions', type: 'number', min: 0 },
+        {
+            path: 'decisionHistory',
+            type: 'array',
+            items: [
+                { path: 'playerAction', type: 'string', required: true },
+                { path: 'recommendedAction', type: 'string', required: true },
+                { path: 'isCorrect', type: 'boolean' }
+            ]
+        }
+    ],
+    counting: [
+        { path: 'countingData', type: 'object', required: true },
+        {
+            path: 'countHistory',
+            type: 'array',
+            items: [
+                { path: 'trueCount', type: 'number', required: true },
+                { path: 'betAmount', type: 'number', min: 0 }
+            ]
+        },
+        { path: 'bettingHistory', type: 'array', items: [{ path: 'betAmount', type: 'number', min: 0 }] }
+    ],
+    gameState: [
+        { path: 'sessionData', type: 'object', required: true },
+        { path: 'sessionData.currentBet', type: 'number', min: 0 },
+        { path: 'sessionData.spotBets', type: 'array' },
+        { path: 'sessionData.settings', type: 'object' },
+        { path: 'gameHistory', type: 'array' }
+    ],
+    gameSettings: [
+        { path: 'settings', type: 'object', required: true },
+        { path: 'settings.deckCount', type: 'number', min: 1 },
+        { path: 'settings.spotCount', type: 'number', min: 1 }
+    ],
+    export: [
+        { path: 'exportInfo', type: 'object', required: true },
+        { path: 'session', type: 'object' },
+        { path: 'strategy', type: 'object' },
+        { path: 'counting', type: 'object' },
+        { path: 'settings', type: 'object' },
+        { path: 'indexPlays', type: 'object' },
+        { path: 'gameState', type: 'object' }
+    ]
+};
+
+// Item errors reported per array before the rest are summarized
+const MAX_ITEM_ERRORS = 5;
+
+export class PersistenceSchema {
+    /**
+     * Mark a payload with the current schema version
+     */
+    static stamp(data) {
+        return { ...data, schemaVersion: SCHEMA_VERSION };
+    }
+
+    /**
+     * Schema version a payload was written with (1 for unversioned payloads)
+     */
+    static getVersion(data) {
+        const version = data?.schemaVersion ?? data?.exportInfo?.schemaVersion;
+        return Number.isInteger(version) ? version : 1;
+    }
+
+    /**
+     * Migrate and validate a payload without changing the original
+     * @param {string} kind - session, strategy, counting, gameState, gameSettings or export
+     * @returns {Object} { valid, data, fromVersion, migrations: [descriptions], errors: [sentences] }
+     */
+    static prepare(kind, payload) {
+        const label = KIND_LABELS[kind] ?? kind;
+
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return { valid: false, data: null, fromVersion: null, migrations: [], errors: [`${label} is missing or is not an object.`] };
+        }
+
+        const fromVersion = PersistenceSchema.getVersion(payload);
+        if (fromVersion > SCHEMA_VERSION) {
+            return {
+                valid: false,
+                data: null,
+                fromVersion,
+                migrations: [],
+                errors: [`${label} was saved by a newer version of BlackjackPro (schema ${fromVersion}); this version reads up to schema ${SCHEMA_VERSION}.`]
+            };
+        }
+
+        try {
+            const { data, migrations } = PersistenceSchema.migrate(kind, payload, fromVersion);
+            const errors = PersistenceSchema.validate(kind, data);
+            return { valid: errors.length === 0, data, fromVersion, migrations, errors };
+        } catch (error) {
+            return { valid: false, data: null, fromVersion, migrations: [], errors: [`${label} could not be upgraded: ${error.message}`] };
+        }
+    }
+
+    /**
+     * Run the migration chain from a version up to SCHEMA_VERSION
+     */
+    static migrate(kind, payload, fromVersion = PersistenceSchema.getVersion(payload)) {
+        let data = payload;
+        const migrations = [];
+
+        for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+            const migration = MIGRATIONS[kind]?.[version];
+            if (migration) {
+                data = migration(data);
+                migrations.push(`${KIND_LABELS[kind] ?? kind}: schema ${version} → ${version + 1}`);
+            }
+        }
+
+        return { data: PersistenceSchema.stamp(data), migrations };
+    }
+
+    /**
+     * Check a payload against its field rules
+     * @returns {string[]} readable error sentences (empty when valid)
+     */
+    static validate(kind, data) {
+        const label = KIND_LABELS[kind] ?? kind;
+        const errors = [];
+
+        (SCHEMAS[kind] ?? []).forEach(rule => {
+            PersistenceSchema.checkRule(rule, data, rule.path, errors);
+
+            const value = PersistenceSchema.getPath(data, rule.path);
+            if (rule.items && Array.isArray(value)) {
+                const itemErrors = [];
+                value.forEach((item, index) => {
+                    rule.items.forEach(itemRule => {
+                        PersistenceSchema.checkRule(itemRule, item, `${rule.path}[${index}].${itemRule.path}`, itemErrors);
+                    });
+                });
+                errors.push(...itemErrors.slice(0, MAX_ITEM_ERRORS));
+                if (itemErrors.length > MAX_ITEM_ERRORS) {
+                    errors.push(`...and ${itemErrors.length - MAX_ITEM_ERRORS} more problems in "${rule.path}"`);
+                }
+            }
+        });
+
+        return errors.map(error => `${label}: ${error}`);
+    }
+
+    /**
+     * Check one field, adding a sentence to errors if it breaks the rule
+     */
+    static checkRule(rule, data, fullPath, errors) {
+        const value = PersistenceSchema.getPath(data, rule.path);
+
+        if (value === undefined || value === null) {
+            if (rule.required) errors.push(`"${fullPath}" is missing.`);
+            return;
+        }
+
+        const actualType = PersistenceSchema.describeType(value);
+        if (actualType !== rule.type) {
+            errors.push(`"${fullPath}" should be ${PersistenceSchema.article(rule.type)} but is ${PersistenceSchema.article(actualType)} (${PersistenceSchema.preview(value)}).`);
+            return;
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push(`"${fullPath}" should be at least ${rule.min} but is ${value}.`);
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            errors.push(`"${fullPath}" should be one of ${rule.oneOf.join(', ')} but is "${value}".`);
+        }
+    }
+
+    // ===== HELPERS =====
+
+    static getPath(data, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+    }
+
+    static describeType(value) {
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+        return typeof value;
+    }
+
+    static article(type) {
+        const names = { object: 'an object', array: 'a list', number: 'a number', string: 'text', boolean: 'true or false', NaN: 'not a number' };
+        return names[type] ?? type;
+    }
+
+    static preview(value) {
+        const text = JSON.stringify(value) ?? String(value);
+        return text.length > 30 ? `${text.slice(0, 27)}...` : text;
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * ProfileManager - Named player profiles sharing one browser
+ * Each profile gets its own namespace for the per-player localStorage keys
+ * (statistics, settings and backup). The default profile keeps the original
+ * unprefixed keys, so data saved before profiles existed stays with it.
+ * Modules read their keys once when constructed; switching profiles reloads the page.
+ */
+
+import { SCHEMA_VERSION } from './PersistenceSchema.js';
+
+const REGISTRY_KEY = 'blackjackpro_profiles';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Keys that belong to a player; everything else (preferences, chart cache) is shared
+const PROFILE_KEYS = [
+    'blackjackpro_session',
+    'blackjackpro_strategy',
+    'blackjackpro_counting',
+    'blackjackpro_counting_practice',
+    'blackjackpro_settings',
+    'blackjackpro_backup',
+    'blackjackpro_gamestate',
+    'blackjackpro_index_plays'
+];
+
+const MAX_NAME_LENGTH = 24;
+
+export class ProfileManager {
+    /**
+     * Every profile, default first
+     * @returns {Array<{ id, name, createdAt }>}
+     */
+    static getProfiles() {
+        return ProfileManager.loadRegistry().profiles;
+    }
+
+    static getActiveProfile() {
+        const registry = ProfileManager.loadRegistry();
+        return registry.profiles.find(profile => profile.id === registry.activeProfileId) ?? registry.profiles[0];
+    }
+
+    static getProfile(profileId) {
+        return ProfileManager.getProfiles().find(profile => profile.id === profileId) ?? null;
+    }
+
+    /**
+     * localStorage key for a per-player base key in a profile (the active one by default)
+     */
+    static getStorageKey(baseKey, profileId = ProfileManager.getActiveProfile().id) {
+        return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+    }
+
+    /**
+     * Add a profile (it does not become active)
+     * @throws {Error} with a readable message if the name is empty, too long or taken
+     */
+    static createProfile(name) {
+        const registry = ProfileManager.loadRegistry();
+        const trimmed = ProfileManager.checkName(name, registry);
+
+        const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'player';
+        const profile = {
+            id: `${slug}-${Date.now().toString(36)}`,
+            name: trimmed,
+            createdAt: new Date().toISOString()
+        };
+
+        registry.profiles.push(profile);
+        ProfileManager.saveRegistry(registry);
+        console.log(`👤 Profile created: ${profile.name}`);
+        return profile;
+    }
+
+    static renameProfile(profileId, name) {
+        const registry = ProfileManager.loadRegistry();
+        const profile = registry.profiles.find(candidate => candidate.id === profileId);
+        if (!profile) throw new Error('That profile no longer exists.');
+
+        profile.name = ProfileManager.checkName(name, registry, profileId);
+        ProfileManager.saveRegistry(registry);
+        return profile;
+    }
+
+    /**
+     * Remove a profile and everything stored under it (the default profile cannot be deleted)
+     */
+    static deleteProfile(profileId) {
+        if (profileId === DEFAULT_PROFILE_ID) {
+            throw new Error('The default profile cannot be deleted.');
+        }
+
+        const registry = ProfileManager.loadRegistry();
+        registry.profiles = registry.profiles.filter(profile => profile.id !== profileId);
+        if (registry.activeProfileId === profileId) {
+            registry.activeProfileId = DEFAULT_PROFILE_ID;
+        }
+
+        PROFILE_KEYS.forEach(baseKey => localStorage.removeItem(ProfileManager.getStorageKey(baseKey, profileId)));
+        ProfileManager.saveRegistry(registry);
+        console.log(`🗑️ Profile deleted: ${profileId}`);
+    }
+
+    /**
+     * Make a profile active; modules constructed afterwards use its keys
+     */
+    static setActiveProfile(profileId) {
+        const registry = ProfileManager.loadRegistry();
+        if (!registry.profiles.some(profile => profile.id === profileId)) {
+            throw new Error('That profile no longer exists.');
+        }
+
+        registry.activeProfileId = profileId;
+        ProfileManager.saveRegistry(registry);
+        console.log(`👤 Active profile: ${profileId}`);
+    }
+
+    // ===== STORAGE =====
+
+    /**
+     * Read the registry; without localStorage (e.g. in workers) only the default profile exists
+     */
+    static loadRegistry() {
+        const registry = {
+            schemaVersion: SCHEMA_VERSION,
+            activeProfileId: DEFAULT_PROFILE_ID,
+            profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: null }]
+        };
+
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(REGISTRY_KEY) : null;
+            if (!saved) return registry;
+
+            const data = JSON.parse(saved);
+            const profiles = Array.isArray(data.profiles)
+                ? data.profiles.filter(profile => typeof profile?.id === 'string' && typeof profile.name === 'string')
+                : [];
+            const defaultProfile = profiles.find(profile => profile.id === DEFAULT_PROFILE_ID) ?? registry.profiles[0];
+
+            registry.profiles = [defaultProfile, ...profiles.filter(profile => profile.id !== DEFAULT_PROFILE_ID)];
+            if (registry.profiles.some(profile => profile.id === data.activeProfileId)) {
+                registry.activeProfileId = data.activeProfileId;
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to read profiles, using the default profile:', error);
+        }
+
+        return registry;
+    }
+
+    static saveRegistry(registry) {
+        localStorage.setItem(REGISTRY_KEY, JSON.stringify({ ...registry, schemaVersion: SCHEMA_VERSION }));
+    }
+
+    /**
+     * Trimmed name, or a readable error if it cannot be used
+     */
+    static checkName(name, registry, ownId = null) {
+        const trimmed = String(name ?? '').trim();
+
+        if (!trimmed) {
+            throw new Error('Enter a profile name.');
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(`Profile names can be at most ${MAX_NAME_LENGTH} characters.`);
+        }
+        if (registry.profiles.some(profile => profile.id !== ownId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`There is already a profile called "${trimmed}".`);
+        }
+
+        return trimmed;
+    }
+}
@@ -3,6 +3,8 @@
  * Extracted from Statistics.js for better organization
  */
 
+import { PersistenceSchema, SCHEMA_VERSION } from './PersistenceSchema.js';
+
 export class SessionStats {
     constructor() {
         this.sessionData = {
@@ -12,9 +14,14 @@ export class SessionStats {
             pushes: 0,
             blackjacks: 0,
             busts: 0,
+            surrenders: 0,
             bankAmount: 1000,
             totalWagered: 0,
             totalWon: 0,
+            totalInitialBets: 0, // Bets placed before doubles and splits (what house edge is quoted against)
+            sideBets: this.createSideBetStats(),
+            freeBets: this.createFreeBetStats(),
+            insurance: this.createInsuranceStats(),
             sessionStartTime: null,
             sessionEndTime: null,
             sessionId: null
@@ -23,6 +30,14 @@ export class SessionStats {
         this.handHistory = [];
         this.maxHistorySize = 100;
         
+        // Full event logs of the most recent rounds, for the hand replay viewer
+        this.handLogs = [];
+        this.maxHandLogs = 50;
+        
+        // Bank after each hand, for the bankroll chart (kept longer than the hand history)
+        this.bankrollHistory = [];
+        this.maxBankrollPoints = 5000;
+        
         this.isActive = false;
     }
 
@@ -46,15 +61,22 @@ export class SessionStats {
             pushes: 0,
             blackjacks: 0,
             busts: 0,
+            surrenders: 0,
             bankAmount: initialBank,
             totalWagered: 0,
             totalWon: 0,
+            totalInitialBets: 0, // Bets placed before doubles and splits (what house edge is quoted against)
+            sideBets: this.createSideBetStats(),
+            freeBets: this.createFreeBetStats(),
+            insurance: this.createInsuranceStats(),
             sessionStartTime: new Date(),
             sessionEndTime: null,
             sessionId: Date.now()
         };
         
         this.handHistory = [];
+        this.handLogs = [];
+        this.bankrollHistory = [{ handNumber: 0, bankroll: initialBank }];
         this.isActive = true;
         
         console.log('🆕 New session started with $' + initialBank);
@@ -88,17 +110,23 @@ export class SessionStats {
     recordHand(handData) {
         if (!this.isActive) return false;
 
-        const { playerHands, dealerHand, bet, payout, handsWon, handsLost, handsPushed } = handData;
+        const {
+            playerHands, dealerHand, bet, payout, handsWon, handsLost, handsPushed,
+            handsSurrendered = 0, freeBetsWagered = 0, freeBetsWon = 0, initialBet = bet
+        } = handData;
         
         // Update basic counters
         this.sessionData.handsPlayed++;
         this.sessionData.wins += handsWon;
         this.sessionData.losses += handsLost;
         this.sessionData.pushes += handsPushed;
+        this.sessionData.surrenders += handsSurrendered;
         
         // Update financial tracking
         this.sessionData.totalWagered += bet;
         this.sessionData.totalWon += payout;
+        this.sessionData.totalInitialBets += initialBet;
+        this.recordFreeBets(freeBetsWagered, freeBetsWon);
         
         // Check for blackjacks and busts
         playerHands.forEach(hand => {
@@ -115,13 +143,18 @@ export class SessionStats {
             handNumber: this.sessionData.handsPlayed,
             timestamp: new Date(),
             bet,
+            initialBet,
             payout,
             netResult: payout - bet,
+            // Free Bet chips riding on the hand and what they won (already part of payout)
+            freeBet: freeBetsWagered,
+            freeBetWon: freeBetsWon,
             playerHands: playerHands.map(h => ({
                 value: h.value,
                 busted: h.busted,
                 isDoubled: h.isDoubled,
                 isSplit: h.isSplit,
+                isSurrendered: !!h.isSurrendered,
                 cardCount: h.cards ? h.cards.length : 0
             })),
             dealerHand: {
@@ -129,7 +162,12 @@ export class SessionStats {
                 busted: dealerHand.busted,
                 cardCount: dealerHand.cards ? dealerHand.cards.length : 0
             },
-            result: handsWon > 0 ? 'win' : handsLost > 0 ? 'loss' : 'push'
+            result: handsWon > 0 ? 'win' : handsLost > 0 ? 'loss' : 'push',
+            // Multi-spot rounds record one hand per betting spot
+            spot: handData.spot ?? 0,
+            spotCount: handData.spotCount ?? 1,
+            shoe: handData.shoe || null, // { seed, shoeNumber, position, roundNumber } for replay
+            trueCount: handData.trueCount ?? null // at the start of the round
         };
         
         this.handHistory.push(handRecord);
@@ -143,6 +181,202 @@ export class SessionStats {
         return true;
     }
 
+    /**
+     * Keep a round's event log (from HandRecorder), linked to the hand records of its spots
+     */
+    recordHandLog(log) {
+        if (!this.isActive) return false;
+
+        const handNumbers = this.handHistory.slice(-log.spotBets.length).map(hand => hand.handNumber);
+        this.handLogs.push({ ...log, handNumbers });
+
+        if (this.handLogs.length > this.maxHandLogs) {
+            this.handLogs.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Get the recorded hand logs, oldest first
+     */
+    getHandLogs() {
+        return [...this.handLogs];
+    }
+
+    /**
+     * Note the bank after the latest hand (later updates for the same hand replace it)
+     */
+    recordBankrollPoint() {
+        const point = { handNumber: this.sessionData.handsPlayed, bankroll: this.sessionData.bankAmount };
+        const last = this.bankrollHistory[this.bankrollHistory.length - 1];
+        
+        if (last && last.handNumber === point.handNumber) {
+            this.bankrollHistory[this.bankrollHistory.length - 1] = point;
+        } else {
+            this.bankrollHistory.push(point);
+        }
+        
+        if (this.bankrollHistory.length > this.maxBankrollPoints) {
+            this.bankrollHistory.shift();
+        }
+    }
+
+    /**
+     * Bank after each hand: [{ handNumber, bankroll }]
+     */
+    getBankrollHistory() {
+        return [...this.bankrollHistory];
+    }
+
+    /**
+     * Running and true count card by card through the current shoe, from the hand logs
+     * Returns { shoeNumber, points: [{ cardsDealt, running, true, roundNumber }] } or null
+     */
+    getShoeCountHistory() {
+        const lastLog = this.handLogs[this.handLogs.length - 1];
+        if (!lastLog?.shoe) return null;
+        
+        const { seed, shoeNumber } = lastLog.shoe;
+        const points = [];
+        this.handLogs
+            .filter(log => log.shoe && log.shoe.seed === seed && log.shoe.shoeNumber === shoeNumber)
+            .forEach(log => {
+                let cardsDealt = log.shoe.position;
+                log.events
+                    .filter(event => event.type === 'deal' || event.type === 'reveal')
+                    .forEach(event => {
+                        // The hole card was counted as dealt when it went down
+                        if (event.type === 'deal') cardsDealt++;
+                        points.push({ cardsDealt, running: event.count.running, true: event.count.true, roundNumber: log.roundNumber });
+                    });
+            });
+        
+        return { shoeNumber, points };
+    }
+
+    /**
+     * Empty per-side-bet totals (side bets are kept out of the main game's wagered/won)
+     */
+    createSideBetStats() {
+        const empty = () => ({ bets: 0, wins: 0, totalWagered: 0, totalWon: 0, outcomes: {} });
+        return {
+            perfectPairs: empty(),
+            twentyOnePlus3: empty(),
+            superMatch: empty()
+        };
+    }
+
+    /**
+     * Record settled side bets from the engine's sideBetsResolved results
+     */
+    recordSideBets(sideBetResults) {
+        if (!this.isActive || !sideBetResults) return false;
+
+        sideBetResults.bets.forEach(({ type, bet, payout, outcome }) => {
+            const stats = this.sessionData.sideBets[type];
+            if (!stats) return;
+
+            stats.bets++;
+            stats.totalWagered += bet;
+            stats.totalWon += payout;
+            if (outcome) {
+                stats.wins++;
+                stats.outcomes[outcome] = (stats.outcomes[outcome] || 0) + 1;
+            }
+        });
+
+        console.log(`🎲 Side bets recorded: ${sideBetResults.net >= 0 ? '+' : ''}${sideBetResults.net}`);
+        return true;
+    }
+
+    /**
+     * Get side bet performance with net result and hit rate per bet
+     */
+    getSideBetStats() {
+        const summary = { totalWagered: 0, totalWon: 0, netGain: 0, bets: {} };
+
+        Object.entries(this.sessionData.sideBets || {}).forEach(([type, stats]) => {
+            const netGain = stats.totalWon - stats.totalWagered;
+            summary.bets[type] = {
+                ...stats,
+                outcomes: { ...stats.outcomes },
+                netGain,
+                hitRate: stats.bets === 0 ? 0 : Math.round((stats.wins / stats.bets) * 100 * 100) / 100,
+                returnRate: stats.totalWagered === 0 ? 0 :
+                    Math.round((netGain / stats.totalWagered) * 100 * 100) / 100
+            };
+            summary.totalWagered += stats.totalWagered;
+            summary.totalWon += stats.totalWon;
+        });
+
+        summary.netGain = summary.totalWon - summary.totalWagered;
+        return summary;
+    }
+
+    /**
+     * Empty Free Bet totals - the house's free chips are kept apart from the player's wagers
+     */
+    createFreeBetStats() {
+        return { chips: 0, totalValue: 0, wins: 0, totalWon: 0 };
+    }
+
+    createInsuranceStats() {
+        return { bets: 0, wins: 0, totalWagered: 0, totalWon: 0 };
+    }
+
+    /**
+     * Record a settled insurance bet ({ bet, won, net } from the engine)
+     */
+    recordInsurance(insuranceResult) {
+        if (!this.isActive || !insuranceResult || insuranceResult.pending) return false;
+
+        const stats = this.sessionData.insurance;
+        stats.bets++;
+        stats.totalWagered += insuranceResult.bet;
+        stats.totalWon += insuranceResult.bet + insuranceResult.net;
+        if (insuranceResult.won) {
+            stats.wins++;
+        }
+        return true;
+    }
+
+    /**
+     * Get insurance results, kept apart from the hands like side bets
+     */
+    getInsuranceStats() {
+        const stats = { ...this.createInsuranceStats(), ...this.sessionData.insurance };
+        return { ...stats, netGain: stats.totalWon - stats.totalWagered };
+    }
+
+    /**
+     * Add a hand's free bet chips and their winnings
+     */
+    recordFreeBets(wagered, won) {
+        if (wagered === 0) return;
+
+        const stats = this.sessionData.freeBets;
+        stats.chips++;
+        stats.totalValue += wagered;
+        stats.totalWon += won;
+        if (won > 0) {
+            stats.wins++;
+        }
+    }
+
+    /**
+     * Get Free Bet chip results: how much the house put up and how much it paid out
+     */
+    getFreeBetStats() {
+        const stats = { ...this.createFreeBetStats(), ...this.sessionData.freeBets };
+        return {
+            ...stats,
+            winRate: stats.chips === 0 ? 0 : Math.round((stats.wins / stats.chips) * 100 * 100) / 100,
+            // Share of the real-money winnings that came from free chips
+            shareOfWinnings: this.sessionData.totalWon === 0 ? 0 :
+                Math.round((stats.totalWon / this.sessionData.totalWon) * 100 * 100) / 100
+        };
+    }
+
     /**
      * Update bank amount
      */
@@ -160,6 +394,7 @@ export class SessionStats {
             this.sessionData.bankAmount = 0;
         }
         
+        this.recordBankrollPoint();
         return this.sessionData.bankAmount;
     }
 
@@ -171,6 +406,7 @@ export class SessionStats {
             ...this.sessionData,
             winRate: this.calculateWinRate(),
             averageBet: this.calculateAverageBet(),
+            averageInitialBet: this.calculateAverageInitialBet(),
             netGain: this.getNetGain(),
             sessionDuration: this.getSessionDuration(),
             handsPerHour: this.calculateHandsPerHour(),
@@ -197,7 +433,15 @@ export class SessionStats {
     }
 
     /**
-     * Calculate net gain/loss
+     * Average bet placed per hand, before doubles and splits
+     */
+    calculateAverageInitialBet() {
+        if (this.sessionData.handsPlayed === 0) return 0;
+        return Math.round((this.sessionData.totalInitialBets / this.sessionData.handsPlayed) * 100) / 100;
+    }
+
+    /**
+     * Calculate net gain/loss of the hands (side bets and insurance are tracked separately)
      */
     getNetGain() {
         return this.sessionData.totalWon - this.sessionData.totalWagered;
@@ -341,6 +585,8 @@ export class SessionStats {
                 blackjackFrequency: stats.blackjackFrequency,
                 bustFrequency: stats.bustFrequency
             },
+            sideBets: this.getSideBetStats(),
+            freeBets: this.getFreeBetStats(),
             recentPerformance: recent
         };
     }
@@ -379,24 +625,48 @@ export class SessionStats {
         return {
             sessionData: { ...this.sessionData },
             handHistory: [...this.handHistory],
+            handLogs: [...this.handLogs],
+            bankrollHistory: [...this.bankrollHistory],
             summary: this.getSessionSummary(),
-            exportTimestamp: new Date().toISOString()
+            exportTimestamp: new Date().toISOString(),
+            schemaVersion: SCHEMA_VERSION
         };
     }
 
     /**
      * Import session data
      */
-    importSessionData(importedData) {
+    importSessionData(savedData) {
         try {
+            // Older saves are upgraded to the current schema; invalid ones are rejected whole
+            const { valid, data: importedData, errors } = PersistenceSchema.prepare('session', savedData);
+            if (!valid) {
+                console.error(`❌ Session data import rejected:\n${errors.join('\n')}`);
+                return false;
+            }
+            
             if (importedData.sessionData) {
                 this.sessionData = { ...this.sessionData, ...importedData.sessionData };
+                // Sessions saved before side bets were tracked have no side bet totals
+                this.sessionData.sideBets = { ...this.createSideBetStats(), ...importedData.sessionData.sideBets };
+                this.sessionData.freeBets = { ...this.createFreeBetStats(), ...importedData.sessionData.freeBets };
+                this.sessionData.insurance = { ...this.createInsuranceStats(), ...importedData.sessionData.insurance };
+                // Before initial bets were tracked, the total wagered is the closest figure
+                this.sessionData.totalInitialBets = importedData.sessionData.totalInitialBets ?? this.sessionData.totalWagered;
             }
             
             if (importedData.handHistory) {
                 this.handHistory = [...importedData.handHistory];
             }
             
+            if (importedData.handLogs) {
+                this.handLogs = [...importedData.handLogs];
+            }
+            
+            if (importedData.bankrollHistory) {
+                this.bankrollHistory = [...importedData.bankrollHistory];
+            }
+            
             // Validate data integrity
             const calculatedHands = this.handHistory.length;
             if (calculatedHands !== this.sessionData.handsPlayed) {
@@ -493,6 +763,8 @@ export class SessionStats {
     cleanup() {
         this.endSession();
         this.handHistory = [];
+        this.handLogs = [];
+        this.bankrollHistory = [];
         console.log('🧹 SessionStats cleaned up');
     }
 }
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Extracted from Statistics.js for better organization
  */
 
+import { SCHEMA_VERSION } from './PersistenceSchema.js';
+
 export class StrategyAnalytics {
     constructor() {
         this.strategyData = {
@@ -15,6 +17,7 @@ export class StrategyAnalytics {
                 stand: { total: 0, correct: 0 },
                 double: { total: 0, correct: 0 },
                 split: { total: 0, correct: 0 },
+                surrender: { total: 0, correct: 0 },
                 insurance: { total: 0, correct: 0 }
             },
             
@@ -46,7 +49,7 @@ export class StrategyAnalytics {
         };
         
         this.decisionHistory = [];
-        this.maxHistorySize = 200;
+        this.maxHistorySize = 1000; // long enough to price every mistake in a session
         
         // Performance thresholds
         this.thresholds = {
@@ -76,7 +79,11 @@ export class StrategyAnalytics {
             playerValue,
             canDouble = false,
             canSplit = false,
-            confidence = 'medium'
+            confidence = 'medium',
+            playedEv = null,
+            optimalEv = null,
+            handBet = null,
+            trueCount = null
         } = decisionData;
 
         const isCorrect = this.normalizeAction(playerAction) === this.normalizeAction(recommendedAction);
@@ -125,6 +132,11 @@ export class StrategyAnalytics {
             canDouble,
             canSplit,
             confidence,
+            // EVs per $1 of the hand's bet, when the hint carried them
+            playedEv,
+            optimalEv,
+            handBet,
+            trueCount,
             scenario: this.createScenarioKey(handType, playerValue, dealerUpCard)
         };
 
@@ -398,7 +410,10 @@ export class StrategyAnalytics {
             'hit_double': 'Look for doubling opportunities with favorable counts',
             'double_hit': 'Only double when you have the advantage and bankroll',
             'hit_split': 'Always split Aces and 8s, never split 10s or 5s',
-            'split_hit': 'Consider the dealer up card before splitting'
+            'split_hit': 'Consider the dealer up card before splitting',
+            'hit_surrender': 'Surrender hard 16 vs 9-A and 15 vs 10 when late surrender is offered',
+            'stand_surrender': 'Surrender hard 16 vs 9-A and 15 vs 10 when late surrender is offered',
+            'surrender_hit': 'Only surrender the worst hard totals - most stiff hands should still be played'
         };
         
         const key = `${this.normalizeAction(mistake.playerAction)}_${this.normalizeAction(mistake.recommendedAction)}`;
@@ -451,6 +466,67 @@ export class StrategyAnalytics {
         return progress;
     }
 
+    /**
+     * Dollar cost of mistakes from the decisions recorded since a time
+     * Each mistake costs (EV of the recommended play - EV of the play made) x the hand's bet.
+     * @param {Date|string|null} since - only decisions from this time on (e.g. the session start)
+     * @returns {Object} { decisions, pricedDecisions, mistakes, lostToMistakes, costliest }
+     */
+    getMistakeCost(since = null) {
+        const start = since ? new Date(since).getTime() : 0;
+        const decisions = this.decisionHistory.filter(decision => new Date(decision.timestamp).getTime() >= start);
+        const priced = decisions.filter(decision => decision.playedEv !== null && decision.playedEv !== undefined &&
+            decision.optimalEv !== null && decision.optimalEv !== undefined && decision.handBet);
+
+        const mistakes = priced
+            .filter(decision => !decision.isCorrect)
+            .map(decision => ({
+                ...decision,
+                cost: Math.max(0, decision.optimalEv - decision.playedEv) * decision.handBet
+            }));
+
+        return {
+            decisions: decisions.length,
+            pricedDecisions: priced.length,
+            mistakes: mistakes.length,
+            lostToMistakes: Math.round(mistakes.reduce((sum, mistake) => sum + mistake.cost, 0) * 100) / 100,
+            costliest: mistakes
+                .sort((a, b) => b.cost - a.cost)
+                .slice(0, 3)
+                .map(({ scenario, playerAction, recommendedAction, cost }) => ({
+                    scenario,
+                    playerAction,
+                    recommendedAction,
+                    cost: Math.round(cost * 100) / 100
+                }))
+        };
+    }
+
+    /**
+     * Accuracy over every stored decision matching a filter, overall and by hand type
+     * @param {HistoryStore} historyStore - long-term record store
+     * @param {Object} filter - HistoryStore filter
+     */
+    async getHistoricalAccuracy(historyStore, filter = {}) {
+        const decisions = await historyStore.queryDecisions(filter);
+        const accuracy = (records) => records.length > 0
+            ? Math.round((records.filter(record => record.isCorrect).length / records.length) * 10000) / 100
+            : 0;
+
+        const byHandType = {};
+        ['hard', 'soft', 'pair'].forEach(handType => {
+            const records = decisions.filter(decision => decision.handType === handType);
+            byHandType[handType] = { decisions: records.length, accuracy: accuracy(records) };
+        });
+
+        return {
+            decisions: decisions.length,
+            accuracy: accuracy(decisions),
+            grade: this.getAccuracyGrade(accuracy(decisions)),
+            byHandType
+        };
+    }
+
     /**
      * Export strategy analytics data
      */
@@ -460,7 +536,8 @@ export class StrategyAnalytics {
             decisionHistory: [...this.decisionHistory],
             stats: this.getStrategyStats(),
             recommendations: this.getImprovementRecommendations(),
-            exportTimestamp: new Date().toISOString()
+            exportTimestamp: new Date().toISOString(),
+            schemaVersion: SCHEMA_VERSION
         };
     }
 
@@ -470,7 +547,15 @@ export class StrategyAnalytics {
     importData(importedData) {
         try {
             if (importedData.strategyData) {
-                this.strategyData = { ...this.strategyData, ...importedData.strategyData };
+                this.strategyData = {
+                    ...this.strategyData,
+                    ...importedData.strategyData,
+                    // Keep action buckets added after the data was saved (e.g. surrender)
+                    decisionsByType: {
+                        ...this.strategyData.decisionsByType,
+                        ...importedData.strategyData.decisionsByType
+                    }
+                };
             }
             
             if (importedData.decisionHistory) {
@@ -497,6 +582,7 @@ export class StrategyAnalytics {
                 stand: { total: 0, correct: 0 },
                 double: { total: 0, correct: 0 },
                 split: { total: 0, correct: 0 },
+                surrender: { total: 0, correct: 0 },
                 insurance: { total: 0, correct: 0 }
             },
             decisionsByHandType: {
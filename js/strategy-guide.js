@@ -5,6 +5,7 @@
 
 import { StrategyHints } from './modules/StrategyHints.js';
 import { Navigation } from './modules/Navigation.js';
+import { GameRules } from './modules/GameRules.js';
 
 class StrategyGuideApp {
     constructor() {
@@ -47,6 +48,9 @@ class StrategyGuideApp {
             this.setupQuickLookup();
             this.setupPracticeMode();
             
+            // Replace the standard chart with one calculated for the selected rules
+            this.loadChartRules();
+            
             this.isInitialized = true;
             console.log('✅ Strategy Guide initialized with validated data');
             
@@ -225,6 +229,9 @@ class StrategyGuideApp {
         }
         
         // If surrender is not allowed and original action is surrender, return fallback
+        if (this.strategyHints?.getAllCharts().fallbacks) {
+            return this.strategyHints.getFallbackAction(chartType, handValue, dealerCard);
+        }
         if (chartType === 'hard' && this.surrenderFallbacks.hard[handValue]?.[dealerCard]) {
             return this.surrenderFallbacks.hard[handValue][dealerCard];
         }
@@ -457,6 +464,11 @@ class StrategyGuideApp {
             });
         }
 
+        // Other rule controls recalculate the charts
+        ['chart-decks', 'chart-h17', 'chart-das', 'chart-rsa', 'chart-enhc'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.loadChartRules());
+        });
+
         // Initialize surrender button visibility based on main toggle
         this.handlePracticeSurrenderToggle(chartSurrenderToggle?.checked ?? true);
     }
@@ -464,6 +476,7 @@ class StrategyGuideApp {
     handleChartSurrenderToggle(surrenderAllowed) {
         // Re-populate charts with updated surrender settings
         this.populateStrategyCharts();
+        this.loadChartRules();
         // Also update practice mode surrender button visibility
         this.handlePracticeSurrenderToggle(surrenderAllowed);
         console.log(`Surrender toggle: ${surrenderAllowed ? 'enabled' : 'disabled'}`);
@@ -478,6 +491,57 @@ class StrategyGuideApp {
         console.log(`Practice surrender toggle: ${surrenderAllowed ? 'enabled' : 'disabled'}`);
     }
 
+    /**
+     * Rules selected in the chart settings
+     */
+    getChartRules() {
+        const noHoleCard = document.getElementById('chart-enhc')?.checked ?? false;
+        const rules = {
+            ...new GameRules().getDefaultRules(),
+            dealerStandsOnSoft17: !(document.getElementById('chart-h17')?.checked ?? false),
+            doubleAfterSplit: document.getElementById('chart-das')?.checked ?? true,
+            resplitAces: document.getElementById('chart-rsa')?.checked ?? false,
+            surrenderAllowed: document.getElementById('surrender-allowed')?.checked ?? true,
+            europeeanNoHoleCard: noHoleCard,
+            originalBetsOnly: noHoleCard
+        };
+        rules.dealerHitsSoft17 = !rules.dealerStandsOnSoft17;
+
+        return {
+            rules,
+            numDecks: parseInt(document.getElementById('chart-decks')?.value || 6)
+        };
+    }
+
+    /**
+     * Calculate charts for the selected rules and redraw them
+     */
+    async loadChartRules() {
+        const { rules, numDecks } = this.getChartRules();
+        const status = document.getElementById('chart-rules-status');
+        const description = [
+            `${numDecks} deck${numDecks > 1 ? 's' : ''}`,
+            rules.dealerStandsOnSoft17 ? 'S17' : 'H17',
+            rules.doubleAfterSplit ? 'DAS' : 'no DAS',
+            rules.resplitAces ? 'RSA' : null,
+            rules.surrenderAllowed ? 'late surrender' : 'no surrender',
+            rules.europeeanNoHoleCard ? 'no hole card' : null
+        ].filter(Boolean).join(', ');
+
+        if (status) status.textContent = `Calculating charts for ${description}...`;
+
+        try {
+            const applied = await this.strategyHints.loadStrategyForRules(rules, numDecks);
+            if (!applied) return;
+
+            this.populateStrategyCharts();
+            if (status) status.textContent = `Charts calculated for ${description}.`;
+        } catch (error) {
+            console.error('Error calculating strategy charts:', error);
+            if (status) status.textContent = 'Unable to calculate charts for these rules - showing the standard chart.';
+        }
+    }
+
     highlightChartFeatures(chartType) {
         // Add any special highlighting for different chart types
         setTimeout(() => {
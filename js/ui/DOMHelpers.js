@@ -17,6 +17,7 @@ export class DOMHelpers {
             // Game areas
             dealerCards: 'dealer-cards',
             playerCards: 'player-cards',
+            companionSeats: 'companion-seats',
             gameArea: 'game-area',
             
             // Totals
@@ -29,6 +30,13 @@ export class DOMHelpers {
             winRate: 'win-rate',
             bank: 'bank-amount',
             currentBet: 'current-bet',
+            sideBetResults: 'side-bet-results',
+            
+            // Hand replay
+            replayStep: 'replay-step',
+            replayDescription: 'replay-description',
+            replayDecision: 'replay-decision',
+            replayCount: 'replay-count',
             
             // Strategy stats
             strategyAccuracy: 'strategy-accuracy',
@@ -39,6 +47,15 @@ export class DOMHelpers {
             runningCount: 'running-count',
             trueCount: 'true-count',
             decksRemaining: 'decks-remaining',
+            countingSystem: 'counting-system-display',
+            perfectPairsEv: 'perfect-pairs-ev',
+            twentyOnePlus3Ev: 'twenty-one-plus-3-ev',
+            superMatchEv: 'super-match-ev',
+            
+            // Shoe
+            shoeSeed: 'shoe-seed-display',
+            shoeNumber: 'shoe-number',
+            roundNumber: 'round-number',
             
             // Controls
             betAmount: 'bet-amount',
@@ -234,6 +251,19 @@ export class DOMHelpers {
         return this.appendTo(element, containerId);
     }
 
+    /**
+     * Offer text as a file download
+     */
+    downloadFile(fileName, contents, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = this.createElement('a', { href: url, download: fileName });
+        
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Find elements by selector
      */
@@ -320,12 +350,16 @@ export class DOMHelpers {
     /**
      * Create split hand container
      */
-    createSplitHandContainer(handIndex) {
+    createSplitHandContainer(handIndex, label = null) {
         const container = this.createElement('div', {
             id: `player-hand-${handIndex}`,
             className: 'player-hand split-hand'
         });
 
+        if (label) {
+            container.appendChild(this.createElement('div', { className: 'hand-label' }, label));
+        }
+
         const cardsDiv = this.createElement('div', {
             className: 'hand-cards'
         });
@@ -341,13 +375,20 @@ export class DOMHelpers {
         return container;
     }
 
+    /**
+     * Get a split hand container (or a part of it) - never cached, splits rebuild them
+     */
+    getSplitHandElement(handIndex, selector = null) {
+        const handElement = document.getElementById(`player-hand-${handIndex}`);
+        return handElement && selector ? handElement.querySelector(selector) : handElement;
+    }
+
     /**
      * Update player total display (supports split hands)
      */
     updatePlayerTotal(total, isBusted, handIndex = 0) {
-        const totalElement = handIndex === 0 ? 
-            this.getElement('playerTotal') : 
-            this.getElementById(`player-total-${handIndex}`);
+        const totalElement = this.getSplitHandElement(handIndex, '.hand-total') ||
+            (handIndex === 0 ? this.getElement('playerTotal') : null);
             
         if (totalElement) {
             totalElement.textContent = isBusted ? `${total} - BUST!` : total;
@@ -372,7 +413,7 @@ export class DOMHelpers {
     }
 
     /**
-     * Show split hands layout
+     * Show split hands layout (also used for several betting spots, labelled by spot)
      */
     showSplitHands(playerHands) {
         const playerArea = this.getElement('playerCards');
@@ -382,13 +423,81 @@ export class DOMHelpers {
         playerArea.innerHTML = '';
         playerArea.classList.add('split-layout');
 
+        const multiSpot = playerHands.some(hand => hand.spot > 0);
+
         // Create container for each hand
         playerHands.forEach((hand, index) => {
-            const handContainer = this.createSplitHandContainer(index);
+            const handContainer = this.createSplitHandContainer(index, multiSpot ? `Spot ${hand.spot + 1}` : null);
             playerArea.appendChild(handContainer);
         });
     }
 
+    /**
+     * Lay out the companion seats from first base to third base, with a marker
+     * for the player's own seat
+     */
+    showCompanionSeats(companions, playerSeat) {
+        const container = this.getElement('companionSeats');
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.hidden = companions.length === 0;
+        if (companions.length === 0) return;
+
+        const seats = companions.map(companion => this.createCompanionSeat(companion));
+        const playerMarker = this.createElement('div', {
+            className: 'companion-seat player-seat-marker'
+        }, playerSeat === 'first' ? 'You - first base' : 'You - third base');
+
+        const ordered = playerSeat === 'first' ? [playerMarker, ...seats] : [...seats, playerMarker];
+        ordered.forEach(element => container.appendChild(element));
+    }
+
+    /**
+     * Create the container for one companion's hand
+     */
+    createCompanionSeat({ seat, name }) {
+        const container = this.createElement('div', {
+            id: `companion-seat-${seat}`,
+            className: 'companion-seat'
+        });
+
+        container.appendChild(this.createElement('div', { className: 'hand-label' }, name));
+        container.appendChild(this.createElement('div', { className: 'hand-cards' }));
+        container.appendChild(this.createElement('div', { className: 'hand-total' }));
+
+        return container;
+    }
+
+    /**
+     * Get a companion seat (or a part of it) - never cached, seats are rebuilt each round
+     */
+    getCompanionSeatElement(seat, selector = null) {
+        const seatElement = document.getElementById(`companion-seat-${seat}`);
+        return seatElement && selector ? seatElement.querySelector(selector) : seatElement;
+    }
+
+    /**
+     * Update a companion's total
+     */
+    updateCompanionTotal(seat, total, isBusted) {
+        const totalElement = this.getCompanionSeatElement(seat, '.hand-total');
+        if (totalElement) {
+            totalElement.textContent = isBusted ? `${total} - BUST!` : total;
+            totalElement.className = `hand-total ${isBusted ? 'busted' : ''}`;
+        }
+    }
+
+    /**
+     * Mark a companion's result for the round
+     */
+    showCompanionResult(seat, outcome) {
+        const seatElement = this.getCompanionSeatElement(seat);
+        if (seatElement) {
+            seatElement.classList.add(`result-${outcome}`);
+        }
+    }
+
     /**
      * Highlight current active hand
      */
@@ -399,7 +508,7 @@ export class DOMHelpers {
         });
 
         // Add highlight to current hand
-        const currentHand = this.getElementById(`player-hand-${handIndex}`) || 
+        const currentHand = this.getSplitHandElement(handIndex) || 
                            this.getElement('playerCards');
         if (currentHand) {
             currentHand.classList.add('active-hand');
@@ -410,7 +519,7 @@ export class DOMHelpers {
      * Show hand result
      */
     showHandResult(handIndex, result, message) {
-        const handElement = this.getElementById(`player-hand-${handIndex}`) ||
+        const handElement = this.getSplitHandElement(handIndex) ||
                            this.getElement('playerCards');
         if (handElement) {
             const resultElement = this.createElement('div', {
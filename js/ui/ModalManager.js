@@ -3,11 +3,18 @@
  * Extracted from UIController.js to improve modularity
  */
 
+import { CountingSystem } from '../modules/CountingSystem.js';
+import { SIDE_BETS } from '../modules/SideBets.js';
+import { GameRules } from '../modules/GameRules.js';
+import { SvgChart } from './SvgChart.js';
+
 export class ModalManager {
     constructor() {
         this.elements = {};
         this.activeModals = new Set();
         this.messageQueue = [];
+        this.pendingImport = null; // Contents of the file chosen in the data panel
+        this.pendingImportName = null;
         this.isInitialized = false;
     }
 
@@ -177,7 +184,7 @@ export class ModalManager {
                                 <span>${hint.playerValue} (${hint.handType})</span>
                             </div>
                             <div class="analysis-item">
-                                <label>Dealer Up Card:</label>
+                                <label>${hint.byDealerHand ? 'Dealer Hand' : 'Dealer Up Card'}:</label>
                                 <span>${hint.dealerUpCard}</span>
                             </div>
                             <div class="analysis-item">
@@ -204,22 +211,43 @@ export class ModalManager {
                 <h5>Alternative Actions</h5>
                 <div class="actions-list">
                     ${alternatives.map(action => `
-                        <div class="action-option ${action.available ? '' : 'unavailable'}">
+                        <div class="action-option ${action.available ? '' : 'unavailable'} ${action.isBest ? 'best-play' : ''}">
                             <span class="action-name">${action.action}</span>
                             <span class="action-description">${action.description}</span>
                             <span class="action-risk">Risk: ${action.risk}</span>
+                            ${this.renderActionExpectedValue(action)}
                         </div>
                     `).join('')}
                 </div>
+                ${alternatives.some(action => typeof action.ev === 'number') ? `
+                    <p class="action-ev-note">EV per $1 bet for these exact cards and the unseen shoe</p>
+                ` : ''}
             </div>
         `;
     }
 
+    /**
+     * Render an alternative's EV and its cost versus the best play
+     */
+    renderActionExpectedValue(action) {
+        if (typeof action.ev !== 'number') return '';
+
+        const ev = `${action.ev >= 0 ? '+' : '−'}${Math.abs(action.ev).toFixed(3)}`;
+        const cost = action.isBest || action.costCents < 0.05
+            ? 'Best play'
+            : `Costs ${action.costCents.toFixed(1)}¢ per $1`;
+
+        return `
+            <span class="action-ev ${action.ev >= 0 ? 'positive' : 'negative'}">EV: ${ev}</span>
+            <span class="action-cost ${action.isBest ? 'best' : ''}">${cost}</span>
+        `;
+    }
+
     /**
      * Show statistics modal
      */
     showStatsModal(statsData) {
-        const { gameStats, strategyStats, countingStats } = statsData;
+        const { gameStats, strategyStats, countingStats, sideBetStats, freeBetStats, luckVsSkill, chartData, simulation, storage, profile } = statsData;
         
         const modalContent = `
             <div class="modal-content">
@@ -231,17 +259,30 @@ export class ModalManager {
                     <div class="stats-tabs">
                         <button class="stats-tab active" data-tab="game">Game Stats</button>
                         <button class="stats-tab" data-tab="strategy">Strategy</button>
+                        ${chartData ? '<button class="stats-tab" data-tab="charts">Charts</button>' : ''}
                         ${countingStats ? '<button class="stats-tab" data-tab="counting">Counting</button>' : ''}
+                        ${simulation ? '<button class="stats-tab" data-tab="simulation">Simulation</button>' : ''}
+                        <button class="stats-tab" data-tab="data">Data</button>
                     </div>
                     
                     <div class="stats-content">
                         <div class="stats-panel active" data-panel="game">
                             ${this.renderGameStats(gameStats)}
+                            ${luckVsSkill ? this.renderLuckVsSkill(luckVsSkill) : ''}
+                            ${sideBetStats ? this.renderSideBetStats(sideBetStats) : ''}
+                            ${freeBetStats ? this.renderFreeBetStats(freeBetStats) : ''}
                         </div>
                         <div class="stats-panel" data-panel="strategy">
                             ${this.renderStrategyStats(strategyStats)}
+                            <div id="long-term-stats" class="stats-section">
+                                <h4>All-Time History</h4>
+                                <p class="simulation-empty">Loading history...</p>
+                            </div>
                         </div>
+                        ${chartData ? `<div class="stats-panel" data-panel="charts">${this.renderChartsPanel()}</div>` : ''}
                         ${countingStats ? `<div class="stats-panel" data-panel="counting">${this.renderCountingStats(countingStats)}</div>` : ''}
+                        ${simulation ? `<div class="stats-panel" data-panel="simulation">${this.renderSimulationPanel(simulation)}</div>` : ''}
+                        <div class="stats-panel" data-panel="data">${this.renderDataPanel(storage, profile)}</div>
                     </div>
                 </div>
             </div>
@@ -249,6 +290,40 @@ export class ModalManager {
 
         this.showModal('stats-modal', modalContent);
         this.setupStatsTabs();
+        if (chartData) {
+            this.renderCharts(chartData);
+        }
+        if (simulation) {
+            this.setupSimulationHandlers();
+        }
+        this.setupDataHandlers();
+    }
+
+    /**
+     * Render Free Bet chips (the house's money, kept out of the wagered totals)
+     */
+    renderFreeBetStats(stats) {
+        if (stats.chips === 0) return '';
+
+        return `
+            <div class="stats-section">
+                <h4>Free Bets</h4>
+                <div class="stats-grid">
+                    <div class="stat-item">
+                        <label>Free Chips Received:</label>
+                        <span>$${stats.totalValue} on ${stats.chips} hands</span>
+                    </div>
+                    <div class="stat-item">
+                        <label>Free Chips Won:</label>
+                        <span class="profit">$${stats.totalWon} (${stats.wins}/${stats.chips}, ${stats.winRate}%)</span>
+                    </div>
+                    <div class="stat-item">
+                        <label>Share of Winnings:</label>
+                        <span>${stats.shareOfWinnings}%</span>
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
     /**
@@ -288,6 +363,88 @@ export class ModalManager {
         `;
     }
 
+    /**
+     * Render the luck vs skill breakdown of the session result
+     */
+    renderLuckVsSkill(analysis) {
+        if (analysis.handsPlayed === 0) return '';
+
+        const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+        const { low, high, level } = analysis.confidenceBand;
+        const withinBand = analysis.actualResult >= low && analysis.actualResult <= high;
+        const luck = analysis.luckScore >= 1 ? 'running hot' : analysis.luckScore <= -1 ? 'running cold' : 'about average';
+
+        return `
+            <div class="stats-section luck-vs-skill">
+                <h4>Luck vs Skill</h4>
+                <div class="stats-grid">
+                    <div class="stat-item">
+                        <label>Actual Result:</label>
+                        <span class="${analysis.actualResult >= 0 ? 'profit' : 'loss'}">${money(analysis.actualResult)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <label>Expected (perfect play):</label>
+                        <span>${money(analysis.expectedWithPerfectPlay)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <label>Lost to Mistakes:</label>
+                        <span class="${analysis.lostToMistakes > 0 ? 'loss' : ''}">${money(-analysis.lostToMistakes)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <label>Variance (luck):</label>
+                        <span class="${analysis.variance >= 0 ? 'profit' : 'loss'}">${money(analysis.variance)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <label>${level}% Range:</label>
+                        <span>${money(low)} to ${money(high)}</span>
+                    </div>
+                </div>
+                <p class="luck-summary">
+                    Your result is ${withinBand ? 'inside' : 'outside'} the ${level}% range for your play -
+                    luck is ${luck} (${analysis.luckScore > 0 ? '+' : ''}${analysis.luckScore} SD).
+                    ${analysis.pricedDecisions < analysis.decisions ? `${analysis.decisions - analysis.pricedDecisions} of ${analysis.decisions} decisions had no EV and are not priced.` : ''}
+                    ${analysis.sideBetResult || analysis.insuranceResult ? `Side bets (${money(analysis.sideBetResult)}) and insurance (${money(analysis.insuranceResult)}) have their own house edge and are left out.` : ''}
+                </p>
+                ${analysis.costliestMistakes.length > 0 ? `
+                    <h5>Costliest Mistakes</h5>
+                    <ul class="costly-mistakes">
+                        ${analysis.costliestMistakes.map(mistake => `
+                            <li>${mistake.scenario.replace(/_/g, ' ')}: ${mistake.playerAction} instead of ${mistake.recommendedAction} (${money(-mistake.cost)})</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render side bet results per bet (nothing until a side bet has been placed)
+     */
+    renderSideBetStats(stats) {
+        const placed = Object.entries(stats.bets).filter(([, bet]) => bet.bets > 0);
+        if (placed.length === 0) return '';
+
+        return `
+            <div class="stats-section">
+                <h4>Side Bets</h4>
+                <div class="stats-grid">
+                    ${placed.map(([type, bet]) => `
+                        <div class="stat-item">
+                            <label>${SIDE_BETS[type]?.name ?? type}:</label>
+                            <span class="${bet.netGain >= 0 ? 'profit' : 'loss'}">
+                                $${bet.netGain} (${bet.wins}/${bet.bets} won, ${bet.returnRate}% return)
+                            </span>
+                        </div>
+                    `).join('')}
+                    <div class="stat-item">
+                        <label>Side Bet Net:</label>
+                        <span class="${stats.netGain >= 0 ? 'profit' : 'loss'}">$${stats.netGain}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Render strategy statistics
      */
@@ -333,6 +490,65 @@ export class ModalManager {
         `;
     }
 
+    /**
+     * Show long-term history in the strategy panel (if the stats modal is open)
+     * @param {Object|null} longTermStats - Statistics.getLongTermStats() result, null if it could not be read
+     */
+    showLongTermStats(longTermStats) {
+        const container = document.getElementById('long-term-stats');
+        if (container) {
+            container.innerHTML = this.renderLongTermStats(longTermStats);
+        }
+    }
+
+    /**
+     * Render accuracy and results by true count across every recorded session
+     */
+    renderLongTermStats(longTermStats) {
+        if (!longTermStats) {
+            return '<h4>All-Time History</h4><p class="simulation-empty">Hand history is not available in this browser.</p>';
+        }
+
+        const { strategy, counting } = longTermStats;
+        if (strategy.decisions === 0 && Object.keys(counting).length === 0) {
+            return '<h4>All-Time History</h4><p class="simulation-empty">No hands recorded yet.</p>';
+        }
+
+        const countRanges = ['-4', '-3', '-2', '-1', '0', '1', '2', '3', '4', '5+'].filter(range => counting[range]);
+        return `
+            <h4>All-Time History</h4>
+            <div class="stats-grid">
+                <div class="stat-item">
+                    <label>Decisions Recorded:</label>
+                    <span>${strategy.decisions}</span>
+                </div>
+                <div class="stat-item">
+                    <label>Accuracy:</label>
+                    <span>${strategy.accuracy}% (${strategy.grade})</span>
+                </div>
+                ${Object.entries(strategy.byHandType).filter(([, stats]) => stats.decisions > 0).map(([handType, stats]) => `
+                    <div class="stat-item">
+                        <label>${handType[0].toUpperCase()}${handType.slice(1)} Hands:</label>
+                        <span>${stats.accuracy}% of ${stats.decisions}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${countRanges.length > 0 ? `
+                <h5>Results by True Count</h5>
+                <div class="stats-grid">
+                    ${countRanges.map(range => `
+                        <div class="stat-item">
+                            <label>TC ${range}:</label>
+                            <span class="${counting[range].netResult >= 0 ? 'profit' : 'loss'}">
+                                $${Math.round(counting[range].netResult)} over ${counting[range].hands} hands (${counting[range].edge}%)
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+
     /**
      * Render counting statistics
      */
@@ -362,6 +578,472 @@ export class ModalManager {
         `;
     }
 
+    /**
+     * Render the chart containers (charts are drawn once the modal is in the page)
+     */
+    renderChartsPanel() {
+        return `
+            <div class="stats-section">
+                <h4>Session Graphs</h4>
+                <h5>Bankroll</h5>
+                <div class="chart-container" id="chart-bankroll"></div>
+                <h5 id="chart-shoe-count-title">Count Through the Shoe</h5>
+                <div class="chart-container" id="chart-shoe-count"></div>
+                <h5>Strategy Accuracy Trend</h5>
+                <div class="chart-container" id="chart-accuracy"></div>
+                <h5>Bet vs True Count</h5>
+                <div class="chart-container" id="chart-bets"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Draw the session charts into the charts panel
+     */
+    renderCharts({ bankroll, shoeCount, learningProgress, betsByCount }) {
+        const formatMoney = value => `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value))}`;
+        const formatCount = value => `${value > 0 ? '+' : ''}${Math.round(value * 10) / 10}`;
+        const draw = (id, options) => {
+            const container = document.getElementById(id);
+            if (container) {
+                new SvgChart(container, options).render();
+            }
+        };
+
+        draw('chart-bankroll', {
+            title: 'Bankroll over hands',
+            series: [{ name: 'Bankroll', color: 'gold', points: bankroll.map(point => ({ x: point.handNumber, y: point.bankroll })) }],
+            xLabel: 'Hand',
+            yLabel: 'Bankroll',
+            formatY: formatMoney,
+            referenceY: bankroll[0]?.bankroll,
+            zoomable: true,
+            emptyMessage: 'Play a few hands to see your bankroll.'
+        });
+
+        const countPoints = shoeCount?.points ?? [];
+        const shoeTitle = document.getElementById('chart-shoe-count-title');
+        if (shoeTitle && shoeCount) {
+            shoeTitle.textContent = `Count Through Shoe #${shoeCount.shoeNumber}`;
+        }
+        draw('chart-shoe-count', {
+            title: 'Running and true count over the shoe',
+            series: [
+                { name: 'Running', color: 'blue', points: countPoints.map(point => ({ x: point.cardsDealt, y: point.running, label: `Round ${point.roundNumber}` })) },
+                { name: 'True', color: 'green', points: countPoints.map(point => ({ x: point.cardsDealt, y: point.true, label: `Round ${point.roundNumber}` })) }
+            ],
+            xLabel: 'Cards dealt',
+            yLabel: 'Count',
+            formatY: formatCount,
+            referenceY: 0,
+            zoomable: true,
+            emptyMessage: 'No hands recorded in this shoe yet.'
+        });
+
+        draw('chart-accuracy', {
+            title: 'Strategy accuracy trend',
+            series: [{
+                name: 'Accuracy',
+                color: 'green',
+                points: learningProgress.map(chunk => ({
+                    x: parseInt(chunk.range.split('-')[1]),
+                    y: chunk.accuracy,
+                    label: `Decisions ${chunk.range}`
+                }))
+            }],
+            xLabel: 'Decision',
+            yLabel: 'Accuracy',
+            formatY: value => `${Math.round(value)}%`,
+            yMin: 0,
+            yMax: 100,
+            emptyMessage: 'Make some decisions to see your accuracy trend.'
+        });
+
+        draw('chart-bets', {
+            type: 'scatter',
+            title: 'Bet size against true count',
+            series: [
+                { name: 'Your bet', color: 'gold', points: betsByCount.map(bet => ({ x: bet.trueCount, y: bet.betAmount, label: bet.isOptimal ? 'Matched the ramp' : `Ramp: $${bet.recommendedBet}` })) },
+                { name: 'Recommended', color: 'gray', points: betsByCount.map(bet => ({ x: bet.trueCount, y: bet.recommendedBet })) }
+            ],
+            xLabel: 'True count',
+            yLabel: 'Bet',
+            formatX: formatCount,
+            formatY: formatMoney,
+            emptyMessage: 'Bets are recorded while card counting mode is on.'
+        });
+    }
+
+    /**
+     * Render the simulation panel: job form, progress and the last results
+     */
+    renderSimulationPanel(simulation) {
+        const { config, running, lastRun } = simulation;
+
+        return `
+            <div class="stats-section simulation-panel">
+                <h4>Strategy Simulation</h4>
+                <div class="simulation-form">
+                    <div class="setting-group">
+                        <label for="sim-rounds">Rounds:</label>
+                        <select id="sim-rounds">
+                            ${[10000, 100000, 1000000].map(n => `<option value="${n}" ${config.rounds === n ? 'selected' : ''}>${n.toLocaleString()}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="setting-group">
+                        <label for="sim-variation">Table Rules:</label>
+                        <select id="sim-variation">
+                            ${GameRules.getPresets().map(preset => `<option value="${preset.id}" ${config.variation === preset.id ? 'selected' : ''}>${preset.custom ? `${preset.name} (custom)` : preset.id}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="setting-group">
+                        <label for="sim-decks">Decks:</label>
+                        <select id="sim-decks">
+                            ${[1, 2, 4, 6, 8].map(n => `<option value="${n}" ${config.numDecks === n ? 'selected' : ''}>${n}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="setting-group">
+                        <label for="sim-betting">Betting:</label>
+                        <select id="sim-betting">
+                            <option value="flat" ${config.betting === 'flat' ? 'selected' : ''}>Flat</option>
+                            <option value="count" ${config.betting === 'count' ? 'selected' : ''}>Count ramp</option>
+                        </select>
+                    </div>
+                    <div class="setting-group">
+                        <label for="sim-counting">Counting System:</label>
+                        <select id="sim-counting">
+                            ${CountingSystem.list().map(system => `<option value="${system.id}" ${config.countingSystem === system.id ? 'selected' : ''}>${system.name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="setting-group">
+                        <label>
+                            <input type="checkbox" id="sim-index-plays" ${config.useIndexPlays ? 'checked' : ''}>
+                            Use Index Plays
+                        </label>
+                    </div>
+                </div>
+
+                <div class="modal-actions">
+                    <button id="sim-run" class="btn btn-primary" ${running ? 'disabled' : ''}>Run Simulation</button>
+                    <button id="sim-cancel" class="btn btn-secondary" ${running ? '' : 'disabled'}>Cancel</button>
+                </div>
+
+                <div class="simulation-progress" id="sim-progress" ${running ? '' : 'hidden'}>
+                    <div class="accuracy-bar">
+                        <div class="accuracy-fill" id="sim-progress-fill" style="width: 0%"></div>
+                        <span class="accuracy-text" id="sim-progress-text">Starting...</span>
+                    </div>
+                </div>
+
+                <div id="sim-results">
+                    ${lastRun ? this.renderSimulationResults(lastRun) : '<p class="simulation-empty">No simulation run yet.</p>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render summary results of a finished or cancelled simulation
+     */
+    renderSimulationResults({ status, results }) {
+        const edgeClass = results.winRate >= 0 ? 'profit' : 'loss';
+
+        return `
+            <h5>${status === 'cancelled' ? 'Partial Results (cancelled)' : 'Results'}</h5>
+            <div class="stats-grid">
+                <div class="stat-item">
+                    <label>Rounds:</label>
+                    <span>${results.rounds.toLocaleString()}</span>
+                </div>
+                <div class="stat-item">
+                    <label>Player Edge:</label>
+                    <span class="${edgeClass}">${results.winRate.toFixed(2)}%</span>
+                </div>
+                <div class="stat-item">
+                    <label>EV per 100 Rounds:</label>
+                    <span class="${edgeClass}">$${results.evPer100}</span>
+                </div>
+                <div class="stat-item">
+                    <label>SD per 100 Rounds:</label>
+                    <span>$${results.sdPer100}</span>
+                </div>
+                <div class="stat-item">
+                    <label>Average Bet:</label>
+                    <span>$${results.averageBet}</span>
+                </div>
+                <div class="stat-item">
+                    <label>Won / Lost / Push:</label>
+                    <span>${results.roundsWonPercent}% / ${results.roundsLostPercent}% / ${results.roundsPushedPercent}%</span>
+                </div>
+                <div class="stat-item">
+                    <label>SCORE:</label>
+                    <span>${results.score}</span>
+                </div>
+                <div class="stat-item">
+                    <label>Risk of Ruin:</label>
+                    <span>${(results.riskOfRuin * 100).toFixed(1)}%</span>
+                </div>
+                <div class="stat-item">
+                    <label>Rule-Based House Edge:</label>
+                    <span>${results.houseEdgeEstimate}%</span>
+                </div>
+                <div class="stat-item">
+                    <label>Run Time:</label>
+                    <span>${(results.elapsedMs / 1000).toFixed(1)}s</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire the simulation form - requests go out as document events
+     */
+    setupSimulationHandlers() {
+        document.getElementById('sim-run')?.addEventListener('click', () => {
+            const config = {
+                rounds: parseInt(document.getElementById('sim-rounds')?.value || 100000),
+                variation: document.getElementById('sim-variation')?.value || 'standard',
+                numDecks: parseInt(document.getElementById('sim-decks')?.value || 6),
+                betting: document.getElementById('sim-betting')?.value || 'flat',
+                countingSystem: document.getElementById('sim-counting')?.value || 'hi-lo',
+                useIndexPlays: document.getElementById('sim-index-plays')?.checked || false
+            };
+            document.dispatchEvent(new CustomEvent('simulationRequested', { detail: config }));
+        });
+
+        document.getElementById('sim-cancel')?.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('simulationCancelRequested'));
+        });
+    }
+
+    /**
+     * Toggle the simulation controls between idle and running
+     */
+    setSimulationRunning(running) {
+        const runButton = document.getElementById('sim-run');
+        const cancelButton = document.getElementById('sim-cancel');
+        const progress = document.getElementById('sim-progress');
+
+        if (runButton) runButton.disabled = running;
+        if (cancelButton) cancelButton.disabled = !running;
+        if (progress) progress.hidden = !running;
+    }
+
+    /**
+     * Update the simulation progress bar
+     */
+    updateSimulationProgress({ roundsPlayed, rounds, fraction }) {
+        const fill = document.getElementById('sim-progress-fill');
+        const text = document.getElementById('sim-progress-text');
+        const percent = Math.round(fraction * 100);
+
+        if (fill) fill.style.width = `${percent}%`;
+        if (text) text.textContent = `${roundsPlayed.toLocaleString()} / ${rounds.toLocaleString()} (${percent}%)`;
+    }
+
+    /**
+     * Show results in the simulation panel (if the stats modal is open)
+     */
+    showSimulationResults(simulationRun) {
+        const container = document.getElementById('sim-results');
+        if (container) {
+            container.innerHTML = this.renderSimulationResults(simulationRun);
+        }
+        this.setSimulationRunning(false);
+    }
+
+    /**
+     * Render the data panel: storage use, export, backups, and import with a preview before anything changes
+     * Everything here applies to the active player profile
+     */
+    renderDataPanel(storage, profile) {
+        return `
+            <div class="stats-section data-panel">
+                ${profile ? `<p class="data-profile">Profile: <strong>${this.escapeText(profile.name)}</strong> - exports, backups and imports below only touch this profile.</p>` : ''}
+                ${storage?.available ? `
+                    <h4>Storage</h4>
+                    <div class="stats-grid">
+                        <div class="stat-item">
+                            <label>Stored Size:</label>
+                            <span>${storage.totalSizeFormatted}</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Uncompressed:</label>
+                            <span>${storage.totalRawSizeFormatted} (${Math.round(storage.compressionRatio * 100)}% after compression)</span>
+                        </div>
+                    </div>
+                ` : ''}
+
+                <div class="setting-group">
+                    <label for="data-passphrase">Passphrase (optional):</label>
+                    <input type="password" id="data-passphrase" autocomplete="new-password" placeholder="Encrypts exports and backups">
+                </div>
+
+                <h4>Export</h4>
+                <p>Download your statistics and table settings as a JSON file, encrypted if a passphrase is entered.</p>
+                <div class="modal-actions">
+                    <button id="data-export" class="btn btn-primary">Export Data</button>
+                </div>
+
+                <h4>Backup</h4>
+                <p>Keep a copy in this browser to restore later. A passphrase entered above encrypts it.</p>
+                <div class="modal-actions">
+                    <button id="data-backup" class="btn btn-secondary">Back Up Now</button>
+                    <button id="data-restore" class="btn btn-secondary">Restore Backup</button>
+                </div>
+
+                <h4>Import</h4>
+                <p>Load an export or backup. Older files are upgraded, and you see what it contains before anything is replaced.</p>
+                <input type="file" id="data-import-file" accept=".json,application/json">
+                <div id="data-import-preview"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the dry-run result of an import: what it contains, upgrades applied and any errors
+     */
+    showImportPreview(report, fileName) {
+        const container = document.getElementById('data-import-preview');
+        if (!container) return;
+
+        container.innerHTML = this.renderImportPreview(report, fileName);
+
+        document.getElementById('data-import-confirm')?.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('dataImportRequested', {
+                detail: { json: this.pendingImport, passphrase: this.getDataPassphrase() }
+            }));
+        });
+    }
+
+    /**
+     * Render an import report
+     */
+    renderImportPreview({ valid, errors, fromVersion, toVersion, migrations, exportedAt, source, profile, summary, encrypted }, fileName) {
+        const exported = exportedAt ? new Date(exportedAt).toLocaleString() : 'Unknown';
+
+        return `
+            <div class="import-preview ${valid ? 'valid' : 'invalid'}">
+                <h5>${this.escapeText(fileName ?? 'Import file')}</h5>
+                ${fromVersion !== null ? `
+                    <div class="stats-grid">
+                        <div class="stat-item">
+                            <label>Exported:</label>
+                            <span>${exported}${source ? ` (${this.escapeText(source)})` : ''}</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Schema Version:</label>
+                            <span>${fromVersion === toVersion ? fromVersion : `${fromVersion} → ${toVersion}`}</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Encrypted:</label>
+                            <span>${encrypted ? 'Yes' : 'No'}</span>
+                        </div>
+                        ${profile ? `
+                            <div class="stat-item">
+                                <label>From Profile:</label>
+                                <span>${this.escapeText(profile)}</span>
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+                ${summary ? `
+                    <div class="stats-grid">
+                        <div class="stat-item">
+                            <label>Hands Played:</label>
+                            <span>${summary.handsPlayed} (${summary.handsInHistory} in history)</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Bankroll:</label>
+                            <span>${summary.bankroll !== null ? `$${summary.bankroll}` : '-'}</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Strategy Decisions:</label>
+                            <span>${summary.decisions}</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Counted Hands:</label>
+                            <span>${summary.countedHands}</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Table Settings:</label>
+                            <span>${summary.includesGameState ? 'Included' : 'Not included'}</span>
+                        </div>
+                        <div class="stat-item">
+                            <label>Index Plays:</label>
+                            <span>${summary.includesIndexPlays ? 'Included' : 'Not included'}</span>
+                        </div>
+                    </div>
+                ` : ''}
+                ${migrations.length > 0 ? `
+                    <p class="import-migrations">Will be upgraded: ${migrations.join('; ')}</p>
+                ` : ''}
+                ${errors.length > 0 ? `
+                    <ul class="import-errors">
+                        ${errors.map(error => `<li>${this.escapeText(error)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <div class="modal-actions">
+                    <button id="data-import-confirm" class="btn btn-primary" ${valid ? '' : 'disabled'}>
+                        Replace My Data
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape text from an imported file before it goes into markup
+     */
+    escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Wire the data panel - export, backup and import go out as document events
+     */
+    setupDataHandlers() {
+        const requestPreview = () => {
+            if (this.pendingImport === null) return;
+            document.dispatchEvent(new CustomEvent('dataImportPreviewRequested', {
+                detail: { json: this.pendingImport, fileName: this.pendingImportName, passphrase: this.getDataPassphrase() }
+            }));
+        };
+
+        document.getElementById('data-export')?.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('dataExportRequested', { detail: { passphrase: this.getDataPassphrase() } }));
+        });
+
+        document.getElementById('data-backup')?.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('dataBackupRequested', { detail: { passphrase: this.getDataPassphrase() } }));
+        });
+
+        document.getElementById('data-restore')?.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('dataRestoreRequested', { detail: { passphrase: this.getDataPassphrase() } }));
+        });
+
+        document.getElementById('data-import-file')?.addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            if (!file) return;
+
+            this.pendingImport = await file.text();
+            this.pendingImportName = file.name;
+            requestPreview();
+        });
+
+        // An encrypted file can be previewed again once its passphrase is typed in
+        document.getElementById('data-passphrase')?.addEventListener('change', requestPreview);
+    }
+
+    /**
+     * Passphrase typed into the data panel (null when empty)
+     */
+    getDataPassphrase() {
+        return document.getElementById('data-passphrase')?.value || null;
+    }
+
     /**
      * Setup stats tabs functionality
      */
@@ -433,6 +1115,11 @@ export class ModalManager {
                                 Sound Effects
                             </label>
                         </div>
+                        
+                        <p class="setting-note">
+                            Payouts, dealer rules, splitting, surrender, penetration and more can be changed in the
+                            <a href="rules-editor.html">Rules Editor</a>.
+                        </p>
                     </div>
                     
                     <div class="modal-actions">
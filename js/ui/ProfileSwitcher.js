@@ -0,0 +1,128 @@
+/**
+ * ProfileSwitcher - Player profile picker in the navigation bar
+ * Switching, creating or deleting a profile reloads the page so every module
+ * starts again on the new profile's storage keys. A 'profileSwitching' document
+ * event goes out first so open pages can save under the old profile.
+ */
+
+import { ProfileManager, DEFAULT_PROFILE_ID } from '../statistics/ProfileManager.js';
+import { HistoryStore } from '../statistics/HistoryStore.js';
+
+// Menu entries after the profile list
+const ACTIONS = {
+    create: '__create',
+    rename: '__rename',
+    delete: '__delete'
+};
+
+export class ProfileSwitcher {
+    constructor() {
+        this.element = null;
+    }
+
+    /**
+     * Add the switcher to the navigation bar
+     */
+    init() {
+        const container = document.querySelector('.nav-container');
+        if (!container) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'profile-switcher';
+        container.insertBefore(this.element, container.querySelector('.hamburger'));
+
+        this.render();
+        this.element.addEventListener('change', (e) => this.handleSelection(e.target.value));
+    }
+
+    /**
+     * Render the select: profiles, then profile actions
+     */
+    render() {
+        const active = ProfileManager.getActiveProfile();
+        const select = document.createElement('select');
+        select.id = 'profile-select';
+        select.title = 'Player profile';
+        select.setAttribute('aria-label', 'Player profile');
+
+        ProfileManager.getProfiles().forEach(profile => {
+            select.add(new Option(`👤 ${profile.name}`, profile.id, false, profile.id === active.id));
+        });
+
+        const actions = document.createElement('optgroup');
+        actions.label = 'Profiles';
+        actions.append(
+            new Option('New profile…', ACTIONS.create),
+            new Option(`Rename "${active.name}"…`, ACTIONS.rename)
+        );
+        if (active.id !== DEFAULT_PROFILE_ID) {
+            actions.append(new Option(`Delete "${active.name}"…`, ACTIONS.delete));
+        }
+        select.append(actions);
+
+        this.element.replaceChildren(select);
+    }
+
+    /**
+     * Act on a menu choice; the select is reset if nothing changes
+     */
+    async handleSelection(value) {
+        const active = ProfileManager.getActiveProfile();
+
+        try {
+            if (value === ACTIONS.create) {
+                const name = prompt('Name for the new profile:');
+                if (name !== null) {
+                    this.switchTo(ProfileManager.createProfile(name).id);
+                    return;
+                }
+            } else if (value === ACTIONS.rename) {
+                const name = prompt('New name for this profile:', active.name);
+                if (name !== null) {
+                    ProfileManager.renameProfile(active.id, name);
+                }
+            } else if (value === ACTIONS.delete) {
+                if (confirm(`Delete the profile "${active.name}" and all of its statistics? This cannot be undone.`)) {
+                    await this.deleteProfile(active.id);
+                    return;
+                }
+            } else if (value !== active.id) {
+                this.switchTo(value);
+                return;
+            }
+        } catch (error) {
+            alert(error.message);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Make a profile active and reload into it
+     */
+    switchTo(profileId) {
+        document.dispatchEvent(new CustomEvent('profileSwitching', { detail: { profileId } }));
+        ProfileManager.setActiveProfile(profileId);
+        window.location.reload();
+    }
+
+    /**
+     * Delete a profile with its long-term history, then reload into the default profile
+     */
+    async deleteProfile(profileId) {
+        ProfileManager.deleteProfile(profileId);
+
+        const historyStore = new HistoryStore();
+        try {
+            if (await historyStore.open()) {
+                await historyStore.clear(profileId);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to clear the deleted profile\'s history:', error);
+        } finally {
+            historyStore.close();
+        }
+
+        window.location.reload();
+    }
+}
@@ -0,0 +1,526 @@
+/**
+ * SvgChart - Dependency-free SVG line and scatter charts for the stats modal
+ * Hovering shows a tooltip for the nearest point. Zoomable charts zoom the x axis
+ * with the mouse wheel or the toolbar buttons, pan by dragging and reset on double-click.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Drawing area in viewBox units; the SVG scales to the modal width
+const WIDTH = 600;
+const HEIGHT = 240;
+const MARGIN = { top: 12, right: 16, bottom: 36, left: 56 };
+
+// Zooming stops once this many points are in view
+const MIN_VISIBLE_POINTS = 10;
+
+// Longer visible series are thinned to about this many points per line
+const MAX_DRAWN_POINTS = 800;
+
+export class SvgChart {
+    /**
+     * @param {HTMLElement} container - element the chart is drawn into
+     * @param {Object} options
+     *   type         'line' or 'scatter'
+     *   series       [{ name, color, points: [{ x, y, label }] }] - color is a palette name (gold, green, red, blue, gray)
+     *   xLabel, yLabel, title
+     *   formatX, formatY  value formatters for ticks and tooltips
+     *   yMin, yMax   fixed y range (otherwise fitted to the visible points)
+     *   referenceY   value drawn as a dashed line (e.g. starting bankroll, zero count)
+     *   zoomable     allow zoom and pan on the x axis
+     *   emptyMessage text shown when there are no points
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.options = {
+            type: 'line',
+            formatX: value => value,
+            formatY: value => value,
+            zoomable: false,
+            emptyMessage: 'Not enough data yet.',
+            ...options
+        };
+        this.series = this.options.series.filter(series => series.points.length > 0);
+
+        this.fullDomain = this.getXDomain();
+        this.view = { ...this.fullDomain };
+        this.scales = null;
+        this.svg = null;
+        this.tooltip = null;
+        this.drag = null;
+    }
+
+    /**
+     * Build the chart DOM and draw the current view
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.container.classList.add('svg-chart');
+
+        if (this.series.length === 0) {
+            this.container.innerHTML = `<p class="chart-empty">${this.options.emptyMessage}</p>`;
+            return;
+        }
+
+        if (this.isZoomable()) {
+            this.container.appendChild(this.createToolbar());
+        }
+
+        this.svg = this.createSvgElement('svg', {
+            viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+            class: 'chart-svg',
+            role: 'img',
+            'aria-label': this.options.title ?? ''
+        });
+        this.container.appendChild(this.svg);
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip';
+        this.tooltip.hidden = true;
+        this.container.appendChild(this.tooltip);
+
+        this.setupEventListeners();
+        this.draw();
+    }
+
+    /**
+     * Zoom is only offered when there are enough points to need it
+     */
+    isZoomable() {
+        return this.options.zoomable && this.getPointCount() > MIN_VISIBLE_POINTS * 2;
+    }
+
+    // ===== DRAWING =====
+
+    /**
+     * Redraw axes, series and hover layer for the current view
+     */
+    draw() {
+        this.svg.innerHTML = '';
+
+        const visible = this.series.map(series => ({ ...series, points: this.getVisiblePoints(series.points) }));
+        const yDomain = this.getYDomain(visible);
+        this.scales = this.createScales(this.view, yDomain);
+
+        this.drawGrid(yDomain);
+        if (this.options.referenceY !== undefined) {
+            this.drawReferenceLine(this.options.referenceY, yDomain);
+        }
+
+        visible.forEach(series => {
+            if (this.options.type === 'scatter') {
+                this.drawScatter(series);
+            } else {
+                this.drawLine(series);
+            }
+        });
+
+        this.hoverLayer = this.createSvgElement('g', { class: 'chart-hover' });
+        this.svg.appendChild(this.hoverLayer);
+        this.drawLegend();
+        this.updateZoomButtons();
+    }
+
+    drawGrid(yDomain) {
+        const { x, y } = this.scales;
+        const grid = this.createSvgElement('g', { class: 'chart-grid' });
+
+        this.getTicks(yDomain.min, yDomain.max).forEach(tick => {
+            grid.appendChild(this.createSvgElement('line', {
+                x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y(tick), y2: y(tick)
+            }));
+            grid.appendChild(this.createText(this.options.formatY(tick), MARGIN.left - 6, y(tick) + 4, 'chart-tick end'));
+        });
+
+        this.getTicks(this.view.min, this.view.max).forEach(tick => {
+            grid.appendChild(this.createSvgElement('line', {
+                x1: x(tick), x2: x(tick), y1: MARGIN.top, y2: HEIGHT - MARGIN.bottom, class: 'chart-grid-vertical'
+            }));
+            grid.appendChild(this.createText(this.options.formatX(tick), x(tick), HEIGHT - MARGIN.bottom + 14, 'chart-tick middle'));
+        });
+
+        grid.appendChild(this.createSvgElement('rect', {
+            x: MARGIN.left,
+            y: MARGIN.top,
+            width: WIDTH - MARGIN.left - MARGIN.right,
+            height: HEIGHT - MARGIN.top - MARGIN.bottom,
+            class: 'chart-frame'
+        }));
+
+        if (this.options.xLabel) {
+            grid.appendChild(this.createText(this.options.xLabel, (MARGIN.left + WIDTH - MARGIN.right) / 2, HEIGHT - 4, 'chart-axis-label middle'));
+        }
+        if (this.options.yLabel) {
+            const label = this.createText(this.options.yLabel, 0, 0, 'chart-axis-label middle');
+            label.setAttribute('transform', `translate(12 ${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`);
+            grid.appendChild(label);
+        }
+
+        this.svg.appendChild(grid);
+    }
+
+    drawReferenceLine(value, yDomain) {
+        if (value < yDomain.min || value > yDomain.max) return;
+
+        const y = this.scales.y(value);
+        this.svg.appendChild(this.createSvgElement('line', {
+            x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y, y2: y, class: 'chart-reference'
+        }));
+    }
+
+    drawLine({ points, color }) {
+        const { x, y } = this.scales;
+        const path = this.thin(points)
+            .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.x).toFixed(1)},${y(point.y).toFixed(1)}`)
+            .join(' ');
+
+        this.svg.appendChild(this.createSvgElement('path', { d: path, class: `chart-line chart-${color}` }));
+    }
+
+    drawScatter({ points, color }) {
+        const { x, y } = this.scales;
+        const group = this.createSvgElement('g', { class: `chart-points chart-${color}` });
+        this.thin(points).forEach(point => {
+            group.appendChild(this.createSvgElement('circle', { cx: x(point.x), cy: y(point.y), r: 3.5 }));
+        });
+        this.svg.appendChild(group);
+    }
+
+    drawLegend() {
+        if (this.series.length < 2) return;
+
+        const legend = this.createSvgElement('g', { class: 'chart-legend' });
+        let offset = MARGIN.left + 8;
+        this.series.forEach(({ name, color }) => {
+            legend.appendChild(this.createSvgElement('rect', {
+                x: offset, y: MARGIN.top + 6, width: 10, height: 10, class: `chart-swatch chart-${color}`
+            }));
+            legend.appendChild(this.createText(name, offset + 14, MARGIN.top + 15, 'chart-legend-text'));
+            offset += 24 + name.length * 7;
+        });
+        this.svg.appendChild(legend);
+    }
+
+    // ===== TOOLTIPS =====
+
+    /**
+     * Show the tooltip for the point nearest the pointer
+     */
+    showTooltipAt(clientX, clientY) {
+        const { px, py, rect } = this.toChartCoordinates(clientX, clientY);
+        const hits = this.options.type === 'scatter' ? this.findNearestPoint(px, py) : this.findPointsAtX(px);
+
+        this.hoverLayer.innerHTML = '';
+        if (hits.length === 0) {
+            this.hideTooltip();
+            return;
+        }
+
+        const { x, y } = this.scales;
+        const anchorX = x(hits[0].point.x);
+        if (this.options.type === 'line') {
+            this.hoverLayer.appendChild(this.createSvgElement('line', {
+                x1: anchorX, x2: anchorX, y1: MARGIN.top, y2: HEIGHT - MARGIN.bottom, class: 'chart-guide'
+            }));
+        }
+        hits.forEach(({ point, series }) => {
+            this.hoverLayer.appendChild(this.createSvgElement('circle', {
+                cx: x(point.x), cy: y(point.y), r: 5, class: `chart-marker chart-${series.color}`
+            }));
+        });
+
+        this.tooltip.innerHTML = this.renderTooltip(hits);
+        this.tooltip.hidden = false;
+
+        // Keep the tooltip inside the chart, flipping to the left of the pointer near the right edge
+        const left = (anchorX / WIDTH) * rect.width;
+        const flip = left > rect.width * 0.6;
+        this.tooltip.style.left = `${flip ? left - this.tooltip.offsetWidth - 12 : left + 12}px`;
+        this.tooltip.style.top = `${Math.max(0, (clientY - rect.top) - 20) + this.svg.offsetTop}px`;
+    }
+
+    hideTooltip() {
+        if (this.tooltip) this.tooltip.hidden = true;
+        if (this.hoverLayer) this.hoverLayer.innerHTML = '';
+    }
+
+    renderTooltip(hits) {
+        const { formatX, formatY, xLabel } = this.options;
+
+        if (this.options.type === 'scatter') {
+            const [{ point, series }] = hits;
+            return `
+                <strong>${series.name}</strong>
+                <div>${xLabel ?? 'x'}: ${formatX(point.x)}</div>
+                <div>${formatY(point.y)}</div>
+                ${point.label ? `<div class="chart-tooltip-note">${point.label}</div>` : ''}
+            `;
+        }
+
+        const [first] = hits;
+        return `
+            <strong>${xLabel ? `${xLabel} ` : ''}${formatX(first.point.x)}</strong>
+            ${hits.map(({ point, series }) => `<div><span class="chart-swatch-inline chart-${series.color}"></span>${series.name}: ${formatY(point.y)}</div>`).join('')}
+            ${first.point.label ? `<div class="chart-tooltip-note">${first.point.label}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Line charts: the point of each series closest to the pointer's x position
+     */
+    findPointsAtX(px) {
+        if (px < MARGIN.left || px > WIDTH - MARGIN.right) return [];
+
+        const value = this.scales.invertX(px);
+        return this.series
+            .map(series => {
+                const points = this.getVisiblePoints(series.points);
+                let nearest = null;
+                points.forEach(point => {
+                    if (!nearest || Math.abs(point.x - value) < Math.abs(nearest.x - value)) {
+                        nearest = point;
+                    }
+                });
+                return nearest ? { point: nearest, series } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Scatter charts: the single point closest to the pointer, within a few pixels
+     */
+    findNearestPoint(px, py) {
+        const { x, y } = this.scales;
+        let best = null;
+
+        this.series.forEach(series => {
+            this.getVisiblePoints(series.points).forEach(point => {
+                const distance = Math.hypot(x(point.x) - px, y(point.y) - py);
+                if (distance < 12 && (!best || distance < best.distance)) {
+                    best = { point, series, distance };
+                }
+            });
+        });
+
+        return best ? [best] : [];
+    }
+
+    // ===== ZOOM AND PAN =====
+
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'chart-toolbar';
+        toolbar.innerHTML = `
+            <button type="button" class="chart-zoom-btn" data-zoom="in" title="Zoom in">+</button>
+            <button type="button" class="chart-zoom-btn" data-zoom="out" title="Zoom out">−</button>
+            <button type="button" class="chart-zoom-btn" data-zoom="reset" title="Show everything">Reset</button>
+            <span class="chart-hint">Scroll to zoom, drag to pan</span>
+        `;
+
+        toolbar.addEventListener('click', (e) => {
+            const zoom = e.target.dataset?.zoom;
+            const center = (this.view.min + this.view.max) / 2;
+            if (zoom === 'in') this.zoomAt(center, 0.5);
+            if (zoom === 'out') this.zoomAt(center, 2);
+            if (zoom === 'reset') this.resetZoom();
+        });
+        return toolbar;
+    }
+
+    updateZoomButtons() {
+        const atFullView = this.view.min <= this.fullDomain.min && this.view.max >= this.fullDomain.max;
+        this.container.querySelectorAll('.chart-zoom-btn').forEach(button => {
+            if (button.dataset.zoom === 'in') button.disabled = this.getViewSpan() <= this.getMinSpan();
+            else button.disabled = atFullView;
+        });
+    }
+
+    /**
+     * Scale the visible x range by factor (below 1 zooms in), keeping center in place
+     */
+    zoomAt(center, factor) {
+        const fullSpan = this.fullDomain.max - this.fullDomain.min;
+        const span = Math.min(fullSpan, Math.max(this.getMinSpan(), this.getViewSpan() * factor));
+        const ratio = (center - this.view.min) / this.getViewSpan();
+
+        this.setView(center - span * ratio, span);
+    }
+
+    /**
+     * Shift the visible range by a number of x units
+     */
+    panBy(delta, startView) {
+        this.setView(startView.min + delta, startView.max - startView.min);
+    }
+
+    resetZoom() {
+        this.view = { ...this.fullDomain };
+        this.hideTooltip();
+        this.draw();
+    }
+
+    /**
+     * Move the view to [min, min + span], clamped to the data
+     */
+    setView(min, span) {
+        const clampedMin = Math.min(Math.max(min, this.fullDomain.min), this.fullDomain.max - span);
+        this.view = { min: clampedMin, max: clampedMin + span };
+        this.hideTooltip();
+        this.draw();
+    }
+
+    getViewSpan() {
+        return this.view.max - this.view.min;
+    }
+
+    getMinSpan() {
+        const fullSpan = this.fullDomain.max - this.fullDomain.min;
+        return fullSpan * Math.min(1, MIN_VISIBLE_POINTS / this.getPointCount());
+    }
+
+    setupEventListeners() {
+        this.svg.addEventListener('mousemove', (e) => {
+            if (this.drag) {
+                const { px } = this.toChartCoordinates(e.clientX, e.clientY);
+                const unitsPerPixel = this.getViewSpan() / (WIDTH - MARGIN.left - MARGIN.right);
+                this.panBy((this.drag.px - px) * unitsPerPixel, this.drag.view);
+                return;
+            }
+            this.showTooltipAt(e.clientX, e.clientY);
+        });
+        this.svg.addEventListener('mouseleave', () => {
+            this.drag = null;
+            this.hideTooltip();
+        });
+
+        if (!this.isZoomable()) return;
+
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const { px } = this.toChartCoordinates(e.clientX, e.clientY);
+            this.zoomAt(this.scales.invertX(px), e.deltaY < 0 ? 0.8 : 1.25);
+        }, { passive: false });
+
+        this.svg.addEventListener('mousedown', (e) => {
+            const { px } = this.toChartCoordinates(e.clientX, e.clientY);
+            this.drag = { px, view: { ...this.view } };
+            this.svg.classList.add('dragging');
+        });
+        this.svg.addEventListener('mouseup', () => {
+            this.drag = null;
+            this.svg.classList.remove('dragging');
+        });
+        this.svg.addEventListener('dblclick', () => this.resetZoom());
+    }
+
+    // ===== SCALES AND DATA =====
+
+    getPointCount() {
+        return Math.max(0, ...this.series.map(series => series.points.length));
+    }
+
+    getXDomain() {
+        const xs = this.series.flatMap(series => series.points.map(point => point.x));
+        return this.padDomain(Math.min(...xs), Math.max(...xs));
+    }
+
+    getYDomain(visibleSeries) {
+        const ys = visibleSeries.flatMap(series => series.points.map(point => point.y));
+        if (this.options.referenceY !== undefined) {
+            ys.push(this.options.referenceY);
+        }
+
+        const min = this.options.yMin ?? Math.min(...ys);
+        const max = this.options.yMax ?? Math.max(...ys);
+        const padding = this.options.yMin === undefined ? (max - min) * 0.05 : 0;
+        return this.padDomain(min - padding, max + padding);
+    }
+
+    /**
+     * A single value still needs a range to draw against
+     */
+    padDomain(min, max) {
+        if (!isFinite(min) || !isFinite(max)) return { min: 0, max: 1 };
+        return min === max ? { min: min - 1, max: max + 1 } : { min, max };
+    }
+
+    createScales(xDomain, yDomain) {
+        const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+        const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+        return {
+            x: value => MARGIN.left + ((value - xDomain.min) / (xDomain.max - xDomain.min)) * plotWidth,
+            y: value => MARGIN.top + (1 - (value - yDomain.min) / (yDomain.max - yDomain.min)) * plotHeight,
+            invertX: px => xDomain.min + ((px - MARGIN.left) / plotWidth) * (xDomain.max - xDomain.min)
+        };
+    }
+
+    /**
+     * Points in the visible x range (lines keep one point either side so they run to the edge)
+     */
+    getVisiblePoints(points) {
+        if (this.options.type === 'scatter') {
+            return points.filter(point => point.x >= this.view.min && point.x <= this.view.max);
+        }
+
+        const first = Math.max(0, points.findIndex(point => point.x >= this.view.min) - 1);
+        let last = points.length - 1;
+        while (last > 0 && points[last - 1].x > this.view.max) last--;
+        return points.slice(first, last + 1);
+    }
+
+    /**
+     * Keep every nth point of a long series, always including the last one
+     */
+    thin(points) {
+        if (points.length <= MAX_DRAWN_POINTS) return points;
+
+        const step = Math.ceil(points.length / MAX_DRAWN_POINTS);
+        const thinned = points.filter((point, index) => index % step === 0);
+        if (thinned[thinned.length - 1] !== points[points.length - 1]) {
+            thinned.push(points[points.length - 1]);
+        }
+        return thinned;
+    }
+
+    /**
+     * About five round-numbered ticks between min and max
+     */
+    getTicks(min, max, count = 5) {
+        const rawStep = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= rawStep);
+
+        const ticks = [];
+        for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+            ticks.push(Math.round(tick / step) * step);
+        }
+        return ticks.map(tick => parseFloat(tick.toPrecision(10)));
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Pointer position in viewBox units
+     */
+    toChartCoordinates(clientX, clientY) {
+        const rect = this.svg.getBoundingClientRect();
+        return {
+            px: ((clientX - rect.left) / rect.width) * WIDTH,
+            py: ((clientY - rect.top) / rect.height) * HEIGHT,
+            rect
+        };
+    }
+
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    createText(text, x, y, className) {
+        const element = this.createSvgElement('text', { x, y, class: className });
+        element.textContent = text;
+        return element;
+    }
+}